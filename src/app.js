@@ -15,18 +15,37 @@ const cashRegisterRoutes = require('./routes/cashRegisterRoutes');
 const invoiceRoutes = require('./routes/invoiceRoutes');
 const expenseRoutes = require('./routes/expenseRoutes');
 const blogRoutes = require('./routes/blogRoutes');
+const ledgerRoutes = require('./routes/ledgerRoutes');
+const payrollRoutes = require('./routes/payrollRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const stockCountRoutes = require('./routes/stockCountRoutes');
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes');
+const supplierRoutes = require('./routes/supplierRoutes');
+const wastageRoutes = require('./routes/wastageRoutes');
+const shiftRoutes = require('./routes/shiftRoutes');
+const reconciliationRoutes = require('./routes/reconciliationRoutes');
+const branchRoutes = require('./routes/branchRoutes');
+const stockTransferRoutes = require('./routes/stockTransferRoutes');
+const staffRoutes = require('./routes/staffRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const { jalaliDates } = require('./middleware/jalaliDates');
+const { assertPermissionsRegistered } = require('./config/permissions');
+const reportError = require('./utils/reportError');
 
 const app = express();
 
 // Middleware
-app.use(cors({
-  origin: process.env.FRONTEND_URL || '*',
-  credentials: true
-}));
+app.use(
+  cors({
+    origin: process.env.FRONTEND_URL || '*',
+    credentials: true,
+  }),
+);
 app.use(helmet());
 app.use(morgan('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(jalaliDates);
 
 // Swagger configuration
 const swaggerOptions = {
@@ -52,9 +71,11 @@ const swaggerOptions = {
         },
       },
     },
-    security: [{
-      bearerAuth: [],
-    }],
+    security: [
+      {
+        bearerAuth: [],
+      },
+    ],
   },
   apis: ['./src/routes/*.js'],
 };
@@ -76,6 +97,22 @@ app.use('/api/cash-register', cashRegisterRoutes);
 app.use('/api/invoices', invoiceRoutes);
 app.use('/api/expenses', expenseRoutes);
 app.use('/api/blog', blogRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/payroll', payrollRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/stock-counts', stockCountRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/wastage', wastageRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/branches', branchRoutes);
+app.use('/api/stock-transfers', stockTransferRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/roles', roleRoutes);
+
+// Every permission a route checks must have been registered by now
+assertPermissionsRegistered();
 
 app.get('/', (req, res) => {
   res.json({ message: 'Welcome to Cafe Management System API' });
@@ -83,7 +120,7 @@ app.get('/', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  reportError(err);
   res.status(500).json({ message: 'Something went wrong!' });
 });
 
@@ -92,4 +129,4 @@ app.use((req, res) => {
   res.status(404).json({ message: 'Route not found' });
 });
 
-module.exports = app; 
\ No newline at end of file
+module.exports = app;
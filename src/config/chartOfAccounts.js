@@ -0,0 +1,121 @@
+// Default chart of accounts seeded for every cafe owner. Codes are
+// hierarchical: a child's code starts with its parent's leading digits.
+// `key` is how automatic postings refer to an account, so codes and names
+// can be changed by the owner without breaking them.
+const defaultAccounts = [
+  { key: 'assets', code: '1000', name: 'Assets', type: 'asset' },
+  { key: 'cash', code: '1100', name: 'Cash on hand', type: 'asset', parent: 'assets' },
+  {
+    key: 'card_clearing',
+    code: '1110',
+    name: 'Card terminal clearing',
+    type: 'asset',
+    parent: 'assets',
+  },
+  { key: 'bank', code: '1120', name: 'Bank', type: 'asset', parent: 'assets' },
+  { key: 'receivable', code: '1200', name: 'Accounts receivable', type: 'asset', parent: 'assets' },
+  { key: 'inventory', code: '1300', name: 'Inventory', type: 'asset', parent: 'assets' },
+
+  { key: 'liabilities', code: '2000', name: 'Liabilities', type: 'liability' },
+  {
+    key: 'payable',
+    code: '2100',
+    name: 'Accounts payable',
+    type: 'liability',
+    parent: 'liabilities',
+  },
+  {
+    key: 'grni',
+    code: '2150',
+    name: 'Goods received not invoiced',
+    type: 'liability',
+    parent: 'liabilities',
+  },
+  {
+    key: 'tax_payable',
+    code: '2200',
+    name: 'Sales tax payable',
+    type: 'liability',
+    parent: 'liabilities',
+  },
+  {
+    key: 'salaries_payable',
+    code: '2300',
+    name: 'Salaries payable',
+    type: 'liability',
+    parent: 'liabilities',
+  },
+
+  { key: 'equity', code: '3000', name: 'Equity', type: 'equity' },
+  { key: 'capital', code: '3100', name: "Owner's capital", type: 'equity', parent: 'equity' },
+  {
+    key: 'retained_earnings',
+    code: '3200',
+    name: 'Retained earnings',
+    type: 'equity',
+    parent: 'equity',
+  },
+
+  { key: 'revenue', code: '4000', name: 'Revenue', type: 'revenue' },
+  { key: 'sales', code: '4100', name: 'Sales revenue', type: 'revenue', parent: 'revenue' },
+  { key: 'other_income', code: '4900', name: 'Other income', type: 'revenue', parent: 'revenue' },
+
+  { key: 'expenses', code: '5000', name: 'Expenses', type: 'expense' },
+  { key: 'cogs', code: '5100', name: 'Cost of goods sold', type: 'expense', parent: 'expenses' },
+  {
+    key: 'wastage',
+    code: '5150',
+    name: 'Spoilage and wastage',
+    type: 'expense',
+    parent: 'expenses',
+  },
+  {
+    key: 'inventory_variance',
+    code: '5160',
+    name: 'Inventory count variance',
+    type: 'expense',
+    parent: 'expenses',
+  },
+  { key: 'rent', code: '5200', name: 'Rent', type: 'expense', parent: 'expenses' },
+  { key: 'salary', code: '5300', name: 'Salaries and wages', type: 'expense', parent: 'expenses' },
+  { key: 'supplies', code: '5400', name: 'Supplies', type: 'expense', parent: 'expenses' },
+  { key: 'utilities', code: '5500', name: 'Utilities', type: 'expense', parent: 'expenses' },
+  { key: 'maintenance', code: '5600', name: 'Maintenance', type: 'expense', parent: 'expenses' },
+  {
+    key: 'other_expense',
+    code: '5900',
+    name: 'Other expenses',
+    type: 'expense',
+    parent: 'expenses',
+  },
+  {
+    key: 'cash_over_short',
+    code: '5950',
+    name: 'Cash over and short',
+    type: 'expense',
+    parent: 'expenses',
+  },
+];
+
+// Money account that receives or pays out each payment method
+const paymentMethodAccounts = {
+  cash: 'cash',
+  card: 'card_clearing',
+  transfer: 'bank',
+};
+
+// Expense account for each Expense category
+const expenseCategoryAccounts = {
+  rent: 'rent',
+  salary: 'salary',
+  supplies: 'supplies',
+  utilities: 'utilities',
+  maintenance: 'maintenance',
+  other: 'other_expense',
+};
+
+module.exports = {
+  defaultAccounts,
+  paymentMethodAccounts,
+  expenseCategoryAccounts,
+};
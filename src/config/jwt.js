@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
@@ -5,21 +6,28 @@ const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1d';
 const REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || 'your-refresh-token-secret';
 const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
 
-const generateToken = (user) => {
+// `session` is the refresh token family the access token was issued under,
+// so the session can be revoked before the access token expires
+const generateToken = (user, session) => {
   const payload = {
     id: user._id,
     username: user.username,
     role: user.role,
     permissions: user.permissions,
+    sid: session,
   };
 
   return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
 };
 
-const generateRefreshToken = (user) => {
+// Refresh tokens carry their family and a unique ID, so two issued in the
+// same second still differ
+const generateRefreshToken = (user, family) => {
   const payload = {
     id: user._id,
     username: user.username,
+    family,
+    jti: crypto.randomUUID(),
   };
 
   return jwt.sign(payload, REFRESH_TOKEN_SECRET, { expiresIn: REFRESH_TOKEN_EXPIRES_IN });
@@ -48,4 +56,4 @@ module.exports = {
   verifyRefreshToken,
   JWT_SECRET,
   REFRESH_TOKEN_SECRET,
-}; 
\ No newline at end of file
+};
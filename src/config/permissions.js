@@ -0,0 +1,61 @@
+// Registry of the permissions routes check. Each route module registers the
+// permissions of its own area when it is loaded; `checkPermission` notes every
+// permission it is asked for, and the app refuses to start if one of them was
+// never registered, so a route can't demand a permission nobody can grant.
+//
+// `cafe` permissions are what cafe owners hand out to their staff, directly or
+// through roles; `platform` ones only a super admin can give.
+const SCOPES = ['cafe', 'platform'];
+
+const registry = new Map();
+const required = new Set();
+
+// Register permissions as { key: description } or { key: { description, scope } }
+const registerPermissions = (permissions) => {
+  Object.entries(permissions).forEach(([key, definition]) => {
+    const { description, scope = 'cafe' } =
+      typeof definition === 'string' ? { description: definition } : definition;
+
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Unknown scope "${scope}" for permission ${key}`);
+    }
+
+    const existing = registry.get(key);
+    if (existing && existing.scope !== scope) {
+      throw new Error(`Permission ${key} is already registered as ${existing.scope}`);
+    }
+
+    registry.set(key, { key, description, scope });
+  });
+};
+
+// Note permissions a route checks, to be verified once every route is loaded
+const requirePermissions = (keys) => {
+  keys.forEach((key) => required.add(key));
+};
+
+const assertPermissionsRegistered = () => {
+  const missing = [...required].filter((key) => !registry.has(key));
+  if (missing.length > 0) {
+    throw new Error(`Routes check unregistered permissions: ${missing.join(', ')}`);
+  }
+};
+
+const isPermission = (key) => registry.has(key);
+
+const isCafePermission = (key) => registry.get(key)?.scope === 'cafe';
+
+// Registered permissions, optionally of one scope, sorted for display
+const listPermissions = (scope) =>
+  [...registry.values()]
+    .filter((permission) => !scope || permission.scope === scope)
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+module.exports = {
+  registerPermissions,
+  requirePermissions,
+  assertPermissionsRegistered,
+  isPermission,
+  isCafePermission,
+  listPermissions,
+};
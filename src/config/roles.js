@@ -0,0 +1,49 @@
+// Account roles. Content roles form a hierarchy in which each role holds
+// everything the roles below it may do:
+//
+//   super_admin > content_admin > editor > author
+//
+// Cafe roles stand apart: owners and their staff are given what they may do
+// through permissions and custom roles (see config/permissions).
+const ROLES = [
+  'super_admin',
+  'content_admin',
+  'editor',
+  'author',
+  'cafe_owner',
+  'staff',
+  'customer',
+];
+
+// Roles only an administrator or a cafe owner can hand out: the content
+// roles, which publish under the site's name, and cafe staff
+const PRIVILEGED_ROLES = ['super_admin', 'content_admin', 'editor', 'author', 'staff'];
+
+// Roles anyone may choose when signing up
+const SELF_REGISTER_ROLES = ROLES.filter((role) => !PRIVILEGED_ROLES.includes(role));
+
+// Role each role directly inherits from
+const INHERITS = {
+  super_admin: 'content_admin',
+  content_admin: 'editor',
+  editor: 'author',
+};
+
+// The role itself followed by every role it inherits, nearest first
+const inheritedRoles = (role) => {
+  const roles = [];
+  for (let current = role; current; current = INHERITS[current]) {
+    roles.push(current);
+  }
+  return roles;
+};
+
+// Whether a user with `role` holds any of `roles`, directly or by inheritance
+const hasRole = (role, roles) => inheritedRoles(role).some((held) => roles.includes(held));
+
+module.exports = {
+  ROLES,
+  SELF_REGISTER_ROLES,
+  inheritedRoles,
+  hasRole,
+};
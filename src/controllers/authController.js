@@ -1,6 +1,50 @@
-const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../config/jwt');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const { validationResult } = require('express-validator');
+const HttpError = require('../utils/httpError');
+const reportError = require('../utils/reportError');
+const { effectivePermissions } = require('../services/roleService');
+const {
+  revokeFamily,
+  revokeUserSessions,
+  startSession,
+  rotateSession,
+  endSession,
+  listSessions,
+} = require('../services/sessionService');
+const {
+  consumeAccountToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} = require('../services/accountService');
+const { requestCode, verifyCode } = require('../services/otpService');
+
+// Sign a user in on this device once they have proven who they are
+const signIn = async (user, req) => {
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Generate tokens, starting a session for this device
+  const { token, refreshToken } = await startSession(user, req);
+
+  return {
+    message: 'Login successful',
+    user: {
+      id: user._id,
+      username: user.username,
+      name: user.name,
+      email: user.email,
+      emailVerified: Boolean(user.emailVerifiedAt),
+      role: user.role,
+      permissions: await effectivePermissions(user),
+      cafeOwner: user.tenantId(),
+      branch: user.branch,
+    },
+    token,
+    refreshToken,
+  };
+};
 
 // Register new user
 const register = async (req, res) => {
@@ -35,9 +79,16 @@ const register = async (req, res) => {
 
     await user.save();
 
-    // Generate tokens
-    const token = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // Ask the user to confirm their address; a failed send can be retried
+    // through resend-verification
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      reportError(error, 'Error sending verification email');
+    }
+
+    // Generate tokens, starting a session for this device
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -46,6 +97,7 @@ const register = async (req, res) => {
         username: user.username,
         name: user.name,
         email: user.email,
+        emailVerified: false,
         role: user.role,
       },
       token,
@@ -83,33 +135,54 @@ const login = async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    res.json(await signIn(user, req));
+  } catch (error) {
+    res.status(500).json({ message: 'Error logging in', error: error.message });
+  }
+};
+
+// Request a sign-in code by SMS, for staff signing in with their phone
+const requestOtp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    // Generate tokens
-    const token = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    const { retryAfter } = await requestCode(req.body.phone, req.ip);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res
+        .status(429)
+        .json({ message: 'Too many code requests; try again later', retryAfter });
+    }
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        username: user.username,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        permissions: user.permissions,
-      },
-      token,
-      refreshToken,
-    });
+    res.json({ message: 'If the number belongs to a staff account, a code has been sent' });
   } catch (error) {
+    res.status(500).json({ message: 'Error sending code', error: error.message });
+  }
+};
+
+// Login with an SMS code, getting the same tokens as a password login
+const verifyOtp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await verifyCode(req.body.phone, req.body.code);
+
+    res.json(await signIn(user, req));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error logging in', error: error.message });
   }
 };
 
-// Refresh token
+// Refresh token: the token is used up and replaced by the next in its session
 const refresh = async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -117,28 +190,176 @@ const refresh = async (req, res) => {
       return res.status(400).json({ message: 'Refresh token is required' });
     }
 
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
-    if (!decoded) {
-      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    const tokens = await rotateSession(refreshToken, req);
+
+    res.json(tokens);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
     }
+    res.status(500).json({ message: 'Error refreshing token', error: error.message });
+  }
+};
 
-    // Find user
-    const user = await User.findById(decoded.id);
+// Logout: end the session the refresh token belongs to
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    await endSession(refreshToken);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+};
+
+// Get the user's active sessions, marking the one making the request
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.json(
+      sessions.map((session) => ({
+        id: session.family,
+        startedAt: session.sessionStartedAt,
+        lastRefreshedAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        current: session.family === req.sessionId,
+      })),
+    );
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching sessions', error: error.message });
+  }
+};
+
+// Sign one of the user's devices out
+const revokeSession = async (req, res) => {
+  try {
+    const exists = await RefreshToken.exists({ family: req.params.id, user: req.user._id });
+    if (!exists) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeFamily(req.params.id, 'revoked');
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error revoking session', error: error.message });
+  }
+};
+
+// Sign the user out everywhere except the device making the request
+const revokeOtherSessions = async (req, res) => {
+  try {
+    await revokeUserSessions(req.user._id, 'revoked', req.sessionId);
+
+    res.json({ message: 'Other sessions revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error revoking sessions', error: error.message });
+  }
+};
+
+// Forgot password: mail a reset link. The answer is the same whether or not
+// the address belongs to anyone, so it can't be used to probe for accounts.
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // The mail goes out in the background, so neither how long the answer
+    // takes nor a failed send tells whether the address has an account
+    const user = await User.findOne({ email: req.body.email });
+    if (user && user.isActive) {
+      sendPasswordResetEmail(user).catch((error) =>
+        reportError(error, 'Error sending password reset email'),
+      );
+    }
+
+    res.json({ message: 'If the address belongs to an account, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error requesting password reset', error: error.message });
+  }
+};
+
+// Reset password with a mailed token, signing the user out everywhere
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = await consumeAccountToken(req.body.token, 'password_reset');
+    const user = await User.findById(userId);
     if (!user || !user.isActive) {
-      return res.status(401).json({ message: 'User not found or inactive' });
+      return res.status(400).json({ message: 'Invalid or expired token' });
     }
 
-    // Generate new tokens
-    const newToken = generateToken(user);
-    const newRefreshToken = generateRefreshToken(user);
+    user.password = req.body.password;
+    // The reset link reached the inbox, which proves the address too
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    await user.save();
+
+    await revokeUserSessions(user._id, 'password_reset');
 
-    res.json({
-      token: newToken,
-      refreshToken: newRefreshToken,
-    });
+    res.json({ message: 'Password reset successfully' });
   } catch (error) {
-    res.status(500).json({ message: 'Error refreshing token', error: error.message });
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error resetting password', error: error.message });
+  }
+};
+
+// Verify email with a mailed token
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = await consumeAccountToken(req.body.token, 'email_verification');
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error verifying email', error: error.message });
+  }
+};
+
+// Mail the current user a new verification link
+const resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error sending verification email', error: error.message });
   }
 };
 
@@ -155,6 +376,16 @@ const getCurrentUser = async (req, res) => {
 module.exports = {
   register,
   login,
+  requestOtp,
+  verifyOtp,
   refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getCurrentUser,
-}; 
\ No newline at end of file
+};
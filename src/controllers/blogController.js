@@ -1,12 +1,27 @@
 const Blog = require('../models/Blog');
 const { validationResult } = require('express-validator');
-
-// Get all posts (admin/editor)
+const { hasRole } = require('../config/roles');
+const {
+  recentJalaliMonths,
+  monthsRange,
+  jalaliMonthBuckets,
+  labelJalaliMonths,
+} = require('../utils/jalali');
+
+// Whether the user may work on a post: editors and above on any, authors on their own
+const canEditPost = (user, post) =>
+  hasRole(user.role, ['editor']) || String(post.author?._id ?? post.author) === String(user._id);
+
+// Get all posts (editors and above; authors get their own)
 const getAllPosts = async (req, res) => {
   try {
     const { status, category, tag } = req.query;
     const query = {};
 
+    if (!hasRole(req.user.role, ['editor'])) {
+      query.author = req.user._id;
+    }
+
     if (status) {
       query.status = status;
     }
@@ -19,9 +34,7 @@ const getAllPosts = async (req, res) => {
       query.tags = tag;
     }
 
-    const posts = await Blog.find(query)
-      .sort({ createdAt: -1 })
-      .populate('author', 'name email');
+    const posts = await Blog.find(query).sort({ createdAt: -1 }).populate('author', 'name email');
 
     res.json(posts);
   } catch (error) {
@@ -57,6 +70,8 @@ const getPublicPosts = async (req, res) => {
 // Get blog statistics
 const getBlogStats = async (req, res) => {
   try {
+    // Last 12 Jalali months in the cafe's time zone
+    const months = recentJalaliMonths(12);
     const stats = await Blog.aggregate([
       {
         $facet: {
@@ -99,27 +114,22 @@ const getBlogStats = async (req, res) => {
           monthlyPosts: [
             {
               $match: {
-                publishedAt: { $exists: true },
-              },
-            },
-            {
-              $group: {
-                _id: {
-                  year: { $year: '$publishedAt' },
-                  month: { $month: '$publishedAt' },
-                },
-                count: { $sum: 1 },
-                views: { $sum: '$viewCount' },
+                publishedAt: monthsRange(months),
               },
             },
-            { $sort: { '_id.year': -1, '_id.month': -1 } },
-            { $limit: 12 },
+            jalaliMonthBuckets('publishedAt', months, {
+              count: { $sum: 1 },
+              views: { $sum: '$viewCount' },
+            }),
           ],
         },
       },
     ]);
 
-    res.json(stats[0]);
+    res.json({
+      ...stats[0],
+      monthlyPosts: labelJalaliMonths(stats[0].monthlyPosts, months),
+    });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching blog statistics', error: error.message });
   }
@@ -128,15 +138,14 @@ const getBlogStats = async (req, res) => {
 // Get post by slug
 const getPostBySlug = async (req, res) => {
   try {
-    const post = await Blog.findOne({ slug: req.params.slug })
-      .populate('author', 'name');
+    const post = await Blog.findOne({ slug: req.params.slug }).populate('author', 'name');
 
     if (!post) {
       return res.status(404).json({ message: 'Blog post not found' });
     }
 
-    // If post is not published, only admin/editor can view it
-    if (post.status !== 'published' && (!req.user || !['admin', 'editor'].includes(req.user.role))) {
+    // If post is not published, only its author and editors and above can view it
+    if (post.status !== 'published' && (!req.user || !canEditPost(req.user, post))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -154,17 +163,8 @@ const createPost = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const {
-      title,
-      content,
-      excerpt,
-      categories,
-      tags,
-      featuredImage,
-      status,
-      seo,
-      readTime,
-    } = req.body;
+    const { title, content, excerpt, categories, tags, featuredImage, status, seo, readTime } =
+      req.body;
 
     const post = new Blog({
       title,
@@ -200,17 +200,12 @@ const updatePost = async (req, res) => {
       return res.status(404).json({ message: 'Blog post not found' });
     }
 
-    const {
-      title,
-      content,
-      excerpt,
-      categories,
-      tags,
-      featuredImage,
-      status,
-      seo,
-      readTime,
-    } = req.body;
+    if (!canEditPost(req.user, post)) {
+      return res.status(403).json({ message: 'Not authorized to edit this post' });
+    }
+
+    const { title, content, excerpt, categories, tags, featuredImage, status, seo, readTime } =
+      req.body;
 
     // Update publishedAt if status changes to published
     if (status === 'published' && post.status !== 'published') {
@@ -255,7 +250,7 @@ const incrementViewCount = async (req, res) => {
     const post = await Blog.findOneAndUpdate(
       { slug: req.params.slug },
       { $inc: { viewCount: 1 } },
-      { new: true }
+      { new: true },
     );
 
     if (!post) {
@@ -277,4 +272,4 @@ module.exports = {
   deletePost,
   incrementViewCount,
   getBlogStats,
-}; 
\ No newline at end of file
+};
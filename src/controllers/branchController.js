@@ -0,0 +1,184 @@
+const Branch = require('../models/Branch');
+const BranchStock = require('../models/BranchStock');
+const CashRegister = require('../models/CashRegister');
+const Ledger = require('../models/Ledger');
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const Shift = require('../models/Shift');
+const StockTransfer = require('../models/StockTransfer');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { branchStockLevels } = require('../services/branchService');
+const { roundAmount } = require('../utils/money');
+
+const BRANCH_FIELDS = ['name', 'code', 'address', 'phone', 'isActive'];
+
+// Get the cafe's branches
+const getBranches = async (req, res) => {
+  try {
+    const query = { cafeOwner: req.cafeOwner };
+
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const branches = await Branch.find(query).sort({ name: 1 });
+    res.json(branches);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching branches', error: error.message });
+  }
+};
+
+// Get branch by ID
+const getBranchById = async (req, res) => {
+  try {
+    const branch = await Branch.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    }).populate('createdBy', 'name');
+
+    if (!branch) {
+      return res.status(404).json({ message: 'Branch not found' });
+    }
+
+    res.json(branch);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching branch', error: error.message });
+  }
+};
+
+// Get the stock held at a branch, flagging products at or below their reorder point
+const getBranchStock = async (req, res) => {
+  try {
+    const branch = await Branch.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!branch) {
+      return res.status(404).json({ message: 'Branch not found' });
+    }
+
+    const items = await branchStockLevels(req.cafeOwner, branch._id);
+
+    res.json({
+      branch: { _id: branch._id, name: branch.name, code: branch.code },
+      items,
+      totalValue: roundAmount(items.reduce((sum, item) => sum + item.value, 0)),
+      lowStockCount: items.filter((item) => item.isLow).length,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching branch stock', error: error.message });
+  }
+};
+
+// Create new branch
+const createBranch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const branch = new Branch({
+      cafeOwner: req.cafeOwner,
+      createdBy: req.user.id,
+    });
+
+    BRANCH_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        branch[field] = req.body[field];
+      }
+    });
+
+    await branch.save();
+
+    res.status(201).json({ message: 'Branch created successfully', branch });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A branch with this name already exists' });
+    }
+    res.status(500).json({ message: 'Error creating branch', error: error.message });
+  }
+};
+
+// Update branch
+const updateBranch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const branch = await Branch.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!branch) {
+      return res.status(404).json({ message: 'Branch not found' });
+    }
+
+    BRANCH_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        branch[field] = req.body[field];
+      }
+    });
+
+    await branch.save();
+
+    res.json({ message: 'Branch updated successfully', branch });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A branch with this name already exists' });
+    }
+    res.status(500).json({ message: 'Error updating branch', error: error.message });
+  }
+};
+
+// Delete a branch nothing refers to yet; others can only be deactivated
+const deleteBranch = async (req, res) => {
+  try {
+    const branch = await Branch.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!branch) {
+      return res.status(404).json({ message: 'Branch not found' });
+    }
+
+    const references = { branch: branch._id };
+    const used = await Promise.all([
+      Sale.exists(references),
+      CashRegister.exists(references),
+      Ledger.exists(references),
+      Shift.exists(references),
+      BranchStock.exists({ ...references, quantity: { $ne: 0 } }),
+      StockTransfer.exists({ $or: [{ fromBranch: branch._id }, { toBranch: branch._id }] }),
+      Product.exists({ branches: branch._id }),
+      User.exists(references),
+    ]);
+
+    if (used.some(Boolean)) {
+      return res.status(400).json({
+        message: 'Branch has history, stock, products or staff; deactivate it instead',
+      });
+    }
+
+    await BranchStock.deleteMany(references);
+    await branch.deleteOne();
+    res.json({ message: 'Branch deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting branch', error: error.message });
+  }
+};
+
+module.exports = {
+  getBranches,
+  getBranchById,
+  getBranchStock,
+  createBranch,
+  updateBranch,
+  deleteBranch,
+};
@@ -1,17 +1,30 @@
 const CashRegister = require('../models/CashRegister');
 const { validationResult } = require('express-validator');
+const { runInTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { dateRangeFilter } = require('../utils/dateRange');
+const {
+  getCurrentBalances,
+  getBranchBalances,
+  recordTransaction,
+  rebuildBalances,
+} = require('../services/cashRegisterService');
+const { postCashTransaction } = require('../services/ledgerService');
+const { resolveBranch, requestedBranch } = require('../services/branchService');
 
 // Get all transactions
 const getAllTransactions = async (req, res) => {
   try {
-    const { startDate, endDate, category, paymentMethod } = req.query;
-    const query = { cafeOwner: req.user.id };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate, category, paymentMethod, moneyAccount, shift, branch } = req.query;
+    const query = { cafeOwner: req.cafeOwner };
 
     if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
+      query.date = dateRangeFilter(startDate, endDate);
     }
 
     if (category) {
@@ -22,8 +35,20 @@ const getAllTransactions = async (req, res) => {
       query.paymentMethod = paymentMethod;
     }
 
+    if (moneyAccount) {
+      query.moneyAccount = moneyAccount;
+    }
+
+    if (shift) {
+      query.shift = shift;
+    }
+
+    if (branch) {
+      query.branch = branch;
+    }
+
     const transactions = await CashRegister.find(query)
-      .sort({ date: -1 })
+      .sort({ date: -1, sequence: -1 })
       .populate('createdBy', 'name')
       .populate({
         path: 'reference.id',
@@ -32,6 +57,9 @@ const getAllTransactions = async (req, res) => {
 
     res.json(transactions);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error fetching transactions', error: error.message });
   }
 };
@@ -41,7 +69,7 @@ const getTransactionById = async (req, res) => {
   try {
     const transaction = await CashRegister.findOne({
       _id: req.params.id,
-      cafeOwner: req.user.id,
+      cafeOwner: req.cafeOwner,
     })
       .populate('createdBy', 'name')
       .populate({
@@ -77,36 +105,39 @@ const createTransaction = async (req, res) => {
       notes,
     } = req.body;
 
-    // Get current balance
-    const lastTransaction = await CashRegister.findOne({ cafeOwner: req.user.id })
-      .sort({ date: -1 })
-      .select('balance');
+    const transaction = await runInTransaction(async (session) => {
+      const branch = await resolveBranch(req.cafeOwner, requestedBranch(req), session);
+      const transaction = await recordTransaction(
+        {
+          transactionType,
+          paymentMethod,
+          amount,
+          description,
+          category,
+          reference,
+          notes,
+          branch: branch ? branch._id : undefined,
+          cafeOwner: req.cafeOwner,
+          createdBy: req.user.id,
+        },
+        session,
+      );
 
-    const currentBalance = lastTransaction ? lastTransaction.balance : 0;
-    const newBalance = transactionType === 'deposit' 
-      ? currentBalance + amount 
-      : currentBalance - amount;
+      // The balance is checked after the atomic update, so two withdrawals
+      // at once can't both spend the same money; failing rolls it back
+      if (transactionType === 'withdrawal' && transaction.balance < 0) {
+        throw new HttpError(400, 'Insufficient funds for withdrawal');
+      }
 
-    if (transactionType === 'withdrawal' && newBalance < 0) {
-      return res.status(400).json({ message: 'Insufficient funds for withdrawal' });
-    }
-
-    const transaction = new CashRegister({
-      transactionType,
-      paymentMethod,
-      amount,
-      balance: newBalance,
-      description,
-      category,
-      reference,
-      notes,
-      cafeOwner: req.user.id,
-      createdBy: req.user.id,
+      await postCashTransaction(transaction, session);
+      return transaction;
     });
 
-    await transaction.save();
     res.status(201).json({ message: 'Transaction created successfully', transaction });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error creating transaction', error: error.message });
   }
 };
@@ -115,13 +146,10 @@ const createTransaction = async (req, res) => {
 const getCashRegisterSummary = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const query = { cafeOwner: req.user.id };
+    const query = { cafeOwner: req.cafeOwner };
 
     if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
+      query.date = dateRangeFilter(startDate, endDate);
     }
 
     const summary = await CashRegister.aggregate([
@@ -139,7 +167,6 @@ const getCashRegisterSummary = async (req, res) => {
               $cond: [{ $eq: ['$transactionType', 'withdrawal'] }, '$amount', 0],
             },
           },
-          currentBalance: { $last: '$balance' },
         },
       },
     ]);
@@ -166,23 +193,63 @@ const getCashRegisterSummary = async (req, res) => {
       },
     ]);
 
+    // Balances are current, whatever the range
+    const balances = await getCurrentBalances(req.cafeOwner);
+    const currentBalance = balances.reduce((sum, account) => sum + account.balance, 0);
+
     res.json({
-      overall: summary[0] || {
-        totalDeposits: 0,
-        totalWithdrawals: 0,
-        currentBalance: 0,
-      },
+      overall: summary[0]
+        ? { ...summary[0], currentBalance }
+        : {
+            totalDeposits: 0,
+            totalWithdrawals: 0,
+            currentBalance,
+          },
+      balances,
       byCategory,
       byPaymentMethod,
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error fetching cash register summary', error: error.message });
   }
 };
 
+// Get the current balance of each money account, for the whole cafe or one branch
+const getBalances = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { branch } = req.query;
+    const balances = branch
+      ? await getBranchBalances(req.cafeOwner, branch)
+      : await getCurrentBalances(req.cafeOwner);
+    res.json(balances);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching balances', error: error.message });
+  }
+};
+
+// Recompute running balances from the full transaction history
+const rebuildCashBalances = async (req, res) => {
+  try {
+    const balances = await runInTransaction((session) => rebuildBalances(req.cafeOwner, session));
+    res.json({ message: 'Balances rebuilt successfully', balances });
+  } catch (error) {
+    res.status(500).json({ message: 'Error rebuilding balances', error: error.message });
+  }
+};
+
 module.exports = {
   getAllTransactions,
   getTransactionById,
   createTransaction,
   getCashRegisterSummary,
+  getBalances,
+  rebuildCashBalances,
 }; 
\ No newline at end of file
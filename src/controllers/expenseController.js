@@ -1,30 +1,51 @@
 const Expense = require('../models/Expense');
-const CashRegister = require('../models/CashRegister');
 const { validationResult } = require('express-validator');
+const { runInTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { dateRangeFilter } = require('../utils/dateRange');
+const {
+  recentJalaliMonths,
+  monthsRange,
+  jalaliMonthBuckets,
+  labelJalaliMonths,
+} = require('../utils/jalali');
+const {
+  recordTransaction,
+  referenceRows,
+  assertRowsChangeable,
+  reverseRows,
+} = require('../services/cashRegisterService');
+const { postExpense, reverseSourceEntries } = require('../services/ledgerService');
+const { resolveBranch, requestedBranch } = require('../services/branchService');
 
 // Get all expenses
 const getAllExpenses = async (req, res) => {
   try {
-    const { startDate, endDate, category } = req.query;
-    const query = { cafeOwner: req.user.id };
+    const { startDate, endDate, category, branch } = req.query;
+    const query = { cafeOwner: req.cafeOwner };
 
     if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
+      query.date = dateRangeFilter(startDate, endDate);
     }
 
     if (category) {
       query.category = category;
     }
 
+    if (branch) {
+      query.branch = branch;
+    }
+
     const expenses = await Expense.find(query)
       .sort({ date: -1 })
+      .populate('branch', 'name code')
       .populate('createdBy', 'name');
 
     res.json(expenses);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error fetching expenses', error: error.message });
   }
 };
@@ -33,7 +54,7 @@ const getAllExpenses = async (req, res) => {
 const getExpenseStats = async (req, res) => {
   try {
     const stats = await Expense.aggregate([
-      { $match: { cafeOwner: req.user.id } },
+      { $match: { cafeOwner: req.cafeOwner } },
       {
         $group: {
           _id: '$category',
@@ -52,25 +73,19 @@ const getExpenseStats = async (req, res) => {
       },
     ]);
 
+    // Last 12 Jalali months in the cafe's time zone
+    const months = recentJalaliMonths(12);
     const monthlyStats = await Expense.aggregate([
-      { $match: { cafeOwner: req.user.id } },
-      {
-        $group: {
-          _id: {
-            year: { $year: '$date' },
-            month: { $month: '$date' },
-          },
-          totalAmount: { $sum: '$amount' },
-          count: { $sum: 1 },
-        },
-      },
-      { $sort: { '_id.year': -1, '_id.month': -1 } },
-      { $limit: 12 },
+      { $match: { cafeOwner: req.cafeOwner, date: monthsRange(months) } },
+      jalaliMonthBuckets('date', months, {
+        totalAmount: { $sum: '$amount' },
+        count: { $sum: 1 },
+      }),
     ]);
 
     res.json({
       categoryStats: stats,
-      monthlyStats,
+      monthlyStats: labelJalaliMonths(monthlyStats, months),
     });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching expense statistics', error: error.message });
@@ -82,7 +97,7 @@ const getExpenseById = async (req, res) => {
   try {
     const expense = await Expense.findOne({
       _id: req.params.id,
-      cafeOwner: req.user.id,
+      cafeOwner: req.cafeOwner,
     }).populate('createdBy', 'name');
 
     if (!expense) {
@@ -115,41 +130,54 @@ const createExpense = async (req, res) => {
       notes,
     } = req.body;
 
-    const expense = new Expense({
-      date: date || new Date(),
-      description,
-      amount,
-      category,
-      paymentMethod,
-      recurring,
-      recurringPeriod,
-      attachments,
-      notes,
-      cafeOwner: req.user.id,
-      createdBy: req.user.id,
-    });
+    const expense = await runInTransaction(async (session) => {
+      const branch = await resolveBranch(req.cafeOwner, requestedBranch(req), session);
 
-    await expense.save();
+      const newExpense = new Expense({
+        date: date || new Date(),
+        description,
+        amount,
+        category,
+        paymentMethod,
+        recurring,
+        recurringPeriod,
+        attachments,
+        notes,
+        branch: branch ? branch._id : undefined,
+        cafeOwner: req.cafeOwner,
+        createdBy: req.user.id,
+      });
+
+      await newExpense.save({ session });
+      await postExpense(newExpense, session);
+
+      // Create cash register entry
+      await recordTransaction(
+        {
+          transactionType: 'withdrawal',
+          paymentMethod,
+          amount,
+          description: `Expense: ${description}`,
+          category: 'expense',
+          reference: {
+            type: 'expense',
+            id: newExpense._id,
+          },
+          branch: newExpense.branch,
+          cafeOwner: req.cafeOwner,
+          createdBy: req.user.id,
+        },
+        session,
+      );
 
-    // Create cash register entry
-    const cashRegister = new CashRegister({
-      transactionType: 'withdrawal',
-      paymentMethod,
-      amount,
-      description: `Expense: ${description}`,
-      category: 'expense',
-      reference: {
-        type: 'expense',
-        id: expense._id,
-      },
-      cafeOwner: req.user.id,
-      createdBy: req.user.id,
+      return newExpense;
     });
 
-    await cashRegister.save();
-
     res.status(201).json({ message: 'Expense created successfully', expense });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error creating expense', error: error.message });
   }
 };
@@ -162,15 +190,6 @@ const updateExpense = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const expense = await Expense.findOne({
-      _id: req.params.id,
-      cafeOwner: req.user.id,
-    });
-
-    if (!expense) {
-      return res.status(404).json({ message: 'Expense not found' });
-    }
-
     const {
       date,
       description,
@@ -183,33 +202,77 @@ const updateExpense = async (req, res) => {
       notes,
     } = req.body;
 
-    expense.date = date || expense.date;
-    expense.description = description;
-    expense.amount = amount;
-    expense.category = category;
-    expense.paymentMethod = paymentMethod;
-    expense.recurring = recurring;
-    expense.recurringPeriod = recurringPeriod;
-    expense.attachments = attachments;
-    expense.notes = notes;
+    const expense = await runInTransaction(async (session) => {
+      const expense = await Expense.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
 
-    await expense.save();
-
-    // Update cash register entry
-    await CashRegister.findOneAndUpdate(
-      {
-        'reference.type': 'expense',
-        'reference.id': expense._id,
-      },
-      {
-        amount,
-        paymentMethod,
-        description: `Expense: ${description}`,
+      if (!expense) {
+        throw new HttpError(404, 'Expense not found');
       }
-    );
+
+      expense.date = date || expense.date;
+      expense.description = description;
+      expense.amount = amount;
+      expense.category = category;
+      expense.paymentMethod = paymentMethod;
+      expense.recurring = recurring;
+      expense.recurringPeriod = recurringPeriod;
+      expense.attachments = attachments;
+      expense.notes = notes;
+
+      await expense.save({ session });
+
+      // Replace the ledger posting with one for the new amounts
+      await reverseSourceEntries(
+        {
+          cafeOwner: expense.cafeOwner,
+          source: { type: 'expense', id: expense._id },
+          createdBy: req.user.id,
+        },
+        session,
+      );
+      await postExpense(expense, session);
+
+      // Take the old payment back out of the register and record the new one
+      const rows = await referenceRows(
+        expense.cafeOwner,
+        { type: 'expense', id: expense._id },
+        session,
+      );
+      await assertRowsChangeable(rows, session);
+      await reverseRows(
+        rows,
+        { description: `Expense changed: ${description}`, createdBy: req.user.id },
+        session,
+      );
+      await recordTransaction(
+        {
+          transactionType: 'withdrawal',
+          paymentMethod,
+          amount,
+          description: `Expense: ${description}`,
+          category: 'expense',
+          reference: {
+            type: 'expense',
+            id: expense._id,
+          },
+          branch: expense.branch,
+          cafeOwner: expense.cafeOwner,
+          createdBy: req.user.id,
+        },
+        session,
+      );
+
+      return expense;
+    });
 
     res.json({ message: 'Expense updated successfully', expense });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error updating expense', error: error.message });
   }
 };
@@ -217,25 +280,46 @@ const updateExpense = async (req, res) => {
 // Delete expense
 const deleteExpense = async (req, res) => {
   try {
-    const expense = await Expense.findOne({
-      _id: req.params.id,
-      cafeOwner: req.user.id,
-    });
-
-    if (!expense) {
-      return res.status(404).json({ message: 'Expense not found' });
-    }
+    await runInTransaction(async (session) => {
+      const expense = await Expense.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
+
+      if (!expense) {
+        throw new HttpError(404, 'Expense not found');
+      }
 
-    await expense.deleteOne();
+      await expense.deleteOne({ session });
 
-    // Delete associated cash register entry
-    await CashRegister.deleteOne({
-      'reference.type': 'expense',
-      'reference.id': expense._id,
+      await reverseSourceEntries(
+        {
+          cafeOwner: expense.cafeOwner,
+          source: { type: 'expense', id: expense._id },
+          createdBy: req.user.id,
+        },
+        session,
+      );
+
+      // Put the payment back into the register
+      const rows = await referenceRows(
+        expense.cafeOwner,
+        { type: 'expense', id: expense._id },
+        session,
+      );
+      await assertRowsChangeable(rows, session);
+      await reverseRows(
+        rows,
+        { description: `Expense deleted: ${expense.description}`, createdBy: req.user.id },
+        session,
+      );
     });
 
     res.json({ message: 'Expense deleted successfully' });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error deleting expense', error: error.message });
   }
 };
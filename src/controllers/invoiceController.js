@@ -1,19 +1,36 @@
+const mongoose = require('mongoose');
 const Invoice = require('../models/Invoice');
 const Product = require('../models/Product');
-const CashRegister = require('../models/CashRegister');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
 const { validationResult } = require('express-validator');
+const { runInTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { dateRangeFilter } = require('../utils/dateRange');
+const { adjustStock, takeStock, receiveStock } = require('../services/stockService');
+const {
+  recordTransaction,
+  referenceRows,
+  reverseRows,
+} = require('../services/cashRegisterService');
+const {
+  postInvoice,
+  postInvoicePayment,
+  reverseSourceEntries,
+} = require('../services/ledgerService');
+const { matchInvoiceToOrder, recordInvoicedQuantities } = require('../services/purchaseService');
+const { findActiveSupplier } = require('../services/supplierService');
+const { toStockUnits } = require('../utils/units');
+const { resolveBranch, requestedBranch } = require('../services/branchService');
 
 // Get all invoices
 const getAllInvoices = async (req, res) => {
   try {
-    const { startDate, endDate, type, status, paymentStatus } = req.query;
-    const query = { cafeOwner: req.user.id };
+    const { startDate, endDate, type, status, paymentStatus, branch } = req.query;
+    const query = { cafeOwner: req.cafeOwner };
 
     if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
+      query.date = dateRangeFilter(startDate, endDate);
     }
 
     if (type) {
@@ -28,13 +45,21 @@ const getAllInvoices = async (req, res) => {
       query.paymentStatus = paymentStatus;
     }
 
+    if (branch) {
+      query.branch = branch;
+    }
+
     const invoices = await Invoice.find(query)
       .sort({ date: -1 })
+      .populate('branch', 'name code')
       .populate('createdBy', 'name')
       .populate('items.product', 'name code price');
 
     res.json(invoices);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error fetching invoices', error: error.message });
   }
 };
@@ -44,7 +69,7 @@ const getInvoiceById = async (req, res) => {
   try {
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      cafeOwner: req.user.id,
+      cafeOwner: req.cafeOwner,
     })
       .populate('createdBy', 'name')
       .populate('items.product', 'name code price');
@@ -80,103 +105,208 @@ const createInvoice = async (req, res) => {
       notes,
       terms,
       attachments,
+      purchaseOrder,
+      supplier,
     } = req.body;
 
-    // Calculate totals and validate stock
-    let subtotal = 0;
-    const processedItems = [];
+    const invoice = await runInTransaction(async (session) => {
+      // Calculate totals and move stock
+      const invoiceId = new mongoose.Types.ObjectId();
+      let subtotal = 0;
+      const processedItems = [];
+
+      // Goods on a purchase order come into stock through its receipts, so
+      // the supplier's invoice is only matched against them
+      let order = null;
+      if (purchaseOrder) {
+        if (type !== 'purchase') {
+          throw new HttpError(400, 'Only purchase invoices can be linked to a purchase order');
+        }
 
-    for (const item of items) {
-      const product = await Product.findOne({
-        _id: item.product,
-        cafeOwner: req.user.id,
-      });
+        order = await PurchaseOrder.findOne({
+          _id: purchaseOrder,
+          cafeOwner: req.cafeOwner,
+        }).session(session);
 
-      if (!product) {
-        return res.status(404).json({ message: `Product not found: ${item.product}` });
-      }
+        if (!order) {
+          throw new HttpError(404, 'Purchase order not found');
+        }
+
+        if (!PurchaseOrder.INVOICEABLE_STATUSES.includes(order.status)) {
+          throw new HttpError(400, `Cannot invoice a ${order.status} purchase order`);
+        }
 
-      // For sales invoices, check stock
-      if (type === 'sale' && product.stockQuantity < item.quantity) {
-        return res.status(400).json({
-          message: `Insufficient stock for product: ${product.name}`,
-        });
+        if (supplier && !order.supplier.equals(supplier)) {
+          throw new HttpError(400, 'Supplier does not match the purchase order');
+        }
       }
 
-      const itemTotal = item.quantity * product.price * (1 - (item.discount || 0) / 100);
-      subtotal += itemTotal;
+      // Invoices from a known supplier take its details and payment terms;
+      // one that has since been deactivated can still bill an earlier order
+      let invoiceSupplier = null;
+      if (supplier || order) {
+        if (type !== 'purchase') {
+          throw new HttpError(400, 'Only purchase invoices can have a supplier');
+        }
 
-      processedItems.push({
-        product: product._id,
-        productName: product.name,
-        quantity: item.quantity,
-        unitPrice: product.price,
-        discount: item.discount || 0,
-        totalPrice: itemTotal,
-      });
+        invoiceSupplier = order
+          ? await Supplier.findById(order.supplier).session(session)
+          : await findActiveSupplier(supplier, req.cafeOwner, session);
+      }
 
-      // Update stock
-      if (type === 'sale') {
-        product.stockQuantity -= item.quantity;
-      } else {
-        product.stockQuantity += item.quantity;
+      // An order's invoice belongs to the branch that ordered the goods
+      let branch = order ? order.branch : undefined;
+      if (!order) {
+        const invoiceBranch = await resolveBranch(req.cafeOwner, requestedBranch(req), session);
+        branch = invoiceBranch ? invoiceBranch._id : undefined;
       }
-      await product.save();
-    }
 
-    const total = subtotal * (1 - (discount || 0) / 100) + (tax || 0);
-    const remainingAmount = total - (paidAmount || 0);
-    const paymentStatus = remainingAmount <= 0 ? 'paid' : paidAmount > 0 ? 'partial' : 'unpaid';
+      for (const item of items) {
+        const product = await Product.findOne({
+          _id: item.product,
+          cafeOwner: req.cafeOwner,
+        }).session(session);
 
-    // Generate invoice number (you might want to implement a more sophisticated system)
-    const invoiceNumber = `INV-${Date.now()}`;
+        if (!product) {
+          throw new HttpError(404, `Product not found: ${item.product}`);
+        }
 
-    const invoice = new Invoice({
-      invoiceNumber,
-      type,
-      date: date || new Date(),
-      dueDate,
-      party,
-      items: processedItems,
-      subtotal,
-      tax: tax || 0,
-      discount: discount || 0,
-      total,
-      paymentMethod,
-      paymentStatus,
-      paidAmount: paidAmount || 0,
-      remainingAmount,
-      status: 'confirmed',
-      notes,
-      terms,
-      attachments,
-      cafeOwner: req.user.id,
-      createdBy: req.user.id,
-    });
+        // Sales are priced at the selling price; purchases at the supplier's
+        // price, falling back to the order price and then the current cost
+        const orderItem = order
+          ? order.items.find((line) => line.product.equals(product._id))
+          : null;
+        // Lines may be in any unit of the product and are kept in its own
+        // unit; purchases default to the unit ordered or bought in
+        const defaultUnit = orderItem ? orderItem.unit : product.purchaseUnit;
+        const { quantity, price, unit, unitQuantity } = toStockUnits(
+          product,
+          { quantity: item.quantity, price: item.unitPrice, unit: item.unit },
+          type === 'purchase' ? defaultUnit : product.unit,
+        );
+        let unitPrice = product.price;
+        if (type === 'purchase') {
+          const orderedCost = orderItem ? orderItem.unitCost : product.cost;
+          unitPrice = price !== undefined ? price : orderedCost;
+        }
+
+        const itemTotal = quantity * unitPrice * (1 - (item.discount || 0) / 100);
+        subtotal += itemTotal;
+
+        const processedItem = {
+          product: product._id,
+          productName: product.name,
+          quantity,
+          unit,
+          unitQuantity,
+          unitPrice,
+          discount: item.discount || 0,
+          totalPrice: itemTotal,
+        };
+        processedItems.push(processedItem);
+
+        const movement = {
+          type,
+          source: { type: 'invoice', id: invoiceId },
+          branch,
+          createdBy: req.user.id,
+        };
+
+        // Sales take stock and record what it cost, direct purchases add it
+        // at their cost
+        if (type === 'sale') {
+          const { cost } = await takeStock({ product, quantity, movement, session });
+          processedItem.cost = cost;
+        } else if (!order) {
+          await receiveStock({
+            product,
+            quantity,
+            unitCost: itemTotal / quantity,
+            lot: { lotNumber: item.lotNumber, expiryDate: item.expiryDate },
+            movement,
+            session,
+          });
+        }
+      }
 
-    await invoice.save();
+      let match;
+      if (order) {
+        match = matchInvoiceToOrder(order, processedItems);
+        recordInvoicedQuantities(order, processedItems);
+        await order.save({ session });
+      }
 
-    // Create cash register entry if payment is made
-    if (paidAmount > 0) {
-      const cashRegister = new CashRegister({
-        transactionType: type === 'sale' ? 'deposit' : 'withdrawal',
+      const total = subtotal * (1 - (discount || 0) / 100) + (tax || 0);
+      const remainingAmount = total - (paidAmount || 0);
+      const paymentStatus = remainingAmount <= 0 ? 'paid' : paidAmount > 0 ? 'partial' : 'unpaid';
+
+      // Generate invoice number (you might want to implement a more sophisticated system)
+      const invoiceNumber = `INV-${Date.now()}`;
+      const invoiceDate = date || new Date();
+
+      const newInvoice = new Invoice({
+        _id: invoiceId,
+        invoiceNumber,
+        type,
+        date: invoiceDate,
+        dueDate: dueDate || (invoiceSupplier ? invoiceSupplier.dueDateFor(invoiceDate) : undefined),
+        party: invoiceSupplier ? invoiceSupplier.toParty() : party,
+        supplier: invoiceSupplier ? invoiceSupplier._id : undefined,
+        items: processedItems,
+        subtotal,
+        tax: tax || 0,
+        discount: discount || 0,
+        total,
         paymentMethod,
-        amount: paidAmount,
-        description: `${type === 'sale' ? 'Payment received for' : 'Payment made for'} invoice #${invoiceNumber}`,
-        category: type === 'sale' ? 'sale' : 'expense',
-        reference: {
-          type: 'invoice',
-          id: invoice._id,
-        },
-        cafeOwner: req.user.id,
+        paymentStatus,
+        paidAmount: paidAmount || 0,
+        remainingAmount,
+        status: 'confirmed',
+        purchaseOrder: order ? order._id : undefined,
+        receivedValue: match ? match.receivedValue : undefined,
+        match: match ? { status: match.status, discrepancies: match.discrepancies } : undefined,
+        notes,
+        terms,
+        attachments,
+        branch,
+        cafeOwner: req.cafeOwner,
         createdBy: req.user.id,
       });
 
-      await cashRegister.save();
-    }
+      await newInvoice.save({ session });
+      await postInvoice(newInvoice, session);
+
+      // Create cash register entry if payment is made
+      if (paidAmount > 0) {
+        await recordTransaction(
+          {
+            transactionType: type === 'sale' ? 'deposit' : 'withdrawal',
+            paymentMethod,
+            amount: paidAmount,
+            description: `${
+              type === 'sale' ? 'Payment received for' : 'Payment made for'
+            } invoice #${invoiceNumber}`,
+            category: type === 'sale' ? 'sale' : 'expense',
+            reference: {
+              type: 'invoice',
+              id: newInvoice._id,
+            },
+            branch: newInvoice.branch,
+            cafeOwner: req.cafeOwner,
+            createdBy: req.user.id,
+          },
+          session,
+        );
+      }
+
+      return newInvoice;
+    });
 
     res.status(201).json({ message: 'Invoice created successfully', invoice });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error creating invoice', error: error.message });
   }
 };
@@ -189,52 +319,67 @@ const updateInvoicePayment = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const invoice = await Invoice.findOne({
-      _id: req.params.id,
-      cafeOwner: req.user.id,
-    });
+    const { paidAmount, paymentMethod } = req.body;
 
-    if (!invoice) {
-      return res.status(404).json({ message: 'Invoice not found' });
-    }
+    const invoice = await runInTransaction(async (session) => {
+      const invoice = await Invoice.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
 
-    if (invoice.status !== 'confirmed') {
-      return res.status(400).json({ message: 'Cannot update payment for non-confirmed invoice' });
-    }
+      if (!invoice) {
+        throw new HttpError(404, 'Invoice not found');
+      }
 
-    const { paidAmount, paymentMethod } = req.body;
-    const additionalPayment = paidAmount - invoice.paidAmount;
+      if (invoice.status !== 'confirmed') {
+        throw new HttpError(400, 'Cannot update payment for non-confirmed invoice');
+      }
 
-    if (additionalPayment <= 0) {
-      return res.status(400).json({ message: 'New paid amount must be greater than current paid amount' });
-    }
+      const additionalPayment = paidAmount - invoice.paidAmount;
 
-    invoice.paidAmount = paidAmount;
-    invoice.remainingAmount = invoice.total - paidAmount;
-    invoice.paymentStatus = invoice.remainingAmount <= 0 ? 'paid' : 'partial';
-    invoice.paymentMethod = paymentMethod;
+      if (additionalPayment <= 0) {
+        throw new HttpError(400, 'New paid amount must be greater than current paid amount');
+      }
 
-    await invoice.save();
+      invoice.paidAmount = paidAmount;
+      invoice.remainingAmount = invoice.total - paidAmount;
+      invoice.paymentStatus = invoice.remainingAmount <= 0 ? 'paid' : 'partial';
+      invoice.paymentMethod = paymentMethod;
+
+      await invoice.save({ session });
+      await postInvoicePayment(
+        invoice,
+        { amount: additionalPayment, paymentMethod, createdBy: req.user.id },
+        session,
+      );
+
+      // Create cash register entry for the additional payment
+      await recordTransaction(
+        {
+          transactionType: invoice.type === 'sale' ? 'deposit' : 'withdrawal',
+          paymentMethod,
+          amount: additionalPayment,
+          description: `Additional payment for invoice #${invoice.invoiceNumber}`,
+          category: invoice.type === 'sale' ? 'sale' : 'expense',
+          reference: {
+            type: 'invoice',
+            id: invoice._id,
+          },
+          branch: invoice.branch,
+          cafeOwner: req.cafeOwner,
+          createdBy: req.user.id,
+        },
+        session,
+      );
 
-    // Create cash register entry for the additional payment
-    const cashRegister = new CashRegister({
-      transactionType: invoice.type === 'sale' ? 'deposit' : 'withdrawal',
-      paymentMethod,
-      amount: additionalPayment,
-      description: `Additional payment for invoice #${invoice.invoiceNumber}`,
-      category: invoice.type === 'sale' ? 'sale' : 'expense',
-      reference: {
-        type: 'invoice',
-        id: invoice._id,
-      },
-      cafeOwner: req.user.id,
-      createdBy: req.user.id,
+      return invoice;
     });
 
-    await cashRegister.save();
-
     res.json({ message: 'Invoice payment updated successfully', invoice });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error updating invoice payment', error: error.message });
   }
 };
@@ -242,37 +387,85 @@ const updateInvoicePayment = async (req, res) => {
 // Cancel invoice
 const cancelInvoice = async (req, res) => {
   try {
-    const invoice = await Invoice.findOne({
-      _id: req.params.id,
-      cafeOwner: req.user.id,
-    });
+    const invoice = await runInTransaction(async (session) => {
+      const invoice = await Invoice.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
+
+      if (!invoice) {
+        throw new HttpError(404, 'Invoice not found');
+      }
 
-    if (!invoice) {
-      return res.status(404).json({ message: 'Invoice not found' });
-    }
+      if (invoice.status !== 'confirmed') {
+        throw new HttpError(400, 'Only confirmed invoices can be cancelled');
+      }
 
-    if (invoice.status !== 'confirmed') {
-      return res.status(400).json({ message: 'Only confirmed invoices can be cancelled' });
-    }
+      // Stock from ordered goods came in with the receipts and stays; the
+      // order just expects another invoice for it
+      if (invoice.purchaseOrder) {
+        const order = await PurchaseOrder.findById(invoice.purchaseOrder).session(session);
+        if (order) {
+          recordInvoicedQuantities(order, invoice.items, -1);
+          await order.save({ session });
+        }
+      }
 
-    // Restore stock
-    for (const item of invoice.items) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        if (invoice.type === 'sale') {
-          product.stockQuantity += item.quantity;
-        } else {
-          product.stockQuantity -= item.quantity;
+      // Restore stock
+      for (const item of invoice.purchaseOrder ? [] : invoice.items) {
+        const product = await Product.findById(item.product).session(session);
+        if (product) {
+          await adjustStock({
+            product,
+            quantity: invoice.type === 'sale' ? item.quantity : -item.quantity,
+            movement: {
+              type: invoice.type === 'sale' ? 'sale_return' : 'purchase_return',
+              source: { type: 'invoice', id: invoice._id },
+              // Returned sales come back at the cost they went out at
+              unitCost: item.cost !== undefined ? item.cost / item.quantity : undefined,
+              branch: invoice.branch,
+              createdBy: req.user.id,
+            },
+            session,
+          });
         }
-        await product.save();
       }
-    }
 
-    invoice.status = 'cancelled';
-    await invoice.save();
+      await reverseSourceEntries(
+        {
+          cafeOwner: invoice.cafeOwner,
+          source: { type: 'invoice', id: invoice._id },
+          createdBy: req.user.id,
+        },
+        session,
+      );
+
+      // Hand back the payments made for the invoice through the register
+      const rows = await referenceRows(
+        invoice.cafeOwner,
+        { type: 'invoice', id: invoice._id },
+        session,
+      );
+      await reverseRows(
+        rows,
+        {
+          description: `Refund for cancelled invoice #${invoice.invoiceNumber}`,
+          category: 'refund',
+          createdBy: req.user.id,
+        },
+        session,
+      );
+
+      invoice.status = 'cancelled';
+      await invoice.save({ session });
+      return invoice;
+    });
 
     res.json({ message: 'Invoice cancelled successfully', invoice });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error cancelling invoice', error: error.message });
   }
 };
@@ -281,13 +474,10 @@ const cancelInvoice = async (req, res) => {
 const getInvoiceStats = async (req, res) => {
   try {
     const { startDate, endDate, type } = req.query;
-    const query = { cafeOwner: req.user.id, status: 'confirmed' };
+    const query = { cafeOwner: req.cafeOwner, status: 'confirmed' };
 
     if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
+      query.date = dateRangeFilter(startDate, endDate);
     }
 
     if (type) {
@@ -342,6 +532,9 @@ const getInvoiceStats = async (req, res) => {
       byPaymentStatus,
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error fetching invoice statistics', error: error.message });
   }
 };
@@ -353,4 +546,4 @@ module.exports = {
   updateInvoicePayment,
   cancelInvoice,
   getInvoiceStats,
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,332 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Ledger = require('../models/Ledger');
+const { validationResult } = require('express-validator');
+const { runInTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { dateRangeFilter } = require('../utils/dateRange');
+const { ensureChartOfAccounts, postEntry, reverseEntry } = require('../services/ledgerService');
+
+// Get the chart of accounts
+const getAccounts = async (req, res) => {
+  try {
+    const { type, includeInactive } = req.query;
+
+    await ensureChartOfAccounts(req.cafeOwner);
+
+    const query = { cafeOwner: req.cafeOwner };
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const accounts = await Account.find(query).sort({ code: 1 });
+    res.json(accounts);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching accounts', error: error.message });
+  }
+};
+
+// Create a new account under an existing one
+const createAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, name, type, parent, description } = req.body;
+
+    // Seed the default chart first, so a custom account can't take one of its
+    // codes and leave the default account unable to be created
+    await ensureChartOfAccounts(req.cafeOwner);
+
+    let parentAccount = null;
+    if (parent) {
+      parentAccount = await Account.findOne({ _id: parent, cafeOwner: req.cafeOwner });
+
+      if (!parentAccount) {
+        return res.status(404).json({ message: 'Parent account not found' });
+      }
+
+      if (parentAccount.type !== type) {
+        return res.status(400).json({ message: 'Account type must match its parent account' });
+      }
+
+      // A child's code extends its parent's significant digits, e.g. 1100 -> 11xx
+      const prefix = parentAccount.code.replace(/0+$/, '');
+      if (!code.startsWith(prefix) || code === parentAccount.code) {
+        return res.status(400).json({
+          message: `Account code must start with ${prefix} to sit under ${parentAccount.code}`,
+        });
+      }
+    }
+
+    const account = new Account({
+      code,
+      name,
+      type,
+      parent: parentAccount ? parentAccount._id : null,
+      description,
+      cafeOwner: req.cafeOwner,
+    });
+
+    await account.save();
+    res.status(201).json({ message: 'Account created successfully', account });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Account code already exists' });
+    }
+    res.status(500).json({ message: 'Error creating account', error: error.message });
+  }
+};
+
+// Update an account's name, description or active flag
+const updateAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const account = await Account.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const { name, description, isActive } = req.body;
+
+    // Automatic postings depend on the default accounts
+    if (account.isSystem && isActive === false) {
+      return res.status(400).json({ message: 'System accounts cannot be deactivated' });
+    }
+
+    if (name !== undefined) {
+      account.name = name;
+    }
+
+    if (description !== undefined) {
+      account.description = description;
+    }
+
+    if (isActive !== undefined) {
+      account.isActive = isActive;
+    }
+
+    await account.save();
+    res.json({ message: 'Account updated successfully', account });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating account', error: error.message });
+  }
+};
+
+// Get the postings to an account with a running balance
+const getAccountEntries = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const account = await Account.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const match = {
+      cafeOwner: new mongoose.Types.ObjectId(req.cafeOwner),
+      'lines.account': account._id,
+    };
+
+    if (startDate && endDate) {
+      match.date = dateRangeFilter(startDate, endDate);
+    }
+
+    const lines = await Ledger.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': account._id } },
+      { $sort: { date: 1, _id: 1 } },
+      {
+        $project: {
+          date: 1,
+          description: 1,
+          reference: 1,
+          source: 1,
+          debit: '$lines.debit',
+          credit: '$lines.credit',
+        },
+      },
+    ]);
+
+    // Balances are shown on the account's normal side
+    const sign = account.normalBalance === 'debit' ? 1 : -1;
+    let balance = 0;
+    const entries = lines.map((line) => {
+      balance += sign * (line.debit - line.credit);
+      return { ...line, balance };
+    });
+
+    res.json({ account, entries, balance });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching account entries', error: error.message });
+  }
+};
+
+// Get journal entries with optional filters
+const getJournals = async (req, res) => {
+  try {
+    const { startDate, endDate, sourceType, account, status } = req.query;
+    const query = { cafeOwner: req.cafeOwner };
+
+    if (startDate && endDate) {
+      query.date = dateRangeFilter(startDate, endDate);
+    }
+
+    if (sourceType) {
+      query['source.type'] = sourceType;
+    }
+
+    if (account) {
+      query['lines.account'] = account;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const journals = await Ledger.find(query)
+      .sort({ date: -1 })
+      .populate('createdBy', 'name')
+      .populate('lines.account', 'code name type');
+
+    res.json(journals);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching journal entries', error: error.message });
+  }
+};
+
+// Get journal entry by ID
+const getJournalById = async (req, res) => {
+  try {
+    const journal = await Ledger.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    })
+      .populate('createdBy', 'name')
+      .populate('lines.account', 'code name type');
+
+    if (!journal) {
+      return res.status(404).json({ message: 'Journal entry not found' });
+    }
+
+    res.json(journal);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching journal entry', error: error.message });
+  }
+};
+
+// Post a manual journal entry
+const createJournal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { date, description, reference, lines } = req.body;
+
+    const journal = await runInTransaction((session) =>
+      postEntry(
+        {
+          cafeOwner: req.cafeOwner,
+          date,
+          description,
+          reference,
+          source: { type: 'manual' },
+          lines: lines.map((line) => ({
+            account: line.account,
+            debit: line.debit,
+            credit: line.credit,
+            description: line.description,
+          })),
+          createdBy: req.user.id,
+        },
+        session,
+      ),
+    );
+
+    if (!journal) {
+      return res.status(400).json({ message: 'Journal entry has no amounts' });
+    }
+
+    res.status(201).json({ message: 'Journal entry posted successfully', journal });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error posting journal entry', error: error.message });
+  }
+};
+
+// Reverse a posted journal entry
+const reverseJournal = async (req, res) => {
+  try {
+    const reversal = await runInTransaction(async (session) => {
+      const journal = await Ledger.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
+
+      if (!journal) {
+        throw new HttpError(404, 'Journal entry not found');
+      }
+
+      if (journal.status !== 'posted' || journal.reversalOf) {
+        throw new HttpError(400, 'Only posted entries that are not reversals can be reversed');
+      }
+
+      return reverseEntry(
+        journal,
+        { createdBy: req.user.id, description: req.body.description },
+        session,
+      );
+    });
+
+    res.status(201).json({ message: 'Journal entry reversed successfully', journal: reversal });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error reversing journal entry', error: error.message });
+  }
+};
+
+module.exports = {
+  getAccounts,
+  createAccount,
+  updateAccount,
+  getAccountEntries,
+  getJournals,
+  getJournalById,
+  createJournal,
+  reverseJournal,
+};
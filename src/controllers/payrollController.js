@@ -0,0 +1,208 @@
+const Payroll = require('../models/Payroll');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { runInTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { recordTransaction } = require('../services/cashRegisterService');
+const { postPayroll } = require('../services/ledgerService');
+const { teamFilter } = require('../services/staffService');
+
+// Get all payrolls
+const getAllPayrolls = async (req, res) => {
+  try {
+    const { year, month, status, userId, branch } = req.query;
+    const query = { cafeOwner: req.cafeOwner };
+
+    if (year) {
+      query.year = Number(year);
+    }
+
+    if (month) {
+      query.month = Number(month);
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (userId) {
+      query.userId = userId;
+    }
+
+    if (branch) {
+      query.branch = branch;
+    }
+
+    const payrolls = await Payroll.find(query)
+      .sort({ year: -1, month: -1 })
+      .populate('userId', 'name username');
+
+    res.json(payrolls);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching payrolls', error: error.message });
+  }
+};
+
+// Get payroll by ID
+const getPayrollById = async (req, res) => {
+  try {
+    const payroll = await Payroll.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    }).populate('userId', 'name username');
+
+    if (!payroll) {
+      return res.status(404).json({ message: 'Payroll not found' });
+    }
+
+    res.json(payroll);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching payroll', error: error.message });
+  }
+};
+
+// Create a payroll for a staff member and month
+const createPayroll = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId, month, year, workDays = [], hourlyRate, bonus, deductions, notes } = req.body;
+
+    const employee = await User.findOne({ _id: userId, ...teamFilter(req.cafeOwner) });
+    if (!employee) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const totalWorkHours = workDays.reduce((sum, day) => sum + (day.workHours || 0), 0);
+    const totalLeaveHours = workDays.reduce((sum, day) => sum + (day.leaveHours || 0), 0);
+    const baseSalary = totalWorkHours * hourlyRate;
+
+    const payroll = new Payroll({
+      userId,
+      month,
+      year,
+      workDays,
+      totalWorkHours,
+      totalLeaveHours,
+      hourlyRate,
+      baseSalary,
+      bonus: bonus || 0,
+      deductions: deductions || 0,
+      netSalary: baseSalary + (bonus || 0) - (deductions || 0),
+      notes,
+      // Wages are a cost of the branch the employee works at
+      branch: employee.branch,
+      cafeOwner: req.cafeOwner,
+    });
+
+    await payroll.save();
+    res.status(201).json({ message: 'Payroll created successfully', payroll });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Payroll already exists for this month' });
+    }
+    res.status(500).json({ message: 'Error creating payroll', error: error.message });
+  }
+};
+
+// Approve a payroll, accruing the salary in the ledger
+const approvePayroll = async (req, res) => {
+  try {
+    const payroll = await runInTransaction(async (session) => {
+      const payroll = await Payroll.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
+
+      if (!payroll) {
+        throw new HttpError(404, 'Payroll not found');
+      }
+
+      if (payroll.status !== 'pending') {
+        throw new HttpError(400, 'Only pending payrolls can be approved');
+      }
+
+      payroll.status = 'approved';
+      await payroll.save({ session });
+      await postPayroll(payroll, { createdBy: req.user.id }, session);
+      return payroll;
+    });
+
+    res.json({ message: 'Payroll approved successfully', payroll });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error approving payroll', error: error.message });
+  }
+};
+
+// Pay an approved payroll
+const payPayroll = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { paymentMethod } = req.body;
+
+    const payroll = await runInTransaction(async (session) => {
+      const payroll = await Payroll.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
+
+      if (!payroll) {
+        throw new HttpError(404, 'Payroll not found');
+      }
+
+      if (payroll.status !== 'approved') {
+        throw new HttpError(400, 'Only approved payrolls can be paid');
+      }
+
+      payroll.status = 'paid';
+      payroll.paymentDate = new Date();
+      await payroll.save({ session });
+
+      await recordTransaction(
+        {
+          transactionType: 'withdrawal',
+          paymentMethod,
+          amount: payroll.netSalary,
+          description: `Salary payment ${payroll.year}/${payroll.month}`,
+          category: 'expense',
+          reference: {
+            type: 'payroll',
+            id: payroll._id,
+          },
+          branch: payroll.branch,
+          cafeOwner: req.cafeOwner,
+          createdBy: req.user.id,
+        },
+        session,
+      );
+
+      await postPayroll(payroll, { paymentMethod, createdBy: req.user.id }, session);
+      return payroll;
+    });
+
+    res.json({ message: 'Payroll paid successfully', payroll });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error paying payroll', error: error.message });
+  }
+};
+
+module.exports = {
+  getAllPayrolls,
+  getPayrollById,
+  createPayroll,
+  approvePayroll,
+  payPayroll,
+};
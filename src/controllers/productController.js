@@ -1,10 +1,81 @@
 const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const StockLot = require('../models/StockLot');
+const User = require('../models/User');
 const { validationResult } = require('express-validator');
+const { runInTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { dateRangeFilter } = require('../utils/dateRange');
+const { adjustStock, setStock, getCostingMethod } = require('../services/stockService');
+const { recordWastage } = require('../services/wastageService');
+const { findActiveSupplier } = require('../services/supplierService');
+const { lowStockCondition } = require('../services/reorderService');
+const {
+  resolveBranch,
+  checkBranches,
+  requestedBranch,
+  productStockByBranch,
+} = require('../services/branchService');
 
-// Get all products for a cafe owner
+const DAY_MS = 24 * 60 * 60 * 1000;
+const { productUnitFactor } = require('../utils/units');
+
+// Check a product's own units don't repeat or shadow its stock unit, and that
+// its purchase and consumption units are ones it defines
+const checkProductUnits = (product) => {
+  const names = new Set([product.unit.trim().toLowerCase()]);
+
+  for (const unit of product.units || []) {
+    const name = unit.name.trim().toLowerCase();
+    if (names.has(name)) {
+      throw new HttpError(400, `Unit ${unit.name} is defined more than once for ${product.name}`);
+    }
+    names.add(name);
+  }
+
+  for (const unit of [product.purchaseUnit, product.consumptionUnit]) {
+    if (unit && productUnitFactor(product, unit) === null) {
+      throw new HttpError(400, `${unit} is not a unit of ${product.name}`);
+    }
+  }
+};
+
+// Check a recipe's ingredients belong to the cafe and are measured in units
+// defined for each ingredient, defaulting to its consumption unit
+const buildRecipe = async (recipe, productId, cafeOwner, session = null) => {
+  const items = [];
+
+  for (const item of recipe) {
+    if (productId && String(item.ingredient) === String(productId)) {
+      throw new HttpError(400, 'A product cannot be an ingredient of itself');
+    }
+
+    const ingredient = await Product.findOne({ _id: item.ingredient, cafeOwner }).session(session);
+    if (!ingredient) {
+      throw new HttpError(404, `Ingredient not found: ${item.ingredient}`);
+    }
+
+    const unit = item.unit || ingredient.consumptionUnit || ingredient.unit;
+    if (productUnitFactor(ingredient, unit) === null) {
+      throw new HttpError(400, `${unit} is not a unit of ${ingredient.name}`);
+    }
+
+    items.push({ ingredient: ingredient._id, quantity: item.quantity, unit });
+  }
+
+  return items;
+};
+
+// Get all products for a cafe owner, or those available at one branch
 const getAllProducts = async (req, res) => {
   try {
-    const products = await Product.find({ cafeOwner: req.user.id });
+    const query = { cafeOwner: req.cafeOwner };
+
+    if (req.query.branch) {
+      query.$or = [{ branches: { $size: 0 } }, { branches: req.query.branch }];
+    }
+
+    const products = await Product.find(query);
     res.json(products);
   } catch (error) {
     res.status(500).json({ message: 'Error fetching products', error: error.message });
@@ -16,13 +87,13 @@ const getProductById = async (req, res) => {
   try {
     const product = await Product.findOne({
       _id: req.params.id,
-      cafeOwner: req.user.id,
-    });
-    
+      cafeOwner: req.cafeOwner,
+    }).populate('supplier', 'name phone paymentTerms leadTimeDays');
+
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
-    
+
     res.json(product);
   } catch (error) {
     res.status(500).json({ message: 'Error fetching product', error: error.message });
@@ -46,29 +117,81 @@ const createProduct = async (req, res) => {
       cost,
       stockQuantity,
       unit,
+      units,
+      purchaseUnit,
+      consumptionUnit,
       minimumStock,
+      reorderPoint,
+      reorderQuantity,
+      shelfLifeDays,
       supplier,
       tags,
+      recipe,
+      branches,
     } = req.body;
 
-    const product = new Product({
-      code,
-      name,
-      price,
-      category,
-      description,
-      cost,
-      stockQuantity,
-      unit,
-      minimumStock,
-      supplier,
-      tags,
-      cafeOwner: req.user.id,
+    const product = await runInTransaction(async (session) => {
+      checkProductUnits({ name, unit, units, purchaseUnit, consumptionUnit });
+
+      if (supplier) {
+        await findActiveSupplier(supplier, req.cafeOwner, session);
+      }
+
+      if (branches) {
+        await checkBranches(req.cafeOwner, branches, session);
+      }
+
+      const [product] = await Product.create(
+        [
+          {
+            code,
+            name,
+            price,
+            category,
+            description,
+            cost,
+            unit,
+            units,
+            purchaseUnit,
+            consumptionUnit,
+            minimumStock,
+            reorderPoint,
+            reorderQuantity,
+            shelfLifeDays,
+            supplier,
+            tags,
+            recipe: recipe ? await buildRecipe(recipe, null, req.cafeOwner, session) : [],
+            branches,
+            cafeOwner: req.cafeOwner,
+          },
+        ],
+        { session },
+      );
+
+      // Opening stock goes through the movement journal like any other change
+      if (stockQuantity) {
+        const branch = await resolveBranch(req.cafeOwner, requestedBranch(req), session);
+        return adjustStock({
+          product,
+          quantity: stockQuantity,
+          movement: {
+            type: 'opening',
+            source: { type: 'product', id: product._id },
+            branch: branch ? branch._id : undefined,
+            createdBy: req.user.id,
+          },
+          session,
+        });
+      }
+
+      return product;
     });
 
-    await product.save();
     res.status(201).json({ message: 'Product created successfully', product });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     if (error.code === 11000) {
       return res.status(400).json({ message: 'Product code already exists' });
     }
@@ -84,40 +207,126 @@ const updateProduct = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const product = await Product.findOne({
-      _id: req.params.id,
-      cafeOwner: req.user.id,
-    });
+    const product = await runInTransaction(async (session) => {
+      const product = await Product.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
 
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
-    }
+      if (!product) {
+        throw new HttpError(404, 'Product not found');
+      }
+
+      if (req.body.supplier) {
+        await findActiveSupplier(req.body.supplier, req.cafeOwner, session);
+      }
+
+      if (req.body.branches) {
+        await checkBranches(req.cafeOwner, req.body.branches, session);
+      }
+
+      // Once there is stock, its cost comes from what was paid for it
+      if (
+        req.body.cost !== undefined &&
+        req.body.cost !== product.cost &&
+        product.stockQuantity > 0
+      ) {
+        throw new HttpError(400, 'Cost is calculated from purchases while the product is in stock');
+      }
+
+      // Stock on hand, its cost and its lots are all measured in the unit
+      if (
+        req.body.unit !== undefined &&
+        req.body.unit !== product.unit &&
+        product.stockQuantity > 0
+      ) {
+        throw new HttpError(400, 'Unit cannot change while the product is in stock');
+      }
+
+      const updateFields = [
+        'code',
+        'name',
+        'price',
+        'category',
+        'description',
+        'cost',
+        'unit',
+        'units',
+        'purchaseUnit',
+        'consumptionUnit',
+        'isActive',
+        'minimumStock',
+        'reorderPoint',
+        'reorderQuantity',
+        'shelfLifeDays',
+        'supplier',
+        'tags',
+        'images',
+        'branches',
+      ];
+
+      updateFields.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          product[field] = req.body[field];
+        }
+      });
+
+      checkProductUnits(product);
+
+      // Recipes using the product must still measure it in one of its units
+      if (req.body.units !== undefined || req.body.unit !== undefined) {
+        const dishes = await Product.find({
+          cafeOwner: req.cafeOwner,
+          'recipe.ingredient': product._id,
+        }).session(session);
+
+        for (const dish of dishes) {
+          const item = dish.recipe.find(
+            (recipeItem) =>
+              recipeItem.ingredient.equals(product._id) &&
+              productUnitFactor(product, recipeItem.unit) === null,
+          );
+          if (item) {
+            throw new HttpError(
+              400,
+              `The recipe for ${dish.name} uses ${product.name} in ${item.unit}`,
+            );
+          }
+        }
+      }
+
+      if (req.body.recipe !== undefined) {
+        product.recipe = await buildRecipe(req.body.recipe, product._id, req.cafeOwner, session);
+      }
+
+      await product.save({ session });
 
-    const updateFields = [
-      'code',
-      'name',
-      'price',
-      'category',
-      'description',
-      'cost',
-      'stockQuantity',
-      'unit',
-      'isActive',
-      'minimumStock',
-      'supplier',
-      'tags',
-      'images',
-    ];
-
-    updateFields.forEach((field) => {
-      if (req.body[field] !== undefined) {
-        product[field] = req.body[field];
+      // Editing the stock level directly is journaled as a manual adjustment
+      // of the branch's stock
+      if (req.body.stockQuantity !== undefined) {
+        const branch = await resolveBranch(req.cafeOwner, requestedBranch(req), session);
+        await setStock({
+          product,
+          quantity: req.body.stockQuantity,
+          movement: {
+            type: 'adjustment',
+            source: { type: 'product', id: product._id },
+            branch: branch ? branch._id : undefined,
+            createdBy: req.user.id,
+          },
+          session,
+        });
+        return Product.findById(product._id).session(session);
       }
+
+      return product;
     });
 
-    await product.save();
     res.json({ message: 'Product updated successfully', product });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     if (error.code === 11000) {
       return res.status(400).json({ message: 'Product code already exists' });
     }
@@ -130,14 +339,22 @@ const deleteProduct = async (req, res) => {
   try {
     const product = await Product.findOne({
       _id: req.params.id,
-      cafeOwner: req.user.id,
+      cafeOwner: req.cafeOwner,
     });
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    await product.remove();
+    const usedIn = await Product.findOne({
+      cafeOwner: req.cafeOwner,
+      'recipe.ingredient': product._id,
+    });
+    if (usedIn) {
+      return res.status(400).json({ message: `Product is an ingredient of ${usedIn.name}` });
+    }
+
+    await product.deleteOne();
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting product', error: error.message });
@@ -148,7 +365,7 @@ const deleteProduct = async (req, res) => {
 const searchProducts = async (req, res) => {
   try {
     const { query, category } = req.query;
-    const searchCriteria = { cafeOwner: req.user.id };
+    const searchCriteria = { cafeOwner: req.cafeOwner };
 
     if (query) {
       searchCriteria.$text = { $search: query };
@@ -169,16 +386,271 @@ const searchProducts = async (req, res) => {
 const getLowStockProducts = async (req, res) => {
   try {
     const products = await Product.find({
-      cafeOwner: req.user.id,
-      stockQuantity: { $lte: '$minimumStock' },
+      cafeOwner: req.cafeOwner,
       isActive: true,
-    });
+      // Products made from a recipe hold no stock of their own
+      'recipe.0': { $exists: false },
+      ...lowStockCondition(),
+    }).sort({ stockQuantity: 1 });
     res.json(products);
   } catch (error) {
     res.status(500).json({ message: 'Error fetching low stock products', error: error.message });
   }
 };
 
+// Get stock movements of a product, newest first
+const getProductMovements = async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const { startDate, endDate, type, branch } = req.query;
+    const query = { product: product._id, cafeOwner: req.cafeOwner };
+
+    if (startDate && endDate) {
+      query.date = dateRangeFilter(startDate, endDate);
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (branch) {
+      query.branch = branch;
+    }
+
+    const movements = await StockMovement.find(query)
+      .sort({ date: -1, _id: -1 })
+      .populate('branch', 'name code')
+      .populate('createdBy', 'name');
+
+    res.json(movements);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching stock movements', error: error.message });
+  }
+};
+
+// Get the product's stock at each branch
+const getProductStock = async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json({
+      product: { _id: product._id, name: product.name, unit: product.unit },
+      ...(await productStockByBranch(product)),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching product stock', error: error.message });
+  }
+};
+
+// Get the product's open stock lots, oldest first
+const getProductLots = async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const lots = await StockLot.find({
+      product: product._id,
+      remainingQuantity: { $gt: 0 },
+    })
+      .sort({ receivedAt: 1, _id: 1 })
+      .populate('branch', 'name code');
+
+    res.json({
+      product: { _id: product._id, name: product.name, unit: product.unit, cost: product.cost },
+      stockQuantity: product.stockQuantity,
+      // Stock from before lots were kept, valued at the product's cost
+      untrackedQuantity: Math.max(
+        product.stockQuantity - lots.reduce((sum, lot) => sum + lot.remainingQuantity, 0),
+        0,
+      ),
+      lots,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching stock lots', error: error.message });
+  }
+};
+
+// Get stock lots that have expired or expire within the next `days` days
+const getExpiringLots = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const days = req.query.days !== undefined ? Number(req.query.days) : 3;
+    const now = new Date();
+
+    const query = {
+      cafeOwner: req.cafeOwner,
+      remainingQuantity: { $gt: 0 },
+      expiryDate: { $lte: new Date(now.getTime() + days * DAY_MS) },
+    };
+
+    if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+
+    const lots = await StockLot.find(query)
+      .sort({ expiryDate: 1 })
+      .populate('product', 'code name unit category')
+      .populate('branch', 'name code');
+
+    const expiring = lots.map((lot) => ({
+      ...lot.toJSON(),
+      isExpired: lot.isExpired(now),
+      daysLeft: Math.ceil((lot.expiryDate - now) / DAY_MS),
+      value: lot.remainingQuantity * lot.unitCost,
+    }));
+    const expired = expiring.filter((lot) => lot.isExpired);
+
+    res.json({
+      days,
+      expired: {
+        count: expired.length,
+        value: expired.reduce((sum, lot) => sum + lot.value, 0),
+      },
+      lots: expiring,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching expiring stock', error: error.message });
+  }
+};
+
+/**
+ * Write off what is left of expired lots, recorded as wastage with the
+ * `expired` reason so it shows in the wastage report. Without a list of
+ * lots, every expired lot is written off.
+ */
+const writeOffExpiredLots = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lots: lotIds, notes } = req.body;
+
+    const writtenOff = await runInTransaction(async (session) => {
+      const query = {
+        cafeOwner: req.cafeOwner,
+        remainingQuantity: { $gt: 0 },
+        expiryDate: { $lt: new Date() },
+      };
+
+      if (lotIds) {
+        query._id = { $in: lotIds };
+      }
+
+      const lots = await StockLot.find(query).sort({ expiryDate: 1 }).session(session);
+      const results = [];
+
+      for (const lot of lots) {
+        const product = await Product.findById(lot.product).session(session);
+        if (!product) {
+          throw new HttpError(404, `Product not found for lot ${lot._id}`);
+        }
+
+        const wastage = await recordWastage(
+          {
+            product,
+            quantity: lot.remainingQuantity,
+            reason: 'expired',
+            lot,
+            branch: lot.branch,
+            notes: notes || 'Expired stock written off',
+            createdBy: req.user.id,
+          },
+          session,
+        );
+
+        results.push({
+          lot: lot._id,
+          lotNumber: lot.lotNumber,
+          expiryDate: lot.expiryDate,
+          wastage: wastage._id,
+          product: product._id,
+          productName: product.name,
+          quantity: wastage.quantity,
+          cost: wastage.cost,
+        });
+      }
+
+      return results;
+    });
+
+    res.json({
+      message: `${writtenOff.length} expired lot(s) written off`,
+      totalCost: writtenOff.reduce((sum, lot) => sum + lot.cost, 0),
+      lots: writtenOff,
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error writing off expired stock', error: error.message });
+  }
+};
+
+// Get the cafe's inventory costing method
+const getCostingSettings = async (req, res) => {
+  try {
+    res.json({
+      costingMethod: await getCostingMethod(req.cafeOwner),
+      availableMethods: User.COSTING_METHODS,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching costing settings', error: error.message });
+  }
+};
+
+// Change the cafe's inventory costing method. Lots are kept under either
+// method, so the change applies to the next stock that goes out.
+const updateCostingSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Settings are kept on the cafe owner, also when staff change them
+    const owner = await User.findById(req.cafeOwner);
+    owner.settings.costingMethod = req.body.costingMethod;
+    await owner.save();
+
+    res.json({
+      message: 'Costing method updated successfully',
+      costingMethod: owner.settings.costingMethod,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating costing settings', error: error.message });
+  }
+};
+
 module.exports = {
   getAllProducts,
   getProductById,
@@ -187,4 +659,11 @@ module.exports = {
   deleteProduct,
   searchProducts,
   getLowStockProducts,
-}; 
\ No newline at end of file
+  getProductMovements,
+  getProductStock,
+  getProductLots,
+  getExpiringLots,
+  writeOffExpiredLots,
+  getCostingSettings,
+  updateCostingSettings,
+};
@@ -0,0 +1,448 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const Product = require('../models/Product');
+const { validationResult } = require('express-validator');
+const { runInTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { dateRangeFilter } = require('../utils/dateRange');
+const { receiveStock } = require('../services/stockService');
+const { postGoodsReceipt } = require('../services/ledgerService');
+const { threeWayMatch } = require('../services/purchaseService');
+const { findActiveSupplier } = require('../services/supplierService');
+const { reorderSuggestions } = require('../services/reorderService');
+const { toStockUnits } = require('../utils/units');
+const { resolveBranch, requestedBranch } = require('../services/branchService');
+const { nextNumber } = require('../services/sequenceService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Order lines in any unit of the product, defaulting to its purchase unit,
+// priced at the given cost or the product's current cost
+const buildOrderItems = async (items, cafeOwner) => {
+  const orderItems = [];
+
+  for (const item of items) {
+    const product = await Product.findOne({ _id: item.product, cafeOwner });
+
+    if (!product) {
+      throw new HttpError(404, `Product not found: ${item.product}`);
+    }
+
+    const { quantity, price, unit, unitQuantity } = toStockUnits(
+      product,
+      { quantity: item.quantity, price: item.unitCost, unit: item.unit },
+      product.purchaseUnit,
+    );
+    const unitCost = price !== undefined ? price : product.cost;
+    orderItems.push({
+      product: product._id,
+      productName: product.name,
+      quantity,
+      unit,
+      unitQuantity,
+      unitCost,
+      total: quantity * unitCost,
+    });
+  }
+
+  return orderItems;
+};
+
+// Get purchase orders with optional filters
+const getPurchaseOrders = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate, status, supplier, branch } = req.query;
+    const query = { cafeOwner: req.cafeOwner };
+
+    if (startDate && endDate) {
+      query.date = dateRangeFilter(startDate, endDate);
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (supplier) {
+      query.supplier = supplier;
+    }
+
+    if (branch) {
+      query.branch = branch;
+    }
+
+    const orders = await PurchaseOrder.find(query)
+      .sort({ date: -1 })
+      .populate('supplier', 'name')
+      .populate('branch', 'name code')
+      .populate('createdBy', 'name');
+
+    res.json(orders);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching purchase orders', error: error.message });
+  }
+};
+
+// Get purchase order by ID with its goods receipts
+const getPurchaseOrderById = async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    })
+      .populate('supplier', 'name phone email address paymentTerms')
+      .populate('items.product', 'code name unit')
+      .populate('branch', 'name code address phone')
+      .populate('createdBy', 'name');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    const receipts = await GoodsReceipt.find({ purchaseOrder: order._id })
+      .sort({ date: 1 })
+      .populate('createdBy', 'name');
+
+    res.json({ ...order.toJSON(), receipts });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching purchase order', error: error.message });
+  }
+};
+
+// Get what to order from each supplier, from stock levels and recent usage
+const getReorderSuggestions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { usageDays, coverDays } = req.query;
+    const suggestions = await reorderSuggestions(req.cafeOwner, {
+      usageDays: usageDays ? Number(usageDays) : undefined,
+      coverDays: coverDays ? Number(coverDays) : undefined,
+    });
+
+    res.json(suggestions);
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating reorder suggestions', error: error.message });
+  }
+};
+
+// Create a draft purchase order
+const createPurchaseOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { supplier, date, expectedDate, items, tax, notes } = req.body;
+
+    const orderSupplier = await findActiveSupplier(supplier, req.cafeOwner);
+    const branch = await resolveBranch(req.cafeOwner, requestedBranch(req));
+    const orderDate = date || new Date();
+
+    const order = new PurchaseOrder({
+      orderNumber: await nextNumber(req.cafeOwner, 'PO'),
+      supplier,
+      date: orderDate,
+      // Delivery is expected after the supplier's usual lead time
+      expectedDate:
+        expectedDate ||
+        (orderSupplier.leadTimeDays
+          ? new Date(orderDate.getTime() + orderSupplier.leadTimeDays * DAY_MS)
+          : undefined),
+      items: await buildOrderItems(items, req.cafeOwner),
+      tax: tax || 0,
+      notes,
+      // Goods are delivered to, and stocked at, the ordering branch
+      branch: branch ? branch._id : undefined,
+      cafeOwner: req.cafeOwner,
+      createdBy: req.user.id,
+    });
+
+    order.recalculateTotals();
+    await order.save();
+
+    res.status(201).json({ message: 'Purchase order created successfully', order });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error creating purchase order', error: error.message });
+  }
+};
+
+// Update a purchase order that has not been sent yet
+const updatePurchaseOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (order.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft purchase orders can be changed' });
+    }
+
+    if (req.body.supplier !== undefined) {
+      await findActiveSupplier(req.body.supplier, req.cafeOwner);
+    }
+
+    if (req.body.branch !== undefined) {
+      order.branch = (await resolveBranch(req.cafeOwner, req.body.branch))._id;
+    }
+
+    ['supplier', 'date', 'expectedDate', 'tax', 'notes'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        order[field] = req.body[field];
+      }
+    });
+
+    if (req.body.items !== undefined) {
+      order.items = await buildOrderItems(req.body.items, req.cafeOwner);
+    }
+
+    order.recalculateTotals();
+    await order.save();
+
+    res.json({ message: 'Purchase order updated successfully', order });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error updating purchase order', error: error.message });
+  }
+};
+
+// Mark a draft purchase order as sent to the supplier
+const sendPurchaseOrder = async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (order.status !== 'draft') {
+      return res.status(400).json({ message: 'Purchase order has already been sent' });
+    }
+
+    if (order.items.length === 0) {
+      return res.status(400).json({ message: 'Cannot send an empty purchase order' });
+    }
+
+    order.status = 'sent';
+    order.sentAt = new Date();
+    await order.save();
+
+    res.json({ message: 'Purchase order sent successfully', order });
+  } catch (error) {
+    res.status(500).json({ message: 'Error sending purchase order', error: error.message });
+  }
+};
+
+/**
+ * Receive a delivery against a purchase order. Each line adds stock at the
+ * order price (or the delivered price when given), updates the product's
+ * average cost and books the goods as received but not yet invoiced.
+ */
+const receiveGoods = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { date, items, notes } = req.body;
+
+    const receipt = await runInTransaction(async (session) => {
+      const order = await PurchaseOrder.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
+
+      if (!order) {
+        throw new HttpError(404, 'Purchase order not found');
+      }
+
+      if (!PurchaseOrder.RECEIVABLE_STATUSES.includes(order.status)) {
+        throw new HttpError(400, `Cannot receive goods for a ${order.status} purchase order`);
+      }
+
+      const receiptId = new mongoose.Types.ObjectId();
+      const receiptItems = [];
+
+      for (const item of items) {
+        const orderItem = order.items.id(item.orderItem);
+
+        if (!orderItem) {
+          throw new HttpError(404, `Order line not found: ${item.orderItem}`);
+        }
+
+        const product = await Product.findOne({
+          _id: orderItem.product,
+          cafeOwner: req.cafeOwner,
+        }).session(session);
+
+        if (!product) {
+          throw new HttpError(404, `Product not found: ${orderItem.productName}`);
+        }
+
+        // Deliveries are counted in the unit the line was ordered in
+        const { quantity, price, unit, unitQuantity } = toStockUnits(
+          product,
+          { quantity: item.quantity, price: item.unitCost, unit: item.unit },
+          orderItem.unit,
+        );
+
+        if (quantity > orderItem.remainingQuantity) {
+          throw new HttpError(
+            400,
+            `Only ${orderItem.remainingQuantity} ${product.unit} of ${orderItem.productName} remain to be received`,
+          );
+        }
+
+        const unitCost = price !== undefined ? price : orderItem.unitCost;
+
+        await receiveStock({
+          product,
+          quantity,
+          unitCost,
+          lot: { lotNumber: item.lotNumber, expiryDate: item.expiryDate },
+          movement: {
+            type: 'purchase',
+            source: { type: 'goods_receipt', id: receiptId },
+            branch: order.branch,
+            createdBy: req.user.id,
+            date,
+          },
+          session,
+        });
+
+        orderItem.receivedQuantity += quantity;
+        receiptItems.push({
+          orderItem: orderItem._id,
+          product: orderItem.product,
+          productName: orderItem.productName,
+          quantity,
+          unit,
+          unitQuantity,
+          unitCost,
+          total: quantity * unitCost,
+          lotNumber: item.lotNumber,
+          expiryDate: item.expiryDate,
+        });
+      }
+
+      order.refreshReceiptStatus();
+      await order.save({ session });
+
+      const [receipt] = await GoodsReceipt.create(
+        [
+          {
+            _id: receiptId,
+            receiptNumber: await nextNumber(req.cafeOwner, 'GRN', session),
+            purchaseOrder: order._id,
+            date: date || new Date(),
+            items: receiptItems,
+            total: receiptItems.reduce((sum, item) => sum + item.total, 0),
+            notes,
+            branch: order.branch,
+            cafeOwner: req.cafeOwner,
+            createdBy: req.user.id,
+          },
+        ],
+        { session },
+      );
+
+      await postGoodsReceipt(receipt, session);
+
+      return receipt;
+    });
+
+    res.status(201).json({ message: 'Goods received successfully', receipt });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error receiving goods', error: error.message });
+  }
+};
+
+// Close a partly received order that will not be delivered in full, or
+// cancel one before anything has been received
+const closePurchaseOrder = async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (!['draft', ...PurchaseOrder.RECEIVABLE_STATUSES].includes(order.status)) {
+      return res.status(400).json({ message: `Purchase order is already ${order.status}` });
+    }
+
+    order.status = order.items.some((item) => item.receivedQuantity > 0) ? 'closed' : 'cancelled';
+    await order.save();
+
+    res.json({ message: `Purchase order ${order.status} successfully`, order });
+  } catch (error) {
+    res.status(500).json({ message: 'Error closing purchase order', error: error.message });
+  }
+};
+
+// Get the three-way match of a purchase order, its receipts and invoices
+const getPurchaseOrderMatch = async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    res.json(await threeWayMatch(order));
+  } catch (error) {
+    res.status(500).json({ message: 'Error matching purchase order', error: error.message });
+  }
+};
+
+module.exports = {
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  getReorderSuggestions,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receiveGoods,
+  closePurchaseOrder,
+  getPurchaseOrderMatch,
+};
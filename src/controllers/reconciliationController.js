@@ -0,0 +1,439 @@
+const BankStatement = require('../models/BankStatement');
+const CashRegister = require('../models/CashRegister');
+const { validationResult } = require('express-validator');
+const { runInTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { parseDateInput } = require('../utils/jalali');
+const {
+  readStatementLines,
+  autoMatch,
+  matchLine,
+  unmatchLine,
+  unmatchedItems,
+} = require('../services/reconciliationService');
+const { nextNumber } = require('../services/sequenceService');
+
+// How many of a statement's lines are in each status
+const lineCounts = (statement) =>
+  BankStatement.LINE_STATUSES.reduce(
+    (counts, status) => ({
+      ...counts,
+      [status]: statement.lines.filter((line) => line.status === status).length,
+    }),
+    { total: statement.lines.length },
+  );
+
+const findStatement = async (req, session = null) => {
+  const statement = await BankStatement.findOne({
+    _id: req.params.id,
+    cafeOwner: req.cafeOwner,
+  }).session(session);
+
+  if (!statement) {
+    throw new HttpError(404, 'Statement not found');
+  }
+  return statement;
+};
+
+// Statement whose lines can still be matched
+const findOpenStatement = async (req, session = null) => {
+  const statement = await findStatement(req, session);
+
+  if (statement.status === 'reconciled') {
+    throw new HttpError(400, 'Statement is reconciled; reopen it to change its matches');
+  }
+  return statement;
+};
+
+const findLine = (statement, lineId) => {
+  const line = statement.lines.id(lineId);
+
+  if (!line) {
+    throw new HttpError(404, 'Statement line not found');
+  }
+  return line;
+};
+
+// Get statements with optional money account and status filters
+const getStatements = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { moneyAccount, status } = req.query;
+    const query = { cafeOwner: req.cafeOwner };
+
+    if (moneyAccount) {
+      query.moneyAccount = moneyAccount;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const statements = await BankStatement.find(query)
+      .sort({ periodStart: -1 })
+      .populate('createdBy', 'name')
+      .populate('reconciledBy', 'name');
+
+    res.json(
+      statements.map((statement) => ({
+        ...statement.toJSON(),
+        lines: undefined,
+        lineCounts: lineCounts(statement),
+      })),
+    );
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching statements', error: error.message });
+  }
+};
+
+// Get statement by ID with the register rows its lines are matched to
+const getStatementById = async (req, res) => {
+  try {
+    const statement = await findStatement(req);
+
+    await statement.populate([
+      { path: 'lines.transactions', select: 'date transactionType amount description reference' },
+      { path: 'lines.matchedBy', select: 'name' },
+      { path: 'createdBy', select: 'name' },
+      { path: 'reconciledBy', select: 'name' },
+    ]);
+
+    res.json({ ...statement.toJSON(), lineCounts: lineCounts(statement) });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching statement', error: error.message });
+  }
+};
+
+/**
+ * Import a bank or card-terminal statement from CSV and match its lines to
+ * register rows. The period defaults to the dates of the first and last
+ * lines, and can't overlap a period already reconciled for the account.
+ */
+const importStatement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { moneyAccount, csv, columns, fileName, notes } = req.body;
+    const lines = readStatementLines(csv, columns);
+    const dates = lines.map((line) => line.date.getTime());
+
+    const periodStart = req.body.periodStart
+      ? parseDateInput(req.body.periodStart)
+      : new Date(Math.min(...dates));
+    const periodEnd = req.body.periodEnd
+      ? parseDateInput(req.body.periodEnd, { endOfDay: true })
+      : new Date(Math.max(...dates));
+
+    if (periodEnd < periodStart) {
+      return res.status(400).json({ message: 'Period end must not be before its start' });
+    }
+
+    if (lines.some((line) => line.date < periodStart || line.date > periodEnd)) {
+      return res.status(400).json({ message: 'Statement has lines outside its period' });
+    }
+
+    const statement = await runInTransaction(async (session) => {
+      const locked = await BankStatement.findOne({
+        cafeOwner: req.cafeOwner,
+        moneyAccount,
+        status: 'reconciled',
+        periodStart: { $lte: periodEnd },
+        periodEnd: { $gte: periodStart },
+      }).session(session);
+
+      if (locked) {
+        throw new HttpError(
+          400,
+          `The period overlaps statement ${locked.statementNumber}, which is reconciled`,
+        );
+      }
+
+      const statementNumber = await nextNumber(req.cafeOwner, 'STM', session);
+
+      const [statement] = await BankStatement.create(
+        [
+          {
+            statementNumber,
+            moneyAccount,
+            periodStart,
+            periodEnd,
+            fileName,
+            lines,
+            notes,
+            cafeOwner: req.cafeOwner,
+            createdBy: req.user.id,
+          },
+        ],
+        { session },
+      );
+
+      await autoMatch(statement, session);
+      await statement.save({ session });
+      return statement;
+    });
+
+    res.status(201).json({
+      message: 'Statement imported successfully',
+      statement,
+      lineCounts: lineCounts(statement),
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error importing statement', error: error.message });
+  }
+};
+
+// Match the statement's unmatched lines again, e.g. after recording missing rows
+const autoMatchStatement = async (req, res) => {
+  try {
+    const result = await runInTransaction(async (session) => {
+      const statement = await findOpenStatement(req, session);
+      const matched = await autoMatch(statement, session);
+      await statement.save({ session });
+      return { statement, matched };
+    });
+
+    res.json({
+      message: `${result.matched} lines matched`,
+      matched: result.matched,
+      lineCounts: lineCounts(result.statement),
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error matching statement', error: error.message });
+  }
+};
+
+// Get the statement's unmatched lines and the period's unmatched register rows
+const getUnmatchedItems = async (req, res) => {
+  try {
+    const statement = await findStatement(req);
+    const { lines, transactions } = await unmatchedItems(statement);
+
+    res.json({
+      statement: {
+        _id: statement._id,
+        statementNumber: statement.statementNumber,
+        moneyAccount: statement.moneyAccount,
+        periodStart: statement.periodStart,
+        periodEnd: statement.periodEnd,
+        status: statement.status,
+      },
+      lines,
+      linesTotal: lines.reduce((sum, line) => sum + line.amount, 0),
+      transactions,
+      transactionsTotal: transactions.reduce(
+        (sum, row) => sum + (row.transactionType === 'deposit' ? row.amount : -row.amount),
+        0,
+      ),
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching unmatched items', error: error.message });
+  }
+};
+
+// Match a statement line by hand to one or more register rows
+const matchStatementLine = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const line = await runInTransaction(async (session) => {
+      const statement = await findOpenStatement(req, session);
+      const line = findLine(statement, req.params.lineId);
+
+      await matchLine(statement, line, req.body.transactions, req.user.id, session);
+      await statement.save({ session });
+      return line;
+    });
+
+    res.json({ message: 'Statement line matched successfully', line });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error matching statement line', error: error.message });
+  }
+};
+
+// Undo a line's match or ignore, freeing its register rows
+const unmatchStatementLine = async (req, res) => {
+  try {
+    const line = await runInTransaction(async (session) => {
+      const statement = await findOpenStatement(req, session);
+      const line = findLine(statement, req.params.lineId);
+
+      await unmatchLine(line, session);
+      await statement.save({ session });
+      return line;
+    });
+
+    res.json({ message: 'Statement line unmatched successfully', line });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error unmatching statement line', error: error.message });
+  }
+};
+
+// Mark a line that has no register row, such as a bank fee, as ignored
+const ignoreStatementLine = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const line = await runInTransaction(async (session) => {
+      const statement = await findOpenStatement(req, session);
+      const line = findLine(statement, req.params.lineId);
+
+      await unmatchLine(line, session);
+      line.status = 'ignored';
+      line.matchedBy = req.user.id;
+      line.matchedAt = new Date();
+      line.notes = req.body.notes;
+      await statement.save({ session });
+      return line;
+    });
+
+    res.json({ message: 'Statement line ignored', line });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error ignoring statement line', error: error.message });
+  }
+};
+
+/**
+ * Reconcile a statement once every line is matched or ignored. Its period is
+ * then locked for the money account: no register rows can be recorded in it
+ * and no other statement can be imported over it.
+ */
+const reconcileStatement = async (req, res) => {
+  try {
+    const result = await runInTransaction(async (session) => {
+      const statement = await findOpenStatement(req, session);
+      const unmatched = statement.lines.filter((line) => line.status === 'unmatched').length;
+
+      if (unmatched) {
+        throw new HttpError(400, `${unmatched} statement lines are still unmatched`);
+      }
+
+      const overlapping = await BankStatement.exists({
+        _id: { $ne: statement._id },
+        cafeOwner: req.cafeOwner,
+        moneyAccount: statement.moneyAccount,
+        status: 'reconciled',
+        periodStart: { $lte: statement.periodEnd },
+        periodEnd: { $gte: statement.periodStart },
+      }).session(session);
+
+      if (overlapping) {
+        throw new HttpError(400, 'The period overlaps another reconciled statement');
+      }
+
+      statement.status = 'reconciled';
+      statement.reconciledAt = new Date();
+      statement.reconciledBy = req.user.id;
+      await statement.save({ session });
+
+      const { transactions } = await unmatchedItems(statement, session);
+      return { statement, unmatchedTransactions: transactions };
+    });
+
+    res.json({
+      message: 'Statement reconciled successfully',
+      statement: result.statement,
+      // Register rows in the period the statement doesn't show, e.g. card
+      // payments settled after it ends
+      unmatchedTransactions: result.unmatchedTransactions,
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error reconciling statement', error: error.message });
+  }
+};
+
+// Reopen a reconciled statement, unlocking its period
+const reopenStatement = async (req, res) => {
+  try {
+    const statement = await findStatement(req);
+
+    if (statement.status !== 'reconciled') {
+      return res.status(400).json({ message: 'Statement is not reconciled' });
+    }
+
+    statement.status = 'open';
+    statement.reconciledAt = undefined;
+    statement.reconciledBy = undefined;
+    await statement.save();
+
+    res.json({ message: 'Statement reopened successfully', statement });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error reopening statement', error: error.message });
+  }
+};
+
+// Delete an unreconciled statement and free the register rows it matched
+const deleteStatement = async (req, res) => {
+  try {
+    await runInTransaction(async (session) => {
+      const statement = await findOpenStatement(req, session);
+
+      await CashRegister.updateMany(
+        { statement: statement._id },
+        { $unset: { statement: '', statementLine: '' } },
+        { session },
+      );
+      await statement.deleteOne({ session });
+    });
+
+    res.json({ message: 'Statement deleted successfully' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error deleting statement', error: error.message });
+  }
+};
+
+module.exports = {
+  getStatements,
+  getStatementById,
+  importStatement,
+  autoMatchStatement,
+  getUnmatchedItems,
+  matchStatementLine,
+  unmatchStatementLine,
+  ignoreStatementLine,
+  reconcileStatement,
+  reopenStatement,
+  deleteStatement,
+};
@@ -0,0 +1,146 @@
+const { validationResult } = require('express-validator');
+const { parseDateRange, comparisonRange } = require('../utils/dateRange');
+const {
+  trialBalance,
+  profitAndLoss,
+  balanceSheet,
+  branchComparison,
+} = require('../services/reportService');
+const {
+  theoreticalUsage,
+  usageVariance,
+  wastageByReason,
+} = require('../services/inventoryReportService');
+
+// Resolve the report and comparison ranges from the query string
+const reportRanges = (query) => {
+  const range = parseDateRange(query);
+  return { range, comparison: comparisonRange(range, query) };
+};
+
+// Get trial balance
+const getTrialBalance = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { range, comparison } = reportRanges(req.query);
+    const report = await trialBalance(req.cafeOwner, range, comparison);
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating trial balance', error: error.message });
+  }
+};
+
+// Get profit and loss statement, for one branch or the whole cafe
+const getProfitAndLoss = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { range, comparison } = reportRanges(req.query);
+    const report = await profitAndLoss(req.cafeOwner, range, comparison, {
+      branch: req.query.branch,
+    });
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating profit and loss', error: error.message });
+  }
+};
+
+// Get balance sheet
+const getBalanceSheet = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { range, comparison } = reportRanges(req.query);
+    const report = await balanceSheet(req.cafeOwner, range, comparison);
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating balance sheet', error: error.message });
+  }
+};
+
+// Get each branch's results side by side with the consolidated totals
+const getBranchComparison = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await branchComparison(req.cafeOwner, parseDateRange(req.query));
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating branch comparison', error: error.message });
+  }
+};
+
+// Get theoretical ingredient usage from recipes
+const getIngredientUsage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await theoreticalUsage(req.cafeOwner, parseDateRange(req.query));
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating ingredient usage', error: error.message });
+  }
+};
+
+// Get actual against theoretical usage between stock counts
+const getUsageVariance = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await usageVariance(req.cafeOwner, parseDateRange(req.query));
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating usage variance', error: error.message });
+  }
+};
+
+// Get recorded wastage by reason
+const getWastageReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await wastageByReason(req.cafeOwner, parseDateRange(req.query));
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating wastage report', error: error.message });
+  }
+};
+
+module.exports = {
+  getTrialBalance,
+  getProfitAndLoss,
+  getBalanceSheet,
+  getBranchComparison,
+  getIngredientUsage,
+  getUsageVariance,
+  getWastageReport,
+};
@@ -0,0 +1,153 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { listPermissions } = require('../config/permissions');
+
+const ROLE_FIELDS = ['name', 'description', 'permissions'];
+
+// Get the permissions an owner can put in roles or give staff directly
+const getPermissions = async (req, res) => {
+  try {
+    res.json(listPermissions('cafe'));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching permissions', error: error.message });
+  }
+};
+
+// Get the cafe's roles with how many staff hold each
+const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find({ cafeOwner: req.cafeOwner }).sort({ name: 1 });
+
+    const counts = await User.aggregate([
+      { $match: { roles: { $in: roles.map((role) => role._id) }, removedAt: null } },
+      { $unwind: '$roles' },
+      { $group: { _id: '$roles', count: { $sum: 1 } } },
+    ]);
+    const staffCount = new Map(counts.map((row) => [String(row._id), row.count]));
+
+    res.json(
+      roles.map((role) => ({
+        ...role.toJSON(),
+        staffCount: staffCount.get(String(role._id)) || 0,
+      })),
+    );
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching roles', error: error.message });
+  }
+};
+
+// Get role by ID
+const getRoleById = async (req, res) => {
+  try {
+    const role = await Role.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    }).populate('createdBy', 'name');
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    res.json(role);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching role', error: error.message });
+  }
+};
+
+// Create new role
+const createRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = new Role({
+      cafeOwner: req.cafeOwner,
+      createdBy: req.user.id,
+    });
+
+    ROLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        role[field] = req.body[field];
+      }
+    });
+
+    await role.save();
+
+    res.status(201).json({ message: 'Role created successfully', role });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+    res.status(500).json({ message: 'Error creating role', error: error.message });
+  }
+};
+
+// Update role; staff holding it gain or lose permissions on their next request
+const updateRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = await Role.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    ROLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        role[field] = req.body[field];
+      }
+    });
+
+    await role.save();
+
+    res.json({ message: 'Role updated successfully', role });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+    res.status(500).json({ message: 'Error updating role', error: error.message });
+  }
+};
+
+// Delete a role no current staff member holds
+const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (await User.exists({ roles: role._id, removedAt: null })) {
+      return res.status(400).json({ message: 'Role is held by staff; take it from them first' });
+    }
+
+    await User.updateMany({ roles: role._id }, { $pull: { roles: role._id } });
+    await role.deleteOne();
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting role', error: error.message });
+  }
+};
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+};
@@ -1,18 +1,40 @@
+const mongoose = require('mongoose');
 const Sale = require('../models/Sale');
 const Product = require('../models/Product');
 const { validationResult } = require('express-validator');
+const { runInTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { dateRangeFilter } = require('../utils/dateRange');
+const { consumeStock, consumptionCost, restoreStock } = require('../services/stockService');
+const {
+  postSale,
+  postCustomerPayment,
+  reverseSourceEntries,
+} = require('../services/ledgerService');
+const { findOpenShift } = require('../services/shiftService');
+const { resolveBranch, requestedBranch } = require('../services/branchService');
+const { nextNumber } = require('../services/sequenceService');
+
+// Reject a product the sale's branch doesn't sell
+const checkAvailable = (product, branch) => {
+  if (!product.isAvailableAt(branch)) {
+    throw new HttpError(400, `${product.name} is not available at this branch`);
+  }
+};
 
 // Get all sales
 const getAllSales = async (req, res) => {
   try {
-    const { startDate, endDate, status, paymentStatus } = req.query;
-    const query = { cafeOwner: req.user.id };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate, status, paymentStatus, shift, branch } = req.query;
+    const query = { cafeOwner: req.cafeOwner };
 
     if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
+      query.date = dateRangeFilter(startDate, endDate);
     }
 
     if (status) {
@@ -23,12 +45,23 @@ const getAllSales = async (req, res) => {
       query.paymentStatus = paymentStatus;
     }
 
+    if (shift) {
+      query.shift = shift;
+    }
+
+    if (branch) {
+      query.branch = branch;
+    }
+
     const sales = await Sale.find(query)
       .sort({ date: -1 })
       .populate('items.product', 'name code price');
-    
+
     res.json(sales);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error fetching sales', error: error.message });
   }
 };
@@ -38,7 +71,7 @@ const getSaleById = async (req, res) => {
   try {
     const sale = await Sale.findOne({
       _id: req.params.id,
-      cafeOwner: req.user.id,
+      cafeOwner: req.cafeOwner,
     }).populate('items.product', 'name code price');
 
     if (!sale) {
@@ -59,85 +92,305 @@ const createSale = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const {
-      items,
-      tax,
-      discount,
-      paymentMethod,
-      paidAmount,
-      customer,
-      notes,
-    } = req.body;
-
-    // Calculate totals and validate stock
-    let subtotal = 0;
-    const processedItems = [];
-    
-    for (const item of items) {
-      const product = await Product.findOne({
-        _id: item.product,
-        cafeOwner: req.user.id,
+    const { items, tax, discount, paymentMethod, paidAmount, customer, notes } = req.body;
+
+    const sale = await runInTransaction(async (session) => {
+      const branch = await resolveBranch(req.cafeOwner, requestedBranch(req), session);
+      const branchId = branch ? branch._id : undefined;
+
+      // Calculate totals and take stock
+      const saleId = new mongoose.Types.ObjectId();
+      const movement = {
+        type: 'sale',
+        source: { type: 'sale', id: saleId },
+        branch: branchId,
+        createdBy: req.user.id,
+      };
+      let subtotal = 0;
+      let costOfGoods = 0;
+      const processedItems = [];
+
+      for (const item of items) {
+        const product = await Product.findOne({
+          _id: item.product,
+          cafeOwner: req.cafeOwner,
+        }).session(session);
+
+        if (!product) {
+          throw new HttpError(404, `Product not found: ${item.product}`);
+        }
+
+        checkAvailable(product, branchId);
+
+        const itemTotal = item.quantity * product.price * (1 - (item.discount || 0) / 100);
+        subtotal += itemTotal;
+
+        const consumption = await consumeStock({
+          product,
+          quantity: item.quantity,
+          movement,
+          session,
+        });
+        const cost = consumptionCost(consumption);
+        costOfGoods += cost;
+
+        processedItems.push({
+          product: product._id,
+          quantity: item.quantity,
+          unitPrice: product.price,
+          discount: item.discount || 0,
+          total: itemTotal,
+          consumption,
+          cost,
+        });
+      }
+
+      const total = subtotal * (1 - (discount || 0) / 100) + (tax || 0);
+      const remainingAmount = total - (paidAmount || 0);
+      const paymentStatus = remainingAmount <= 0 ? 'paid' : paidAmount > 0 ? 'partial' : 'unpaid';
+
+      const saleNumber = await nextNumber(req.cafeOwner, 'SALE', session);
+      const shift = await findOpenShift(req.cafeOwner, branchId, session);
+
+      const newSale = new Sale({
+        _id: saleId,
+        saleNumber,
+        items: processedItems,
+        status: 'completed',
+        statusHistory: [{ status: 'completed', changedBy: req.user.id }],
+        subtotal,
+        tax: tax || 0,
+        discount: discount || 0,
+        total,
+        costOfGoods,
+        paymentMethod,
+        paymentStatus,
+        paidAmount: paidAmount || 0,
+        remainingAmount,
+        customer,
+        notes,
+        shift: shift ? shift._id : undefined,
+        branch: branchId,
+        cafeOwner: req.cafeOwner,
+        createdBy: req.user.id,
       });
 
-      if (!product) {
-        return res.status(404).json({ message: `Product not found: ${item.product}` });
+      await newSale.save({ session });
+      await postSale(newSale, session);
+      return newSale;
+    });
+
+    res.status(201).json({ message: 'Sale created successfully', sale });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error creating sale', error: error.message });
+  }
+};
+
+// Update sale
+const updateSale = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Only allow updating payment status, paid amount, and notes
+    const { paidAmount, notes } = req.body;
+
+    const sale = await runInTransaction(async (session) => {
+      const sale = await Sale.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
+
+      if (!sale) {
+        throw new HttpError(404, 'Sale not found');
       }
 
-      if (product.stockQuantity < item.quantity) {
-        return res.status(400).json({
-          message: `Insufficient stock for product: ${product.name}`,
-        });
+      if (paidAmount !== undefined) {
+        // Only the part of a payment that covers the total moves money in the books
+        const paymentChange =
+          Math.min(paidAmount, sale.total) - Math.min(sale.paidAmount, sale.total);
+
+        sale.paidAmount = paidAmount;
+        sale.remainingAmount = sale.total - paidAmount;
+        sale.paymentStatus =
+          sale.remainingAmount <= 0 ? 'paid' : paidAmount > 0 ? 'partial' : 'unpaid';
+
+        if (sale.isSettled() && paymentChange !== 0) {
+          await postCustomerPayment(
+            sale,
+            {
+              sourceType: 'sale',
+              reference: sale.saleNumber,
+              amount: paymentChange,
+              paymentMethod: sale.paymentMethod,
+              createdBy: req.user.id,
+            },
+            session,
+          );
+        }
       }
 
-      const itemTotal = item.quantity * product.price * (1 - (item.discount || 0) / 100);
-      subtotal += itemTotal;
+      if (notes !== undefined) {
+        sale.notes = notes;
+      }
 
-      processedItems.push({
-        product: product._id,
-        quantity: item.quantity,
-        unitPrice: product.price,
-        discount: item.discount || 0,
-        total: itemTotal,
-      });
+      await sale.save({ session });
+      return sale;
+    });
 
-      // Update stock
-      product.stockQuantity -= item.quantity;
-      await product.save();
+    res.json({ message: 'Sale updated successfully', sale });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
     }
+    res.status(500).json({ message: 'Error updating sale', error: error.message });
+  }
+};
+
+// Cancel sale
+const cancelSale = async (req, res) => {
+  try {
+    // The sale is loaded inside the transaction so a retried attempt starts from fresh state
+    const sale = await runInTransaction(async (session) => {
+      const sale = await Sale.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
+
+      if (!sale) {
+        throw new HttpError(404, 'Sale not found');
+      }
 
-    const total = subtotal * (1 - (discount || 0) / 100) + (tax || 0);
-    const remainingAmount = total - (paidAmount || 0);
-    const paymentStatus = remainingAmount <= 0 ? 'paid' : paidAmount > 0 ? 'partial' : 'unpaid';
+      if (!sale.canTransitionTo('cancelled')) {
+        throw new HttpError(400, 'Sale is already cancelled or refunded');
+      }
 
-    // Generate sale number (you might want to implement a more sophisticated system)
-    const saleNumber = `SALE-${Date.now()}`;
+      // Stock and revenue are only booked once a sale is settled, so open tickets have nothing to undo
+      if (sale.isSettled()) {
+        for (const item of sale.items) {
+          // Sales from before recipes were tracked only took the product itself
+          const consumption = item.consumption.length
+            ? item.consumption
+            : [{ product: item.product, quantity: item.quantity }];
+          await restoreStock({
+            consumption,
+            movement: {
+              type: 'sale_return',
+              source: { type: 'sale', id: sale._id },
+              branch: sale.branch,
+              createdBy: req.user.id,
+            },
+            session,
+          });
+        }
+
+        // Sales take their money in outside the register, so the reversed
+        // entries hand back what was received; there is no register row to undo
+        await reverseSourceEntries(
+          {
+            cafeOwner: sale.cafeOwner,
+            source: { type: 'sale', id: sale._id },
+            createdBy: req.user.id,
+          },
+          session,
+        );
+      }
+
+      sale.transitionTo('cancelled', req.user.id);
+      await sale.save({ session });
+      return sale;
+    });
+
+    res.json({ message: 'Sale cancelled successfully', sale });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error cancelling sale', error: error.message });
+  }
+};
+
+// Build a ticket line from a product, priced at the product's current price
+const buildOrderItem = (product, item) => ({
+  product: product._id,
+  quantity: item.quantity,
+  unitPrice: product.price,
+  discount: item.discount || 0,
+  total: item.quantity * product.price * (1 - (item.discount || 0) / 100),
+  notes: item.notes,
+});
+
+// Look up the requested products for a ticket; returns null and the missing ID if one is unknown
+const findOrderProducts = async (items, cafeOwner, branch) => {
+  const products = [];
+
+  for (const item of items) {
+    const product = await Product.findOne({ _id: item.product, cafeOwner });
+    if (!product) {
+      return { products: null, missing: item.product };
+    }
+    checkAvailable(product, branch);
+    products.push(product);
+  }
+
+  return { products };
+};
+
+// Open a new order ticket
+const openOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { items = [], orderType, tableNumber, tax, discount, customer, notes } = req.body;
+
+    const branch = await resolveBranch(req.cafeOwner, requestedBranch(req));
+    const { products, missing } = await findOrderProducts(
+      items,
+      req.cafeOwner,
+      branch ? branch._id : undefined,
+    );
+    if (!products) {
+      return res.status(404).json({ message: `Product not found: ${missing}` });
+    }
 
     const sale = new Sale({
-      saleNumber,
-      items: processedItems,
-      subtotal,
+      saleNumber: await nextNumber(req.cafeOwner, 'SALE'),
+      orderType,
+      tableNumber,
+      items: items.map((item, index) => buildOrderItem(products[index], item)),
       tax: tax || 0,
       discount: discount || 0,
-      total,
-      paymentMethod,
-      paymentStatus,
-      paidAmount: paidAmount || 0,
-      remainingAmount,
+      status: 'open',
+      statusHistory: [{ status: 'open', changedBy: req.user.id }],
       customer,
       notes,
-      cafeOwner: req.user.id,
+      branch: branch ? branch._id : undefined,
+      cafeOwner: req.cafeOwner,
       createdBy: req.user.id,
     });
 
+    sale.recalculateTotals();
     await sale.save();
-    res.status(201).json({ message: 'Sale created successfully', sale });
+
+    res.status(201).json({ message: 'Order opened successfully', sale });
   } catch (error) {
-    res.status(500).json({ message: 'Error creating sale', error: error.message });
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error opening order', error: error.message });
   }
 };
 
-// Update sale
-const updateSale = async (req, res) => {
+// Add items to an open order ticket
+const addOrderItems = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -146,78 +399,221 @@ const updateSale = async (req, res) => {
 
     const sale = await Sale.findOne({
       _id: req.params.id,
-      cafeOwner: req.user.id,
+      cafeOwner: req.cafeOwner,
     });
 
     if (!sale) {
       return res.status(404).json({ message: 'Sale not found' });
     }
 
-    // Only allow updating payment status, paid amount, and notes
-    const { paidAmount, notes } = req.body;
+    if (!Sale.EDITABLE_STATUSES.includes(sale.status)) {
+      return res.status(400).json({ message: `Cannot add items to a ${sale.status} order` });
+    }
 
-    if (paidAmount !== undefined) {
-      sale.paidAmount = paidAmount;
-      sale.remainingAmount = sale.total - paidAmount;
-      sale.paymentStatus = sale.remainingAmount <= 0 ? 'paid' : paidAmount > 0 ? 'partial' : 'unpaid';
+    const { items } = req.body;
+    const { products, missing } = await findOrderProducts(items, req.cafeOwner, sale.branch);
+    if (!products) {
+      return res.status(404).json({ message: `Product not found: ${missing}` });
     }
 
-    if (notes !== undefined) {
-      sale.notes = notes;
+    items.forEach((item, index) => sale.items.push(buildOrderItem(products[index], item)));
+
+    // New items on a ticket that is already in the kitchen reopen it
+    if (sale.status === 'sent_to_kitchen') {
+      sale.transitionTo('open', req.user.id);
     }
 
+    sale.recalculateTotals();
     await sale.save();
-    res.json({ message: 'Sale updated successfully', sale });
+
+    res.json({ message: 'Items added successfully', sale });
   } catch (error) {
-    res.status(500).json({ message: 'Error updating sale', error: error.message });
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error adding items to order', error: error.message });
   }
 };
 
-// Cancel sale
-const cancelSale = async (req, res) => {
+// Remove an item from an open order ticket
+const removeOrderItem = async (req, res) => {
   try {
     const sale = await Sale.findOne({
       _id: req.params.id,
-      cafeOwner: req.user.id,
+      cafeOwner: req.cafeOwner,
     });
 
     if (!sale) {
       return res.status(404).json({ message: 'Sale not found' });
     }
 
-    if (sale.status !== 'completed') {
-      return res.status(400).json({ message: 'Sale is already cancelled or refunded' });
+    if (!Sale.EDITABLE_STATUSES.includes(sale.status)) {
+      return res.status(400).json({ message: `Cannot remove items from a ${sale.status} order` });
     }
 
-    // Restore stock
-    for (const item of sale.items) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        product.stockQuantity += item.quantity;
-        await product.save();
+    const item = sale.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Order item not found' });
+    }
+
+    if (item.sentToKitchenAt) {
+      return res.status(400).json({ message: 'Item has already been sent to the kitchen' });
+    }
+
+    item.deleteOne();
+    sale.recalculateTotals();
+    await sale.save();
+
+    res.json({ message: 'Item removed successfully', sale });
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing item from order', error: error.message });
+  }
+};
+
+// Move an order ticket through the kitchen (sent_to_kitchen, served)
+const updateOrderStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const sale = await Sale.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    const { status } = req.body;
+
+    if (!sale.canTransitionTo(status)) {
+      return res.status(400).json({
+        message: `Cannot change sale status from ${sale.status} to ${status}`,
+      });
+    }
+
+    if (status === 'sent_to_kitchen') {
+      if (sale.items.length === 0) {
+        return res.status(400).json({ message: 'Cannot send an empty order to the kitchen' });
       }
+
+      const sentAt = new Date();
+      sale.items.forEach((item) => {
+        item.sentToKitchenAt = item.sentToKitchenAt || sentAt;
+      });
     }
 
-    sale.status = 'cancelled';
+    sale.transitionTo(status, req.user.id);
     await sale.save();
 
-    res.json({ message: 'Sale cancelled successfully', sale });
+    res.json({ message: 'Order status updated successfully', sale });
   } catch (error) {
-    res.status(500).json({ message: 'Error cancelling sale', error: error.message });
+    res.status(500).json({ message: 'Error updating order status', error: error.message });
+  }
+};
+
+// Take payment for an order ticket and close it
+const closeOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { paymentMethod, paidAmount, tax, discount } = req.body;
+
+    const sale = await runInTransaction(async (session) => {
+      const sale = await Sale.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
+
+      if (!sale) {
+        throw new HttpError(404, 'Sale not found');
+      }
+
+      if (!sale.canTransitionTo('closed')) {
+        throw new HttpError(400, `Cannot close a ${sale.status} order`);
+      }
+
+      if (sale.items.length === 0) {
+        throw new HttpError(400, 'Cannot close an empty order');
+      }
+
+      for (const item of sale.items) {
+        const product = await Product.findOne({
+          _id: item.product,
+          cafeOwner: req.cafeOwner,
+        }).session(session);
+
+        if (!product) {
+          throw new HttpError(404, `Product not found: ${item.product}`);
+        }
+
+        item.consumption = await consumeStock({
+          product,
+          quantity: item.quantity,
+          movement: {
+            type: 'sale',
+            source: { type: 'sale', id: sale._id },
+            branch: sale.branch,
+            createdBy: req.user.id,
+          },
+          session,
+        });
+        item.cost = consumptionCost(item.consumption);
+      }
+
+      if (tax !== undefined) {
+        sale.tax = tax;
+      }
+
+      if (discount !== undefined) {
+        sale.discount = discount;
+      }
+
+      const shift = await findOpenShift(req.cafeOwner, sale.branch, session);
+
+      sale.paymentMethod = paymentMethod;
+      sale.paidAmount = paidAmount || 0;
+      sale.shift = shift ? shift._id : undefined;
+      sale.recalculateTotals();
+      sale.transitionTo('closed', req.user.id);
+
+      await sale.save({ session });
+      await postSale(sale, session);
+      return sale;
+    });
+
+    res.json({ message: 'Order closed successfully', sale });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error closing order', error: error.message });
   }
 };
 
 // Get sales statistics
 const getSalesStats = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
-    const query = { cafeOwner: req.user.id, status: 'completed' };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate, branch } = req.query;
+    const query = { cafeOwner: req.cafeOwner, status: { $in: Sale.SETTLED_STATUSES } };
 
     if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
+      query.date = dateRangeFilter(startDate, endDate);
+    }
+
+    if (branch) {
+      query.branch = new mongoose.Types.ObjectId(branch);
     }
 
     const stats = await Sale.aggregate([
@@ -227,6 +623,13 @@ const getSalesStats = async (req, res) => {
           _id: null,
           totalSales: { $sum: 1 },
           totalRevenue: { $sum: '$total' },
+          totalCost: { $sum: '$costOfGoods' },
+          // Revenue net of tax less what the goods sold cost
+          grossProfit: {
+            $sum: {
+              $subtract: [{ $subtract: ['$total', '$tax'] }, { $ifNull: ['$costOfGoods', 0] }],
+            },
+          },
           totalPaid: { $sum: '$paidAmount' },
           totalPending: { $sum: '$remainingAmount' },
           averageOrderValue: { $avg: '$total' },
@@ -249,6 +652,8 @@ const getSalesStats = async (req, res) => {
       overall: stats[0] || {
         totalSales: 0,
         totalRevenue: 0,
+        totalCost: 0,
+        grossProfit: 0,
         totalPaid: 0,
         totalPending: 0,
         averageOrderValue: 0,
@@ -256,6 +661,9 @@ const getSalesStats = async (req, res) => {
       byPaymentMethod: paymentMethodStats,
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error fetching sales statistics', error: error.message });
   }
 };
@@ -267,4 +675,9 @@ module.exports = {
   updateSale,
   cancelSale,
   getSalesStats,
-}; 
\ No newline at end of file
+  openOrder,
+  addOrderItems,
+  removeOrderItem,
+  updateOrderStatus,
+  closeOrder,
+};
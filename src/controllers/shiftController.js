@@ -0,0 +1,225 @@
+const Shift = require('../models/Shift');
+const { validationResult } = require('express-validator');
+const { runInTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { dateRangeFilter } = require('../utils/dateRange');
+const { findOpenShift, shiftReport } = require('../services/shiftService');
+const { resolveBranch, requestedBranch } = require('../services/branchService');
+const { postCashOverShort } = require('../services/ledgerService');
+const { nextNumber } = require('../services/sequenceService');
+
+// Get shifts with optional date, status and branch filters
+const getShifts = async (req, res) => {
+  try {
+    const { startDate, endDate, status, branch } = req.query;
+    const query = { cafeOwner: req.cafeOwner };
+
+    if (startDate && endDate) {
+      query.openedAt = dateRangeFilter(startDate, endDate);
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (branch) {
+      query.branch = branch;
+    }
+
+    const shifts = await Shift.find(query)
+      .sort({ openedAt: -1 })
+      .populate('branch', 'name code')
+      .populate('openedBy', 'name')
+      .populate('closedBy', 'name');
+
+    res.json(shifts);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching shifts', error: error.message });
+  }
+};
+
+// Get the open shift of a branch, by default the user's own, with its running X report
+const getCurrentShift = async (req, res) => {
+  try {
+    const shift = await findOpenShift(req.cafeOwner, req.query.branch || req.user.branch);
+
+    if (!shift) {
+      return res.status(404).json({ message: 'No shift is open' });
+    }
+
+    await shift.populate([
+      { path: 'openedBy', select: 'name' },
+      { path: 'branch', select: 'name code' },
+    ]);
+
+    res.json({ ...shift.toJSON(), report: await shiftReport(shift) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching current shift', error: error.message });
+  }
+};
+
+// Get shift by ID
+const getShiftById = async (req, res) => {
+  try {
+    const shift = await Shift.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    })
+      .populate('openedBy', 'name')
+      .populate('closedBy', 'name');
+
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    res.json(shift);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching shift', error: error.message });
+  }
+};
+
+/**
+ * Get a shift's report: the X report of takings so far while it is open, or
+ * the Z report frozen when it was closed.
+ */
+const getShiftReport = async (req, res) => {
+  try {
+    const shift = await Shift.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    })
+      .populate('openedBy', 'name')
+      .populate('closedBy', 'name');
+
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    res.json({
+      type: shift.isOpen() ? 'X' : 'Z',
+      shiftNumber: shift.shiftNumber,
+      status: shift.status,
+      openedAt: shift.openedAt,
+      openedBy: shift.openedBy,
+      closedAt: shift.closedAt,
+      closedBy: shift.closedBy,
+      ...(shift.isOpen() ? await shiftReport(shift) : shift.report.toObject()),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating shift report', error: error.message });
+  }
+};
+
+// Open a shift with the float counted into the drawer
+const openShift = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { denominations = [], notes } = req.body;
+    const branch = await resolveBranch(req.cafeOwner, requestedBranch(req));
+
+    // One drawer per branch, so one shift at a time at each
+    if (await findOpenShift(req.cafeOwner, branch ? branch._id : null)) {
+      return res.status(400).json({ message: 'Another shift is already open' });
+    }
+
+    const shift = new Shift({
+      shiftNumber: await nextNumber(req.cafeOwner, 'SHIFT'),
+      openedBy: req.user.id,
+      openingFloat: { denominations, total: Shift.countTotal(denominations) },
+      notes,
+      branch: branch ? branch._id : undefined,
+      cafeOwner: req.cafeOwner,
+    });
+
+    await shift.save();
+    res.status(201).json({ message: 'Shift opened successfully', shift });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Another shift is already open' });
+    }
+    res.status(500).json({ message: 'Error opening shift', error: error.message });
+  }
+};
+
+/**
+ * Close a shift: record the cash counted by denomination and the card and
+ * transfer settlement totals, freeze the Z report and book any cash over or
+ * short against the drawer.
+ */
+const closeShift = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { denominations, card, transfer, notes } = req.body;
+
+    const shift = await runInTransaction(async (session) => {
+      const shift = await Shift.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
+
+      if (!shift) {
+        throw new HttpError(404, 'Shift not found');
+      }
+
+      if (!shift.isOpen()) {
+        throw new HttpError(400, 'Shift is already closed');
+      }
+
+      shift.closingCount = {
+        denominations,
+        cash: Shift.countTotal(denominations),
+        card,
+        transfer,
+      };
+      shift.report = await shiftReport(shift, session);
+      shift.status = 'closed';
+      shift.closedAt = new Date();
+      shift.closedBy = req.user.id;
+      if (notes !== undefined) {
+        shift.notes = notes;
+      }
+
+      await shift.save({ session });
+
+      const cash = shift.report.methods.find((method) => method.paymentMethod === 'cash');
+      await postCashOverShort(shift, { amount: cash.overShort, createdBy: req.user.id }, session);
+
+      return shift;
+    });
+
+    await shift.populate([
+      { path: 'openedBy', select: 'name' },
+      { path: 'closedBy', select: 'name' },
+    ]);
+
+    res.json({ message: 'Shift closed successfully', shift });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error closing shift', error: error.message });
+  }
+};
+
+module.exports = {
+  getShifts,
+  getCurrentShift,
+  getShiftById,
+  getShiftReport,
+  openShift,
+  closeShift,
+};
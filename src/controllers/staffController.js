@@ -0,0 +1,264 @@
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const HttpError = require('../utils/httpError');
+const { resolveBranch } = require('../services/branchService');
+const { findStaffMember, temporaryPassword } = require('../services/staffService');
+const { effectivePermissions, resolveRoles } = require('../services/roleService');
+
+const STAFF_FIELDS = ['name', 'email', 'phone', 'permissions', 'revokedPermissions'];
+
+// Staff member as returned by the API, without the password hash
+const staffJson = (staff) => {
+  const json = staff.toJSON();
+  delete json.password;
+  return json;
+};
+
+// Get the owner's staff, optionally only active, suspended or removed ones
+const getStaff = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, branch } = req.query;
+    const query = { cafeOwner: req.cafeOwner, role: 'staff', removedAt: null };
+
+    if (status === 'active') {
+      query.isActive = true;
+    } else if (status === 'suspended') {
+      query.isActive = false;
+    } else if (status === 'removed') {
+      query.removedAt = { $ne: null };
+    }
+
+    if (branch) {
+      query.branch = branch;
+    }
+
+    const staff = await User.find(query)
+      .select('-password')
+      .sort({ name: 1 })
+      .populate('branch', 'name code')
+      .populate('roles', 'name');
+
+    res.json(staff);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching staff', error: error.message });
+  }
+};
+
+// Get staff member by ID
+const getStaffById = async (req, res) => {
+  try {
+    const staff = await findStaffMember(req.cafeOwner, req.params.id);
+    await staff.populate('branch', 'name code');
+    await staff.populate('roles', 'name');
+
+    res.json(staff);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching staff member', error: error.message });
+  }
+};
+
+// Get a staff member's effective permissions alongside where they come from
+const getStaffPermissions = async (req, res) => {
+  try {
+    const staff = await findStaffMember(req.cafeOwner, req.params.id);
+    const permissions = await effectivePermissions(staff);
+    await staff.populate('roles', 'name permissions');
+
+    res.json({
+      roles: staff.roles,
+      granted: staff.permissions,
+      revoked: staff.revokedPermissions,
+      permissions,
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching staff permissions', error: error.message });
+  }
+};
+
+/**
+ * Invite a staff member: create their account under the owner with the
+ * roles and permissions they are given. Without a password one is generated and
+ * returned once, for the owner to pass on; the staff member should change it
+ * after signing in.
+ */
+const inviteStaff = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username, email, branch } = req.body;
+
+    const existingUser = await User.findOne({ $or: [{ username }, { email }] });
+    if (existingUser) {
+      return res.status(400).json({
+        message: 'User already exists with this username or email',
+      });
+    }
+
+    const staffBranch = branch ? await resolveBranch(req.cafeOwner, branch) : null;
+    const roles = req.body.roles ? await resolveRoles(req.cafeOwner, req.body.roles) : [];
+    const password = req.body.password || temporaryPassword();
+
+    const staff = new User({
+      username,
+      password,
+      role: 'staff',
+      cafeOwner: req.cafeOwner,
+      branch: staffBranch ? staffBranch._id : undefined,
+      roles: roles.map((role) => role._id),
+    });
+
+    STAFF_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        staff[field] = req.body[field];
+      }
+    });
+
+    await staff.save();
+
+    res.status(201).json({
+      message: 'Staff member invited successfully',
+      staff: staffJson(staff),
+      temporaryPassword: req.body.password ? undefined : password,
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'User already exists with this username or email' });
+    }
+    res.status(500).json({ message: 'Error inviting staff member', error: error.message });
+  }
+};
+
+// Update a staff member's details, branch, roles and permissions
+const updateStaff = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const staff = await findStaffMember(req.cafeOwner, req.params.id);
+
+    STAFF_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        staff[field] = req.body[field];
+      }
+    });
+
+    // An empty branch lets the staff member work at any branch they name
+    if (req.body.branch !== undefined) {
+      staff.branch = req.body.branch
+        ? (await resolveBranch(req.cafeOwner, req.body.branch))._id
+        : undefined;
+    }
+
+    if (req.body.roles !== undefined) {
+      staff.roles = (await resolveRoles(req.cafeOwner, req.body.roles)).map((role) => role._id);
+    }
+
+    await staff.save();
+
+    res.json({ message: 'Staff member updated successfully', staff: staffJson(staff) });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A user with this email already exists' });
+    }
+    res.status(500).json({ message: 'Error updating staff member', error: error.message });
+  }
+};
+
+// Suspend a staff member, signing them out of the cafe until reactivated
+const suspendStaff = async (req, res) => {
+  try {
+    const staff = await findStaffMember(req.cafeOwner, req.params.id);
+
+    if (!staff.isActive) {
+      return res.status(400).json({ message: 'Staff member is already suspended' });
+    }
+
+    staff.isActive = false;
+    await staff.save();
+
+    res.json({ message: 'Staff member suspended successfully', staff: staffJson(staff) });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error suspending staff member', error: error.message });
+  }
+};
+
+// Let a suspended staff member sign in again
+const reactivateStaff = async (req, res) => {
+  try {
+    const staff = await findStaffMember(req.cafeOwner, req.params.id);
+
+    if (staff.isActive) {
+      return res.status(400).json({ message: 'Staff member is not suspended' });
+    }
+
+    staff.isActive = true;
+    await staff.save();
+
+    res.json({ message: 'Staff member reactivated successfully', staff: staffJson(staff) });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error reactivating staff member', error: error.message });
+  }
+};
+
+/**
+ * Remove a staff member from the cafe. The account is closed rather than
+ * deleted, so the sales, counts and payrolls they recorded still name them.
+ */
+const removeStaff = async (req, res) => {
+  try {
+    const staff = await findStaffMember(req.cafeOwner, req.params.id);
+
+    staff.isActive = false;
+    staff.removedAt = new Date();
+    staff.roles = [];
+    staff.permissions = [];
+    staff.revokedPermissions = [];
+    await staff.save();
+
+    res.json({ message: 'Staff member removed successfully' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error removing staff member', error: error.message });
+  }
+};
+
+module.exports = {
+  getStaff,
+  getStaffById,
+  getStaffPermissions,
+  inviteStaff,
+  updateStaff,
+  suspendStaff,
+  reactivateStaff,
+  removeStaff,
+};
@@ -0,0 +1,335 @@
+const Product = require('../models/Product');
+const StockCount = require('../models/StockCount');
+const { validationResult } = require('express-validator');
+const { runInTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { dateRangeFilter } = require('../utils/dateRange');
+const { takeStock, receiveStock, stockOnHand } = require('../services/stockService');
+const { postStockCount } = require('../services/ledgerService');
+const { resolveBranch, requestedBranch } = require('../services/branchService');
+const { toStockUnits } = require('../utils/units');
+const { roundAmount } = require('../utils/money');
+
+// Get stock counts with optional date, status, product and branch filters
+const getStockCounts = async (req, res) => {
+  try {
+    const { startDate, endDate, status, product, branch } = req.query;
+    const query = { cafeOwner: req.cafeOwner };
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (startDate && endDate) {
+      query.date = dateRangeFilter(startDate, endDate);
+    }
+
+    if (product) {
+      query['items.product'] = product;
+    }
+
+    if (branch) {
+      query.branch = branch;
+    }
+
+    const counts = await StockCount.find(query)
+      .sort({ date: -1 })
+      .populate('branch', 'name code')
+      .populate('items.product', 'code name unit')
+      .populate('createdBy', 'name');
+
+    res.json(counts);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching stock counts', error: error.message });
+  }
+};
+
+// Get stock count by ID
+const getStockCountById = async (req, res) => {
+  try {
+    const count = await StockCount.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    })
+      .populate('items.product', 'code name unit cost')
+      .populate('items.countedBy', 'name')
+      .populate('branch', 'name code')
+      .populate('createdBy', 'name')
+      .populate('approvedBy', 'name');
+
+    if (!count) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    res.json(count);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching stock count', error: error.message });
+  }
+};
+
+// Load a count that can still be edited, for use inside a transaction
+const findOpenCount = async (id, cafeOwner, session) => {
+  const count = await StockCount.findOne({ _id: id, cafeOwner }).session(session);
+
+  if (!count) {
+    throw new HttpError(404, 'Stock count not found');
+  }
+
+  if (!count.isOpen()) {
+    throw new HttpError(400, `Stock count is ${count.status} and can no longer be changed`);
+  }
+
+  return count;
+};
+
+// Open a count session
+const createStockCount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const branch = await resolveBranch(req.cafeOwner, requestedBranch(req));
+
+    // One session at a time per branch, so the same shelf can't be adjusted twice
+    const openCount = await StockCount.findOne({
+      cafeOwner: req.cafeOwner,
+      branch: branch ? branch._id : null,
+      status: 'open',
+    });
+    if (openCount) {
+      return res.status(400).json({ message: 'Another stock count is already open' });
+    }
+
+    const { date, notes } = req.body;
+
+    const count = new StockCount({
+      date: date || new Date(),
+      notes,
+      branch: branch ? branch._id : undefined,
+      cafeOwner: req.cafeOwner,
+      createdBy: req.user.id,
+    });
+
+    await count.save();
+    res.status(201).json({ message: 'Stock count opened successfully', count });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error opening stock count', error: error.message });
+  }
+};
+
+// Enter counted quantities; products counted again replace their earlier count
+const recordCounts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const count = await runInTransaction(async (session) => {
+      const count = await findOpenCount(req.params.id, req.cafeOwner, session);
+
+      for (const item of req.body.items) {
+        const product = await Product.findOne({
+          _id: item.product,
+          cafeOwner: req.cafeOwner,
+        }).session(session);
+
+        if (!product) {
+          throw new HttpError(404, `Product not found: ${item.product}`);
+        }
+
+        if (product.hasRecipe()) {
+          throw new HttpError(400, `${product.name} is made from a recipe and is not stocked`);
+        }
+
+        if (!product.isAvailableAt(count.branch)) {
+          throw new HttpError(400, `${product.name} is not stocked at this branch`);
+        }
+
+        const { quantity, unit, unitQuantity } = toStockUnits(product, {
+          quantity: item.countedQuantity,
+          unit: item.unit,
+        });
+
+        const counted = {
+          product: product._id,
+          expectedQuantity: await stockOnHand(product, count.branch, session),
+          countedQuantity: quantity,
+          unit,
+          unitQuantity,
+          unitCost: product.cost,
+          countedAt: new Date(),
+          countedBy: req.user.id,
+        };
+
+        const existing = count.items.find((countItem) => countItem.product.equals(product._id));
+        if (existing) {
+          existing.set(counted);
+        } else {
+          count.items.push(counted);
+        }
+      }
+
+      await count.save({ session });
+      return count;
+    });
+
+    res.json({ message: 'Counts recorded successfully', count });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error recording counts', error: error.message });
+  }
+};
+
+// Get counted items against system stock with the value of each difference
+const getStockCountVariance = async (req, res) => {
+  try {
+    const count = await StockCount.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    }).populate('items.product', 'code name unit');
+
+    if (!count) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    const items = count.items
+      .map((item) => ({
+        product: item.product,
+        expectedQuantity: item.expectedQuantity,
+        countedQuantity: item.countedQuantity,
+        difference: item.difference,
+        unitCost: item.unitCost,
+        differenceValue: item.differenceValue,
+        countedAt: item.countedAt,
+      }))
+      .sort((a, b) => Math.abs(b.differenceValue) - Math.abs(a.differenceValue));
+
+    res.json({
+      _id: count._id,
+      date: count.date,
+      status: count.status,
+      items,
+      totals: count.summarizeVariance(),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching stock count variance', error: error.message });
+  }
+};
+
+/**
+ * Approve a count: adjust each counted product by its difference and freeze
+ * the count. Adjusting by the difference rather than setting the counted
+ * quantity keeps sales made between counting and approval.
+ */
+const approveStockCount = async (req, res) => {
+  try {
+    const count = await runInTransaction(async (session) => {
+      const count = await findOpenCount(req.params.id, req.cafeOwner, session);
+
+      if (count.items.length === 0) {
+        throw new HttpError(400, 'Cannot approve a count with no counted items');
+      }
+
+      const approvedAt = new Date();
+      // Value of what was found extra less what was found missing
+      let value = 0;
+
+      for (const item of count.items) {
+        if (item.difference !== 0) {
+          const product = await Product.findById(item.product).session(session);
+          if (!product) {
+            throw new HttpError(404, `Product not found: ${item.product}`);
+          }
+
+          const movement = {
+            type: 'count',
+            source: { type: 'stock_count', id: count._id },
+            branch: count.branch,
+            createdBy: req.user.id,
+            date: approvedAt,
+          };
+
+          if (item.difference < 0) {
+            const { cost } = await takeStock({
+              product,
+              quantity: -item.difference,
+              movement,
+              session,
+            });
+            value -= cost;
+          } else {
+            // Stock found extra comes in at the product's weighted average cost
+            await receiveStock({
+              product,
+              quantity: item.difference,
+              unitCost: product.cost,
+              movement,
+              session,
+            });
+            value += item.difference * product.cost;
+          }
+        }
+      }
+
+      count.status = 'approved';
+      count.approvedBy = req.user.id;
+      count.approvedAt = approvedAt;
+      await count.save({ session });
+
+      await postStockCount(count, { value: roundAmount(value), createdBy: req.user.id }, session);
+
+      return count;
+    });
+
+    res.json({
+      message: 'Stock count approved successfully',
+      count,
+      totals: count.summarizeVariance(),
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error approving stock count', error: error.message });
+  }
+};
+
+// Cancel an open count without touching stock
+const cancelStockCount = async (req, res) => {
+  try {
+    const count = await runInTransaction(async (session) => {
+      const count = await findOpenCount(req.params.id, req.cafeOwner, session);
+      count.status = 'cancelled';
+      await count.save({ session });
+      return count;
+    });
+
+    res.json({ message: 'Stock count cancelled successfully', count });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error cancelling stock count', error: error.message });
+  }
+};
+
+module.exports = {
+  getStockCounts,
+  getStockCountById,
+  createStockCount,
+  recordCounts,
+  getStockCountVariance,
+  approveStockCount,
+  cancelStockCount,
+};
@@ -0,0 +1,175 @@
+const Branch = require('../models/Branch');
+const Product = require('../models/Product');
+const StockTransfer = require('../models/StockTransfer');
+const { validationResult } = require('express-validator');
+const { runInTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { dateRangeFilter } = require('../utils/dateRange');
+const { resolveBranch } = require('../services/branchService');
+const { transferStock, cancelTransfer } = require('../services/stockTransferService');
+
+// Get stock transfers with optional date, status, branch and product filters
+const getStockTransfers = async (req, res) => {
+  try {
+    const { startDate, endDate, status, branch, product } = req.query;
+    const query = { cafeOwner: req.cafeOwner };
+
+    if (startDate && endDate) {
+      query.date = dateRangeFilter(startDate, endDate);
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (branch) {
+      query.$or = [{ fromBranch: branch }, { toBranch: branch }];
+    }
+
+    if (product) {
+      query['items.product'] = product;
+    }
+
+    const transfers = await StockTransfer.find(query)
+      .sort({ date: -1 })
+      .populate('fromBranch', 'name code')
+      .populate('toBranch', 'name code')
+      .populate('createdBy', 'name');
+
+    res.json(transfers);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching stock transfers', error: error.message });
+  }
+};
+
+// Get stock transfer by ID
+const getStockTransferById = async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    })
+      .populate('fromBranch', 'name code')
+      .populate('toBranch', 'name code')
+      .populate('items.product', 'code name unit')
+      .populate('createdBy', 'name')
+      .populate('cancelledBy', 'name');
+
+    if (!transfer) {
+      return res.status(404).json({ message: 'Stock transfer not found' });
+    }
+
+    res.json(transfer);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching stock transfer', error: error.message });
+  }
+};
+
+/**
+ * Move stock between branches. Without a sending branch the stock comes from
+ * what the cafe held before it had branches. An inactive branch can still
+ * send its stock on, but only an active one can receive it.
+ */
+const createStockTransfer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fromBranch, toBranch, items, date, notes } = req.body;
+
+    if (fromBranch && fromBranch === toBranch) {
+      return res.status(400).json({ message: 'Stock must go to a different branch' });
+    }
+
+    const transfer = await runInTransaction(async (session) => {
+      let from = null;
+      if (fromBranch) {
+        from = await Branch.findOne({ _id: fromBranch, cafeOwner: req.cafeOwner }).session(session);
+        if (!from) {
+          throw new HttpError(400, 'Branch not found');
+        }
+      }
+
+      const to = await resolveBranch(req.cafeOwner, toBranch, session);
+      const lines = [];
+
+      for (const item of items) {
+        const product = await Product.findOne({
+          _id: item.product,
+          cafeOwner: req.cafeOwner,
+        }).session(session);
+
+        if (!product) {
+          throw new HttpError(404, `Product not found: ${item.product}`);
+        }
+
+        lines.push({ product, quantity: item.quantity, unit: item.unit });
+      }
+
+      return transferStock(
+        {
+          fromBranch: from,
+          toBranch: to,
+          items: lines,
+          date,
+          notes,
+          cafeOwner: req.cafeOwner,
+          createdBy: req.user.id,
+        },
+        session,
+      );
+    });
+
+    res.status(201).json({ message: 'Stock transferred successfully', transfer });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error transferring stock', error: error.message });
+  }
+};
+
+// Cancel a transfer, sending its stock back to where it came from
+const cancelStockTransfer = async (req, res) => {
+  try {
+    const transfer = await runInTransaction(async (session) => {
+      const transfer = await StockTransfer.findOne({
+        _id: req.params.id,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
+
+      if (!transfer) {
+        throw new HttpError(404, 'Stock transfer not found');
+      }
+
+      if (transfer.status === 'cancelled') {
+        throw new HttpError(400, 'Stock transfer is already cancelled');
+      }
+
+      const products = await Product.find({
+        _id: { $in: transfer.items.map((item) => item.product) },
+      }).session(session);
+
+      return cancelTransfer(transfer, { products, cancelledBy: req.user.id }, session);
+    });
+
+    res.json({ message: 'Stock transfer cancelled successfully', transfer });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error cancelling stock transfer', error: error.message });
+  }
+};
+
+module.exports = {
+  getStockTransfers,
+  getStockTransferById,
+  createStockTransfer,
+  cancelStockTransfer,
+};
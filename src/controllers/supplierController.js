@@ -0,0 +1,359 @@
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+const Invoice = require('../models/Invoice');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Product = require('../models/Product');
+const { validationResult } = require('express-validator');
+const HttpError = require('../utils/httpError');
+const { dateRangeFilter } = require('../utils/dateRange');
+const { outstandingPayables, emptyBalance, priceHistory } = require('../services/supplierService');
+
+const SUPPLIER_FIELDS = [
+  'name',
+  'phone',
+  'email',
+  'address',
+  'contacts',
+  'taxId',
+  'nationalId',
+  'paymentTerms',
+  'bankAccounts',
+  'leadTimeDays',
+  'notes',
+  'isActive',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Get suppliers with their outstanding balances
+const getSuppliers = async (req, res) => {
+  try {
+    const { query, isActive } = req.query;
+    const searchCriteria = { cafeOwner: req.cafeOwner };
+
+    if (query) {
+      searchCriteria.$text = { $search: query };
+    }
+
+    if (isActive !== undefined) {
+      searchCriteria.isActive = isActive === 'true';
+    }
+
+    const suppliers = await Supplier.find(searchCriteria).sort({ name: 1 });
+    const balances = await outstandingPayables(
+      req.cafeOwner,
+      suppliers.map((supplier) => supplier._id),
+    );
+
+    res.json(
+      suppliers.map((supplier) => ({
+        ...supplier.toJSON(),
+        balance: balances.get(String(supplier._id)) || emptyBalance(),
+      })),
+    );
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching suppliers', error: error.message });
+  }
+};
+
+// Get what is owed to each supplier, most overdue first
+const getPayables = async (req, res) => {
+  try {
+    const balances = await outstandingPayables(req.cafeOwner);
+    const suppliers = await Supplier.find({
+      _id: { $in: [...balances.keys()] },
+      cafeOwner: req.cafeOwner,
+    }).select('name phone paymentTerms');
+
+    const payables = suppliers
+      .map((supplier) => ({ supplier, ...balances.get(String(supplier._id)) }))
+      .sort((a, b) => b.overdue - a.overdue || b.outstanding - a.outstanding);
+
+    res.json({
+      totalOutstanding: payables.reduce((sum, payable) => sum + payable.outstanding, 0),
+      totalOverdue: payables.reduce((sum, payable) => sum + payable.overdue, 0),
+      suppliers: payables,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching payables', error: error.message });
+  }
+};
+
+// Get supplier by ID with purchase totals and outstanding balance
+const getSupplierById = async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    const [purchases] = await Invoice.aggregate([
+      {
+        $match: {
+          cafeOwner: new mongoose.Types.ObjectId(req.cafeOwner),
+          supplier: supplier._id,
+          type: 'purchase',
+          status: 'confirmed',
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          totalPurchased: { $sum: '$total' },
+          invoiceCount: { $sum: 1 },
+          lastPurchaseDate: { $max: '$date' },
+        },
+      },
+    ]);
+    const balances = await outstandingPayables(req.cafeOwner, [supplier._id]);
+
+    res.json({
+      ...supplier.toJSON(),
+      purchases: {
+        totalPurchased: purchases ? purchases.totalPurchased : 0,
+        invoiceCount: purchases ? purchases.invoiceCount : 0,
+        lastPurchaseDate: purchases ? purchases.lastPurchaseDate : null,
+      },
+      balance: balances.get(String(supplier._id)) || emptyBalance(),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching supplier', error: error.message });
+  }
+};
+
+// Create new supplier
+const createSupplier = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const supplier = new Supplier({
+      cafeOwner: req.cafeOwner,
+      createdBy: req.user.id,
+    });
+
+    SUPPLIER_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        supplier[field] = req.body[field];
+      }
+    });
+
+    await supplier.save();
+
+    res.status(201).json({ message: 'Supplier created successfully', supplier });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A supplier with this name already exists' });
+    }
+    res.status(500).json({ message: 'Error creating supplier', error: error.message });
+  }
+};
+
+// Update supplier
+const updateSupplier = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    SUPPLIER_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        supplier[field] = req.body[field];
+      }
+    });
+
+    await supplier.save();
+
+    res.json({ message: 'Supplier updated successfully', supplier });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A supplier with this name already exists' });
+    }
+    res.status(500).json({ message: 'Error updating supplier', error: error.message });
+  }
+};
+
+// Delete a supplier nothing refers to yet; others can only be deactivated
+const deleteSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    const references = { supplier: supplier._id, cafeOwner: req.cafeOwner };
+    const [invoice, order, product] = await Promise.all([
+      Invoice.exists(references),
+      PurchaseOrder.exists(references),
+      Product.exists(references),
+    ]);
+
+    if (invoice || order || product) {
+      return res.status(400).json({
+        message: 'Supplier has purchase history or products; deactivate it instead',
+      });
+    }
+
+    await supplier.deleteOne();
+    res.json({ message: 'Supplier deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting supplier', error: error.message });
+  }
+};
+
+// Get a supplier's purchase invoices and orders, optionally within a date range
+const getSupplierPurchases = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate } = req.query;
+
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    const query = { cafeOwner: req.cafeOwner, supplier: supplier._id };
+
+    if (startDate && endDate) {
+      query.date = dateRangeFilter(startDate, endDate);
+    }
+
+    const invoices = await Invoice.find({ ...query, type: 'purchase' })
+      .sort({ date: -1 })
+      .select('invoiceNumber date dueDate total paidAmount remainingAmount paymentStatus status')
+      .populate('purchaseOrder', 'orderNumber');
+    const orders = await PurchaseOrder.find(query)
+      .sort({ date: -1 })
+      .select('orderNumber date expectedDate total status');
+
+    const confirmed = invoices.filter((invoice) => invoice.status === 'confirmed');
+
+    res.json({
+      supplier: { _id: supplier._id, name: supplier.name },
+      totalPurchased: confirmed.reduce((sum, invoice) => sum + invoice.total, 0),
+      totalPaid: confirmed.reduce((sum, invoice) => sum + invoice.paidAmount, 0),
+      invoices,
+      orders,
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching supplier purchases', error: error.message });
+  }
+};
+
+// Get a supplier's unpaid invoices with how far past due each one is
+const getSupplierPayables = async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    const invoices = await Invoice.find({
+      cafeOwner: req.cafeOwner,
+      supplier: supplier._id,
+      type: 'purchase',
+      status: 'confirmed',
+      remainingAmount: { $gt: 0 },
+    })
+      .sort({ date: 1 })
+      .select('invoiceNumber date dueDate total paidAmount remainingAmount');
+
+    const now = Date.now();
+    const payables = invoices.map((invoice) => {
+      const dueDate = invoice.dueDate || invoice.date;
+      return {
+        ...invoice.toJSON(),
+        dueDate,
+        daysOverdue: Math.max(Math.floor((now - dueDate.getTime()) / DAY_MS), 0),
+      };
+    });
+
+    res.json({
+      supplier: { _id: supplier._id, name: supplier.name, paymentTerms: supplier.paymentTerms },
+      totalOutstanding: payables.reduce((sum, invoice) => sum + invoice.remainingAmount, 0),
+      invoices: payables,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching supplier payables', error: error.message });
+  }
+};
+
+// Get the prices paid to a supplier per product over time
+const getSupplierPriceHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { product, startDate, endDate } = req.query;
+
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    const products = await priceHistory(req.cafeOwner, supplier._id, {
+      productId: product,
+      range: startDate && endDate ? dateRangeFilter(startDate, endDate) : null,
+    });
+
+    res.json({ supplier: { _id: supplier._id, name: supplier.name }, products });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching price history', error: error.message });
+  }
+};
+
+module.exports = {
+  getSuppliers,
+  getPayables,
+  getSupplierById,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getSupplierPurchases,
+  getSupplierPayables,
+  getSupplierPriceHistory,
+};
@@ -1,5 +1,8 @@
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
+const { SELF_REGISTER_ROLES, hasRole } = require('../config/roles');
+
+const DUPLICATE_USER_MESSAGE = 'Cannot create a duplicate user: the username or email is taken';
 
 // Get all users
 const getAllUsers = async (req, res) => {
@@ -24,6 +27,60 @@ const getUserById = async (req, res) => {
   }
 };
 
+// Create user
+const createUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username, password, name, email, phone, role, permissions } = req.body;
+
+    // Staff belong to a cafe and are invited by its owner
+    if (role === 'staff') {
+      return res.status(400).json({ message: 'Staff are added through /api/staff' });
+    }
+
+    // Besides the roles anyone can sign up with, only roles the creator holds
+    // can be handed out, and only super_admin grants permissions
+    if (req.user.role !== 'super_admin') {
+      if (role && !SELF_REGISTER_ROLES.includes(role) && !hasRole(req.user.role, [role])) {
+        return res.status(403).json({ message: 'Not authorized to give this role' });
+      }
+      if (permissions) {
+        return res.status(403).json({ message: 'Not authorized to change role or permissions' });
+      }
+    }
+
+    const existingUser = await User.findOne({ $or: [{ username }, { email }] });
+    if (existingUser) {
+      return res.status(400).json({ message: DUPLICATE_USER_MESSAGE });
+    }
+
+    const user = new User({
+      username,
+      password,
+      name,
+      email,
+      phone,
+      role: role || 'customer',
+      permissions: permissions || [],
+    });
+
+    await user.save();
+
+    const created = user.toObject();
+    delete created.password;
+    res.status(201).json({ message: 'User created successfully', user: created });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: DUPLICATE_USER_MESSAGE });
+    }
+    res.status(500).json({ message: 'Error creating user', error: error.message });
+  }
+};
+
 // Update user
 const updateUser = async (req, res) => {
   try {
@@ -127,6 +184,7 @@ const getUserStats = async (req, res) => {
 module.exports = {
   getAllUsers,
   getUserById,
+  createUser,
   updateUser,
   deleteUser,
   changePassword,
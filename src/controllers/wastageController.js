@@ -0,0 +1,131 @@
+const Product = require('../models/Product');
+const Wastage = require('../models/Wastage');
+const { validationResult } = require('express-validator');
+const { runInTransaction } = require('../utils/transaction');
+const HttpError = require('../utils/httpError');
+const { dateRangeFilter } = require('../utils/dateRange');
+const { recordWastage } = require('../services/wastageService');
+const { resolveBranch, requestedBranch } = require('../services/branchService');
+const { isTeamMember } = require('../services/staffService');
+
+// Get recorded wastage with optional date, reason, product and staff filters
+const getWastage = async (req, res) => {
+  try {
+    const { startDate, endDate, reason, product, staff, branch } = req.query;
+    const query = { cafeOwner: req.cafeOwner };
+
+    if (startDate && endDate) {
+      query.date = dateRangeFilter(startDate, endDate);
+    }
+
+    if (reason) {
+      query.reason = reason;
+    }
+
+    if (product) {
+      query.product = product;
+    }
+
+    if (staff) {
+      query.staff = staff;
+    }
+
+    if (branch) {
+      query.branch = branch;
+    }
+
+    const wastage = await Wastage.find(query)
+      .sort({ date: -1 })
+      .populate('product', 'code name unit')
+      .populate('branch', 'name code')
+      .populate('staff', 'name')
+      .populate('createdBy', 'name');
+
+    res.json(wastage);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching wastage', error: error.message });
+  }
+};
+
+// Get wastage record by ID
+const getWastageById = async (req, res) => {
+  try {
+    const wastage = await Wastage.findOne({
+      _id: req.params.id,
+      cafeOwner: req.cafeOwner,
+    })
+      .populate('product', 'code name unit')
+      .populate('consumption.product', 'code name unit')
+      .populate('lot', 'lotNumber expiryDate')
+      .populate('staff', 'name')
+      .populate('createdBy', 'name');
+
+    if (!wastage) {
+      return res.status(404).json({ message: 'Wastage record not found' });
+    }
+
+    res.json(wastage);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching wastage record', error: error.message });
+  }
+};
+
+// Record wasted stock, taking it out of stock and expensing its cost
+const createWastage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { product: productId, quantity, unit, reason, staff, notes, date } = req.body;
+
+    if (staff && !(await isTeamMember(req.cafeOwner, staff))) {
+      return res.status(400).json({ message: 'Staff member not found' });
+    }
+
+    const wastage = await runInTransaction(async (session) => {
+      const product = await Product.findOne({
+        _id: productId,
+        cafeOwner: req.cafeOwner,
+      }).session(session);
+
+      if (!product) {
+        throw new HttpError(404, 'Product not found');
+      }
+
+      const branch = await resolveBranch(req.cafeOwner, requestedBranch(req), session);
+
+      return recordWastage(
+        {
+          product,
+          quantity,
+          unit,
+          reason,
+          staff,
+          branch: branch ? branch._id : undefined,
+          notes,
+          date,
+          createdBy: req.user.id,
+        },
+        session,
+      );
+    });
+
+    res.status(201).json({ message: 'Wastage recorded successfully', wastage });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error recording wastage', error: error.message });
+  }
+};
+
+module.exports = {
+  getWastage,
+  getWastageById,
+  createWastage,
+};
@@ -1,10 +1,14 @@
 const { verifyToken } = require('../config/jwt');
 const User = require('../models/User');
+const { requirePermissions } = require('../config/permissions');
+const { hasRole } = require('../config/roles');
+const { effectivePermissions } = require('../services/roleService');
+const { isSessionRevoked } = require('../services/sessionService');
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ message: 'Authentication required' });
     }
@@ -14,26 +18,54 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Invalid or expired token' });
     }
 
+    // Signing out or revoking a device ends its access tokens too
+    if (decoded.sid && (await isSessionRevoked(decoded.sid))) {
+      return res.status(401).json({ message: 'Session has ended' });
+    }
+
     const user = await User.findById(decoded.id);
     if (!user || !user.isActive) {
       return res.status(401).json({ message: 'User not found or inactive' });
     }
 
+    // Staff act on their employer's data, so they lose access with the owner
+    const cafeOwner = user.tenantId();
+    if (!cafeOwner.equals(user._id)) {
+      const owner = await User.findById(cafeOwner).select('isActive');
+      if (!owner || !owner.isActive) {
+        return res.status(401).json({ message: 'Cafe account is inactive' });
+      }
+    }
+
     req.user = user;
+    req.cafeOwner = String(cafeOwner);
     req.token = token;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Authentication failed' });
   }
 };
 
+// Authenticates the request when it carries a token and lets it through
+// anonymously otherwise, for routes whose answer depends on who is asking
+const optionalAuth = (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+
+  return auth(req, res, next);
+};
+
+// Admits users holding one of the roles, directly or through a role that
+// inherits it: checkRole(['editor']) also lets content and super admins in
 const checkRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!hasRole(req.user.role, roles)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -41,14 +73,26 @@ const checkRole = (roles) => {
   };
 };
 
+// Resolves the user's effective permissions from their roles and their own
+// grants and revocations once per request, then checks them
 const checkPermission = (requiredPermissions) => {
-  return (req, res, next) => {
+  requirePermissions(requiredPermissions);
+
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    const hasPermission = requiredPermissions.every(permission =>
-      req.user.permissions.includes(permission)
+    try {
+      if (!req.permissions) {
+        req.permissions = await effectivePermissions(req.user);
+      }
+    } catch (error) {
+      return res.status(500).json({ message: 'Error checking permissions', error: error.message });
+    }
+
+    const hasPermission = requiredPermissions.every((permission) =>
+      req.permissions.includes(permission),
     );
 
     if (!hasPermission) {
@@ -61,6 +105,7 @@ const checkPermission = (requiredPermissions) => {
 
 module.exports = {
   auth,
+  optionalAuth,
   checkRole,
   checkPermission,
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,41 @@
+const { formatJalali } = require('../utils/jalali');
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Copy of a JSON value where every date field gets a `<field>Jalali` sibling
+const addJalaliDates = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(addJalaliDates);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  return Object.keys(value).reduce((result, key) => {
+    const field = value[key];
+    result[key] = addJalaliDates(field);
+
+    if (typeof field === 'string' && ISO_TIMESTAMP.test(field)) {
+      result[`${key}Jalali`] = formatJalali(field, { withTime: true });
+    }
+
+    return result;
+  }, {});
+};
+
+/**
+ * When a request asks for `?calendar=jalali`, add a Jalali rendering next to
+ * each date in the JSON response, e.g. `date` gets `dateJalali: 1403/01/15 09:30`.
+ */
+const jalaliDates = (req, res, next) => {
+  if (req.query.calendar !== 'jalali') {
+    return next();
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => json(addJalaliDates(JSON.parse(JSON.stringify(body))));
+  next();
+};
+
+module.exports = { jalaliDates };
@@ -0,0 +1,44 @@
+/**
+ * Let each client make at most `limit` requests to a route per
+ * `windowSeconds`, answering 429 with Retry-After beyond that. Clients are
+ * told apart by `key`, their address unless a route says otherwise; requests
+ * without a key aren't limited. Counts are kept in memory, so each server
+ * process limits on its own.
+ */
+const rateLimit = ({ limit, windowSeconds, key = (req) => req.ip }) => {
+  const windowMs = windowSeconds * 1000;
+  const hits = new Map();
+
+  // Forget clients whose requests have all left the window
+  const sweep = () => {
+    const since = Date.now() - windowMs;
+    hits.forEach((times, client) => {
+      if (times[times.length - 1] <= since) {
+        hits.delete(client);
+      }
+    });
+  };
+  setInterval(sweep, windowMs).unref();
+
+  return (req, res, next) => {
+    const client = key(req);
+    if (!client) {
+      return next();
+    }
+
+    const now = Date.now();
+    const times = (hits.get(client) || []).filter((time) => time > now - windowMs);
+
+    if (times.length >= limit) {
+      const retryAfter = Math.ceil((times[0] + windowMs - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Too many requests; try again later', retryAfter });
+    }
+
+    times.push(now);
+    hits.set(client, times);
+    next();
+  };
+};
+
+module.exports = rateLimit;
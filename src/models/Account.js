@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Account types whose balance grows with debits; all others grow with credits
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+const accountSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      match: /^\d+$/,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ['asset', 'liability', 'equity', 'revenue', 'expense'],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      default: null,
+    },
+    // Stable key used by automatic postings to find default accounts
+    systemKey: {
+      type: String,
+      trim: true,
+    },
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Add indexes for faster lookups
+accountSchema.index({ cafeOwner: 1, code: 1 }, { unique: true });
+accountSchema.index(
+  { cafeOwner: 1, systemKey: 1 },
+  { unique: true, partialFilterExpression: { systemKey: { $type: 'string' } } },
+);
+accountSchema.index({ cafeOwner: 1, parent: 1 });
+
+accountSchema.virtual('normalBalance').get(function () {
+  return DEBIT_NORMAL_TYPES.includes(this.type) ? 'debit' : 'credit';
+});
+
+accountSchema.set('toJSON', { virtuals: true });
+
+accountSchema.statics.DEBIT_NORMAL_TYPES = DEBIT_NORMAL_TYPES;
+
+const Account = mongoose.model('Account', accountSchema);
+
+module.exports = Account;
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Money accounts a statement can come from: the card terminal's settlement
+// report and the bank account itself
+const STATEMENT_ACCOUNTS = ['card_terminal', 'bank'];
+
+const LINE_STATUSES = ['unmatched', 'matched', 'ignored'];
+
+// One row of the statement. `amount` is signed from the cafe's side: money
+// in is positive, money out negative.
+const statementLineSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  reference: {
+    type: String,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: LINE_STATUSES,
+    default: 'unmatched',
+  },
+  // Register rows the line accounts for; a terminal settlement can cover
+  // several card payments
+  transactions: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CashRegister',
+    },
+  ],
+  matchType: {
+    type: String,
+    enum: ['auto', 'manual'],
+  },
+  matchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  matchedAt: Date,
+  // Why an ignored line has no register row, e.g. a bank fee
+  notes: {
+    type: String,
+    trim: true,
+  },
+});
+
+// A bank or card-terminal statement imported from CSV. Its lines are matched
+// to cash register rows; once every line is matched or ignored the statement
+// can be reconciled, which locks its period for that money account.
+const bankStatementSchema = new mongoose.Schema(
+  {
+    statementNumber: {
+      type: String,
+      required: true,
+    },
+    moneyAccount: {
+      type: String,
+      required: true,
+      enum: STATEMENT_ACCOUNTS,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    lines: [statementLineSchema],
+    status: {
+      type: String,
+      enum: ['open', 'reconciled'],
+      default: 'open',
+    },
+    reconciledAt: Date,
+    reconciledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+bankStatementSchema.statics.STATEMENT_ACCOUNTS = STATEMENT_ACCOUNTS;
+bankStatementSchema.statics.LINE_STATUSES = LINE_STATUSES;
+
+bankStatementSchema.index({ cafeOwner: 1, moneyAccount: 1, periodStart: -1 });
+bankStatementSchema.index({ cafeOwner: 1, statementNumber: 1 }, { unique: true });
+bankStatementSchema.index({ 'lines.transactions': 1 });
+
+const BankStatement = mongoose.model('BankStatement', bankStatementSchema);
+
+module.exports = BankStatement;
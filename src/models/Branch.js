@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One shop of a cafe owner. Sales, register rows, expenses, shifts and stock
+// name the branch they belong to; reports add branches up unless asked for
+// one. Data from before a cafe had branches has none.
+const branchSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Short code printed on documents, e.g. "TJR"
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+branchSchema.index({ cafeOwner: 1, name: 1 }, { unique: true });
+
+const Branch = mongoose.model('Branch', branchSchema);
+
+module.exports = Branch;
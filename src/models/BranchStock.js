@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Stock of a product held at one branch, in the product's own unit. The
+// product's `stockQuantity` stays the cafe's total: its branches' stock plus
+// any stock from before the cafe had branches.
+const branchStockSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+branchStockSchema.index({ product: 1, branch: 1 }, { unique: true });
+branchStockSchema.index({ cafeOwner: 1, branch: 1 });
+
+const BranchStock = mongoose.model('BranchStock', branchStockSchema);
+
+module.exports = BranchStock;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Running balance of one money account of a cafe. Recording a cash register
+// row increments it atomically, so concurrent rows never read the same
+// balance; `sequence` numbers the account's rows in the order they were made.
+const cashBalanceSchema = new mongoose.Schema(
+  {
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    moneyAccount: {
+      type: String,
+      required: true,
+    },
+    balance: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+cashBalanceSchema.index({ cafeOwner: 1, moneyAccount: 1 }, { unique: true });
+
+const CashBalance = mongoose.model('CashBalance', cashBalanceSchema);
+
+module.exports = CashBalance;
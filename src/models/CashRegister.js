@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 
+// Where the money of each payment method is held: the cash drawer, the card
+// terminal until it settles, and the bank
+const PAYMENT_METHOD_ACCOUNTS = {
+  cash: 'cash_drawer',
+  card: 'card_terminal',
+  transfer: 'bank',
+};
+
+const MONEY_ACCOUNTS = Object.values(PAYMENT_METHOD_ACCOUNTS);
+
 const cashRegisterSchema = new mongoose.Schema(
   {
     date: {
@@ -22,10 +32,17 @@ const cashRegisterSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    moneyAccount: {
+      type: String,
+      enum: MONEY_ACCOUNTS,
+    },
+    // Balance of the money account after this row, and the row's place in
+    // that account's history
     balance: {
       type: Number,
       required: true,
     },
+    sequence: Number,
     description: {
       type: String,
       required: true,
@@ -39,13 +56,29 @@ const cashRegisterSchema = new mongoose.Schema(
     reference: {
       type: {
         type: String,
-        enum: ['sale', 'expense', 'other'],
+        enum: ['sale', 'invoice', 'expense', 'payroll', 'other'],
       },
       id: {
         type: mongoose.Schema.Types.ObjectId,
         refPath: 'reference.type',
       },
     },
+    // Cash drawer shift open when the transaction was made
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+    },
+    // Bank or card-terminal statement line the row was reconciled against
+    statement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BankStatement',
+    },
+    statementLine: mongoose.Schema.Types.ObjectId,
+    // Branch whose drawer, terminal or account the money went through
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
     cafeOwner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -63,10 +96,16 @@ const cashRegisterSchema = new mongoose.Schema(
   }
 );
 
+cashRegisterSchema.statics.PAYMENT_METHOD_ACCOUNTS = PAYMENT_METHOD_ACCOUNTS;
+cashRegisterSchema.statics.MONEY_ACCOUNTS = MONEY_ACCOUNTS;
+
 // Add indexes for faster searches and reporting
 cashRegisterSchema.index({ cafeOwner: 1, date: -1 });
 cashRegisterSchema.index({ cafeOwner: 1, category: 1 });
 cashRegisterSchema.index({ cafeOwner: 1, paymentMethod: 1 });
+cashRegisterSchema.index({ shift: 1 });
+cashRegisterSchema.index({ cafeOwner: 1, moneyAccount: 1, sequence: -1 });
+cashRegisterSchema.index({ cafeOwner: 1, moneyAccount: 1, date: 1 });
 
 const CashRegister = mongoose.model('CashRegister', cashRegisterSchema);
 
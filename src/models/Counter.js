@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Last number handed out in one of a cafe's document series, e.g. its
+// purchase orders; see services/sequenceService
+const counterSchema = new mongoose.Schema(
+  {
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    series: {
+      type: String,
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+counterSchema.index({ cafeOwner: 1, series: 1 }, { unique: true });
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
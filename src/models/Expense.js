@@ -41,6 +41,11 @@ const expenseSchema = new mongoose.Schema(
       url: String,
       type: String,
     }],
+    // Branch the expense was incurred for
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
     cafeOwner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const goodsReceiptItemSchema = new mongoose.Schema({
+  // Line of the purchase order this delivery fills
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  productName: {
+    type: String,
+    required: true,
+  },
+  // Quantity and cost are in the product's own unit
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Unit the line was entered in, and its quantity in that unit; it defaults
+  // to the order line's unit
+  unit: {
+    type: String,
+    trim: true,
+  },
+  unitQuantity: {
+    type: Number,
+    min: 0,
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Batch details printed on the delivery, carried onto the stock lot
+  lotNumber: {
+    type: String,
+    trim: true,
+  },
+  expiryDate: Date,
+});
+
+// A delivery of goods against a purchase order
+const goodsReceiptSchema = new mongoose.Schema(
+  {
+    receiptNumber: {
+      type: String,
+      required: true,
+    },
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder',
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    items: [goodsReceiptItemSchema],
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    // Branch the goods were received at
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Each cafe numbers its own documents
+goodsReceiptSchema.index({ cafeOwner: 1, receiptNumber: 1 }, { unique: true });
+goodsReceiptSchema.index({ cafeOwner: 1, date: -1 });
+goodsReceiptSchema.index({ purchaseOrder: 1 });
+
+const GoodsReceipt = mongoose.model('GoodsReceipt', goodsReceiptSchema);
+
+module.exports = GoodsReceipt;
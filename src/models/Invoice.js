@@ -10,10 +10,20 @@ const invoiceItemSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Quantity and unit price are in the product's own unit
   quantity: {
     type: Number,
     required: true,
-    min: 1,
+    min: 0,
+  },
+  // Unit the line was entered in, and its quantity in that unit
+  unit: {
+    type: String,
+    trim: true,
+  },
+  unitQuantity: {
+    type: Number,
+    min: 0,
   },
   unitPrice: {
     type: Number,
@@ -30,6 +40,11 @@ const invoiceItemSchema = new mongoose.Schema({
     default: 0,
     min: 0,
   },
+  // Cost of goods sold for sales lines, under the cafe's costing method
+  cost: {
+    type: Number,
+    min: 0,
+  },
 });
 
 const invoiceSchema = new mongoose.Schema(
@@ -66,6 +81,11 @@ const invoiceSchema = new mongoose.Schema(
       address: String,
       email: String,
     },
+    // Purchase invoices reference the supplier; `party` keeps the details as invoiced
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+    },
     items: [invoiceItemSchema],
     subtotal: {
       type: Number,
@@ -112,6 +132,44 @@ const invoiceSchema = new mongoose.Schema(
       enum: ['draft', 'confirmed', 'cancelled', 'void'],
       default: 'draft',
     },
+    // Purchase invoices for ordered goods are matched against the order and
+    // its receipts instead of moving stock themselves
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder',
+    },
+    // Value of the invoiced goods at the order price, already booked on receipt
+    receivedValue: {
+      type: Number,
+      min: 0,
+    },
+    match: {
+      status: {
+        type: String,
+        enum: ['matched', 'exception'],
+      },
+      discrepancies: [
+        {
+          _id: false,
+          product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+          },
+          productName: String,
+          issue: {
+            type: String,
+            enum: ['not_ordered', 'quantity', 'price'],
+          },
+          expected: Number,
+          actual: Number,
+        },
+      ],
+    },
+    // Branch a purchase was delivered to, or a sale made from
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
     cafeOwner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -124,24 +182,28 @@ const invoiceSchema = new mongoose.Schema(
     },
     notes: String,
     terms: String,
-    attachments: [{
-      name: String,
-      url: String,
-      type: String,
-    }],
+    attachments: [
+      {
+        name: String,
+        url: String,
+        type: String,
+      },
+    ],
   },
   {
     timestamps: true,
-  }
+  },
 );
 
 // Add indexes for faster searches and reporting
 invoiceSchema.index({ cafeOwner: 1, date: -1 });
 invoiceSchema.index({ cafeOwner: 1, invoiceNumber: 1 });
 invoiceSchema.index({ cafeOwner: 1, 'party.name': 1 });
+invoiceSchema.index({ cafeOwner: 1, supplier: 1, date: -1 });
 invoiceSchema.index({ status: 1 });
 invoiceSchema.index({ paymentStatus: 1 });
+invoiceSchema.index({ purchaseOrder: 1 });
 
 const Invoice = mongoose.model('Invoice', invoiceSchema);
 
-module.exports = Invoice; 
\ No newline at end of file
+module.exports = Invoice;
@@ -1,72 +1,148 @@
 const mongoose = require('mongoose');
 
+// Amounts within this tolerance are considered equal when checking balance
+const BALANCE_TOLERANCE = 0.005;
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true,
+  },
+  // Denormalized from the account so reports don't need a lookup
+  accountCode: {
+    type: String,
+    required: true,
+  },
+  accountType: {
+    type: String,
+    required: true,
+    enum: ['asset', 'liability', 'equity', 'revenue', 'expense'],
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  description: String,
+});
+
+// A balanced journal entry in the general ledger
 const ledgerSchema = new mongoose.Schema(
   {
-    accountCode: {
-      type: String,
-      required: true,
-      unique: true,
-    },
     date: {
       type: Date,
       required: true,
       default: Date.now,
     },
-    product: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Product',
-    },
-    productName: {
-      type: String,
-      required: true,
-    },
-    paymentMethod: {
+    description: {
       type: String,
       required: true,
-      enum: ['cash', 'card', 'credit'],
+      trim: true,
     },
-    quantity: {
-      type: Number,
-      required: true,
-      min: 0,
+    // Human-facing number of the source document, e.g. a sale or invoice number
+    reference: String,
+    source: {
+      type: {
+        type: String,
+        required: true,
+        enum: [
+          'sale',
+          'invoice',
+          'goods_receipt',
+          'wastage',
+          'stock_count',
+          'expense',
+          'payroll',
+          'cash_register',
+          'shift',
+          'manual',
+        ],
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
     },
-    unitPrice: {
+    lines: [journalLineSchema],
+    totalDebit: {
       type: Number,
       required: true,
       min: 0,
     },
-    totalPrice: {
+    totalCredit: {
       type: Number,
       required: true,
       min: 0,
     },
-    person: {
+    status: {
       type: String,
-      required: true,
+      enum: ['posted', 'reversed'],
+      default: 'posted',
     },
-    description: String,
-    invoiceNumber: String,
-    type: {
-      type: String,
-      required: true,
-      enum: ['income', 'expense'],
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ledger',
+    },
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ledger',
+    },
+    // Branch the entry's source document belongs to, for per-branch reports
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
     },
     cafeOwner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
   },
   {
     timestamps: true,
-  }
+  },
 );
 
 // Add indexes for faster searches and reporting
 ledgerSchema.index({ cafeOwner: 1, date: -1 });
-ledgerSchema.index({ accountCode: 1 });
-ledgerSchema.index({ type: 1, date: -1 });
+ledgerSchema.index({ cafeOwner: 1, branch: 1, date: -1 });
+ledgerSchema.index({ cafeOwner: 1, 'source.type': 1, 'source.id': 1 });
+ledgerSchema.index({ cafeOwner: 1, 'lines.account': 1, date: -1 });
+
+// Reject entries that don't balance or have lines on both or neither side
+ledgerSchema.pre('validate', function (next) {
+  if (this.lines.length < 2) {
+    this.invalidate('lines', 'A journal entry needs at least two lines');
+    return next();
+  }
+
+  const oneSided = this.lines.every(
+    (line) => (line.debit > 0 && line.credit === 0) || (line.credit > 0 && line.debit === 0),
+  );
+  if (!oneSided) {
+    this.invalidate('lines', 'Each line must have either a debit or a credit amount');
+  }
+
+  this.totalDebit = this.lines.reduce((sum, line) => sum + line.debit, 0);
+  this.totalCredit = this.lines.reduce((sum, line) => sum + line.credit, 0);
+
+  if (Math.abs(this.totalDebit - this.totalCredit) > BALANCE_TOLERANCE) {
+    this.invalidate('lines', 'Journal entry is not balanced');
+  }
+
+  next();
+});
 
 const Ledger = mongoose.model('Ledger', ledgerSchema);
 
-module.exports = Ledger; 
\ No newline at end of file
+module.exports = Ledger;
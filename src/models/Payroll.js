@@ -25,6 +25,11 @@ const payrollSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Branch the staff member works at
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
     cafeOwner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
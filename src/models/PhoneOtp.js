@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One request for a sign-in code sent by SMS. Requests are kept for an hour
+// whether or not the number belonged to anyone, so rate limits count every
+// request alike; only those for a staff member carry a code.
+const phoneOtpSchema = new mongoose.Schema(
+  {
+    // Normalized, e.g. "09121234567"
+    phone: {
+      type: String,
+      required: true,
+    },
+    ip: {
+      type: String,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // SHA-256 of the code
+    codeHash: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Wrong codes tried against this request
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+phoneOtpSchema.index({ phone: 1, createdAt: -1 });
+phoneOtpSchema.index({ ip: 1, createdAt: -1 });
+phoneOtpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+const PhoneOtp = mongoose.model('PhoneOtp', phoneOtpSchema);
+
+module.exports = PhoneOtp;
@@ -1,5 +1,42 @@
 const mongoose = require('mongoose');
 
+// One ingredient of a recipe, in any unit defined for the ingredient
+const recipeItemSchema = new mongoose.Schema({
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  unit: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+});
+
+// A unit the product is handled in besides its own, holding `factor` of its
+// own unit: milk stocked in litres comes in a 12-litre crate
+const productUnitSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    factor: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false },
+);
+
 const productSchema = new mongoose.Schema(
   {
     code: {
@@ -37,50 +74,99 @@ const productSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Unit stock is held, costed and reported in
     unit: {
       type: String,
       required: true,
       trim: true,
     },
+    units: [productUnitSchema],
+    // Units the product is usually bought in and used in recipes; both
+    // default to the stock unit
+    purchaseUnit: {
+      type: String,
+      trim: true,
+    },
+    consumptionUnit: {
+      type: String,
+      trim: true,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Branches that sell or stock the product; empty means every branch
+    branches: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+      },
+    ],
     cafeOwner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
-    images: [{
-      url: String,
-      alt: String,
-    }],
-    tags: [{
-      type: String,
-      trim: true,
-    }],
+    images: [
+      {
+        url: String,
+        alt: String,
+      },
+    ],
+    tags: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
     minimumStock: {
       type: Number,
       default: 0,
       min: 0,
     },
+    // Stock level at which to order more, and how much to order; without
+    // them reorder suggestions work from recent usage and supplier lead time
+    reorderPoint: {
+      type: Number,
+      min: 0,
+    },
+    reorderQuantity: {
+      type: Number,
+      min: 0,
+    },
+    // Days new stock keeps, used as the expiry of lots received without one
+    shelfLifeDays: {
+      type: Number,
+      min: 0,
+    },
+    // Selling a product with a recipe takes its ingredients out of stock
+    // instead of the product itself
+    recipe: [recipeItemSchema],
+    // Usual supplier, used to group reorder suggestions
     supplier: {
-      name: String,
-      contact: String,
-      email: String,
-      phone: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
     },
   },
   {
     timestamps: true,
-  }
+  },
 );
 
+productSchema.methods.hasRecipe = function () {
+  return this.recipe.length > 0;
+};
+
+productSchema.methods.isAvailableAt = function (branch) {
+  return !branch || this.branches.length === 0 || this.branches.some((id) => id.equals(branch));
+};
+
 // Add indexes for faster searches
 productSchema.index({ cafeOwner: 1, code: 1 });
 productSchema.index({ cafeOwner: 1, category: 1 });
+productSchema.index({ cafeOwner: 1, supplier: 1 });
 productSchema.index({ name: 'text', description: 'text' });
 
 const Product = mongoose.model('Product', productSchema);
 
-module.exports = Product; 
\ No newline at end of file
+module.exports = Product;
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  productName: {
+    type: String,
+    required: true,
+  },
+  // Quantities and cost are in the product's own unit
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Unit the line was entered in, and its quantity in that unit; deliveries
+  // default to the same unit
+  unit: {
+    type: String,
+    trim: true,
+  },
+  unitQuantity: {
+    type: Number,
+    min: 0,
+  },
+  // Agreed price per unit from the supplier
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  invoicedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+});
+
+purchaseOrderItemSchema.virtual('remainingQuantity').get(function () {
+  return Math.max(this.quantity - this.receivedQuantity, 0);
+});
+
+purchaseOrderItemSchema.set('toJSON', { virtuals: true });
+
+// Orders are drafted, sent to the supplier and then received in one or more
+// deliveries. `closed` ends an order that will not be delivered in full.
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      required: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    expectedDate: Date,
+    items: [purchaseOrderItemSchema],
+    subtotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    tax: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'sent', 'partially_received', 'received', 'closed', 'cancelled'],
+      default: 'draft',
+    },
+    sentAt: Date,
+    notes: {
+      type: String,
+      trim: true,
+    },
+    // Branch the order is to be delivered to
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Statuses in which goods can still be received
+purchaseOrderSchema.statics.RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+// Statuses in which a supplier invoice can be matched against the order
+purchaseOrderSchema.statics.INVOICEABLE_STATUSES = [
+  'sent',
+  'partially_received',
+  'received',
+  'closed',
+];
+
+purchaseOrderSchema.methods.recalculateTotals = function () {
+  this.items.forEach((item) => {
+    item.total = item.quantity * item.unitCost;
+  });
+  this.subtotal = this.items.reduce((sum, item) => sum + item.total, 0);
+  this.total = this.subtotal + (this.tax || 0);
+};
+
+// Move a sent order to partially received or received after a delivery
+purchaseOrderSchema.methods.refreshReceiptStatus = function () {
+  if (this.items.every((item) => item.receivedQuantity >= item.quantity)) {
+    this.status = 'received';
+  } else if (this.items.some((item) => item.receivedQuantity > 0)) {
+    this.status = 'partially_received';
+  }
+};
+
+// Each cafe numbers its own documents
+purchaseOrderSchema.index({ cafeOwner: 1, orderNumber: 1 }, { unique: true });
+purchaseOrderSchema.index({ cafeOwner: 1, date: -1 });
+purchaseOrderSchema.index({ cafeOwner: 1, status: 1 });
+purchaseOrderSchema.index({ cafeOwner: 1, supplier: 1 });
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One refresh token handed to a client. Tokens descending from the same
+// sign-in share a `family`, which is what the user sees as a session on a
+// device. Each token is good for one refresh: using it marks it used and
+// issues the next one in the family. A used token coming back means it was
+// copied, so the whole family is revoked.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    family: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the token; the token itself is only ever held by the client
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // When the family was started by signing in
+    sessionStartedAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'revoked', 'reuse', 'password_reset'],
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, usedAt: 1, revokedAt: 1 });
+// Expired tokens can no longer be used or reused, so MongoDB drops them
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Named set of permissions a cafe owner defines once and gives to staff, e.g.
+// "Barista" or "Shift manager". Staff hold what their roles grant plus their
+// own grants, less what is revoked from them individually.
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Keys from the permission registry; only cafe permissions are accepted
+    permissions: [
+      {
+        type: String,
+      },
+    ],
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+roleSchema.index({ cafeOwner: 1, name: 1 }, { unique: true });
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -1 +1,265 @@
- 
\ No newline at end of file
+const mongoose = require('mongoose');
+
+// Statuses a ticket can move to from each status. Immediate POS sales are
+// created as `completed`; tickets built over time start as `open` and end up
+// `closed` once payment is taken.
+const STATUS_TRANSITIONS = {
+  open: ['sent_to_kitchen', 'closed', 'cancelled'],
+  sent_to_kitchen: ['open', 'served', 'closed', 'cancelled'],
+  served: ['closed', 'cancelled'],
+  closed: ['cancelled', 'refunded'],
+  completed: ['cancelled', 'refunded'],
+  cancelled: [],
+  refunded: [],
+};
+
+// Statuses that count as a finished, revenue-bearing sale
+const SETTLED_STATUSES = ['completed', 'closed'];
+
+// Statuses during which items can still be added to or removed from the ticket
+const EDITABLE_STATUSES = ['open', 'sent_to_kitchen'];
+
+const saleItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  sentToKitchenAt: Date,
+  // Stock taken for this line once the sale settled: the recipe's ingredients,
+  // or the product itself when it has no recipe
+  consumption: [
+    {
+      _id: false,
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+      },
+      quantity: {
+        type: Number,
+        required: true,
+      },
+      // What each unit cost under the cafe's costing method when it was taken
+      unitCost: {
+        type: Number,
+        min: 0,
+      },
+    },
+  ],
+  // Cost of goods sold for the line, from its consumption
+  cost: {
+    type: Number,
+    min: 0,
+  },
+});
+
+const saleSchema = new mongoose.Schema(
+  {
+    saleNumber: {
+      type: String,
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    orderType: {
+      type: String,
+      enum: ['dine_in', 'takeaway', 'delivery'],
+      default: 'takeaway',
+    },
+    tableNumber: {
+      type: String,
+      trim: true,
+    },
+    items: [saleItemSchema],
+    subtotal: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+    tax: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    total: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+    // Cost of goods sold across all lines, booked with the revenue
+    costOfGoods: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['cash', 'card', 'transfer', 'credit'],
+      // Open tickets are paid for later, so a method is only needed once settled
+      required: function () {
+        return SETTLED_STATUSES.includes(this.status);
+      },
+    },
+    paymentStatus: {
+      type: String,
+      enum: ['paid', 'partial', 'unpaid'],
+      default: 'unpaid',
+    },
+    paidAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    remainingAmount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: Object.keys(STATUS_TRANSITIONS),
+      default: 'completed',
+    },
+    statusHistory: [
+      {
+        status: String,
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      },
+    ],
+    customer: {
+      name: String,
+      phone: String,
+      address: String,
+    },
+    notes: String,
+    closedAt: Date,
+    // Cash drawer shift open when the sale was settled
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+    },
+    // Branch the sale was made at
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Add indexes for faster searches and reporting
+// Each cafe numbers its own sales
+saleSchema.index({ cafeOwner: 1, saleNumber: 1 }, { unique: true });
+saleSchema.index({ cafeOwner: 1, date: -1 });
+saleSchema.index({ cafeOwner: 1, status: 1 });
+saleSchema.index({ cafeOwner: 1, paymentStatus: 1 });
+saleSchema.index({ shift: 1 });
+saleSchema.index({ cafeOwner: 1, branch: 1, date: -1 });
+
+saleSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+saleSchema.statics.SETTLED_STATUSES = SETTLED_STATUSES;
+saleSchema.statics.EDITABLE_STATUSES = EDITABLE_STATUSES;
+
+// Recompute line totals, order totals and payment status from the items
+saleSchema.methods.recalculateTotals = function () {
+  let subtotal = 0;
+  let costOfGoods = 0;
+
+  this.items.forEach((item) => {
+    item.total = item.quantity * item.unitPrice * (1 - (item.discount || 0) / 100);
+    subtotal += item.total;
+    costOfGoods += item.cost || 0;
+  });
+
+  this.subtotal = subtotal;
+  this.costOfGoods = costOfGoods;
+  this.total = subtotal * (1 - (this.discount || 0) / 100) + (this.tax || 0);
+  this.remainingAmount = this.total - (this.paidAmount || 0);
+  this.paymentStatus =
+    this.remainingAmount <= 0 ? 'paid' : this.paidAmount > 0 ? 'partial' : 'unpaid';
+
+  return this;
+};
+
+saleSchema.methods.canTransitionTo = function (status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the sale to a new status, recording who did it
+saleSchema.methods.transitionTo = function (status, userId) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change sale status from ${this.status} to ${status}`);
+  }
+
+  this.status = status;
+  this.statusHistory.push({ status, changedBy: userId });
+
+  if (status === 'closed') {
+    this.closedAt = new Date();
+  }
+
+  return this;
+};
+
+saleSchema.methods.isSettled = function () {
+  return SETTLED_STATUSES.includes(this.status);
+};
+
+const Sale = mongoose.model('Sale', saleSchema);
+
+module.exports = Sale;
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// Payment methods a shift accounts for; sales on credit take no money
+const SHIFT_PAYMENT_METHODS = ['cash', 'card', 'transfer'];
+
+// Notes and coins counted in the drawer, e.g. 12 notes of 100,000 rials
+const denominationSchema = new mongoose.Schema(
+  {
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    count: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false },
+);
+
+// Expected against counted takings of one payment method
+const methodTotalSchema = new mongoose.Schema(
+  {
+    paymentMethod: {
+      type: String,
+      required: true,
+      enum: SHIFT_PAYMENT_METHODS,
+    },
+    openingFloat: {
+      type: Number,
+      default: 0,
+    },
+    sales: {
+      type: Number,
+      default: 0,
+    },
+    deposits: {
+      type: Number,
+      default: 0,
+    },
+    withdrawals: {
+      type: Number,
+      default: 0,
+    },
+    expected: {
+      type: Number,
+      required: true,
+    },
+    // Missing when the method wasn't counted at closing
+    counted: Number,
+    // Counted minus expected: positive when over, negative when short
+    overShort: Number,
+  },
+  { _id: false },
+);
+
+// A cashier's session on the cash drawer, from the opening float to the
+// closing count. Sales settled and register transactions made while it is
+// open are linked to it; closing freezes the Z report.
+const shiftSchema = new mongoose.Schema(
+  {
+    shiftNumber: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['open', 'closed'],
+      default: 'open',
+    },
+    openedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    openingFloat: {
+      denominations: [denominationSchema],
+      total: {
+        type: Number,
+        required: true,
+        min: 0,
+      },
+    },
+    closedAt: Date,
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    closingCount: {
+      denominations: [denominationSchema],
+      cash: Number,
+      // Settlement totals from the card terminal and transfers received
+      card: Number,
+      transfer: Number,
+    },
+    // Z report, frozen when the shift closes
+    report: {
+      salesCount: Number,
+      salesTotal: Number,
+      creditSales: Number,
+      methods: [methodTotalSchema],
+      overShort: Number,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    // Branch whose drawer the shift covers; each branch has its own open shift
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+shiftSchema.statics.SHIFT_PAYMENT_METHODS = SHIFT_PAYMENT_METHODS;
+
+// Total value of counted notes and coins
+shiftSchema.statics.countTotal = (denominations = []) =>
+  denominations.reduce((sum, denomination) => sum + denomination.value * denomination.count, 0);
+
+shiftSchema.methods.isOpen = function () {
+  return this.status === 'open';
+};
+
+// Each cafe numbers its own shifts
+shiftSchema.index({ cafeOwner: 1, shiftNumber: 1 }, { unique: true });
+// One drawer per branch, so each branch can have only one shift open
+shiftSchema.index(
+  { cafeOwner: 1, branch: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } },
+);
+shiftSchema.index({ cafeOwner: 1, openedAt: -1 });
+
+const Shift = mongoose.model('Shift', shiftSchema);
+
+module.exports = Shift;
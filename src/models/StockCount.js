@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { roundAmount } = require('../utils/money');
+
+const stockCountItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  // Stock on record when the product was counted
+  expectedQuantity: {
+    type: Number,
+    required: true,
+  },
+  // Counted in the product's own unit, like the expected quantity
+  countedQuantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Unit the shelf was counted in, such as crates, and the count in that unit
+  unit: {
+    type: String,
+    trim: true,
+  },
+  unitQuantity: {
+    type: Number,
+    min: 0,
+  },
+  // Product cost when counted, used to value the difference
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  countedAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+});
+
+stockCountItemSchema.virtual('difference').get(function () {
+  return this.countedQuantity - this.expectedQuantity;
+});
+
+stockCountItemSchema.virtual('differenceValue').get(function () {
+  return roundAmount(this.difference * this.unitCost);
+});
+
+stockCountItemSchema.set('toJSON', { virtuals: true });
+
+// A count is entered while `open`; once approved or cancelled it is frozen
+const stockCountSchema = new mongoose.Schema(
+  {
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: ['open', 'approved', 'cancelled'],
+      default: 'open',
+    },
+    items: [stockCountItemSchema],
+    notes: {
+      type: String,
+      trim: true,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    approvedAt: Date,
+    // Branch whose shelves were counted
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+stockCountSchema.methods.isOpen = function () {
+  return this.status === 'open';
+};
+
+// Counted items with a difference, plus shortage, surplus and net values
+stockCountSchema.methods.summarizeVariance = function () {
+  const totals = { shortageValue: 0, surplusValue: 0, netValue: 0 };
+
+  this.items.forEach((item) => {
+    const value = item.difference * item.unitCost;
+    if (value < 0) {
+      totals.shortageValue = roundAmount(totals.shortageValue - value);
+    } else {
+      totals.surplusValue = roundAmount(totals.surplusValue + value);
+    }
+    totals.netValue = roundAmount(totals.netValue + value);
+  });
+
+  return {
+    itemsCounted: this.items.length,
+    itemsWithDifference: this.items.filter((item) => item.difference !== 0).length,
+    ...totals,
+  };
+};
+
+stockCountSchema.index({ cafeOwner: 1, date: -1 });
+stockCountSchema.index({ cafeOwner: 1, 'items.product': 1, date: -1 });
+
+const StockCount = mongoose.model('StockCount', stockCountSchema);
+
+module.exports = StockCount;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A batch of stock that came in together at one cost, with its own expiry
+// date. Stock going out is drawn from the earliest-expiring lots first, and
+// FIFO costing charges what the lots it drew from cost.
+const stockLotSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    // Quantity that came in, in the product's own unit
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // What is left of the lot after stock was drawn from it
+    remainingQuantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    unitCost: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Supplier's batch number, when the delivery shows one
+    lotNumber: {
+      type: String,
+      trim: true,
+    },
+    receivedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    expiryDate: Date,
+    // Document that brought the stock in
+    source: {
+      type: {
+        type: String,
+        enum: ['sale', 'invoice', 'goods_receipt', 'stock_count', 'product', 'stock_transfer'],
+        required: true,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+    },
+    // Branch holding the lot
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+stockLotSchema.methods.isExpired = function (date = new Date()) {
+  return Boolean(this.expiryDate) && this.expiryDate < date;
+};
+
+stockLotSchema.index({ product: 1, remainingQuantity: 1, receivedAt: 1 });
+stockLotSchema.index({ cafeOwner: 1, remainingQuantity: 1, expiryDate: 1 });
+stockLotSchema.index({ 'source.type': 1, 'source.id': 1 });
+
+const StockLot = mongoose.model('StockLot', stockLotSchema);
+
+module.exports = StockLot;
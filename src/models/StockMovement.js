@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Why stock changed; returns and cancellations undo the movement they name
+const MOVEMENT_TYPES = [
+  'opening',
+  'sale',
+  'sale_return',
+  'purchase',
+  'purchase_return',
+  'count',
+  'adjustment',
+  'wastage',
+  'transfer_out',
+  'transfer_in',
+];
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: MOVEMENT_TYPES,
+    },
+    // Signed change in the product's own unit
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    // Cost per unit moved: what stock came in at, or what it went out at
+    // under the cafe's costing method
+    unitCost: {
+      type: Number,
+      min: 0,
+    },
+    // Stock on hand right after this movement
+    balance: {
+      type: Number,
+      required: true,
+    },
+    // Document that caused the movement
+    source: {
+      type: {
+        type: String,
+        enum: [
+          'sale',
+          'invoice',
+          'goods_receipt',
+          'stock_count',
+          'product',
+          'wastage',
+          'stock_transfer',
+        ],
+        required: true,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    // Branch whose stock changed
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+stockMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+stockMovementSchema.index({ cafeOwner: 1, product: 1, date: -1 });
+stockMovementSchema.index({ cafeOwner: 1, branch: 1, date: -1 });
+stockMovementSchema.index({ 'source.type': 1, 'source.id': 1 });
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
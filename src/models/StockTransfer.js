@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const stockTransferItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    // Quantity moved, in the product's own unit
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Unit the transfer was entered in and the quantity in that unit
+    unit: {
+      type: String,
+      trim: true,
+    },
+    unitQuantity: {
+      type: Number,
+      min: 0,
+    },
+    // Cost per unit the stock left the sending branch at, and came in at
+    unitCost: {
+      type: Number,
+      min: 0,
+    },
+  },
+  { _id: false },
+);
+
+// Stock moved from one branch to another. Stock leaves the sending branch
+// and arrives at the receiving one in the same step; cancelling moves it
+// back. Without `fromBranch` the stock comes from what the cafe held before
+// it had branches.
+const stockTransferSchema = new mongoose.Schema(
+  {
+    transferNumber: {
+      type: String,
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    fromBranch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
+    toBranch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      required: true,
+    },
+    items: [stockTransferItemSchema],
+    status: {
+      type: String,
+      enum: ['completed', 'cancelled'],
+      default: 'completed',
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancelledAt: Date,
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Each cafe numbers its own transfers
+stockTransferSchema.index({ cafeOwner: 1, transferNumber: 1 }, { unique: true });
+stockTransferSchema.index({ cafeOwner: 1, date: -1 });
+stockTransferSchema.index({ cafeOwner: 1, fromBranch: 1, date: -1 });
+stockTransferSchema.index({ cafeOwner: 1, toBranch: 1, date: -1 });
+
+const StockTransfer = mongoose.model('StockTransfer', stockTransferSchema);
+
+module.exports = StockTransfer;
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const contactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    trim: true,
+  },
+  phone: {
+    type: String,
+    trim: true,
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+});
+
+const bankAccountSchema = new mongoose.Schema({
+  bankName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  accountHolder: {
+    type: String,
+    trim: true,
+  },
+  accountNumber: {
+    type: String,
+    trim: true,
+  },
+  // Sheba number, IR followed by 24 digits
+  iban: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  cardNumber: {
+    type: String,
+    trim: true,
+  },
+});
+
+const supplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    contacts: [contactSchema],
+    // Economic code and national ID printed on official invoices
+    taxId: {
+      type: String,
+      trim: true,
+    },
+    nationalId: {
+      type: String,
+      trim: true,
+    },
+    // Days after the invoice date that payment is due; zero means on receipt
+    paymentTerms: {
+      days: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      description: {
+        type: String,
+        trim: true,
+      },
+    },
+    bankAccounts: [bankAccountSchema],
+    // Days from ordering to delivery, used to time reorder suggestions
+    leadTimeDays: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// When an invoice dated `date` falls due under the supplier's payment terms
+supplierSchema.methods.dueDateFor = function (date) {
+  const dueDate = new Date(date);
+  dueDate.setDate(dueDate.getDate() + (this.paymentTerms.days || 0));
+  return dueDate;
+};
+
+// The supplier's details as copied onto the party of a purchase invoice
+supplierSchema.methods.toParty = function () {
+  return {
+    type: 'supplier',
+    name: this.name,
+    phone: this.phone,
+    email: this.email,
+    address: this.address,
+  };
+};
+
+supplierSchema.index({ cafeOwner: 1, name: 1 }, { unique: true });
+supplierSchema.index({ name: 'text', 'contacts.name': 'text' });
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+module.exports = Supplier;
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/roles');
+
+const COSTING_METHODS = ['weighted_average', 'fifo'];
 
 const userSchema = new mongoose.Schema(
   {
@@ -20,7 +23,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['super_admin', 'content_admin', 'cafe_owner', 'staff', 'customer'],
+      enum: ROLES,
       default: 'customer',
     },
     email: {
@@ -30,6 +33,11 @@ const userSchema = new mongoose.Schema(
       trim: true,
       lowercase: true,
     },
+    // Set once the user opens the link mailed to the address; cleared when
+    // the address changes
+    emailVerifiedAt: {
+      type: Date,
+    },
     phone: {
       type: String,
       trim: true,
@@ -38,31 +46,65 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
-    permissions: [{
-      type: String,
-      enum: [
-        'manage_users',
-        'manage_content',
-        'manage_products',
-        'manage_sales',
-        'manage_expenses',
-        'view_reports',
-        'manage_staff'
-      ]
-    }],
+    // Cafe owner a staff member works for; their requests read and write the
+    // owner's data, while what they record still names them as its creator
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // When the owner removed the staff member; kept for the records they made
+    removedAt: {
+      type: Date,
+    },
+    // Branch a staff member works at; what they record belongs to it unless
+    // they name another
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
+    // Roles given by the cafe owner; staff hold the permissions they grant
+    roles: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Role',
+      },
+    ],
+    // Permissions granted to the user directly, on top of their roles. Keys
+    // come from the permission registry in config/permissions.
+    permissions: [
+      {
+        type: String,
+      },
+    ],
+    // Permissions withheld from the user even if one of their roles grants them
+    revokedPermissions: [
+      {
+        type: String,
+      },
+    ],
+    // Cafe-wide preferences, kept on the cafe owner
+    settings: {
+      // How stock leaving the cafe is costed: at the moving weighted average
+      // cost, or at the cost of the oldest lots first
+      costingMethod: {
+        type: String,
+        enum: COSTING_METHODS,
+        default: 'weighted_average',
+      },
+    },
     lastLogin: {
       type: Date,
     },
   },
   {
     timestamps: true,
-  }
+  },
 );
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
-  
+
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -72,11 +114,28 @@ userSchema.pre('save', async function (next) {
   }
 });
 
+// A changed email address has to be verified again
+userSchema.pre('save', function (next) {
+  if (this.isModified('email') && !this.isNew) {
+    this.emailVerifiedAt = undefined;
+  }
+  next();
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// The cafe whose data the user works on: their employer's for staff, their own otherwise
+userSchema.methods.tenantId = function () {
+  return this.role === 'staff' && this.cafeOwner ? this.cafeOwner : this._id;
+};
+
+userSchema.index({ cafeOwner: 1, role: 1 });
+
+userSchema.statics.COSTING_METHODS = COSTING_METHODS;
+
 const User = mongoose.model('User', userSchema);
 
-module.exports = User; 
\ No newline at end of file
+module.exports = User;
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// Why stock was thrown away
+const WASTAGE_REASONS = [
+  'spilled',
+  'burnt',
+  'expired',
+  'unsold',
+  'damaged',
+  'wrong_order',
+  'other',
+];
+
+// Stock thrown away instead of sold. Wasting a product with a recipe, such
+// as a burnt shot, uses up its ingredients like a sale would.
+const wastageSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    productName: {
+      type: String,
+      required: true,
+    },
+    // Quantity as recorded, in `unit`
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    unit: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      enum: WASTAGE_REASONS,
+    },
+    // Stock taken: the recipe's ingredients, or the product itself
+    consumption: [
+      {
+        _id: false,
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+        },
+        unitCost: {
+          type: Number,
+          min: 0,
+        },
+      },
+    ],
+    // What the wasted stock cost under the cafe's costing method
+    cost: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Staff member responsible for the wastage
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Lot written off when expired stock is cleared out
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLot',
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    // Branch the stock was thrown away at
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+    },
+    cafeOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+wastageSchema.statics.WASTAGE_REASONS = WASTAGE_REASONS;
+
+wastageSchema.index({ cafeOwner: 1, date: -1 });
+wastageSchema.index({ cafeOwner: 1, reason: 1, date: -1 });
+
+const Wastage = mongoose.model('Wastage', wastageSchema);
+
+module.exports = Wastage;
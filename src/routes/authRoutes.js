@@ -1,7 +1,26 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { register, login, refresh, getCurrentUser } = require('../controllers/authController');
+const {
+  register,
+  login,
+  requestOtp,
+  verifyOtp,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getCurrentUser,
+} = require('../controllers/authController');
 const { auth } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { normalizePhone } = require('../utils/phone');
+const { normalizeDigits } = require('../utils/jalali');
+const { SELF_REGISTER_ROLES } = require('../config/roles');
 
 const router = express.Router();
 
@@ -11,6 +30,7 @@ const router = express.Router();
  *   post:
  *     tags: [Authentication]
  *     summary: Register a new user
+ *     description: A link to verify the email address is mailed to it.
  *     requestBody:
  *       required: true
  *       content:
@@ -35,6 +55,7 @@ const router = express.Router();
  *                 type: string
  *               role:
  *                 type: string
+ *                 enum: [cafe_owner, customer]
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -44,14 +65,17 @@ const router = express.Router();
 router.post(
   '/register',
   [
-    body('username').trim().isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
+    body('username')
+      .trim()
+      .isLength({ min: 3 })
+      .withMessage('Username must be at least 3 characters'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
     body('name').trim().notEmpty().withMessage('Name is required'),
     body('email').isEmail().withMessage('Invalid email address'),
     body('phone').optional().trim(),
-    body('role').optional().isIn(['super_admin', 'content_admin', 'cafe_owner', 'staff', 'customer']),
+    body('role').optional().isIn(SELF_REGISTER_ROLES).withMessage('Invalid role'),
   ],
-  register
+  register,
 );
 
 /**
@@ -86,7 +110,83 @@ router.post(
     body('username').trim().notEmpty().withMessage('Username is required'),
     body('password').notEmpty().withMessage('Password is required'),
   ],
-  login
+  login,
+);
+
+// Phone numbers are matched in their normalized form, e.g. "09121234567"
+const phoneValidation = body('phone')
+  .customSanitizer(normalizePhone)
+  .notEmpty()
+  .withMessage('Invalid mobile number');
+
+/**
+ * @swagger
+ * /api/auth/otp/request:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Text a sign-in code to a staff member's mobile number
+ *     description: >
+ *       Answers the same whether or not the number belongs to a staff account.
+ *       One code can be requested per number a minute and five an hour; codes
+ *       expire after two minutes.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: '09121234567'
+ *     responses:
+ *       200:
+ *         description: Code sent if the number belongs to a staff account
+ *       429:
+ *         description: Too many requests; see Retry-After
+ */
+router.post('/otp/request', [phoneValidation], requestOtp);
+
+/**
+ * @swagger
+ * /api/auth/otp/verify:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Login with a texted code
+ *     description: Returns the same tokens as /api/auth/login. After five wrong codes a new one must be requested.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - code
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Invalid or expired code
+ */
+router.post(
+  '/otp/verify',
+  [
+    phoneValidation,
+    body('code')
+      .customSanitizer(normalizeDigits)
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage('Invalid code'),
+  ],
+  verifyOtp,
 );
 
 /**
@@ -95,6 +195,9 @@ router.post(
  *   post:
  *     tags: [Authentication]
  *     summary: Refresh access token
+ *     description: >
+ *       Each refresh token can be used once and is replaced by the one returned.
+ *       Presenting a token that was already used ends the whole session.
  *     requestBody:
  *       required: true
  *       content:
@@ -114,12 +217,203 @@ router.post(
  */
 router.post(
   '/refresh',
+  [body('refreshToken').notEmpty().withMessage('Refresh token is required')],
+  refresh,
+);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Logout, ending the session the refresh token belongs to
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Invalid refresh token
+ */
+router.post(
+  '/logout',
+  [body('refreshToken').notEmpty().withMessage('Refresh token is required')],
+  logout,
+);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Get the devices the user is signed in on
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, with the current one marked
+ */
+router.get('/sessions', auth, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Sign out of every device except the current one
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ */
+router.delete('/sessions', auth, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Sign out of one device
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', auth, revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Mail a password reset link
+ *     description: Answers the same whether or not the address belongs to an account.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       429:
+ *         description: Too many requests from this client or for this address
+ */
+router.post(
+  '/forgot-password',
+  [body('email').trim().toLowerCase().isEmail().withMessage('Invalid email address')],
+  // Keeps the endpoint from being used to flood an inbox or probe addresses
+  rateLimit({ limit: 10, windowSeconds: 15 * 60 }),
+  rateLimit({ limit: 3, windowSeconds: 60 * 60, key: (req) => req.body.email }),
+  forgotPassword,
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Choose a new password with a mailed reset token
+ *     description: The token works once and for an hour. All of the user's sessions are ended.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post(
+  '/reset-password',
   [
-    body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+    body('token').isString().notEmpty().withMessage('Token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
   ],
-  refresh
+  resetPassword,
+);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Verify the email address with a mailed token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post(
+  '/verify-email',
+  [body('token').isString().notEmpty().withMessage('Token is required')],
+  verifyEmail,
 );
 
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Mail the current user a new verification link
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ */
+router.post('/resend-verification', auth, resendVerification);
+
 /**
  * @swagger
  * /api/auth/me:
@@ -136,4 +430,4 @@ router.post(
  */
 router.get('/me', auth, getCurrentUser);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
-const { auth, checkRole } = require('../middleware/auth');
+const { auth, optionalAuth, checkRole } = require('../middleware/auth');
+const { registerPermissions } = require('../config/permissions');
 const {
   getAllPosts,
   getPublicPosts,
@@ -13,6 +14,10 @@ const {
   getBlogStats,
 } = require('../controllers/blogController');
 
+registerPermissions({
+  manage_content: { description: 'Manage blog content', scope: 'platform' },
+});
+
 /**
  * @swagger
  * components:
@@ -83,14 +88,20 @@ const {
 const blogValidation = [
   check('title').notEmpty().withMessage('Title is required'),
   check('content').notEmpty().withMessage('Content is required'),
-  check('excerpt').notEmpty().isLength({ max: 500 }).withMessage('Excerpt is required and must be less than 500 characters'),
+  check('excerpt')
+    .notEmpty()
+    .isLength({ max: 500 })
+    .withMessage('Excerpt is required and must be less than 500 characters'),
   check('categories').isArray({ min: 1 }).withMessage('At least one category is required'),
   check('readTime').isInt({ min: 1 }).withMessage('Valid read time is required'),
   check('status').optional().isIn(['draft', 'published', 'archived']).withMessage('Invalid status'),
   check('tags').optional().isArray().withMessage('Tags must be an array'),
   check('seo').optional().isObject().withMessage('SEO must be an object'),
   check('seo.metaTitle').optional().isString().withMessage('Meta title must be a string'),
-  check('seo.metaDescription').optional().isString().withMessage('Meta description must be a string'),
+  check('seo.metaDescription')
+    .optional()
+    .isString()
+    .withMessage('Meta description must be a string'),
   check('seo.keywords').optional().isArray().withMessage('SEO keywords must be an array'),
 ];
 
@@ -98,7 +109,7 @@ const blogValidation = [
  * @swagger
  * /api/blog:
  *   get:
- *     summary: Get all blog posts (admin)
+ *     summary: Get all blog posts; authors only see their own
  *     tags: [Blog]
  *     security:
  *       - bearerAuth: []
@@ -120,7 +131,7 @@ const blogValidation = [
  *       200:
  *         description: List of all blog posts
  */
-router.get('/', auth, checkRole(['super_admin', 'admin', 'editor']), getAllPosts);
+router.get('/', auth, checkRole(['author']), getAllPosts);
 
 /**
  * @swagger
@@ -155,13 +166,14 @@ router.get('/public', getPublicPosts);
  *       200:
  *         description: Blog statistics
  */
-router.get('/stats', auth, checkRole(['super_admin', 'admin', 'editor']), getBlogStats);
+router.get('/stats', auth, checkRole(['editor']), getBlogStats);
 
 /**
  * @swagger
  * /api/blog/{slug}:
  *   get:
  *     summary: Get blog post by slug
+ *     description: Unpublished posts are only shown to their author and to editors and above.
  *     tags: [Blog]
  *     parameters:
  *       - in: path
@@ -173,7 +185,7 @@ router.get('/stats', auth, checkRole(['super_admin', 'admin', 'editor']), getBlo
  *       200:
  *         description: Blog post details
  */
-router.get('/:slug', getPostBySlug);
+router.get('/:slug', optionalAuth, getPostBySlug);
 
 /**
  * @swagger
@@ -193,13 +205,14 @@ router.get('/:slug', getPostBySlug);
  *       201:
  *         description: Blog post created successfully
  */
-router.post('/', auth, checkRole(['super_admin', 'admin', 'editor']), blogValidation, createPost);
+router.post('/', auth, checkRole(['author']), blogValidation, createPost);
 
 /**
  * @swagger
  * /api/blog/{slug}:
  *   put:
  *     summary: Update a blog post
+ *     description: Authors can only update their own posts; editors and above can update any.
  *     tags: [Blog]
  *     security:
  *       - bearerAuth: []
@@ -219,7 +232,7 @@ router.post('/', auth, checkRole(['super_admin', 'admin', 'editor']), blogValida
  *       200:
  *         description: Blog post updated successfully
  */
-router.put('/:slug', auth, checkRole(['super_admin', 'admin', 'editor']), blogValidation, updatePost);
+router.put('/:slug', auth, checkRole(['author']), blogValidation, updatePost);
 
 /**
  * @swagger
@@ -239,7 +252,7 @@ router.put('/:slug', auth, checkRole(['super_admin', 'admin', 'editor']), blogVa
  *       200:
  *         description: Blog post deleted successfully
  */
-router.delete('/:slug', auth, checkRole(['super_admin', 'admin']), deletePost);
+router.delete('/:slug', auth, checkRole(['content_admin']), deletePost);
 
 /**
  * @swagger
@@ -259,4 +272,4 @@ router.delete('/:slug', auth, checkRole(['super_admin', 'admin']), deletePost);
  */
 router.post('/:slug/view', incrementViewCount);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, checkPermission } = require('../middleware/auth');
+const { registerPermissions } = require('../config/permissions');
+const {
+  getBranches,
+  getBranchById,
+  getBranchStock,
+  createBranch,
+  updateBranch,
+  deleteBranch,
+} = require('../controllers/branchController');
+
+const router = express.Router();
+
+registerPermissions({
+  manage_branches: 'Create and edit branches',
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Branch:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *         code:
+ *           type: string
+ *           description: Short code printed on documents
+ *         address:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+// Validation middleware
+const branchValidation = [
+  body('code').optional().trim(),
+  body('address').optional().trim(),
+  body('phone').optional().trim(),
+  body('isActive').optional().isBoolean(),
+];
+
+/**
+ * @swagger
+ * /api/branches:
+ *   get:
+ *     tags: [Branches]
+ *     summary: Get the cafe's branches
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ */
+router.get('/', auth, getBranches);
+
+/**
+ * @swagger
+ * /api/branches/{id}:
+ *   get:
+ *     tags: [Branches]
+ *     summary: Get branch by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id', auth, getBranchById);
+
+/**
+ * @swagger
+ * /api/branches/{id}/stock:
+ *   get:
+ *     tags: [Branches]
+ *     summary: Get the stock held at a branch with products running low
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id/stock', auth, checkPermission(['manage_products']), getBranchStock);
+
+/**
+ * @swagger
+ * /api/branches:
+ *   post:
+ *     tags: [Branches]
+ *     summary: Create a new branch
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Branch'
+ */
+router.post(
+  '/',
+  auth,
+  checkPermission(['manage_branches']),
+  [body('name').trim().notEmpty().withMessage('Branch name is required'), ...branchValidation],
+  createBranch,
+);
+
+/**
+ * @swagger
+ * /api/branches/{id}:
+ *   put:
+ *     tags: [Branches]
+ *     summary: Update a branch
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Branch'
+ */
+router.put(
+  '/:id',
+  auth,
+  checkPermission(['manage_branches']),
+  [
+    body('name').optional().trim().notEmpty().withMessage('Branch name cannot be empty'),
+    ...branchValidation,
+  ],
+  updateBranch,
+);
+
+/**
+ * @swagger
+ * /api/branches/{id}:
+ *   delete:
+ *     tags: [Branches]
+ *     summary: Delete a branch without history, stock, products or staff
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.delete('/:id', auth, checkPermission(['manage_branches']), deleteBranch);
+
+module.exports = router;
@@ -1,15 +1,22 @@
 const express = require('express');
 const { body, query } = require('express-validator');
 const { auth, checkPermission } = require('../middleware/auth');
+const { registerPermissions } = require('../config/permissions');
 const {
   getAllTransactions,
   getTransactionById,
   createTransaction,
   getCashRegisterSummary,
+  getBalances,
+  rebuildCashBalances,
 } = require('../controllers/cashRegisterController');
 
 const router = express.Router();
 
+registerPermissions({
+  manage_cash_register: 'Record register transactions and run cash drawer shifts',
+});
+
 /**
  * @swagger
  * /api/cash-register:
@@ -39,11 +46,29 @@ const router = express.Router();
  *         schema:
  *           type: string
  *           enum: [cash, card, transfer]
+ *       - in: query
+ *         name: moneyAccount
+ *         schema:
+ *           type: string
+ *           enum: [cash_drawer, card_terminal, bank]
+ *       - in: query
+ *         name: shift
+ *         description: Only transactions made during this shift
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
  */
 router.get(
   '/',
   auth,
   checkPermission(['manage_cash_register']),
+  [
+    query('shift').optional().isMongoId().withMessage('Invalid shift ID'),
+    query('branch').optional().isMongoId().withMessage('Invalid branch ID'),
+  ],
   getAllTransactions
 );
 
@@ -74,6 +99,45 @@ router.get(
   getCashRegisterSummary
 );
 
+/**
+ * @swagger
+ * /api/cash-register/balances:
+ *   get:
+ *     tags: [Cash Register]
+ *     summary: Get the current balance of the cash drawer, card terminal and bank
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         description: Only the money taken and paid out at this branch
+ *         schema:
+ *           type: string
+ */
+router.get(
+  '/balances',
+  auth,
+  checkPermission(['manage_cash_register']),
+  [query('branch').optional().isMongoId().withMessage('Invalid branch ID')],
+  getBalances
+);
+
+/**
+ * @swagger
+ * /api/cash-register/balances/rebuild:
+ *   post:
+ *     tags: [Cash Register]
+ *     summary: Recompute the running balances of every money account from transaction history
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  '/balances/rebuild',
+  auth,
+  checkPermission(['manage_cash_register']),
+  rebuildCashBalances,
+);
+
 /**
  * @swagger
  * /api/cash-register/{id}:
@@ -116,6 +180,10 @@ router.get(
  *               - amount
  *               - description
  *               - category
+ *             properties:
+ *               branch:
+ *                 type: string
+ *                 description: Defaults to the user's own branch
  */
 router.post(
   '/',
@@ -128,9 +196,10 @@ router.post(
     body('description').trim().notEmpty().withMessage('Description is required'),
     body('category').isIn(['sale', 'expense', 'refund', 'other']).withMessage('Invalid category'),
     body('reference').optional().isObject(),
-    body('reference.type').optional().isIn(['sale', 'expense', 'other']).withMessage('Invalid reference type'),
+    body('reference.type').optional().isIn(['sale', 'invoice', 'expense', 'other']).withMessage('Invalid reference type'),
     body('reference.id').optional().isMongoId().withMessage('Invalid reference ID'),
     body('notes').optional().trim(),
+    body('branch').optional().isMongoId().withMessage('Invalid branch ID'),
   ],
   createTransaction
 );
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
-const { auth } = require('../middleware/auth');
+const { isDateInput, parseDateInput } = require('../utils/jalali');
+const { auth, checkPermission } = require('../middleware/auth');
+const { registerPermissions } = require('../config/permissions');
 const {
   getAllExpenses,
   getExpenseById,
@@ -11,6 +13,10 @@ const {
   getExpenseStats,
 } = require('../controllers/expenseController');
 
+registerPermissions({
+  manage_expenses: 'Record and edit expenses',
+});
+
 /**
  * @swagger
  * components:
@@ -46,22 +52,34 @@ const {
  *           type: array
  *           items:
  *             type: string
+ *         branch:
+ *           type: string
+ *           description: Defaults to the user's own branch; set when the expense is created
  *         notes:
  *           type: string
  */
 
 // Validation middleware
 const expenseValidation = [
-  check('date').isISO8601().withMessage('Invalid date format'),
+  check('date')
+    .custom(isDateInput)
+    .withMessage('Invalid date format')
+    .customSanitizer(parseDateInput),
   check('description').notEmpty().withMessage('Description is required'),
   check('amount').isFloat({ min: 0 }).withMessage('Invalid amount'),
-  check('category').isIn(['rent', 'salary', 'supplies', 'utilities', 'maintenance', 'other'])
+  check('category')
+    .isIn(['rent', 'salary', 'supplies', 'utilities', 'maintenance', 'other'])
     .withMessage('Invalid category'),
-  check('paymentMethod').optional().isIn(['cash', 'card', 'transfer'])
+  check('paymentMethod')
+    .optional()
+    .isIn(['cash', 'card', 'transfer'])
     .withMessage('Invalid payment method'),
   check('recurring').optional().isBoolean().withMessage('Invalid recurring value'),
-  check('recurringPeriod').optional().isIn(['daily', 'weekly', 'monthly', 'yearly'])
+  check('recurringPeriod')
+    .optional()
+    .isIn(['daily', 'weekly', 'monthly', 'yearly'])
     .withMessage('Invalid recurring period'),
+  check('branch').optional().isMongoId().withMessage('Invalid branch ID'),
 ];
 
 /**
@@ -87,6 +105,10 @@ const expenseValidation = [
  *         name: category
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: List of expenses
@@ -97,7 +119,7 @@ const expenseValidation = [
  *               items:
  *                 $ref: '#/components/schemas/Expense'
  */
-router.get('/', auth, getAllExpenses);
+router.get('/', auth, checkPermission(['manage_expenses']), getAllExpenses);
 
 /**
  * @swagger
@@ -111,7 +133,7 @@ router.get('/', auth, getAllExpenses);
  *       200:
  *         description: Expense statistics
  */
-router.get('/stats', auth, getExpenseStats);
+router.get('/stats', auth, checkPermission(['manage_expenses']), getExpenseStats);
 
 /**
  * @swagger
@@ -135,7 +157,7 @@ router.get('/stats', auth, getExpenseStats);
  *             schema:
  *               $ref: '#/components/schemas/Expense'
  */
-router.get('/:id', auth, getExpenseById);
+router.get('/:id', auth, checkPermission(['manage_expenses']), getExpenseById);
 
 /**
  * @swagger
@@ -155,7 +177,7 @@ router.get('/:id', auth, getExpenseById);
  *       201:
  *         description: Expense created successfully
  */
-router.post('/', auth, expenseValidation, createExpense);
+router.post('/', auth, checkPermission(['manage_expenses']), expenseValidation, createExpense);
 
 /**
  * @swagger
@@ -180,8 +202,10 @@ router.post('/', auth, expenseValidation, createExpense);
  *     responses:
  *       200:
  *         description: Expense updated successfully
+ *       409:
+ *         description: The expense's payment was matched to a bank statement line
  */
-router.put('/:id', auth, expenseValidation, updateExpense);
+router.put('/:id', auth, checkPermission(['manage_expenses']), expenseValidation, updateExpense);
 
 /**
  * @swagger
@@ -200,7 +224,9 @@ router.put('/:id', auth, expenseValidation, updateExpense);
  *     responses:
  *       200:
  *         description: Expense deleted successfully
+ *       409:
+ *         description: The expense's payment was matched to a bank statement line
  */
-router.delete('/:id', auth, deleteExpense);
+router.delete('/:id', auth, checkPermission(['manage_expenses']), deleteExpense);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
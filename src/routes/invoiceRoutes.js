@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
+const { isDateInput, parseDateInput } = require('../utils/jalali');
 const { auth } = require('../middleware/auth');
 const {
   getAllInvoices,
@@ -19,7 +20,6 @@ const {
  *       type: object
  *       required:
  *         - type
- *         - party
  *         - items
  *         - paymentMethod
  *       properties:
@@ -32,8 +32,12 @@ const {
  *         dueDate:
  *           type: string
  *           format: date-time
+ *         supplier:
+ *           type: string
+ *           description: Supplier of a purchase invoice; fills in the party and default due date
  *         party:
  *           type: object
+ *           description: Required unless a supplier or purchase order is given
  *           properties:
  *             type:
  *               type: string
@@ -55,6 +59,19 @@ const {
  *               quantity:
  *                 type: number
  *                 minimum: 0.01
+ *               unit:
+ *                 type: string
+ *                 description: Any unit of the product; purchases default to the unit ordered in or the purchase unit
+ *               unitPrice:
+ *                 type: number
+ *                 description: Supplier price per unit for purchases; defaults to the order price or current cost
+ *               lotNumber:
+ *                 type: string
+ *                 description: Batch number of purchased stock
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Expiry of purchased stock; defaults to the product's shelf life
  *               discount:
  *                 type: number
  *                 minimum: 0
@@ -72,25 +89,62 @@ const {
  *         paidAmount:
  *           type: number
  *           minimum: 0
+ *         purchaseOrder:
+ *           type: string
+ *           description: Purchase order a supplier invoice is matched against
+ *         branch:
+ *           type: string
+ *           description: Defaults to the user's own branch; an order's invoice takes the order's branch
  */
 
+// Supplier invoices copy the party from the supplier record
+const partyRequired = (value, { req }) => !req.body.supplier && !req.body.purchaseOrder;
+
 // Validation middleware
 const invoiceValidation = [
   check('type').isIn(['sale', 'purchase']).withMessage('Invalid invoice type'),
-  check('date').optional().isISO8601().withMessage('Invalid date format'),
-  check('dueDate').optional().isISO8601().withMessage('Invalid date format'),
-  check('party.type').isIn(['customer', 'supplier']).withMessage('Invalid party type'),
-  check('party.name').notEmpty().withMessage('Party name is required'),
+  check('date')
+    .optional()
+    .custom(isDateInput)
+    .withMessage('Invalid date format')
+    .customSanitizer(parseDateInput),
+  check('dueDate')
+    .optional()
+    .custom(isDateInput)
+    .withMessage('Invalid date format')
+    .customSanitizer(parseDateInput),
+  check('supplier').optional().isMongoId().withMessage('Invalid supplier ID'),
+  check('branch').optional().isMongoId().withMessage('Invalid branch ID'),
+  check('party.type')
+    .if(partyRequired)
+    .isIn(['customer', 'supplier'])
+    .withMessage('Invalid party type'),
+  check('party.name').if(partyRequired).notEmpty().withMessage('Party name is required'),
   check('party.phone').optional().isMobilePhone('any').withMessage('Invalid phone number'),
   check('party.email').optional().isEmail().withMessage('Invalid email format'),
   check('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   check('items.*.product').isMongoId().withMessage('Invalid product ID'),
   check('items.*.quantity').isFloat({ min: 0.01 }).withMessage('Invalid quantity'),
-  check('items.*.discount').optional().isFloat({ min: 0, max: 100 }).withMessage('Invalid discount percentage'),
+  check('items.*.unit').optional().trim().notEmpty().withMessage('Unit cannot be empty'),
+  check('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Invalid unit price'),
+  check('items.*.lotNumber').optional().trim(),
+  check('items.*.expiryDate')
+    .optional()
+    .custom(isDateInput)
+    .withMessage('Invalid expiry date')
+    .customSanitizer(parseDateInput),
+  check('items.*.discount')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Invalid discount percentage'),
   check('tax').optional().isFloat({ min: 0 }).withMessage('Invalid tax amount'),
-  check('discount').optional().isFloat({ min: 0, max: 100 }).withMessage('Invalid discount percentage'),
+  check('discount')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Invalid discount percentage'),
   check('paymentMethod').isIn(['cash', 'card', 'transfer']).withMessage('Invalid payment method'),
   check('paidAmount').optional().isFloat({ min: 0 }).withMessage('Invalid paid amount'),
+  check('purchaseOrder').optional().isMongoId().withMessage('Invalid purchase order ID'),
 ];
 
 const paymentValidation = [
@@ -132,6 +186,10 @@ const paymentValidation = [
  *         schema:
  *           type: string
  *           enum: [paid, partial, unpaid]
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: List of invoices
@@ -258,4 +316,4 @@ router.patch('/:id/payment', auth, paymentValidation, updateInvoicePayment);
  */
 router.patch('/:id/cancel', auth, cancelInvoice);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,280 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, checkPermission } = require('../middleware/auth');
+const { registerPermissions } = require('../config/permissions');
+const { isDateInput, parseDateInput } = require('../utils/jalali');
+const {
+  getAccounts,
+  createAccount,
+  updateAccount,
+  getAccountEntries,
+  getJournals,
+  getJournalById,
+  createJournal,
+  reverseJournal,
+} = require('../controllers/ledgerController');
+
+const router = express.Router();
+
+registerPermissions({
+  manage_ledger: 'Manage the chart of accounts and journal entries',
+});
+
+/**
+ * @swagger
+ * /api/ledger/accounts:
+ *   get:
+ *     tags: [Ledger]
+ *     summary: Get the chart of accounts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [asset, liability, equity, revenue, expense]
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ */
+router.get('/accounts', auth, checkPermission(['view_reports']), getAccounts);
+
+/**
+ * @swagger
+ * /api/ledger/accounts:
+ *   post:
+ *     tags: [Ledger]
+ *     summary: Create an account in the chart of accounts
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *               - type
+ *             properties:
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [asset, liability, equity, revenue, expense]
+ *               parent:
+ *                 type: string
+ *               description:
+ *                 type: string
+ */
+router.post(
+  '/accounts',
+  auth,
+  checkPermission(['manage_ledger']),
+  [
+    body('code').trim().isNumeric().withMessage('Account code must be numeric'),
+    body('name').trim().notEmpty().withMessage('Account name is required'),
+    body('type')
+      .isIn(['asset', 'liability', 'equity', 'revenue', 'expense'])
+      .withMessage('Invalid account type'),
+    body('parent').optional().isMongoId().withMessage('Invalid parent account ID'),
+    body('description').optional().trim(),
+  ],
+  createAccount,
+);
+
+/**
+ * @swagger
+ * /api/ledger/accounts/{id}:
+ *   put:
+ *     tags: [Ledger]
+ *     summary: Update an account
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.put(
+  '/accounts/:id',
+  auth,
+  checkPermission(['manage_ledger']),
+  [
+    body('name').optional().trim().notEmpty().withMessage('Account name cannot be empty'),
+    body('description').optional().trim(),
+    body('isActive').optional().isBoolean(),
+  ],
+  updateAccount,
+);
+
+/**
+ * @swagger
+ * /api/ledger/accounts/{id}/entries:
+ *   get:
+ *     tags: [Ledger]
+ *     summary: Get postings to an account with a running balance
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ */
+router.get('/accounts/:id/entries', auth, checkPermission(['view_reports']), getAccountEntries);
+
+/**
+ * @swagger
+ * /api/ledger/journals:
+ *   get:
+ *     tags: [Ledger]
+ *     summary: Get journal entries with optional filters
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: sourceType
+ *         schema:
+ *           type: string
+ *           enum: [sale, invoice, goods_receipt, wastage, expense, payroll, cash_register, shift, manual]
+ *       - in: query
+ *         name: account
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [posted, reversed]
+ */
+router.get('/journals', auth, checkPermission(['view_reports']), getJournals);
+
+/**
+ * @swagger
+ * /api/ledger/journals/{id}:
+ *   get:
+ *     tags: [Ledger]
+ *     summary: Get journal entry by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/journals/:id', auth, checkPermission(['view_reports']), getJournalById);
+
+/**
+ * @swagger
+ * /api/ledger/journals:
+ *   post:
+ *     tags: [Ledger]
+ *     summary: Post a manual journal entry
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - description
+ *               - lines
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               description:
+ *                 type: string
+ *               reference:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     account:
+ *                       type: string
+ *                     debit:
+ *                       type: number
+ *                     credit:
+ *                       type: number
+ *                     description:
+ *                       type: string
+ */
+router.post(
+  '/journals',
+  auth,
+  checkPermission(['manage_ledger']),
+  [
+    body('date')
+      .optional()
+      .custom(isDateInput)
+      .withMessage('Invalid date format')
+      .customSanitizer(parseDateInput),
+    body('description').trim().notEmpty().withMessage('Description is required'),
+    body('reference').optional().trim(),
+    body('lines').isArray({ min: 2 }).withMessage('At least two lines are required'),
+    body('lines.*.account').isMongoId().withMessage('Invalid account ID'),
+    body('lines.*.debit')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Debit must be a positive number'),
+    body('lines.*.credit')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Credit must be a positive number'),
+  ],
+  createJournal,
+);
+
+/**
+ * @swagger
+ * /api/ledger/journals/{id}/reverse:
+ *   post:
+ *     tags: [Ledger]
+ *     summary: Reverse a posted journal entry
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post('/journals/:id/reverse', auth, checkPermission(['manage_ledger']), reverseJournal);
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, checkPermission } = require('../middleware/auth');
+const { registerPermissions } = require('../config/permissions');
+const { isDateInput, parseDateInput } = require('../utils/jalali');
+const {
+  getAllPayrolls,
+  getPayrollById,
+  createPayroll,
+  approvePayroll,
+  payPayroll,
+} = require('../controllers/payrollController');
+
+const router = express.Router();
+
+registerPermissions({
+  manage_staff: 'Manage payroll',
+});
+
+/**
+ * @swagger
+ * /api/payroll:
+ *   get:
+ *     tags: [Payroll]
+ *     summary: Get payrolls with optional filters
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, paid]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ */
+router.get('/', auth, checkPermission(['manage_staff']), getAllPayrolls);
+
+/**
+ * @swagger
+ * /api/payroll/{id}:
+ *   get:
+ *     tags: [Payroll]
+ *     summary: Get payroll by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id', auth, checkPermission(['manage_staff']), getPayrollById);
+
+/**
+ * @swagger
+ * /api/payroll:
+ *   post:
+ *     tags: [Payroll]
+ *     summary: Create a payroll for a staff member and month
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - month
+ *               - year
+ *               - hourlyRate
+ */
+router.post(
+  '/',
+  auth,
+  checkPermission(['manage_staff']),
+  [
+    body('userId').isMongoId().withMessage('Invalid user ID'),
+    body('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+    body('year').isInt({ min: 1 }).withMessage('Invalid year'),
+    body('hourlyRate').isFloat({ min: 0 }).withMessage('Hourly rate must be a positive number'),
+    body('workDays').optional().isArray().withMessage('Work days must be an array'),
+    body('workDays.*.date')
+      .custom(isDateInput)
+      .withMessage('Invalid work day date')
+      .customSanitizer(parseDateInput),
+    body('workDays.*.workHours').optional().isFloat({ min: 0 }).withMessage('Invalid work hours'),
+    body('workDays.*.leaveHours').optional().isFloat({ min: 0 }).withMessage('Invalid leave hours'),
+    body('bonus').optional().isFloat({ min: 0 }).withMessage('Bonus must be a positive number'),
+    body('deductions')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Deductions must be a positive number'),
+    body('notes').optional().trim(),
+  ],
+  createPayroll,
+);
+
+/**
+ * @swagger
+ * /api/payroll/{id}/approve:
+ *   post:
+ *     tags: [Payroll]
+ *     summary: Approve a payroll and accrue the salary
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post('/:id/approve', auth, checkPermission(['manage_staff']), approvePayroll);
+
+/**
+ * @swagger
+ * /api/payroll/{id}/pay:
+ *   post:
+ *     tags: [Payroll]
+ *     summary: Pay an approved payroll
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentMethod
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, card, transfer]
+ */
+router.post(
+  '/:id/pay',
+  auth,
+  checkPermission(['manage_staff']),
+  [body('paymentMethod').isIn(['cash', 'card', 'transfer']).withMessage('Invalid payment method')],
+  payPayroll,
+);
+
+module.exports = router;
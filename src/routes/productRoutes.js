@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, query } = require('express-validator');
 const { auth, checkPermission } = require('../middleware/auth');
+const { registerPermissions } = require('../config/permissions');
 const {
   getAllProducts,
   getProductById,
@@ -9,10 +10,22 @@ const {
   deleteProduct,
   searchProducts,
   getLowStockProducts,
+  getProductMovements,
+  getProductStock,
+  getProductLots,
+  getExpiringLots,
+  writeOffExpiredLots,
+  getCostingSettings,
+  updateCostingSettings,
 } = require('../controllers/productController');
+const User = require('../models/User');
 
 const router = express.Router();
 
+registerPermissions({
+  manage_products: 'Manage products, recipes, stock counts, wastage and transfers',
+});
+
 /**
  * @swagger
  * /api/products:
@@ -21,16 +34,17 @@ const router = express.Router();
  *     summary: Get all products for the authenticated cafe owner
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         description: Only products available at this branch
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: List of products
  */
-router.get(
-  '/',
-  auth,
-  checkPermission(['manage_products']),
-  getAllProducts
-);
+router.get('/', auth, checkPermission(['manage_products']), getAllProducts);
 
 /**
  * @swagger
@@ -50,27 +64,123 @@ router.get(
  *         schema:
  *           type: string
  */
+router.get('/search', auth, checkPermission(['manage_products']), searchProducts);
+
+/**
+ * @swagger
+ * /api/products/low-stock:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get stocked products at or below their reorder point or minimum stock
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/low-stock', auth, checkPermission(['manage_products']), getLowStockProducts);
+
+/**
+ * @swagger
+ * /api/products/expiring:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get stock lots that have expired or expire soon, earliest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         description: Include lots expiring within this many days
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ */
 router.get(
-  '/search',
+  '/expiring',
   auth,
   checkPermission(['manage_products']),
-  searchProducts
+  [query('days').optional().isInt({ min: 0 }).withMessage('Days must be a positive whole number')],
+  getExpiringLots,
 );
 
 /**
  * @swagger
- * /api/products/low-stock:
- *   get:
+ * /api/products/expiring/write-off:
+ *   post:
  *     tags: [Products]
- *     summary: Get low stock products
+ *     summary: Write off expired lots as wastage
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lots:
+ *                 type: array
+ *                 description: Expired lots to write off; all expired lots when omitted
+ *                 items:
+ *                   type: string
+ *               notes:
+ *                 type: string
  */
-router.get(
-  '/low-stock',
+router.post(
+  '/expiring/write-off',
   auth,
   checkPermission(['manage_products']),
-  getLowStockProducts
+  [
+    body('lots').optional().isArray({ min: 1 }).withMessage('Lots must be a non-empty array'),
+    body('lots.*').isMongoId().withMessage('Invalid lot ID'),
+    body('notes').optional().trim(),
+  ],
+  writeOffExpiredLots,
+);
+
+/**
+ * @swagger
+ * /api/products/costing:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get the cafe's inventory costing method
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/costing', auth, checkPermission(['manage_products']), getCostingSettings);
+
+/**
+ * @swagger
+ * /api/products/costing:
+ *   put:
+ *     tags: [Products]
+ *     summary: Change how stock leaving the cafe is costed
+ *     description: >
+ *       Sales and other stock going out are costed at the moving weighted
+ *       average cost, or at the cost of the oldest stock lots first (FIFO).
+ *       The change applies from the next stock that goes out.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - costingMethod
+ *             properties:
+ *               costingMethod:
+ *                 type: string
+ *                 enum: [weighted_average, fifo]
+ */
+router.put(
+  '/costing',
+  auth,
+  checkPermission(['manage_ledger']),
+  [body('costingMethod').isIn(User.COSTING_METHODS).withMessage('Invalid costing method')],
+  updateCostingSettings,
 );
 
 /**
@@ -88,12 +198,77 @@ router.get(
  *         schema:
  *           type: string
  */
-router.get(
-  '/:id',
-  auth,
-  checkPermission(['manage_products']),
-  getProductById
-);
+router.get('/:id', auth, checkPermission(['manage_products']), getProductById);
+
+/**
+ * @swagger
+ * /api/products/{id}/movements:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get the stock movement history of a product
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [opening, sale, sale_return, purchase, purchase_return, count, adjustment, wastage, transfer_out, transfer_in]
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ */
+router.get('/:id/movements', auth, checkPermission(['manage_products']), getProductMovements);
+
+/**
+ * @swagger
+ * /api/products/{id}/stock:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get the product's stock at each branch
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id/stock', auth, checkPermission(['manage_products']), getProductStock);
+
+/**
+ * @swagger
+ * /api/products/{id}/lots:
+ *   get:
+ *     tags: [Products]
+ *     summary: Get the product's open stock lots and their costs, oldest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id/lots', auth, checkPermission(['manage_products']), getProductLots);
 
 /**
  * @swagger
@@ -116,6 +291,60 @@ router.get(
  *               - category
  *               - cost
  *               - unit
+ *             properties:
+ *               unit:
+ *                 type: string
+ *                 description: Unit stock is held and costed in
+ *               units:
+ *                 type: array
+ *                 description: Other units the product is handled in, such as a crate
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     factor:
+ *                       type: number
+ *                       description: How many of the stock unit one of this unit holds
+ *               purchaseUnit:
+ *                 type: string
+ *                 description: Default unit of purchase orders and invoices
+ *               consumptionUnit:
+ *                 type: string
+ *                 description: Default unit of recipes using the product
+ *               reorderPoint:
+ *                 type: number
+ *                 description: Stock level at which to order more; defaults to the minimum stock plus usage over the supplier's lead time
+ *               reorderQuantity:
+ *                 type: number
+ *                 description: Quantity to order, in the stock unit
+ *               supplier:
+ *                 type: string
+ *                 description: ID of the usual supplier
+ *               shelfLifeDays:
+ *                 type: integer
+ *                 description: Days new stock keeps, used when a delivery has no expiry date
+ *               branches:
+ *                 type: array
+ *                 description: Branches that sell or stock the product; all branches when empty
+ *                 items:
+ *                   type: string
+ *               branch:
+ *                 type: string
+ *                 description: Branch the opening stock is held at, defaults to the user's branch
+ *               recipe:
+ *                 type: array
+ *                 description: Ingredients taken out of stock when the product is sold
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     ingredient:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     unit:
+ *                       type: string
+ *                       description: Any unit of the ingredient, defaulting to its consumption unit
  */
 router.post(
   '/',
@@ -128,12 +357,48 @@ router.post(
     body('category').trim().notEmpty().withMessage('Category is required'),
     body('cost').isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
     body('unit').trim().notEmpty().withMessage('Unit is required'),
-    body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a positive number'),
-    body('minimumStock').optional().isInt({ min: 0 }).withMessage('Minimum stock must be a positive number'),
-    body('supplier').optional().isObject(),
+    body('units').optional().isArray().withMessage('Units must be an array'),
+    body('units.*.name').trim().notEmpty().withMessage('Unit name is required'),
+    body('units.*.factor').isFloat({ gt: 0 }).withMessage('Unit factor must be greater than zero'),
+    body('purchaseUnit').optional({ values: 'null' }).trim(),
+    body('consumptionUnit').optional({ values: 'null' }).trim(),
+    body('stockQuantity')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Stock quantity must be a positive number'),
+    body('minimumStock')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Minimum stock must be a positive number'),
+    body('reorderPoint')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('Reorder point must be a positive number'),
+    body('reorderQuantity')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('Reorder quantity must be a positive number'),
+    body('shelfLifeDays')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Shelf life must be a whole number of days'),
+    body('supplier').optional({ values: 'null' }).isMongoId().withMessage('Invalid supplier ID'),
+    body('branches').optional().isArray().withMessage('Branches must be an array'),
+    body('branches.*').isMongoId().withMessage('Invalid branch ID'),
+    body('branch').optional().isMongoId().withMessage('Invalid branch ID'),
     body('tags').optional().isArray(),
+    body('recipe').optional().isArray().withMessage('Recipe must be an array'),
+    body('recipe.*.ingredient').isMongoId().withMessage('Invalid ingredient ID'),
+    body('recipe.*.quantity')
+      .isFloat({ gt: 0 })
+      .withMessage('Ingredient quantity must be greater than zero'),
+    body('recipe.*.unit')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Ingredient unit cannot be empty'),
   ],
-  createProduct
+  createProduct,
 );
 
 /**
@@ -162,13 +427,49 @@ router.put(
     body('category').optional().trim().notEmpty().withMessage('Category cannot be empty'),
     body('cost').optional().isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
     body('unit').optional().trim().notEmpty().withMessage('Unit cannot be empty'),
-    body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a positive number'),
-    body('minimumStock').optional().isInt({ min: 0 }).withMessage('Minimum stock must be a positive number'),
-    body('supplier').optional().isObject(),
+    body('units').optional().isArray().withMessage('Units must be an array'),
+    body('units.*.name').trim().notEmpty().withMessage('Unit name is required'),
+    body('units.*.factor').isFloat({ gt: 0 }).withMessage('Unit factor must be greater than zero'),
+    body('purchaseUnit').optional({ values: 'null' }).trim(),
+    body('consumptionUnit').optional({ values: 'null' }).trim(),
+    body('stockQuantity')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Stock quantity must be a positive number'),
+    body('minimumStock')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Minimum stock must be a positive number'),
+    body('reorderPoint')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('Reorder point must be a positive number'),
+    body('reorderQuantity')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('Reorder quantity must be a positive number'),
+    body('shelfLifeDays')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Shelf life must be a whole number of days'),
+    body('supplier').optional({ values: 'null' }).isMongoId().withMessage('Invalid supplier ID'),
+    body('branches').optional().isArray().withMessage('Branches must be an array'),
+    body('branches.*').isMongoId().withMessage('Invalid branch ID'),
+    body('branch').optional().isMongoId().withMessage('Invalid branch ID'),
     body('tags').optional().isArray(),
+    body('recipe').optional().isArray().withMessage('Recipe must be an array'),
+    body('recipe.*.ingredient').isMongoId().withMessage('Invalid ingredient ID'),
+    body('recipe.*.quantity')
+      .isFloat({ gt: 0 })
+      .withMessage('Ingredient quantity must be greater than zero'),
+    body('recipe.*.unit')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Ingredient unit cannot be empty'),
     body('isActive').optional().isBoolean(),
   ],
-  updateProduct
+  updateProduct,
 );
 
 /**
@@ -186,11 +487,6 @@ router.put(
  *         schema:
  *           type: string
  */
-router.delete(
-  '/:id',
-  auth,
-  checkPermission(['manage_products']),
-  deleteProduct
-);
+router.delete('/:id', auth, checkPermission(['manage_products']), deleteProduct);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,359 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth, checkPermission } = require('../middleware/auth');
+const { registerPermissions } = require('../config/permissions');
+const { isDateInput, parseDateInput } = require('../utils/jalali');
+const {
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  getReorderSuggestions,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receiveGoods,
+  closePurchaseOrder,
+  getPurchaseOrderMatch,
+} = require('../controllers/purchaseOrderController');
+
+const router = express.Router();
+
+registerPermissions({
+  manage_purchases: 'Manage suppliers, purchase orders and goods receipts',
+});
+
+const dateField = (field) =>
+  body(field)
+    .optional()
+    .custom(isDateInput)
+    .withMessage('Invalid date format')
+    .customSanitizer(parseDateInput);
+
+const orderItemsValidation = [
+  body('items.*.product').isMongoId().withMessage('Invalid product ID'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than zero'),
+  body('items.*.unit').optional().trim().notEmpty().withMessage('Unit cannot be empty'),
+  body('items.*.unitCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit cost must be a positive number'),
+];
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   get:
+ *     tags: [Purchase Orders]
+ *     summary: Get purchase orders with optional filters
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, sent, partially_received, received, closed, cancelled]
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ */
+router.get(
+  '/',
+  auth,
+  checkPermission(['manage_purchases']),
+  [
+    query('supplier').optional().isMongoId().withMessage('Invalid supplier ID'),
+    query('branch').optional().isMongoId().withMessage('Invalid branch ID'),
+  ],
+  getPurchaseOrders,
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/suggestions:
+ *   get:
+ *     tags: [Purchase Orders]
+ *     summary: Get suggested purchases per supplier from stock levels, recent usage and lead times
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: usageDays
+ *         description: Days of past usage to average, defaults to 28
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: coverDays
+ *         description: Days of usage an order should cover beyond the reorder point, defaults to 14
+ *         schema:
+ *           type: integer
+ */
+router.get(
+  '/suggestions',
+  auth,
+  checkPermission(['manage_purchases']),
+  [
+    query('usageDays')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Usage days must be between 1 and 365'),
+    query('coverDays')
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage('Cover days must be between 0 and 365'),
+  ],
+  getReorderSuggestions,
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   get:
+ *     tags: [Purchase Orders]
+ *     summary: Get purchase order by ID with its goods receipts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id', auth, checkPermission(['manage_purchases']), getPurchaseOrderById);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/match:
+ *   get:
+ *     tags: [Purchase Orders]
+ *     summary: Three-way match of ordered, received and invoiced quantities and prices
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id/match', auth, checkPermission(['manage_purchases']), getPurchaseOrderMatch);
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   post:
+ *     tags: [Purchase Orders]
+ *     summary: Create a draft purchase order
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplier
+ *               - items
+ *             properties:
+ *               supplier:
+ *                 type: string
+ *                 description: Supplier ID
+ *               branch:
+ *                 type: string
+ *                 description: Branch the goods are delivered to, defaults to the user's own
+ *               expectedDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to the order date plus the supplier's lead time
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     unit:
+ *                       type: string
+ *                       description: Any unit of the product, defaults to its purchase unit
+ *                     unitCost:
+ *                       type: number
+ *                       description: Price per unit ordered, defaults to the product's current cost
+ *               tax:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ */
+router.post(
+  '/',
+  auth,
+  checkPermission(['manage_purchases']),
+  [
+    body('supplier').isMongoId().withMessage('Invalid supplier ID'),
+    dateField('date'),
+    dateField('expectedDate'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    ...orderItemsValidation,
+    body('tax').optional().isFloat({ min: 0 }).withMessage('Tax must be a positive number'),
+    body('branch').optional().isMongoId().withMessage('Invalid branch ID'),
+    body('notes').optional().trim(),
+  ],
+  createPurchaseOrder,
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   put:
+ *     tags: [Purchase Orders]
+ *     summary: Update a draft purchase order
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.put(
+  '/:id',
+  auth,
+  checkPermission(['manage_purchases']),
+  [
+    body('supplier').optional().isMongoId().withMessage('Invalid supplier ID'),
+    dateField('date'),
+    dateField('expectedDate'),
+    body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
+    ...orderItemsValidation,
+    body('tax').optional().isFloat({ min: 0 }).withMessage('Tax must be a positive number'),
+    body('branch').optional().isMongoId().withMessage('Invalid branch ID'),
+    body('notes').optional().trim(),
+  ],
+  updatePurchaseOrder,
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/send:
+ *   post:
+ *     tags: [Purchase Orders]
+ *     summary: Mark a draft purchase order as sent to the supplier
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post('/:id/send', auth, checkPermission(['manage_purchases']), sendPurchaseOrder);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/receipts:
+ *   post:
+ *     tags: [Purchase Orders]
+ *     summary: Receive a full or partial delivery against a purchase order
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItem:
+ *                       type: string
+ *                       description: ID of the purchase order line
+ *                     quantity:
+ *                       type: number
+ *                     unit:
+ *                       type: string
+ *                       description: Any unit of the product, defaults to the unit ordered in
+ *                     unitCost:
+ *                       type: number
+ *                       description: Price per unit delivered, defaults to the order price
+ *                     lotNumber:
+ *                       type: string
+ *                     expiryDate:
+ *                       type: string
+ *                       format: date
+ *                       description: Defaults to the receipt date plus the product's shelf life
+ *               notes:
+ *                 type: string
+ */
+router.post(
+  '/:id/receipts',
+  auth,
+  checkPermission(['manage_purchases']),
+  [
+    dateField('date'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.orderItem').isMongoId().withMessage('Invalid order line ID'),
+    body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than zero'),
+    body('items.*.unit').optional().trim().notEmpty().withMessage('Unit cannot be empty'),
+    body('items.*.unitCost')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Unit cost must be a positive number'),
+    body('items.*.lotNumber').optional().trim(),
+    dateField('items.*.expiryDate'),
+    body('notes').optional().trim(),
+  ],
+  receiveGoods,
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/close:
+ *   post:
+ *     tags: [Purchase Orders]
+ *     summary: Close an order that will not be delivered in full, or cancel an undelivered one
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post('/:id/close', auth, checkPermission(['manage_purchases']), closePurchaseOrder);
+
+module.exports = router;
@@ -0,0 +1,371 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth, checkPermission } = require('../middleware/auth');
+const { isDateInput } = require('../utils/jalali');
+const BankStatement = require('../models/BankStatement');
+const {
+  getStatements,
+  getStatementById,
+  importStatement,
+  autoMatchStatement,
+  getUnmatchedItems,
+  matchStatementLine,
+  unmatchStatementLine,
+  ignoreStatementLine,
+  reconcileStatement,
+  reopenStatement,
+  deleteStatement,
+} = require('../controllers/reconciliationController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StatementImport:
+ *       type: object
+ *       required:
+ *         - moneyAccount
+ *         - csv
+ *       properties:
+ *         moneyAccount:
+ *           type: string
+ *           enum: [card_terminal, bank]
+ *         csv:
+ *           type: string
+ *           description: >
+ *             Statement as CSV text with a header row. Dates may be Jalali or
+ *             Gregorian; amounts are signed, money in positive, unless the
+ *             file has separate credit and debit columns.
+ *         columns:
+ *           type: object
+ *           description: Header names of the file's columns, when they differ from the defaults
+ *           properties:
+ *             date:
+ *               type: string
+ *               default: date
+ *             amount:
+ *               type: string
+ *               default: amount
+ *             credit:
+ *               type: string
+ *               default: credit
+ *             debit:
+ *               type: string
+ *               default: debit
+ *             reference:
+ *               type: string
+ *               default: reference
+ *             description:
+ *               type: string
+ *               default: description
+ *         periodStart:
+ *           type: string
+ *           format: date
+ *           description: Defaults to the date of the first line
+ *         periodEnd:
+ *           type: string
+ *           format: date
+ *           description: Defaults to the date of the last line
+ *         fileName:
+ *           type: string
+ *         notes:
+ *           type: string
+ */
+
+const COLUMN_FIELDS = ['date', 'amount', 'credit', 'debit', 'reference', 'description'];
+
+/**
+ * @swagger
+ * /api/reconciliation/statements:
+ *   get:
+ *     tags: [Reconciliation]
+ *     summary: Get imported statements with their line counts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: moneyAccount
+ *         schema:
+ *           type: string
+ *           enum: [card_terminal, bank]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, reconciled]
+ */
+router.get(
+  '/statements',
+  auth,
+  checkPermission(['manage_ledger']),
+  [
+    query('moneyAccount').optional().isIn(BankStatement.STATEMENT_ACCOUNTS),
+    query('status').optional().isIn(['open', 'reconciled']),
+  ],
+  getStatements,
+);
+
+/**
+ * @swagger
+ * /api/reconciliation/statements/{id}:
+ *   get:
+ *     tags: [Reconciliation]
+ *     summary: Get a statement with its lines and the register rows they match
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/statements/:id', auth, checkPermission(['manage_ledger']), getStatementById);
+
+/**
+ * @swagger
+ * /api/reconciliation/statements/{id}/unmatched:
+ *   get:
+ *     tags: [Reconciliation]
+ *     summary: Get the statement's unmatched lines and the period's unmatched register rows
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get(
+  '/statements/:id/unmatched',
+  auth,
+  checkPermission(['manage_ledger']),
+  getUnmatchedItems,
+);
+
+/**
+ * @swagger
+ * /api/reconciliation/statements:
+ *   post:
+ *     tags: [Reconciliation]
+ *     summary: Import a statement from CSV and match its lines to register rows
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StatementImport'
+ */
+router.post(
+  '/statements',
+  auth,
+  checkPermission(['manage_ledger']),
+  [
+    body('moneyAccount')
+      .isIn(BankStatement.STATEMENT_ACCOUNTS)
+      .withMessage('Statements can be imported for the card terminal or the bank'),
+    body('csv').isString().notEmpty().withMessage('Statement CSV is required'),
+    body('columns').optional().isObject().withMessage('Columns must be an object'),
+    ...COLUMN_FIELDS.map((field) =>
+      body(`columns.${field}`).optional().isString().trim().notEmpty(),
+    ),
+    body('periodStart').optional().custom(isDateInput).withMessage('Invalid period start'),
+    body('periodEnd').optional().custom(isDateInput).withMessage('Invalid period end'),
+    body('fileName').optional().trim(),
+    body('notes').optional().trim(),
+  ],
+  importStatement,
+);
+
+/**
+ * @swagger
+ * /api/reconciliation/statements/{id}/auto-match:
+ *   post:
+ *     tags: [Reconciliation]
+ *     summary: Match the statement's unmatched lines again
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post(
+  '/statements/:id/auto-match',
+  auth,
+  checkPermission(['manage_ledger']),
+  autoMatchStatement,
+);
+
+/**
+ * @swagger
+ * /api/reconciliation/statements/{id}/lines/{lineId}/match:
+ *   post:
+ *     tags: [Reconciliation]
+ *     summary: Match a statement line by hand to register rows that add up to it
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transactions
+ *             properties:
+ *               transactions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Cash register transaction IDs
+ */
+router.post(
+  '/statements/:id/lines/:lineId/match',
+  auth,
+  checkPermission(['manage_ledger']),
+  [
+    body('transactions').isArray({ min: 1 }).withMessage('At least one transaction is required'),
+    body('transactions.*').isMongoId().withMessage('Invalid transaction ID'),
+  ],
+  matchStatementLine,
+);
+
+/**
+ * @swagger
+ * /api/reconciliation/statements/{id}/lines/{lineId}/match:
+ *   delete:
+ *     tags: [Reconciliation]
+ *     summary: Undo a statement line's match
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.delete(
+  '/statements/:id/lines/:lineId/match',
+  auth,
+  checkPermission(['manage_ledger']),
+  unmatchStatementLine,
+);
+
+/**
+ * @swagger
+ * /api/reconciliation/statements/{id}/lines/{lineId}/ignore:
+ *   post:
+ *     tags: [Reconciliation]
+ *     summary: Ignore a statement line with no register row, such as a bank fee
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ */
+router.post(
+  '/statements/:id/lines/:lineId/ignore',
+  auth,
+  checkPermission(['manage_ledger']),
+  [body('notes').optional().trim()],
+  ignoreStatementLine,
+);
+
+/**
+ * @swagger
+ * /api/reconciliation/statements/{id}/reconcile:
+ *   post:
+ *     tags: [Reconciliation]
+ *     summary: Reconcile a fully matched statement and lock its period
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post(
+  '/statements/:id/reconcile',
+  auth,
+  checkPermission(['manage_ledger']),
+  reconcileStatement,
+);
+
+/**
+ * @swagger
+ * /api/reconciliation/statements/{id}/reopen:
+ *   post:
+ *     tags: [Reconciliation]
+ *     summary: Reopen a reconciled statement, unlocking its period
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post('/statements/:id/reopen', auth, checkPermission(['manage_ledger']), reopenStatement);
+
+/**
+ * @swagger
+ * /api/reconciliation/statements/{id}:
+ *   delete:
+ *     tags: [Reconciliation]
+ *     summary: Delete an unreconciled statement and free the register rows it matched
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.delete('/statements/:id', auth, checkPermission(['manage_ledger']), deleteStatement);
+
+module.exports = router;
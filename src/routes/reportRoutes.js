@@ -0,0 +1,225 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { auth, checkPermission } = require('../middleware/auth');
+const { registerPermissions } = require('../config/permissions');
+const { isDateInput } = require('../utils/jalali');
+const {
+  getTrialBalance,
+  getProfitAndLoss,
+  getBalanceSheet,
+  getBranchComparison,
+  getIngredientUsage,
+  getUsageVariance,
+  getWastageReport,
+} = require('../controllers/reportController');
+
+const router = express.Router();
+
+registerPermissions({
+  view_reports: 'View financial and sales reports',
+});
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ReportStartDate:
+ *       in: query
+ *       name: startDate
+ *       description: Start of the report period (defaults to the start of the current Jalali month)
+ *       schema:
+ *         type: string
+ *         format: date
+ *     ReportEndDate:
+ *       in: query
+ *       name: endDate
+ *       description: End of the report period, inclusive (defaults to now)
+ *       schema:
+ *         type: string
+ *         format: date
+ *     ReportCompareWith:
+ *       in: query
+ *       name: compareWith
+ *       schema:
+ *         type: string
+ *         enum: [previous_period, previous_year, none]
+ *         default: previous_period
+ *     ReportCompareStartDate:
+ *       in: query
+ *       name: compareStartDate
+ *       description: Explicit comparison period start, overrides compareWith
+ *       schema:
+ *         type: string
+ *         format: date
+ *     ReportCompareEndDate:
+ *       in: query
+ *       name: compareEndDate
+ *       schema:
+ *         type: string
+ *         format: date
+ */
+
+// Validation middleware
+const reportValidation = [
+  query('startDate').optional().custom(isDateInput).withMessage('Invalid start date'),
+  query('endDate').optional().custom(isDateInput).withMessage('Invalid end date'),
+  query('compareWith')
+    .optional()
+    .isIn(['previous_period', 'previous_year', 'none'])
+    .withMessage('Invalid comparison'),
+  query('compareStartDate')
+    .optional()
+    .custom(isDateInput)
+    .withMessage('Invalid comparison start date'),
+  query('compareEndDate').optional().custom(isDateInput).withMessage('Invalid comparison end date'),
+];
+
+/**
+ * @swagger
+ * /api/reports/trial-balance:
+ *   get:
+ *     tags: [Reports]
+ *     summary: Trial balance with opening, period and closing balances per account
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportStartDate'
+ *       - $ref: '#/components/parameters/ReportEndDate'
+ *       - $ref: '#/components/parameters/ReportCompareWith'
+ *       - $ref: '#/components/parameters/ReportCompareStartDate'
+ *       - $ref: '#/components/parameters/ReportCompareEndDate'
+ */
+router.get(
+  '/trial-balance',
+  auth,
+  checkPermission(['view_reports']),
+  reportValidation,
+  getTrialBalance,
+);
+
+/**
+ * @swagger
+ * /api/reports/profit-loss:
+ *   get:
+ *     tags: [Reports]
+ *     summary: Profit and loss statement for a period
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportStartDate'
+ *       - $ref: '#/components/parameters/ReportEndDate'
+ *       - $ref: '#/components/parameters/ReportCompareWith'
+ *       - $ref: '#/components/parameters/ReportCompareStartDate'
+ *       - $ref: '#/components/parameters/ReportCompareEndDate'
+ *       - in: query
+ *         name: branch
+ *         description: Only this branch's results; the whole cafe when left out
+ *         schema:
+ *           type: string
+ */
+router.get(
+  '/profit-loss',
+  auth,
+  checkPermission(['view_reports']),
+  [...reportValidation, query('branch').optional().isMongoId().withMessage('Invalid branch ID')],
+  getProfitAndLoss,
+);
+
+/**
+ * @swagger
+ * /api/reports/branches:
+ *   get:
+ *     tags: [Reports]
+ *     summary: Each branch's sales, costs and net income side by side with the consolidated totals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportStartDate'
+ *       - $ref: '#/components/parameters/ReportEndDate'
+ */
+router.get(
+  '/branches',
+  auth,
+  checkPermission(['view_reports']),
+  reportValidation,
+  getBranchComparison,
+);
+
+/**
+ * @swagger
+ * /api/reports/balance-sheet:
+ *   get:
+ *     tags: [Reports]
+ *     summary: Balance sheet as of the end of the period
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportStartDate'
+ *       - $ref: '#/components/parameters/ReportEndDate'
+ *       - $ref: '#/components/parameters/ReportCompareWith'
+ *       - $ref: '#/components/parameters/ReportCompareStartDate'
+ *       - $ref: '#/components/parameters/ReportCompareEndDate'
+ */
+router.get(
+  '/balance-sheet',
+  auth,
+  checkPermission(['view_reports']),
+  reportValidation,
+  getBalanceSheet,
+);
+
+/**
+ * @swagger
+ * /api/reports/ingredient-usage:
+ *   get:
+ *     tags: [Reports]
+ *     summary: Theoretical stock usage of sales in a period, following product recipes
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportStartDate'
+ *       - $ref: '#/components/parameters/ReportEndDate'
+ */
+router.get(
+  '/ingredient-usage',
+  auth,
+  checkPermission(['view_reports']),
+  reportValidation,
+  getIngredientUsage,
+);
+
+/**
+ * @swagger
+ * /api/reports/usage-variance:
+ *   get:
+ *     tags: [Reports]
+ *     summary: Actual usage between stock counts against theoretical usage from recipes
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportStartDate'
+ *       - $ref: '#/components/parameters/ReportEndDate'
+ */
+router.get(
+  '/usage-variance',
+  auth,
+  checkPermission(['view_reports']),
+  reportValidation,
+  getUsageVariance,
+);
+
+/**
+ * @swagger
+ * /api/reports/wastage:
+ *   get:
+ *     tags: [Reports]
+ *     summary: Recorded wastage by reason, with the products and staff behind it
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportStartDate'
+ *       - $ref: '#/components/parameters/ReportEndDate'
+ */
+router.get('/wastage', auth, checkPermission(['view_reports']), reportValidation, getWastageReport);
+
+module.exports = router;
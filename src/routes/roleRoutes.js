@@ -0,0 +1,155 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, checkRole } = require('../middleware/auth');
+const { isCafePermission } = require('../config/permissions');
+const {
+  getPermissions,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+} = require('../controllers/roleController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Shift manager
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           description: Keys from GET /api/roles/permissions
+ *           items:
+ *             type: string
+ */
+
+// Validation middleware
+const roleValidation = [
+  body('description').optional().trim(),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').custom(isCafePermission).withMessage('Invalid permission'),
+];
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     tags: [Roles]
+ *     summary: Get the permissions roles and staff can be given
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/permissions', auth, checkRole(['cafe_owner']), getPermissions);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     tags: [Roles]
+ *     summary: Get the cafe's roles with how many staff hold each
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', auth, checkRole(['cafe_owner']), getRoles);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   get:
+ *     tags: [Roles]
+ *     summary: Get role by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id', auth, checkRole(['cafe_owner']), getRoleById);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     tags: [Roles]
+ *     summary: Create a role
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Role'
+ */
+router.post(
+  '/',
+  auth,
+  checkRole(['cafe_owner']),
+  [body('name').trim().notEmpty().withMessage('Role name is required'), ...roleValidation],
+  createRole,
+);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   put:
+ *     tags: [Roles]
+ *     summary: Update a role, changing what the staff holding it may do
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Role'
+ */
+router.put(
+  '/:id',
+  auth,
+  checkRole(['cafe_owner']),
+  [
+    body('name').optional().trim().notEmpty().withMessage('Role name cannot be empty'),
+    ...roleValidation,
+  ],
+  updateRole,
+);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   delete:
+ *     tags: [Roles]
+ *     summary: Delete a role no staff member holds
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.delete('/:id', auth, checkRole(['cafe_owner']), deleteRole);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, query } = require('express-validator');
 const { auth, checkPermission } = require('../middleware/auth');
+const { registerPermissions } = require('../config/permissions');
 const {
   getAllSales,
   getSaleById,
@@ -8,10 +9,19 @@ const {
   updateSale,
   cancelSale,
   getSalesStats,
+  openOrder,
+  addOrderItems,
+  removeOrderItem,
+  updateOrderStatus,
+  closeOrder,
 } = require('../controllers/saleController');
 
 const router = express.Router();
 
+registerPermissions({
+  manage_sales: 'Record sales and manage open orders',
+});
+
 /**
  * @swagger
  * /api/sales:
@@ -35,18 +45,31 @@ const router = express.Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [completed, cancelled, refunded]
+ *           enum: [open, sent_to_kitchen, served, closed, completed, cancelled, refunded]
  *       - in: query
  *         name: paymentStatus
  *         schema:
  *           type: string
  *           enum: [paid, partial, unpaid]
+ *       - in: query
+ *         name: shift
+ *         description: Only sales settled during this shift
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
  */
 router.get(
   '/',
   auth,
   checkPermission(['manage_sales']),
-  getAllSales
+  [
+    query('shift').optional().isMongoId().withMessage('Invalid shift ID'),
+    query('branch').optional().isMongoId().withMessage('Invalid branch ID'),
+  ],
+  getAllSales,
 );
 
 /**
@@ -68,12 +91,17 @@ router.get(
  *         schema:
  *           type: string
  *           format: date
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
  */
 router.get(
   '/stats',
   auth,
   checkPermission(['manage_sales']),
-  getSalesStats
+  [query('branch').optional().isMongoId().withMessage('Invalid branch ID')],
+  getSalesStats,
 );
 
 /**
@@ -91,12 +119,7 @@ router.get(
  *         schema:
  *           type: string
  */
-router.get(
-  '/:id',
-  auth,
-  checkPermission(['manage_sales']),
-  getSaleById
-);
+router.get('/:id', auth, checkPermission(['manage_sales']), getSaleById);
 
 /**
  * @swagger
@@ -115,6 +138,10 @@ router.get(
  *             required:
  *               - items
  *               - paymentMethod
+ *             properties:
+ *               branch:
+ *                 type: string
+ *                 description: Defaults to the user's own branch; required once the cafe has branches
  */
 router.post(
   '/',
@@ -124,17 +151,29 @@ router.post(
     body('items').isArray().withMessage('Items must be an array'),
     body('items.*.product').isMongoId().withMessage('Invalid product ID'),
     body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-    body('items.*.discount').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+    body('items.*.discount')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Discount must be between 0 and 100'),
     body('tax').optional().isFloat({ min: 0 }).withMessage('Tax must be a positive number'),
-    body('discount').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
-    body('paymentMethod').isIn(['cash', 'card', 'transfer', 'credit']).withMessage('Invalid payment method'),
-    body('paidAmount').optional().isFloat({ min: 0 }).withMessage('Paid amount must be a positive number'),
+    body('discount')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Discount must be between 0 and 100'),
+    body('paymentMethod')
+      .isIn(['cash', 'card', 'transfer', 'credit'])
+      .withMessage('Invalid payment method'),
+    body('paidAmount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Paid amount must be a positive number'),
     body('customer').optional().isObject(),
     body('customer.name').optional().trim().notEmpty().withMessage('Customer name cannot be empty'),
     body('customer.phone').optional().trim(),
     body('customer.address').optional().trim(),
+    body('branch').optional().isMongoId().withMessage('Invalid branch ID'),
   ],
-  createSale
+  createSale,
 );
 
 /**
@@ -157,10 +196,13 @@ router.put(
   auth,
   checkPermission(['manage_sales']),
   [
-    body('paidAmount').optional().isFloat({ min: 0 }).withMessage('Paid amount must be a positive number'),
+    body('paidAmount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Paid amount must be a positive number'),
     body('notes').optional().trim(),
   ],
-  updateSale
+  updateSale,
 );
 
 /**
@@ -178,11 +220,205 @@ router.put(
  *         schema:
  *           type: string
  */
+router.post('/:id/cancel', auth, checkPermission(['manage_sales']), cancelSale);
+
+/**
+ * @swagger
+ * /api/sales/orders:
+ *   post:
+ *     tags: [Sales]
+ *     summary: Open a new order ticket that is paid for later
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               branch:
+ *                 type: string
+ *                 description: Defaults to the user's own branch
+ *               orderType:
+ *                 type: string
+ *                 enum: [dine_in, takeaway, delivery]
+ *               tableNumber:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     discount:
+ *                       type: number
+ *                     notes:
+ *                       type: string
+ */
+router.post(
+  '/orders',
+  auth,
+  checkPermission(['manage_sales']),
+  [
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.product').isMongoId().withMessage('Invalid product ID'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.discount')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Discount must be between 0 and 100'),
+    body('items.*.notes').optional().trim(),
+    body('orderType')
+      .optional()
+      .isIn(['dine_in', 'takeaway', 'delivery'])
+      .withMessage('Invalid order type'),
+    body('tableNumber').optional().trim(),
+    body('tax').optional().isFloat({ min: 0 }).withMessage('Tax must be a positive number'),
+    body('discount')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Discount must be between 0 and 100'),
+    body('customer').optional().isObject(),
+    body('branch').optional().isMongoId().withMessage('Invalid branch ID'),
+    body('notes').optional().trim(),
+  ],
+  openOrder,
+);
+
+/**
+ * @swagger
+ * /api/sales/{id}/items:
+ *   post:
+ *     tags: [Sales]
+ *     summary: Add items to an open order ticket
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post(
+  '/:id/items',
+  auth,
+  checkPermission(['manage_sales']),
+  [
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.product').isMongoId().withMessage('Invalid product ID'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.discount')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Discount must be between 0 and 100'),
+    body('items.*.notes').optional().trim(),
+  ],
+  addOrderItems,
+);
+
+/**
+ * @swagger
+ * /api/sales/{id}/items/{itemId}:
+ *   delete:
+ *     tags: [Sales]
+ *     summary: Remove an item that has not been sent to the kitchen
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.delete('/:id/items/:itemId', auth, checkPermission(['manage_sales']), removeOrderItem);
+
+/**
+ * @swagger
+ * /api/sales/{id}/status:
+ *   patch:
+ *     tags: [Sales]
+ *     summary: Move an order ticket through the kitchen
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, sent_to_kitchen, served]
+ */
+router.patch(
+  '/:id/status',
+  auth,
+  checkPermission(['manage_sales']),
+  [body('status').isIn(['open', 'sent_to_kitchen', 'served']).withMessage('Invalid order status')],
+  updateOrderStatus,
+);
+
+/**
+ * @swagger
+ * /api/sales/{id}/close:
+ *   post:
+ *     tags: [Sales]
+ *     summary: Take payment for an order ticket and close it
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentMethod
+ */
 router.post(
-  '/:id/cancel',
+  '/:id/close',
   auth,
   checkPermission(['manage_sales']),
-  cancelSale
+  [
+    body('paymentMethod')
+      .isIn(['cash', 'card', 'transfer', 'credit'])
+      .withMessage('Invalid payment method'),
+    body('paidAmount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Paid amount must be a positive number'),
+    body('tax').optional().isFloat({ min: 0 }).withMessage('Tax must be a positive number'),
+    body('discount')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Discount must be between 0 and 100'),
+  ],
+  closeOrder,
 );
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
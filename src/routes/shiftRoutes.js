@@ -0,0 +1,215 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, checkPermission } = require('../middleware/auth');
+const {
+  getShifts,
+  getCurrentShift,
+  getShiftById,
+  getShiftReport,
+  openShift,
+  closeShift,
+} = require('../controllers/shiftController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Denomination:
+ *       type: object
+ *       required:
+ *         - value
+ *         - count
+ *       properties:
+ *         value:
+ *           type: number
+ *           description: Face value of the note or coin
+ *         count:
+ *           type: integer
+ */
+
+const denominationValidation = [
+  body('denominations.*.value')
+    .isFloat({ gt: 0 })
+    .withMessage('Denomination value must be greater than zero'),
+  body('denominations.*.count')
+    .isInt({ min: 0 })
+    .withMessage('Denomination count must be a whole number'),
+];
+
+/**
+ * @swagger
+ * /api/shifts:
+ *   get:
+ *     tags: [Shifts]
+ *     summary: Get cash drawer shifts with optional filters
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ */
+router.get('/', auth, checkPermission(['manage_cash_register']), getShifts);
+
+/**
+ * @swagger
+ * /api/shifts/current:
+ *   get:
+ *     tags: [Shifts]
+ *     summary: Get the open shift with its takings so far
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *         description: Defaults to the user's own branch
+ */
+router.get('/current', auth, checkPermission(['manage_cash_register']), getCurrentShift);
+
+/**
+ * @swagger
+ * /api/shifts/{id}:
+ *   get:
+ *     tags: [Shifts]
+ *     summary: Get shift by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id', auth, checkPermission(['manage_cash_register']), getShiftById);
+
+/**
+ * @swagger
+ * /api/shifts/{id}/report:
+ *   get:
+ *     tags: [Shifts]
+ *     summary: Get the X report of an open shift or the Z report of a closed one
+ *     description: Expected against counted takings per payment method with the amount over or short
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id/report', auth, checkPermission(['manage_cash_register']), getShiftReport);
+
+/**
+ * @swagger
+ * /api/shifts:
+ *   post:
+ *     tags: [Shifts]
+ *     summary: Open a shift with the opening float counted by denomination
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               denominations:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Denomination'
+ *               branch:
+ *                 type: string
+ *                 description: Defaults to the user's own branch
+ *               notes:
+ *                 type: string
+ */
+router.post(
+  '/',
+  auth,
+  checkPermission(['manage_cash_register']),
+  [
+    body('denominations').optional().isArray().withMessage('Denominations must be an array'),
+    ...denominationValidation,
+    body('branch').optional().isMongoId().withMessage('Invalid branch ID'),
+    body('notes').optional().trim(),
+  ],
+  openShift,
+);
+
+/**
+ * @swagger
+ * /api/shifts/{id}/close:
+ *   post:
+ *     tags: [Shifts]
+ *     summary: Close a shift with the closing count and produce its Z report
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - denominations
+ *             properties:
+ *               denominations:
+ *                 type: array
+ *                 description: Cash in the drawer, counted by denomination
+ *                 items:
+ *                   $ref: '#/components/schemas/Denomination'
+ *               card:
+ *                 type: number
+ *                 description: Settlement total printed by the card terminal
+ *               transfer:
+ *                 type: number
+ *                 description: Transfers received during the shift
+ *               notes:
+ *                 type: string
+ */
+router.post(
+  '/:id/close',
+  auth,
+  checkPermission(['manage_cash_register']),
+  [
+    body('denominations')
+      .isArray()
+      .withMessage('Cash counted in the drawer is required, by denomination'),
+    ...denominationValidation,
+    body('card').optional().isFloat({ min: 0 }).withMessage('Invalid card total'),
+    body('transfer').optional().isFloat({ min: 0 }).withMessage('Invalid transfer total'),
+    body('notes').optional().trim(),
+  ],
+  closeShift,
+);
+
+module.exports = router;
@@ -0,0 +1,260 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth, checkRole } = require('../middleware/auth');
+const { isCafePermission } = require('../config/permissions');
+const { normalizePhone } = require('../utils/phone');
+const {
+  getStaff,
+  getStaffById,
+  getStaffPermissions,
+  inviteStaff,
+  updateStaff,
+  suspendStaff,
+  reactivateStaff,
+  removeStaff,
+} = require('../controllers/staffController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StaffMember:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         branch:
+ *           type: string
+ *           description: Branch the staff member works at; what they record belongs to it by default
+ *         roles:
+ *           type: array
+ *           description: IDs of the cafe's roles the staff member holds
+ *           items:
+ *             type: string
+ *         permissions:
+ *           type: array
+ *           description: Permissions granted on top of their roles
+ *           items:
+ *             type: string
+ *         revokedPermissions:
+ *           type: array
+ *           description: Permissions withheld even where a role grants them
+ *           items:
+ *             type: string
+ */
+
+// Validation middleware
+const staffValidation = [
+  body('email').optional().isEmail().withMessage('Invalid email'),
+  // Iranian mobile numbers are stored normalized so staff can sign in with them
+  body('phone')
+    .optional()
+    .trim()
+    .customSanitizer((phone) => normalizePhone(phone) || phone),
+  body('branch').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid branch ID'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').custom(isCafePermission).withMessage('Invalid permission'),
+  body('revokedPermissions')
+    .optional()
+    .isArray()
+    .withMessage('Revoked permissions must be an array'),
+  body('revokedPermissions.*').custom(isCafePermission).withMessage('Invalid permission'),
+  body('roles').optional().isArray().withMessage('Roles must be an array'),
+  body('roles.*').isMongoId().withMessage('Invalid role ID'),
+];
+
+/**
+ * @swagger
+ * /api/staff:
+ *   get:
+ *     tags: [Staff]
+ *     summary: Get the cafe's staff
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, removed]
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ */
+router.get(
+  '/',
+  auth,
+  checkRole(['cafe_owner']),
+  [query('status').optional().isIn(['active', 'suspended', 'removed'])],
+  getStaff,
+);
+
+/**
+ * @swagger
+ * /api/staff/{id}:
+ *   get:
+ *     tags: [Staff]
+ *     summary: Get staff member by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id', auth, checkRole(['cafe_owner']), getStaffById);
+
+/**
+ * @swagger
+ * /api/staff/{id}/permissions:
+ *   get:
+ *     tags: [Staff]
+ *     summary: Get what a staff member may do, from their roles and their own grants and revocations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id/permissions', auth, checkRole(['cafe_owner']), getStaffPermissions);
+
+/**
+ * @swagger
+ * /api/staff:
+ *   post:
+ *     tags: [Staff]
+ *     summary: Invite a staff member to work on the cafe's data
+ *     description: Without a password a temporary one is generated and returned once.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/StaffMember'
+ *               - type: object
+ *                 required:
+ *                   - username
+ *                   - name
+ *                   - email
+ *                 properties:
+ *                   username:
+ *                     type: string
+ *                   password:
+ *                     type: string
+ */
+router.post(
+  '/',
+  auth,
+  checkRole(['cafe_owner']),
+  [
+    body('username').trim().notEmpty().withMessage('Username is required'),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('email').isEmail().withMessage('Invalid email'),
+    body('password')
+      .optional()
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+    ...staffValidation,
+  ],
+  inviteStaff,
+);
+
+/**
+ * @swagger
+ * /api/staff/{id}:
+ *   put:
+ *     tags: [Staff]
+ *     summary: Update a staff member's details, branch, roles and permissions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StaffMember'
+ */
+router.put(
+  '/:id',
+  auth,
+  checkRole(['cafe_owner']),
+  [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    ...staffValidation,
+  ],
+  updateStaff,
+);
+
+/**
+ * @swagger
+ * /api/staff/{id}/suspend:
+ *   post:
+ *     tags: [Staff]
+ *     summary: Suspend a staff member until they are reactivated
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post('/:id/suspend', auth, checkRole(['cafe_owner']), suspendStaff);
+
+/**
+ * @swagger
+ * /api/staff/{id}/reactivate:
+ *   post:
+ *     tags: [Staff]
+ *     summary: Reactivate a suspended staff member
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post('/:id/reactivate', auth, checkRole(['cafe_owner']), reactivateStaff);
+
+/**
+ * @swagger
+ * /api/staff/{id}:
+ *   delete:
+ *     tags: [Staff]
+ *     summary: Remove a staff member, closing their account but keeping their records
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.delete('/:id', auth, checkRole(['cafe_owner']), removeStaff);
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, checkPermission } = require('../middleware/auth');
+const { isDateInput, parseDateInput } = require('../utils/jalali');
+const {
+  getStockCounts,
+  getStockCountById,
+  createStockCount,
+  recordCounts,
+  getStockCountVariance,
+  approveStockCount,
+  cancelStockCount,
+} = require('../controllers/stockCountController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/stock-counts:
+ *   get:
+ *     tags: [Stock Counts]
+ *     summary: Get stock counts with optional filters
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, approved, cancelled]
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ */
+router.get('/', auth, checkPermission(['manage_products']), getStockCounts);
+
+/**
+ * @swagger
+ * /api/stock-counts/{id}:
+ *   get:
+ *     tags: [Stock Counts]
+ *     summary: Get stock count by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id', auth, checkPermission(['manage_products']), getStockCountById);
+
+/**
+ * @swagger
+ * /api/stock-counts/{id}/variance:
+ *   get:
+ *     tags: [Stock Counts]
+ *     summary: Review counted quantities against system stock with their cost value
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id/variance', auth, checkPermission(['manage_products']), getStockCountVariance);
+
+/**
+ * @swagger
+ * /api/stock-counts:
+ *   post:
+ *     tags: [Stock Counts]
+ *     summary: Open a stock count session
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               branch:
+ *                 type: string
+ *                 description: Branch whose shelves are counted, defaults to the user's own
+ *               notes:
+ *                 type: string
+ */
+router.post(
+  '/',
+  auth,
+  checkPermission(['manage_products']),
+  [
+    body('date')
+      .optional()
+      .custom(isDateInput)
+      .withMessage('Invalid date format')
+      .customSanitizer(parseDateInput),
+    body('branch').optional().isMongoId().withMessage('Invalid branch ID'),
+    body('notes').optional().trim(),
+  ],
+  createStockCount,
+);
+
+/**
+ * @swagger
+ * /api/stock-counts/{id}/items:
+ *   put:
+ *     tags: [Stock Counts]
+ *     summary: Enter counted quantities for some or all products
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     countedQuantity:
+ *                       type: number
+ *                     unit:
+ *                       type: string
+ *                       description: Unit of the count, defaults to the product's own unit
+ */
+router.put(
+  '/:id/items',
+  auth,
+  checkPermission(['manage_products']),
+  [
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.product').isMongoId().withMessage('Invalid product ID'),
+    body('items.*.countedQuantity')
+      .isFloat({ min: 0 })
+      .withMessage('Counted quantity must be a positive number'),
+    body('items.*.unit').optional().trim().notEmpty().withMessage('Unit cannot be empty'),
+  ],
+  recordCounts,
+);
+
+/**
+ * @swagger
+ * /api/stock-counts/{id}/approve:
+ *   post:
+ *     tags: [Stock Counts]
+ *     summary: Approve a count, adjusting stock by the counted differences and posting their value to the ledger
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post('/:id/approve', auth, checkPermission(['manage_products']), approveStockCount);
+
+/**
+ * @swagger
+ * /api/stock-counts/{id}/cancel:
+ *   post:
+ *     tags: [Stock Counts]
+ *     summary: Cancel an open count without changing stock
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post('/:id/cancel', auth, checkPermission(['manage_products']), cancelStockCount);
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, checkPermission } = require('../middleware/auth');
+const { isDateInput, parseDateInput } = require('../utils/jalali');
+const {
+  getStockTransfers,
+  getStockTransferById,
+  createStockTransfer,
+  cancelStockTransfer,
+} = require('../controllers/stockTransferController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockTransfer:
+ *       type: object
+ *       required:
+ *         - toBranch
+ *         - items
+ *       properties:
+ *         fromBranch:
+ *           type: string
+ *           description: Sending branch; leave out to move stock held before the cafe had branches
+ *         toBranch:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unit:
+ *                 type: string
+ *                 description: Any unit of the product, defaults to its own unit
+ *         date:
+ *           type: string
+ *           format: date
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/stock-transfers:
+ *   get:
+ *     tags: [Stock Transfers]
+ *     summary: Get stock transfers with optional filters
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [completed, cancelled]
+ *       - in: query
+ *         name: branch
+ *         description: Transfers into or out of this branch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ */
+router.get('/', auth, checkPermission(['manage_products']), getStockTransfers);
+
+/**
+ * @swagger
+ * /api/stock-transfers/{id}:
+ *   get:
+ *     tags: [Stock Transfers]
+ *     summary: Get stock transfer by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id', auth, checkPermission(['manage_products']), getStockTransferById);
+
+/**
+ * @swagger
+ * /api/stock-transfers:
+ *   post:
+ *     tags: [Stock Transfers]
+ *     summary: Move stock from one branch to another at what it cost the sender
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StockTransfer'
+ */
+router.post(
+  '/',
+  auth,
+  checkPermission(['manage_products']),
+  [
+    body('fromBranch').optional().isMongoId().withMessage('Invalid branch ID'),
+    body('toBranch').isMongoId().withMessage('Invalid branch ID'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.product').isMongoId().withMessage('Invalid product ID'),
+    body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than zero'),
+    body('items.*.unit').optional().trim().notEmpty().withMessage('Unit cannot be empty'),
+    body('date')
+      .optional()
+      .custom(isDateInput)
+      .withMessage('Invalid date format')
+      .customSanitizer(parseDateInput),
+    body('notes').optional().trim(),
+  ],
+  createStockTransfer,
+);
+
+/**
+ * @swagger
+ * /api/stock-transfers/{id}/cancel:
+ *   post:
+ *     tags: [Stock Transfers]
+ *     summary: Cancel a transfer and send its stock back
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post('/:id/cancel', auth, checkPermission(['manage_products']), cancelStockTransfer);
+
+module.exports = router;
@@ -0,0 +1,335 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth, checkPermission } = require('../middleware/auth');
+const { isDateInput } = require('../utils/jalali');
+const {
+  getSuppliers,
+  getPayables,
+  getSupplierById,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getSupplierPurchases,
+  getSupplierPayables,
+  getSupplierPriceHistory,
+} = require('../controllers/supplierController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Supplier:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         email:
+ *           type: string
+ *         address:
+ *           type: string
+ *         contacts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *         taxId:
+ *           type: string
+ *           description: Economic code
+ *         nationalId:
+ *           type: string
+ *         paymentTerms:
+ *           type: object
+ *           properties:
+ *             days:
+ *               type: integer
+ *               description: Days after the invoice date that payment is due
+ *             description:
+ *               type: string
+ *         bankAccounts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               bankName:
+ *                 type: string
+ *               accountHolder:
+ *                 type: string
+ *               accountNumber:
+ *                 type: string
+ *               iban:
+ *                 type: string
+ *               cardNumber:
+ *                 type: string
+ *         leadTimeDays:
+ *           type: integer
+ *           description: Days from ordering to delivery
+ *         notes:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+// Validation middleware
+const supplierValidation = [
+  body('phone').optional().trim(),
+  body('email').optional().isEmail().withMessage('Invalid email format'),
+  body('address').optional().trim(),
+  body('contacts').optional().isArray().withMessage('Contacts must be an array'),
+  body('contacts.*.name').trim().notEmpty().withMessage('Contact name is required'),
+  body('contacts.*.email').optional().isEmail().withMessage('Invalid contact email format'),
+  body('taxId').optional().trim(),
+  body('nationalId').optional().trim(),
+  body('paymentTerms.days')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Payment terms must be a whole number of days'),
+  body('bankAccounts').optional().isArray().withMessage('Bank accounts must be an array'),
+  body('bankAccounts.*.bankName').trim().notEmpty().withMessage('Bank name is required'),
+  body('bankAccounts.*.iban')
+    .optional()
+    .matches(/^IR\d{24}$/i)
+    .withMessage('IBAN must be IR followed by 24 digits'),
+  body('bankAccounts.*.cardNumber')
+    .optional()
+    .matches(/^\d{16}$/)
+    .withMessage('Card number must be 16 digits'),
+  body('leadTimeDays')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Lead time must be a whole number of days'),
+  body('notes').optional().trim(),
+  body('isActive').optional().isBoolean(),
+];
+
+const dateRangeValidation = [
+  query('startDate').optional().custom(isDateInput).withMessage('Invalid start date'),
+  query('endDate').optional().custom(isDateInput).withMessage('Invalid end date'),
+];
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   get:
+ *     tags: [Suppliers]
+ *     summary: Get suppliers with their outstanding balances
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         description: Text search on supplier and contact names
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ */
+router.get('/', auth, checkPermission(['manage_purchases']), getSuppliers);
+
+/**
+ * @swagger
+ * /api/suppliers/payables:
+ *   get:
+ *     tags: [Suppliers]
+ *     summary: Get outstanding and overdue payables per supplier
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/payables', auth, checkPermission(['manage_purchases']), getPayables);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   get:
+ *     tags: [Suppliers]
+ *     summary: Get supplier by ID with purchase totals and outstanding balance
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id', auth, checkPermission(['manage_purchases']), getSupplierById);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/purchases:
+ *   get:
+ *     tags: [Suppliers]
+ *     summary: Get the supplier's purchase invoices and orders
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ */
+router.get(
+  '/:id/purchases',
+  auth,
+  checkPermission(['manage_purchases']),
+  dateRangeValidation,
+  getSupplierPurchases,
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/payables:
+ *   get:
+ *     tags: [Suppliers]
+ *     summary: Get the supplier's unpaid invoices and days overdue
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id/payables', auth, checkPermission(['manage_purchases']), getSupplierPayables);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/price-history:
+ *   get:
+ *     tags: [Suppliers]
+ *     summary: Get prices paid to the supplier per product over time
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: product
+ *         description: Limit the history to one product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ */
+router.get(
+  '/:id/price-history',
+  auth,
+  checkPermission(['manage_purchases']),
+  [
+    query('product').optional().isMongoId().withMessage('Invalid product ID'),
+    ...dateRangeValidation,
+  ],
+  getSupplierPriceHistory,
+);
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   post:
+ *     tags: [Suppliers]
+ *     summary: Create a supplier
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Supplier'
+ */
+router.post(
+  '/',
+  auth,
+  checkPermission(['manage_purchases']),
+  [body('name').trim().notEmpty().withMessage('Supplier name is required'), ...supplierValidation],
+  createSupplier,
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   put:
+ *     tags: [Suppliers]
+ *     summary: Update a supplier
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Supplier'
+ */
+router.put(
+  '/:id',
+  auth,
+  checkPermission(['manage_purchases']),
+  [
+    body('name').optional().trim().notEmpty().withMessage('Supplier name cannot be empty'),
+    ...supplierValidation,
+  ],
+  updateSupplier,
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   delete:
+ *     tags: [Suppliers]
+ *     summary: Delete a supplier without purchase history or products
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.delete('/:id', auth, checkPermission(['manage_purchases']), deleteSupplier);
+
+module.exports = router;
@@ -1,9 +1,12 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { auth, checkRole, checkPermission } = require('../middleware/auth');
+const { registerPermissions, isPermission } = require('../config/permissions');
+const { ROLES } = require('../config/roles');
 const {
   getAllUsers,
   getUserById,
+  createUser,
   updateUser,
   deleteUser,
   changePassword,
@@ -12,6 +15,10 @@ const {
 
 const router = express.Router();
 
+registerPermissions({
+  manage_users: { description: 'Edit user accounts, roles and permissions', scope: 'platform' },
+});
+
 /**
  * @swagger
  * /api/users:
@@ -28,11 +35,71 @@ const router = express.Router();
  *       403:
  *         description: Not authorized
  */
-router.get(
+router.get('/', auth, checkPermission(['manage_users']), getAllUsers);
+
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     tags: [Users]
+ *     summary: Create a user
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *               - name
+ *               - email
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [super_admin, content_admin, editor, author, cafe_owner, customer]
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *       400:
+ *         description: Invalid input data or the username or email is taken
+ *       403:
+ *         description: Not authorized to give the role or permissions
+ */
+router.post(
   '/',
   auth,
   checkPermission(['manage_users']),
-  getAllUsers
+  [
+    body('username')
+      .trim()
+      .isLength({ min: 3 })
+      .withMessage('Username must be at least 3 characters'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('email').isEmail().withMessage('Invalid email'),
+    body('phone').optional().trim(),
+    body('role').optional().isIn(ROLES),
+    body('permissions').optional().isArray(),
+    body('permissions.*').custom(isPermission).withMessage('Invalid permission'),
+  ],
+  createUser,
 );
 
 /**
@@ -55,12 +122,7 @@ router.get(
  *       404:
  *         description: User not found
  */
-router.get(
-  '/:id',
-  auth,
-  checkPermission(['manage_users']),
-  getUserById
-);
+router.get('/:id', auth, checkPermission(['manage_users']), getUserById);
 
 /**
  * @swagger
@@ -91,6 +153,7 @@ router.get(
  *                 type: string
  *               role:
  *                 type: string
+ *                 enum: [super_admin, content_admin, editor, author, cafe_owner, staff, customer]
  *               permissions:
  *                 type: array
  *                 items:
@@ -104,11 +167,12 @@ router.put(
   checkPermission(['manage_users']),
   [
     body('email').optional().isEmail().withMessage('Invalid email'),
-    body('role').optional().isIn(['super_admin', 'content_admin', 'cafe_owner', 'staff', 'customer']),
+    body('role').optional().isIn(ROLES),
     body('permissions').optional().isArray(),
+    body('permissions.*').custom(isPermission).withMessage('Invalid permission'),
     body('isActive').optional().isBoolean(),
   ],
-  updateUser
+  updateUser,
 );
 
 /**
@@ -126,12 +190,7 @@ router.put(
  *         schema:
  *           type: string
  */
-router.delete(
-  '/:id',
-  auth,
-  checkRole(['super_admin']),
-  deleteUser
-);
+router.delete('/:id', auth, checkRole(['super_admin']), deleteUser);
 
 /**
  * @swagger
@@ -165,7 +224,7 @@ router.post(
       .isLength({ min: 6 })
       .withMessage('New password must be at least 6 characters'),
   ],
-  changePassword
+  changePassword,
 );
 
 /**
@@ -177,11 +236,6 @@ router.post(
  *     security:
  *       - bearerAuth: []
  */
-router.get(
-  '/stats',
-  auth,
-  checkRole(['super_admin', 'content_admin']),
-  getUserStats
-);
+router.get('/stats', auth, checkRole(['content_admin']), getUserStats);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
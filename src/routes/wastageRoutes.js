@@ -0,0 +1,137 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, checkPermission } = require('../middleware/auth');
+const { isDateInput, parseDateInput } = require('../utils/jalali');
+const Wastage = require('../models/Wastage');
+const { getWastage, getWastageById, createWastage } = require('../controllers/wastageController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Wastage:
+ *       type: object
+ *       required:
+ *         - product
+ *         - quantity
+ *         - reason
+ *       properties:
+ *         product:
+ *           type: string
+ *           description: Product or ingredient thrown away
+ *         quantity:
+ *           type: number
+ *         unit:
+ *           type: string
+ *           description: Unit of the quantity, defaults to the product's own unit
+ *         reason:
+ *           type: string
+ *           enum: [spilled, burnt, expired, unsold, damaged, wrong_order, other]
+ *         staff:
+ *           type: string
+ *           description: Staff member responsible, defaults to the user recording it
+ *         branch:
+ *           type: string
+ *           description: Branch the stock is taken from, defaults to the user's branch
+ *         date:
+ *           type: string
+ *           format: date
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/wastage:
+ *   get:
+ *     tags: [Wastage]
+ *     summary: Get recorded wastage with optional filters
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [spilled, burnt, expired, unsold, damaged, wrong_order, other]
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: staff
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ */
+router.get('/', auth, checkPermission(['manage_products']), getWastage);
+
+/**
+ * @swagger
+ * /api/wastage/{id}:
+ *   get:
+ *     tags: [Wastage]
+ *     summary: Get a wastage record with the stock it used
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id', auth, checkPermission(['manage_products']), getWastageById);
+
+/**
+ * @swagger
+ * /api/wastage:
+ *   post:
+ *     tags: [Wastage]
+ *     summary: Record wasted stock, taking it out of stock and expensing its cost
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Wastage'
+ */
+router.post(
+  '/',
+  auth,
+  checkPermission(['manage_products']),
+  [
+    body('product').isMongoId().withMessage('Invalid product ID'),
+    body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than zero'),
+    body('unit').optional().trim().notEmpty().withMessage('Unit cannot be empty'),
+    body('reason').isIn(Wastage.WASTAGE_REASONS).withMessage('Invalid wastage reason'),
+    body('staff').optional().isMongoId().withMessage('Invalid staff ID'),
+    body('branch').optional().isMongoId().withMessage('Invalid branch ID'),
+    body('date')
+      .optional()
+      .custom(isDateInput)
+      .withMessage('Invalid date format')
+      .customSanitizer(parseDateInput),
+    body('notes').optional().trim(),
+  ],
+  createWastage,
+);
+
+module.exports = router;
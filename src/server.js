@@ -1,5 +1,7 @@
 const app = require('./app');
 const mongoose = require('mongoose');
+const { migrateLegacySuppliers } = require('./services/supplierService');
+const { dropGlobalNumberIndexes } = require('./services/sequenceService');
 require('dotenv').config();
 
 const PORT = process.env.PORT || 5000;
@@ -7,8 +9,16 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/cafe-m
 
 // Connect to MongoDB
 mongoose.connect(MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB');
+
+    // Move data saved before suppliers had their own directory
+    const migrated = await migrateLegacySuppliers();
+    if (migrated) {
+      console.log(`Linked ${migrated} products and purchase orders to suppliers`);
+    }
+    await dropGlobalNumberIndexes();
+
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
       console.log(`Swagger documentation available at http://localhost:${PORT}/api-docs`);
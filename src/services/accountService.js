@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const HttpError = require('../utils/httpError');
+const { sendMail } = require('./mailService');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// How long a mailed link stays valid
+const TOKEN_LIFETIME_MINUTES = {
+  password_reset: 60,
+  email_verification: 24 * 60,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a token for the user, replacing any unused one for the same purpose
+const createAccountToken = async (user, purpose) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_LIFETIME_MINUTES[purpose] * 60 * 1000),
+  });
+
+  return token;
+};
+
+// Use a token up, returning the ID of the user it was issued to
+const consumeAccountToken = async (token, purpose) => {
+  const accountToken = await AccountToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+  );
+
+  if (!accountToken) {
+    throw new HttpError(400, 'Invalid or expired token');
+  }
+
+  return accountToken.user;
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(user, 'password_reset');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text:
+      `Hello ${user.name},\n\n` +
+      `Use this link within ${TOKEN_LIFETIME_MINUTES.password_reset} minutes to choose a new password:\n` +
+      `${APP_URL}/reset-password?token=${token}\n\n` +
+      'If you did not ask to reset your password, you can ignore this email.',
+  });
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user, 'email_verification');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text:
+      `Hello ${user.name},\n\n` +
+      'Confirm this is your email address by opening:\n' +
+      `${APP_URL}/verify-email?token=${token}`,
+  });
+};
+
+module.exports = {
+  consumeAccountToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+};
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Branch = require('../models/Branch');
+const BranchStock = require('../models/BranchStock');
+const Product = require('../models/Product');
+const HttpError = require('../utils/httpError');
+const { roundAmount } = require('../utils/money');
+
+/**
+ * Resolve the branch a new document belongs to: the one named in the
+ * request, otherwise the staff member's own branch. A cafe with branches
+ * must name one; a cafe without any keeps working without, and gets null.
+ */
+const resolveBranch = async (cafeOwner, branchId, session = null) => {
+  if (!branchId) {
+    const hasBranches = await Branch.exists({ cafeOwner, isActive: true }).session(session);
+    if (hasBranches) {
+      throw new HttpError(400, 'Choose the branch this belongs to');
+    }
+    return null;
+  }
+
+  const branch = await Branch.findOne({ _id: branchId, cafeOwner }).session(session);
+
+  if (!branch) {
+    throw new HttpError(400, 'Branch not found');
+  }
+
+  if (!branch.isActive) {
+    throw new HttpError(400, `Branch ${branch.name} is inactive`);
+  }
+
+  return branch;
+};
+
+// Check that every branch in a product's `branches` list belongs to the cafe
+const checkBranches = async (cafeOwner, branchIds = [], session = null) => {
+  const count = await Branch.countDocuments({ _id: { $in: branchIds }, cafeOwner }).session(
+    session,
+  );
+
+  if (count !== new Set(branchIds.map(String)).size) {
+    throw new HttpError(400, 'Branch not found');
+  }
+};
+
+// Branch to use for a request: `branch` from the body, then the user's own
+const requestedBranch = (req) => req.body.branch || req.user.branch;
+
+/**
+ * Stock levels of a branch, one row per stocked product available there,
+ * flagging those at or below their reorder point.
+ */
+const branchStockLevels = async (cafeOwner, branchId) => {
+  const branch = new mongoose.Types.ObjectId(branchId);
+  const [products, stock] = await Promise.all([
+    Product.find({
+      cafeOwner,
+      isActive: true,
+      'recipe.0': { $exists: false },
+      $or: [{ branches: { $size: 0 } }, { branches: branch }],
+    })
+      .select('name code unit category cost minimumStock reorderPoint')
+      .sort({ name: 1 }),
+    BranchStock.find({ cafeOwner, branch }),
+  ]);
+
+  const quantities = new Map(stock.map((row) => [String(row.product), row.quantity]));
+
+  return products.map((product) => {
+    const quantity = quantities.get(String(product._id)) || 0;
+    const reorderPoint = product.reorderPoint ?? product.minimumStock;
+    return {
+      product: product._id,
+      name: product.name,
+      code: product.code,
+      unit: product.unit,
+      quantity,
+      value: roundAmount(quantity * product.cost),
+      reorderPoint,
+      isLow: quantity <= reorderPoint,
+    };
+  });
+};
+
+// Stock of one product at each branch, and what is not held at any branch
+const productStockByBranch = async (product) => {
+  const stock = await BranchStock.find({ product: product._id }).populate('branch', 'name code');
+  const atBranches = stock.reduce((sum, row) => sum + row.quantity, 0);
+
+  return {
+    total: product.stockQuantity,
+    unassigned: Math.round((product.stockQuantity - atBranches) * 1e6) / 1e6,
+    branches: stock.map((row) => ({ branch: row.branch, quantity: row.quantity })),
+  };
+};
+
+module.exports = {
+  resolveBranch,
+  checkBranches,
+  requestedBranch,
+  branchStockLevels,
+  productStockByBranch,
+};
@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+const BankStatement = require('../models/BankStatement');
+const CashBalance = require('../models/CashBalance');
+const CashRegister = require('../models/CashRegister');
+const HttpError = require('../utils/httpError');
+const { findOpenShift } = require('./shiftService');
+const { roundAmount } = require('../utils/money');
+
+const REBUILD_BATCH_SIZE = 500;
+
+// Money account that holds a payment method's money
+const moneyAccountFor = (paymentMethod) => CashRegister.PAYMENT_METHOD_ACCOUNTS[paymentMethod];
+
+// Register rows of one money account, including rows from before rows named
+// their account, which only have a payment method
+const accountRowsFilter = (cafeOwner, moneyAccount) => {
+  const paymentMethods = Object.keys(CashRegister.PAYMENT_METHOD_ACCOUNTS).filter(
+    (paymentMethod) => moneyAccountFor(paymentMethod) === moneyAccount,
+  );
+
+  return {
+    cafeOwner,
+    $or: [
+      { moneyAccount },
+      { moneyAccount: { $exists: false }, paymentMethod: { $in: paymentMethods } },
+    ],
+  };
+};
+
+// Signed effect of a register row on its money account
+const rowChange = (row) => (row.transactionType === 'deposit' ? row.amount : -row.amount);
+
+/**
+ * Reject a register row dated inside a period that was reconciled against a
+ * statement of its money account; reopen the statement to change it.
+ */
+const assertPeriodOpen = async (cafeOwner, moneyAccount, date, session = null) => {
+  const statement = await BankStatement.findOne({
+    cafeOwner,
+    moneyAccount,
+    status: 'reconciled',
+    periodStart: { $lte: date },
+    periodEnd: { $gte: date },
+  })
+    .select('statementNumber')
+    .session(session);
+
+  if (statement) {
+    throw new HttpError(
+      400,
+      `The ${moneyAccount} period was reconciled in statement ${statement.statementNumber} and is locked`,
+    );
+  }
+};
+
+/**
+ * Start the running balance of a money account that has none yet from the
+ * register rows already recorded against it, so cafes with history carry on
+ * from where their rows left off.
+ */
+const seedBalance = async (cafeOwner, moneyAccount, session = null) => {
+  const existing = await CashBalance.findOne({ cafeOwner, moneyAccount }).session(session);
+  if (existing) {
+    return existing;
+  }
+
+  const rows = await CashRegister.find(accountRowsFilter(cafeOwner, moneyAccount))
+    .select('transactionType amount')
+    .session(session);
+
+  const [balance] = await CashBalance.create(
+    [
+      {
+        cafeOwner,
+        moneyAccount,
+        balance: roundAmount(rows.reduce((sum, row) => sum + rowChange(row), 0)),
+        sequence: rows.length,
+      },
+    ],
+    { session },
+  );
+  return balance;
+};
+
+// Current running balance of each money account of a cafe
+const getCurrentBalances = async (cafeOwner, session = null) => {
+  const balances = await CashBalance.find({ cafeOwner }).session(session);
+
+  return CashRegister.MONEY_ACCOUNTS.map((moneyAccount) => {
+    const balance = balances.find((row) => row.moneyAccount === moneyAccount);
+    return { moneyAccount, balance: balance ? roundAmount(balance.balance) : 0 };
+  });
+};
+
+/**
+ * Balance of each money account held at one branch, summed from the
+ * branch's register rows; the running balances are kept for the whole cafe.
+ */
+const getBranchBalances = async (cafeOwner, branch, session = null) => {
+  const balances = await CashRegister.aggregate([
+    {
+      $match: {
+        cafeOwner: new mongoose.Types.ObjectId(cafeOwner),
+        branch: new mongoose.Types.ObjectId(branch),
+      },
+    },
+    {
+      $group: {
+        _id: '$moneyAccount',
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$transactionType', 'deposit'] },
+              '$amount',
+              { $multiply: ['$amount', -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]).session(session);
+
+  return CashRegister.MONEY_ACCOUNTS.map((moneyAccount) => {
+    const balance = balances.find((row) => row._id === moneyAccount);
+    return { moneyAccount, balance: balance ? roundAmount(balance.balance) : 0 };
+  });
+};
+
+/**
+ * Append a cash register row to the money account of its payment method and
+ * link it to the open shift of its branch; rows can't be added to a reconciled
+ * period. The account's balance is incremented atomically and the row keeps
+ * the balance it produced, so rows recorded at the same time each get their
+ * own balance instead of overwriting one another.
+ */
+const recordTransaction = async (data, session = null) => {
+  const moneyAccount = moneyAccountFor(data.paymentMethod);
+  await assertPeriodOpen(data.cafeOwner, moneyAccount, data.date || new Date(), session);
+  await seedBalance(data.cafeOwner, moneyAccount, session);
+
+  const counter = await CashBalance.findOneAndUpdate(
+    { cafeOwner: data.cafeOwner, moneyAccount },
+    { $inc: { balance: rowChange(data), sequence: 1 } },
+    { new: true, session },
+  );
+  const shift = await findOpenShift(data.cafeOwner, data.branch, session);
+
+  const [transaction] = await CashRegister.create(
+    [
+      {
+        ...data,
+        moneyAccount,
+        balance: roundAmount(counter.balance),
+        sequence: counter.sequence,
+        shift: shift ? shift._id : undefined,
+      },
+    ],
+    { session },
+  );
+  return transaction;
+};
+
+// Register rows recorded for a document, e.g. an expense or an invoice
+const referenceRows = (cafeOwner, reference, session = null) =>
+  CashRegister.find({
+    cafeOwner,
+    'reference.type': reference.type,
+    'reference.id': reference.id,
+  })
+    .sort({ date: 1, sequence: 1 })
+    .session(session);
+
+/**
+ * Reject changing what register rows recorded once a row was matched to a
+ * statement line or falls in a reconciled period; the statement has to be
+ * reopened or the match undone first.
+ */
+const assertRowsChangeable = async (rows, session = null) => {
+  for (const row of rows) {
+    if (row.statement) {
+      throw new HttpError(409, 'The payment was matched to a bank statement line');
+    }
+
+    await assertPeriodOpen(
+      row.cafeOwner,
+      row.moneyAccount || moneyAccountFor(row.paymentMethod),
+      row.date,
+      session,
+    );
+  }
+};
+
+/**
+ * Take back what register rows moved by recording the opposite amount for
+ * each payment method and branch they still net to. Posted rows are never
+ * changed or removed, so the money accounts keep their full history.
+ */
+const reverseRows = async (rows, { description, category, createdBy }, session = null) => {
+  const nets = new Map();
+
+  rows.forEach((row) => {
+    const key = `${row.paymentMethod}:${row.branch || ''}`;
+    const net = nets.get(key) || { row, amount: 0 };
+    net.amount += rowChange(row);
+    nets.set(key, net);
+  });
+
+  const reversals = [];
+  for (const { row, amount } of nets.values()) {
+    const net = roundAmount(amount);
+    if (net === 0) {
+      continue;
+    }
+
+    reversals.push(
+      await recordTransaction(
+        {
+          transactionType: net > 0 ? 'withdrawal' : 'deposit',
+          paymentMethod: row.paymentMethod,
+          amount: Math.abs(net),
+          description,
+          category: category || row.category,
+          reference: row.reference,
+          branch: row.branch,
+          cafeOwner: row.cafeOwner,
+          createdBy,
+        },
+        session,
+      ),
+    );
+  }
+
+  return reversals;
+};
+
+/**
+ * Recompute every money account's running balance from its register rows in
+ * date order, correcting the balance and sequence stored on each row and the
+ * account's current balance. Returns the rebuilt balance of each account with
+ * how many rows it covers and how many had a wrong balance.
+ */
+const rebuildBalances = async (cafeOwner, session = null) => {
+  const results = [];
+
+  for (const moneyAccount of CashRegister.MONEY_ACCOUNTS) {
+    const cursor = CashRegister.find(accountRowsFilter(cafeOwner, moneyAccount))
+      .sort({ date: 1, sequence: 1, _id: 1 })
+      .select('transactionType amount balance sequence moneyAccount')
+      .session(session)
+      .cursor();
+
+    let balance = 0;
+    let sequence = 0;
+    let corrected = 0;
+    let updates = [];
+
+    for await (const row of cursor) {
+      balance = roundAmount(balance + rowChange(row));
+      sequence += 1;
+
+      if (row.balance !== balance) {
+        corrected += 1;
+      }
+
+      if (row.balance !== balance || row.sequence !== sequence || !row.moneyAccount) {
+        updates.push({
+          updateOne: {
+            filter: { _id: row._id },
+            update: { $set: { balance, sequence, moneyAccount } },
+          },
+        });
+      }
+
+      if (updates.length >= REBUILD_BATCH_SIZE) {
+        await CashRegister.bulkWrite(updates, { session });
+        updates = [];
+      }
+    }
+
+    if (updates.length) {
+      await CashRegister.bulkWrite(updates, { session });
+    }
+
+    await CashBalance.findOneAndUpdate(
+      { cafeOwner, moneyAccount },
+      { $set: { balance, sequence } },
+      { upsert: true, session },
+    );
+
+    results.push({ moneyAccount, balance, transactions: sequence, corrected });
+  }
+
+  return results;
+};
+
+module.exports = {
+  moneyAccountFor,
+  accountRowsFilter,
+  rowChange,
+  assertPeriodOpen,
+  getCurrentBalances,
+  getBranchBalances,
+  recordTransaction,
+  referenceRows,
+  assertRowsChangeable,
+  reverseRows,
+  rebuildBalances,
+};
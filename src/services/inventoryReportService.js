@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const StockCount = require('../models/StockCount');
+const StockMovement = require('../models/StockMovement');
+const Wastage = require('../models/Wastage');
+const { roundAmount } = require('../utils/money');
+
+const roundQuantity = (quantity) => Math.round(quantity * 1e6) / 1e6;
+
+// Total per product from a `{ _id: product, quantity }` aggregation
+const toQuantityMap = (totals) =>
+  new Map(totals.map((total) => [String(total._id), roundQuantity(total.quantity)]));
+
+/**
+ * Stock that settled sales should have used between `start` and `end`,
+ * following the recipe consumption recorded on each sale line. Returns a map
+ * of product ID to quantity in the product's own unit.
+ */
+const sumTheoreticalUsage = async (cafeOwner, { start, end }, products = null) => {
+  const pipeline = [
+    {
+      $match: {
+        cafeOwner: new mongoose.Types.ObjectId(cafeOwner),
+        status: { $in: Sale.SETTLED_STATUSES },
+      },
+    },
+    // Tickets take stock when they close, immediate sales when they are made
+    { $addFields: { settledAt: { $ifNull: ['$closedAt', '$date'] } } },
+    { $match: { settledAt: { $gte: start, $lte: end } } },
+    { $unwind: '$items' },
+    {
+      $project: {
+        consumption: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$items.consumption', []] } }, 0] },
+            '$items.consumption',
+            [{ product: '$items.product', quantity: '$items.quantity' }],
+          ],
+        },
+      },
+    },
+    { $unwind: '$consumption' },
+  ];
+
+  if (products) {
+    pipeline.push({ $match: { 'consumption.product': { $in: products } } });
+  }
+
+  pipeline.push({
+    $group: { _id: '$consumption.product', quantity: { $sum: '$consumption.quantity' } },
+  });
+
+  return toQuantityMap(await Sale.aggregate(pipeline));
+};
+
+/**
+ * Net stock moved per product by movements of the given types between `start`
+ * and `end`, in the product's own unit. Purchases come in from invoices and
+ * goods receipts alike, net of returns to the supplier.
+ */
+const sumMovements = async (cafeOwner, { start, end }, products, types) => {
+  const totals = await StockMovement.aggregate([
+    {
+      $match: {
+        cafeOwner: new mongoose.Types.ObjectId(cafeOwner),
+        product: { $in: products },
+        type: { $in: types },
+        date: { $gte: start, $lte: end },
+      },
+    },
+    { $group: { _id: '$product', quantity: { $sum: '$quantity' } } },
+  ]);
+
+  return toQuantityMap(totals);
+};
+
+/**
+ * Theoretical usage report: how much of each stocked product the sales in a
+ * range used according to their recipes, valued at current cost.
+ */
+const theoreticalUsage = async (cafeOwner, range) => {
+  const usage = await sumTheoreticalUsage(cafeOwner, range);
+  const products = await Product.find({ _id: { $in: [...usage.keys()] }, cafeOwner });
+
+  const rows = products
+    .map((product) => {
+      const quantity = usage.get(String(product._id));
+      return {
+        product: product._id,
+        code: product.code,
+        name: product.name,
+        unit: product.unit,
+        quantity,
+        unitCost: product.cost,
+        totalCost: roundAmount(quantity * product.cost),
+      };
+    })
+    .sort((a, b) => b.totalCost - a.totalCost);
+
+  return {
+    period: { startDate: range.start, endDate: range.end },
+    products: rows,
+    totalCost: roundAmount(rows.reduce((sum, row) => sum + row.totalCost, 0)),
+  };
+};
+
+/**
+ * Pick the opening and closing counts of a product for a range: the last count
+ * at or before the start (or the first inside the range when there is none)
+ * and the last count after that, up to the end.
+ */
+const countWindow = (counts, range) => {
+  const before = counts.filter((count) => count.date <= range.start);
+  const opening = before.length
+    ? before[before.length - 1]
+    : counts.find((count) => count.date <= range.end);
+
+  if (!opening) {
+    return null;
+  }
+
+  const after = counts.filter((count) => count.date > opening.date && count.date <= range.end);
+  return after.length ? { opening, closing: after[after.length - 1] } : null;
+};
+
+/**
+ * Usage variance report. For each product counted at least twice around the
+ * range, actual usage is the opening count plus purchases minus the closing
+ * count; it is compared with the theoretical usage of sales between the same
+ * two counts plus the wastage recorded in between. Positive variance means
+ * more was used than recipes and recorded wastage account for.
+ */
+const usageVariance = async (cafeOwner, range) => {
+  const countDocs = await StockCount.find({
+    cafeOwner,
+    status: 'approved',
+    date: { $lte: range.end },
+  }).sort({
+    date: 1,
+  });
+
+  const countsByProduct = new Map();
+  countDocs.forEach((count) => {
+    count.items.forEach((item) => {
+      const key = String(item.product);
+      if (!countsByProduct.has(key)) {
+        countsByProduct.set(key, []);
+      }
+      // Each product's count stands at the moment it was counted
+      countsByProduct.get(key).push({ date: item.countedAt, quantity: item.countedQuantity });
+    });
+  });
+  countsByProduct.forEach((counts) => counts.sort((a, b) => a.date - b.date));
+
+  const products = await Product.find({ _id: { $in: [...countsByProduct.keys()] }, cafeOwner });
+  const rows = [];
+
+  for (const product of products) {
+    const window = countWindow(countsByProduct.get(String(product._id)), range);
+    if (!window) {
+      continue;
+    }
+
+    const { opening, closing } = window;
+    // Sales and deliveries on the opening count's instant were already counted
+    const period = { start: new Date(opening.date.getTime() + 1), end: closing.date };
+    const received = (
+      await sumMovements(cafeOwner, period, [product._id], ['purchase', 'purchase_return'])
+    ).get(String(product._id));
+    // Wastage movements take stock out, so their quantities are negative
+    const wasted = -(
+      (await sumMovements(cafeOwner, period, [product._id], ['wastage'])).get(
+        String(product._id),
+      ) || 0
+    );
+    const theoretical = (await sumTheoreticalUsage(cafeOwner, period, [product._id])).get(
+      String(product._id),
+    );
+
+    const actual = roundQuantity(opening.quantity + (received || 0) - closing.quantity);
+    const variance = roundQuantity(actual - (theoretical || 0) - wasted);
+
+    rows.push({
+      product: product._id,
+      code: product.code,
+      name: product.name,
+      unit: product.unit,
+      openingCount: { date: opening.date, quantity: opening.quantity },
+      closingCount: { date: closing.date, quantity: closing.quantity },
+      received: received || 0,
+      actualUsage: actual,
+      theoreticalUsage: theoretical || 0,
+      wasted,
+      variance,
+      variancePercent: theoretical ? roundAmount((variance / theoretical) * 100) : null,
+      varianceCost: roundAmount(variance * product.cost),
+    });
+  }
+
+  rows.sort((a, b) => Math.abs(b.varianceCost) - Math.abs(a.varianceCost));
+
+  return {
+    period: { startDate: range.start, endDate: range.end },
+    products: rows,
+    totalVarianceCost: roundAmount(rows.reduce((sum, row) => sum + row.varianceCost, 0)),
+  };
+};
+
+/**
+ * Wastage report: recorded wastage in a range grouped by reason, with the
+ * products behind each reason and the staff who recorded the most, valued at
+ * what the stock cost when it was thrown away.
+ */
+const wastageByReason = async (cafeOwner, range) => {
+  const match = {
+    cafeOwner: new mongoose.Types.ObjectId(cafeOwner),
+    date: { $gte: range.start, $lte: range.end },
+  };
+
+  const byProduct = await Wastage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { reason: '$reason', product: '$product', unit: '$unit' },
+        name: { $last: '$productName' },
+        quantity: { $sum: '$quantity' },
+        cost: { $sum: '$cost' },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { cost: -1 } },
+  ]);
+
+  const reasons = new Map();
+  byProduct.forEach((row) => {
+    const { reason, product, unit } = row._id;
+    if (!reasons.has(reason)) {
+      reasons.set(reason, { reason, count: 0, cost: 0, products: [] });
+    }
+    const entry = reasons.get(reason);
+    entry.count += row.count;
+    entry.cost += row.cost;
+    entry.products.push({
+      product,
+      name: row.name,
+      unit,
+      quantity: roundQuantity(row.quantity),
+      cost: roundAmount(row.cost),
+      count: row.count,
+    });
+  });
+
+  const totalCost = roundAmount([...reasons.values()].reduce((sum, row) => sum + row.cost, 0));
+  const rows = [...reasons.values()]
+    .map((row) => ({
+      ...row,
+      cost: roundAmount(row.cost),
+      percent: totalCost ? roundAmount((row.cost / totalCost) * 100) : 0,
+    }))
+    .sort((a, b) => b.cost - a.cost);
+
+  const byStaff = await Wastage.aggregate([
+    { $match: match },
+    { $group: { _id: '$staff', cost: { $sum: '$cost' }, count: { $sum: 1 } } },
+    { $sort: { cost: -1 } },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'staff' } },
+    { $unwind: { path: '$staff', preserveNullAndEmptyArrays: true } },
+  ]);
+
+  return {
+    period: { startDate: range.start, endDate: range.end },
+    reasons: rows,
+    staff: byStaff.map((row) => ({
+      staff: row._id,
+      name: row.staff ? row.staff.name : null,
+      cost: roundAmount(row.cost),
+      count: row.count,
+    })),
+    totalCost,
+    count: rows.reduce((sum, row) => sum + row.count, 0),
+  };
+};
+
+module.exports = {
+  sumTheoreticalUsage,
+  theoreticalUsage,
+  usageVariance,
+  wastageByReason,
+};
@@ -0,0 +1,513 @@
+const Account = require('../models/Account');
+const Ledger = require('../models/Ledger');
+const HttpError = require('../utils/httpError');
+const {
+  defaultAccounts,
+  paymentMethodAccounts,
+  expenseCategoryAccounts,
+} = require('../config/chartOfAccounts');
+const { roundAmount } = require('../utils/money');
+
+// Create any missing default accounts for a cafe owner
+const ensureChartOfAccounts = async (cafeOwner, session = null) => {
+  const idsByKey = {};
+
+  // Parents are listed before their children, so their IDs are always known
+  for (const { key, code, name, type, parent } of defaultAccounts) {
+    const account = await Account.findOneAndUpdate(
+      { cafeOwner, systemKey: key },
+      {
+        $setOnInsert: {
+          code,
+          name,
+          type,
+          parent: parent ? idsByKey[parent] : null,
+          isSystem: true,
+        },
+      },
+      { new: true, upsert: true, session },
+    );
+    idsByKey[key] = account._id;
+  }
+};
+
+// Resolve default accounts by their system key, seeding the chart on first use
+const getSystemAccounts = async (cafeOwner, keys, session = null) => {
+  const uniqueKeys = [...new Set(keys)];
+  let accounts = await Account.find({ cafeOwner, systemKey: { $in: uniqueKeys } }).session(session);
+
+  if (accounts.length < uniqueKeys.length) {
+    await ensureChartOfAccounts(cafeOwner, session);
+    accounts = await Account.find({ cafeOwner, systemKey: { $in: uniqueKeys } }).session(session);
+  }
+
+  return accounts.reduce((byKey, account) => ({ ...byKey, [account.systemKey]: account }), {});
+};
+
+/**
+ * Post a balanced journal entry. Each line names its account either by
+ * `accountKey` (a default account) or `account` (an Account ID). Zero lines
+ * are dropped, so callers can pass optional amounts without filtering.
+ * `branch` tags the entry for per-branch reports.
+ */
+const postEntry = async (
+  { cafeOwner, branch, date, description, reference, source, lines, createdBy },
+  session = null,
+) => {
+  const amountLines = lines
+    .map((line) => ({
+      ...line,
+      debit: roundAmount(line.debit || 0),
+      credit: roundAmount(line.credit || 0),
+    }))
+    .filter((line) => line.debit > 0 || line.credit > 0);
+
+  if (amountLines.length === 0) {
+    return null;
+  }
+
+  const keys = amountLines.filter((line) => line.accountKey).map((line) => line.accountKey);
+  const systemAccounts = keys.length ? await getSystemAccounts(cafeOwner, keys, session) : {};
+
+  const ids = amountLines.filter((line) => !line.accountKey).map((line) => line.account);
+  const otherAccounts = ids.length
+    ? await Account.find({ _id: { $in: ids }, cafeOwner }).session(session)
+    : [];
+
+  const resolvedLines = amountLines.map((line) => {
+    const account = line.accountKey
+      ? systemAccounts[line.accountKey]
+      : otherAccounts.find((candidate) => candidate._id.equals(line.account));
+
+    if (!account) {
+      throw new HttpError(400, `Account not found: ${line.accountKey || line.account}`);
+    }
+
+    if (!account.isActive) {
+      throw new HttpError(400, `Account is inactive: ${account.code} ${account.name}`);
+    }
+
+    return {
+      account: account._id,
+      accountCode: account.code,
+      accountType: account.type,
+      debit: line.debit,
+      credit: line.credit,
+      description: line.description,
+    };
+  });
+
+  const [entry] = await Ledger.create(
+    [
+      {
+        date: date || new Date(),
+        description,
+        reference,
+        source,
+        lines: resolvedLines,
+        branch,
+        cafeOwner,
+        createdBy,
+      },
+    ],
+    { session },
+  );
+
+  return entry;
+};
+
+// Post a mirror entry that cancels out an existing one
+const reverseEntry = async (entry, { createdBy, date, description } = {}, session = null) => {
+  const [reversal] = await Ledger.create(
+    [
+      {
+        date: date || new Date(),
+        description: description || `Reversal of: ${entry.description}`,
+        reference: entry.reference,
+        source: entry.source,
+        lines: entry.lines.map((line) => ({
+          account: line.account,
+          accountCode: line.accountCode,
+          accountType: line.accountType,
+          debit: line.credit,
+          credit: line.debit,
+          description: line.description,
+        })),
+        reversalOf: entry._id,
+        branch: entry.branch,
+        cafeOwner: entry.cafeOwner,
+        createdBy: createdBy || entry.createdBy,
+      },
+    ],
+    { session },
+  );
+
+  entry.status = 'reversed';
+  entry.reversedBy = reversal._id;
+  await entry.save({ session });
+
+  return reversal;
+};
+
+// Reverse every posted entry for a source document, e.g. when it is cancelled
+const reverseSourceEntries = async ({ cafeOwner, source, createdBy }, session = null) => {
+  const entries = await Ledger.find({
+    cafeOwner,
+    'source.type': source.type,
+    'source.id': source.id,
+    status: 'posted',
+    reversalOf: { $exists: false },
+  }).session(session);
+
+  const reversals = [];
+  for (const entry of entries) {
+    reversals.push(await reverseEntry(entry, { createdBy }, session));
+  }
+
+  return reversals;
+};
+
+// Account that money moves through for a payment method; credit sales and
+// purchases go to receivables and payables instead
+const moneyAccountKey = (paymentMethod, creditAccountKey) =>
+  paymentMethodAccounts[paymentMethod] || creditAccountKey;
+
+// Cost of goods sold recorded on the lines of a sale or sales invoice
+const costOfGoodsSold = (document) =>
+  document.items.reduce((sum, item) => sum + (item.cost || 0), 0);
+
+// Revenue entry shared by POS sales and sales invoices, with the cost of the
+// goods sold moved out of inventory
+const postSaleRevenue = async (document, { sourceType, reference, date }, session = null) => {
+  // Lines are derived from amounts already rounded to cents, so rounding each
+  // line can't leave the entry a cent out of balance
+  const total = roundAmount(document.total);
+  const tax = roundAmount(document.tax || 0);
+  const received = Math.min(roundAmount(document.paidAmount || 0), total);
+  const moneyKey = moneyAccountKey(document.paymentMethod, 'receivable');
+  const cost = costOfGoodsSold(document);
+
+  return postEntry(
+    {
+      cafeOwner: document.cafeOwner,
+      branch: document.branch,
+      date,
+      description: `Sale ${reference}`,
+      reference,
+      source: { type: sourceType, id: document._id },
+      lines: [
+        { accountKey: moneyKey, debit: received },
+        { accountKey: 'receivable', debit: total - received },
+        { accountKey: 'sales', credit: total - tax },
+        { accountKey: 'tax_payable', credit: tax },
+        { accountKey: 'cogs', debit: cost },
+        { accountKey: 'inventory', credit: cost },
+      ],
+      createdBy: document.createdBy,
+    },
+    session,
+  );
+};
+
+// Post revenue for a settled POS sale
+const postSale = async (sale, session = null) =>
+  postSaleRevenue(
+    sale,
+    { sourceType: 'sale', reference: sale.saleNumber, date: sale.date },
+    session,
+  );
+
+// Post a change in the amount paid for a sale or sales invoice
+const postCustomerPayment = async (
+  document,
+  { sourceType, reference, amount, paymentMethod, createdBy },
+  session = null,
+) => {
+  const moneyKey = moneyAccountKey(paymentMethod, 'receivable');
+  // A negative amount refunds part of an earlier payment
+  const [debitKey, creditKey] = amount >= 0 ? [moneyKey, 'receivable'] : ['receivable', moneyKey];
+
+  return postEntry(
+    {
+      cafeOwner: document.cafeOwner,
+      branch: document.branch,
+      description: `Payment for ${reference}`,
+      reference,
+      source: { type: sourceType, id: document._id },
+      lines: [
+        { accountKey: debitKey, debit: Math.abs(amount) },
+        { accountKey: creditKey, credit: Math.abs(amount) },
+      ],
+      createdBy,
+    },
+    session,
+  );
+};
+
+// Post a confirmed invoice: revenue for sales, inventory and payables for purchases
+const postInvoice = async (invoice, session = null) => {
+  if (invoice.type === 'sale') {
+    return postSaleRevenue(
+      invoice,
+      { sourceType: 'invoice', reference: invoice.invoiceNumber, date: invoice.date },
+      session,
+    );
+  }
+
+  const total = roundAmount(invoice.total);
+  const tax = roundAmount(invoice.tax || 0);
+  const paid = Math.min(roundAmount(invoice.paidAmount || 0), total);
+  const receivedValue = roundAmount(invoice.receivedValue || 0);
+  const moneyKey = moneyAccountKey(invoice.paymentMethod, 'payable');
+  const goodsValue = total - tax;
+
+  // Ordered goods were put into inventory against the goods received not
+  // invoiced account on receipt; the invoice clears that and books any price
+  // difference to inventory
+  const goodsLines = invoice.purchaseOrder
+    ? [
+        { accountKey: 'grni', debit: receivedValue },
+        {
+          accountKey: 'inventory',
+          debit: Math.max(goodsValue - receivedValue, 0),
+          credit: Math.max(receivedValue - goodsValue, 0),
+        },
+      ]
+    : [{ accountKey: 'inventory', debit: goodsValue }];
+
+  return postEntry(
+    {
+      cafeOwner: invoice.cafeOwner,
+      branch: invoice.branch,
+      date: invoice.date,
+      description: `Purchase ${invoice.invoiceNumber}`,
+      reference: invoice.invoiceNumber,
+      source: { type: 'invoice', id: invoice._id },
+      lines: [
+        ...goodsLines,
+        // Tax paid on purchases is offset against tax collected on sales
+        { accountKey: 'tax_payable', debit: tax },
+        { accountKey: moneyKey, credit: paid },
+        { accountKey: 'payable', credit: total - paid },
+      ],
+      createdBy: invoice.createdBy,
+    },
+    session,
+  );
+};
+
+// Post goods received against a purchase order, to be cleared by its invoice
+const postGoodsReceipt = async (receipt, session = null) =>
+  postEntry(
+    {
+      cafeOwner: receipt.cafeOwner,
+      branch: receipt.branch,
+      date: receipt.date,
+      description: `Goods received ${receipt.receiptNumber}`,
+      reference: receipt.receiptNumber,
+      source: { type: 'goods_receipt', id: receipt._id },
+      lines: [
+        { accountKey: 'inventory', debit: receipt.total },
+        { accountKey: 'grni', credit: receipt.total },
+      ],
+      createdBy: receipt.createdBy,
+    },
+    session,
+  );
+
+// Post stock written off as wastage at what it cost
+const postWastage = async (
+  { cafeOwner, branch, date, description, reference, source, cost, createdBy },
+  session = null,
+) =>
+  postEntry(
+    {
+      cafeOwner,
+      branch,
+      date,
+      description,
+      reference,
+      source,
+      lines: [
+        { accountKey: 'wastage', debit: cost },
+        { accountKey: 'inventory', credit: cost },
+      ],
+      createdBy,
+    },
+    session,
+  );
+
+// Post what an approved stock count found missing or extra at what the stock
+// cost, netted into one entry between inventory and the count variance expense
+const postStockCount = async (count, { value, createdBy }, session = null) => {
+  // A surplus reduces the variance expense, a shortage adds to it
+  const [debitKey, creditKey] =
+    value >= 0 ? ['inventory', 'inventory_variance'] : ['inventory_variance', 'inventory'];
+
+  return postEntry(
+    {
+      cafeOwner: count.cafeOwner,
+      branch: count.branch,
+      date: count.approvedAt,
+      description: `Stock count ${value >= 0 ? 'surplus' : 'shortage'}`,
+      source: { type: 'stock_count', id: count._id },
+      lines: [
+        { accountKey: debitKey, debit: Math.abs(value) },
+        { accountKey: creditKey, credit: Math.abs(value) },
+      ],
+      createdBy,
+    },
+    session,
+  );
+};
+
+// Post an additional payment received or made against an invoice
+const postInvoicePayment = async (
+  invoice,
+  { amount, paymentMethod, createdBy },
+  session = null,
+) => {
+  if (invoice.type === 'sale') {
+    return postCustomerPayment(
+      invoice,
+      { sourceType: 'invoice', reference: invoice.invoiceNumber, amount, paymentMethod, createdBy },
+      session,
+    );
+  }
+
+  return postEntry(
+    {
+      cafeOwner: invoice.cafeOwner,
+      branch: invoice.branch,
+      description: `Payment for ${invoice.invoiceNumber}`,
+      reference: invoice.invoiceNumber,
+      source: { type: 'invoice', id: invoice._id },
+      lines: [
+        { accountKey: 'payable', debit: amount },
+        { accountKey: moneyAccountKey(paymentMethod, 'payable'), credit: amount },
+      ],
+      createdBy,
+    },
+    session,
+  );
+};
+
+// Post an expense paid from the register
+const postExpense = async (expense, session = null) =>
+  postEntry(
+    {
+      cafeOwner: expense.cafeOwner,
+      branch: expense.branch,
+      date: expense.date,
+      description: `Expense: ${expense.description}`,
+      source: { type: 'expense', id: expense._id },
+      lines: [
+        { accountKey: expenseCategoryAccounts[expense.category], debit: expense.amount },
+        { accountKey: moneyAccountKey(expense.paymentMethod, 'payable'), credit: expense.amount },
+      ],
+      createdBy: expense.createdBy,
+    },
+    session,
+  );
+
+// Post payroll: approval accrues the salary, payment settles it
+const postPayroll = async (payroll, { paymentMethod, createdBy } = {}, session = null) => {
+  const reference = `${payroll.year}/${payroll.month}`;
+  const lines =
+    payroll.status === 'paid'
+      ? [
+          { accountKey: 'salaries_payable', debit: payroll.netSalary },
+          { accountKey: moneyAccountKey(paymentMethod, 'bank'), credit: payroll.netSalary },
+        ]
+      : [
+          { accountKey: 'salary', debit: payroll.netSalary },
+          { accountKey: 'salaries_payable', credit: payroll.netSalary },
+        ];
+
+  return postEntry(
+    {
+      cafeOwner: payroll.cafeOwner,
+      branch: payroll.branch,
+      date: payroll.status === 'paid' ? payroll.paymentDate : undefined,
+      description: `Payroll ${reference} ${payroll.status === 'paid' ? 'payment' : 'accrual'}`,
+      reference,
+      source: { type: 'payroll', id: payroll._id },
+      lines,
+      createdBy,
+    },
+    session,
+  );
+};
+
+// Counter-account for manual register transactions, by category and direction
+const cashTransactionAccounts = {
+  deposit: { sale: 'sales', refund: 'sales', expense: 'other_expense', other: 'other_income' },
+  withdrawal: { sale: 'sales', refund: 'sales', expense: 'other_expense', other: 'other_expense' },
+};
+
+// Post a manual cash register transaction
+const postCashTransaction = async (transaction, session = null) => {
+  const moneyKey = moneyAccountKey(transaction.paymentMethod, 'cash');
+  const otherKey = cashTransactionAccounts[transaction.transactionType][transaction.category];
+  const [debitKey, creditKey] =
+    transaction.transactionType === 'deposit' ? [moneyKey, otherKey] : [otherKey, moneyKey];
+
+  return postEntry(
+    {
+      cafeOwner: transaction.cafeOwner,
+      branch: transaction.branch,
+      date: transaction.date,
+      description: transaction.description,
+      source: { type: 'cash_register', id: transaction._id },
+      lines: [
+        { accountKey: debitKey, debit: transaction.amount },
+        { accountKey: creditKey, credit: transaction.amount },
+      ],
+      createdBy: transaction.createdBy,
+    },
+    session,
+  );
+};
+
+// Book the difference between counted and expected cash when a shift closes
+const postCashOverShort = async (shift, { amount, createdBy }, session = null) => {
+  // Cash over reduces the over-and-short expense, cash short adds to it
+  const [debitKey, creditKey] =
+    amount >= 0 ? ['cash', 'cash_over_short'] : ['cash_over_short', 'cash'];
+
+  return postEntry(
+    {
+      cafeOwner: shift.cafeOwner,
+      branch: shift.branch,
+      date: shift.closedAt,
+      description: `Cash ${amount >= 0 ? 'over' : 'short'} at close of shift ${shift.shiftNumber}`,
+      reference: shift.shiftNumber,
+      source: { type: 'shift', id: shift._id },
+      lines: [
+        { accountKey: debitKey, debit: Math.abs(amount) },
+        { accountKey: creditKey, credit: Math.abs(amount) },
+      ],
+      createdBy,
+    },
+    session,
+  );
+};
+
+module.exports = {
+  ensureChartOfAccounts,
+  getSystemAccounts,
+  postEntry,
+  reverseEntry,
+  reverseSourceEntries,
+  postSale,
+  postCustomerPayment,
+  postInvoice,
+  postInvoicePayment,
+  postGoodsReceipt,
+  postWastage,
+  postStockCount,
+  postExpense,
+  postPayroll,
+  postCashTransaction,
+  postCashOverShort,
+};
@@ -0,0 +1,79 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Cafe Management <no-reply@localhost>';
+
+// Transports that keep mail on this machine instead of delivering it
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+// Whether mail may stay on this machine: only in development and tests
+const allowsLocalMail = () => ['development', 'test'].includes(process.env.NODE_ENV);
+
+// Note each message on stdout, the default in development. The body holds
+// sign-in links, so it isn't printed; the file transport keeps it to read
+const consoleTransport = {
+  send: async (message) => {
+    process.stdout.write(`--- Mail to ${message.to}: ${message.subject} ---\n`);
+  },
+};
+
+// Write each message to a file in MAIL_DIR, for reading or asserting on offline
+const fileTransport = {
+  send: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'cafe-mail');
+    await fs.mkdir(dir, { recursive: true });
+
+    const name = `${Date.now()}-${message.to.replace(/[^a-z0-9.@_-]/gi, '_')}.json`;
+    await fs.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let activeTransport = null;
+
+/**
+ * Register a transport under a name MAIL_TRANSPORT can select, e.g. one
+ * wrapping an SMTP client or a mail provider's API. A transport is an object
+ * with an async `send({ from, to, subject, text })`.
+ */
+const registerMailTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Use a transport directly, whatever MAIL_TRANSPORT says; e.g. in tests
+const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getMailTransport = () => {
+  if (activeTransport) {
+    return activeTransport;
+  }
+
+  // Without a configured transport, mail is only kept locally where that's allowed
+  const name = process.env.MAIL_TRANSPORT || (allowsLocalMail() ? 'console' : null);
+  if (!name) {
+    throw new Error('No mail transport configured; set MAIL_TRANSPORT');
+  }
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  if (LOCAL_TRANSPORTS.includes(name) && !allowsLocalMail()) {
+    throw new Error(`The ${name} mail transport is only for development and tests`);
+  }
+  return transports[name];
+};
+
+const sendMail = async ({ to, subject, text }) =>
+  getMailTransport().send({ from: MAIL_FROM, to, subject, text });
+
+module.exports = {
+  registerMailTransport,
+  setMailTransport,
+  sendMail,
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const PhoneOtp = require('../models/PhoneOtp');
+const User = require('../models/User');
+const HttpError = require('../utils/httpError');
+const { phoneVariants } = require('../utils/phone');
+const { sendSms } = require('./smsService');
+
+const CODE_LENGTH = 6;
+const CODE_LIFETIME_MINUTES = 2;
+const MAX_ATTEMPTS = 5;
+
+// Requests allowed per window: one per phone a minute, and at most so many
+// per phone and per client address an hour
+const RATE_LIMITS = [
+  { key: 'phone', limit: 1, windowSeconds: 60 },
+  { key: 'phone', limit: 5, windowSeconds: 60 * 60 },
+  { key: 'ip', limit: 20, windowSeconds: 60 * 60 },
+];
+
+const generateCode = () =>
+  String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Seconds until another request fits in the window, or 0 if one does now
+const secondsUntilAllowed = async (filter, { limit, windowSeconds }) => {
+  const since = new Date(Date.now() - windowSeconds * 1000);
+  const recent = await PhoneOtp.find({ ...filter, createdAt: { $gte: since } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('createdAt');
+
+  if (recent.length < limit) {
+    return 0;
+  }
+
+  const oldest = recent[limit - 1].createdAt.getTime();
+  return Math.ceil((oldest + windowSeconds * 1000 - Date.now()) / 1000);
+};
+
+// The staff member signing in with a number; none if no one or several share it
+const findStaffByPhone = async (phone) => {
+  const staff = await User.find({
+    role: 'staff',
+    isActive: true,
+    removedAt: null,
+    phone: { $in: phoneVariants(phone) },
+  }).limit(2);
+
+  return staff.length === 1 ? staff[0] : null;
+};
+
+/**
+ * Text a sign-in code to the staff member with this number. Every request is
+ * recorded and rate limited the same way whether or not the number belongs to
+ * anyone, so neither the answer nor the limits tell who has an account.
+ * Returns the seconds to wait when a limit is reached.
+ */
+const requestCode = async (phone, ip) => {
+  for (const rule of RATE_LIMITS) {
+    const filter = rule.key === 'phone' ? { phone } : { ip };
+    const retryAfter = await secondsUntilAllowed(filter, rule);
+    if (retryAfter > 0) {
+      return { retryAfter };
+    }
+  }
+
+  const staff = await findStaffByPhone(phone);
+  const code = staff ? generateCode() : null;
+
+  await PhoneOtp.create({
+    phone,
+    ip,
+    user: staff ? staff._id : undefined,
+    codeHash: code ? hashCode(code) : undefined,
+    expiresAt: new Date(Date.now() + CODE_LIFETIME_MINUTES * 60 * 1000),
+  });
+
+  if (staff) {
+    await sendSms({
+      to: phone,
+      text: `Your sign-in code is ${code}. It expires in ${CODE_LIFETIME_MINUTES} minutes.`,
+    });
+  }
+
+  return { retryAfter: 0 };
+};
+
+/**
+ * Check a code against the latest one sent to the number and return the staff
+ * member it signs in. Each wrong code counts against the request; after
+ * MAX_ATTEMPTS a new code has to be requested. A right code works once.
+ */
+const verifyCode = async (phone, code) => {
+  const otp = await PhoneOtp.findOne({ phone, usedAt: null }).sort({ createdAt: -1 });
+
+  if (!otp || !otp.codeHash || otp.expiresAt <= new Date()) {
+    throw new HttpError(400, 'Invalid or expired code');
+  }
+
+  if (otp.attempts >= MAX_ATTEMPTS) {
+    throw new HttpError(400, 'Too many wrong codes; request a new one');
+  }
+
+  if (hashCode(code) !== otp.codeHash) {
+    const counted = await PhoneOtp.findOneAndUpdate(
+      { _id: otp._id, attempts: { $lt: MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true },
+    );
+    const attemptsLeft = counted ? MAX_ATTEMPTS - counted.attempts : 0;
+
+    throw new HttpError(
+      400,
+      attemptsLeft > 0
+        ? `Invalid code; ${attemptsLeft} attempts left`
+        : 'Too many wrong codes; request a new one',
+    );
+  }
+
+  const used = await PhoneOtp.findOneAndUpdate(
+    { _id: otp._id, usedAt: null, attempts: { $lt: MAX_ATTEMPTS } },
+    { $set: { usedAt: new Date() } },
+  );
+  if (!used) {
+    throw new HttpError(400, 'Invalid or expired code');
+  }
+
+  const staff = await User.findById(otp.user);
+  if (!staff || !staff.isActive || staff.removedAt) {
+    throw new HttpError(401, 'Account is inactive');
+  }
+
+  return staff;
+};
+
+module.exports = {
+  requestCode,
+  verifyCode,
+};
@@ -0,0 +1,167 @@
+const GoodsReceipt = require('../models/GoodsReceipt');
+const Invoice = require('../models/Invoice');
+const { roundAmount } = require('../utils/money');
+
+// Invoice prices within this much of the order price count as matching
+const PRICE_TOLERANCE = 0.01;
+
+const findOrderItem = (order, productId) =>
+  order.items.find((item) => String(item.product) === String(productId));
+
+/**
+ * Match a supplier invoice against its purchase order and receipts. Every
+ * line must be on the order, priced as ordered, and not bill more than has
+ * been received and not yet invoiced. Also returns the invoiced goods'
+ * value at order prices, which receipts have already booked to inventory.
+ */
+const matchInvoiceToOrder = (order, items) => {
+  const discrepancies = [];
+  const invoicedNow = new Map();
+  let receivedValue = 0;
+
+  items.forEach((item) => {
+    const orderItem = findOrderItem(order, item.product);
+
+    if (!orderItem) {
+      discrepancies.push({
+        product: item.product,
+        productName: item.productName,
+        issue: 'not_ordered',
+        expected: 0,
+        actual: item.quantity,
+      });
+      return;
+    }
+
+    receivedValue += item.quantity * orderItem.unitCost;
+
+    const key = String(orderItem._id);
+    invoicedNow.set(key, (invoicedNow.get(key) || 0) + item.quantity);
+
+    const netPrice = roundAmount(item.unitPrice * (1 - (item.discount || 0) / 100));
+    if (Math.abs(netPrice - orderItem.unitCost) > PRICE_TOLERANCE) {
+      discrepancies.push({
+        product: item.product,
+        productName: item.productName,
+        issue: 'price',
+        expected: orderItem.unitCost,
+        actual: netPrice,
+      });
+    }
+  });
+
+  invoicedNow.forEach((quantity, key) => {
+    const orderItem = order.items.id(key);
+    const uninvoiced = orderItem.receivedQuantity - orderItem.invoicedQuantity;
+
+    if (quantity > uninvoiced) {
+      discrepancies.push({
+        product: orderItem.product,
+        productName: orderItem.productName,
+        issue: 'quantity',
+        expected: Math.max(uninvoiced, 0),
+        actual: quantity,
+      });
+    }
+  });
+
+  return {
+    status: discrepancies.length ? 'exception' : 'matched',
+    discrepancies,
+    receivedValue: roundAmount(receivedValue),
+  };
+};
+
+// Add (or with a negative sign, remove) invoiced quantities on the order lines
+const recordInvoicedQuantities = (order, items, sign = 1) => {
+  items.forEach((item) => {
+    const orderItem = findOrderItem(order, item.product);
+    if (orderItem) {
+      orderItem.invoicedQuantity = Math.max(orderItem.invoicedQuantity + sign * item.quantity, 0);
+    }
+  });
+};
+
+/**
+ * Three-way match of a purchase order: per line, what was ordered, received
+ * and invoiced, at which prices, and whether the three agree.
+ */
+const threeWayMatch = async (order) => {
+  const receipts = await GoodsReceipt.find({ purchaseOrder: order._id }).sort({ date: 1 });
+  const invoices = await Invoice.find({
+    purchaseOrder: order._id,
+    type: 'purchase',
+    status: 'confirmed',
+  }).sort({ date: 1 });
+
+  const lines = order.items.map((orderItem) => {
+    const received = receipts.flatMap((receipt) =>
+      receipt.items.filter((item) => item.orderItem.equals(orderItem._id)),
+    );
+    const invoiced = invoices.flatMap((invoice) =>
+      invoice.items.filter((item) => item.product.equals(orderItem.product)),
+    );
+
+    const receivedQuantity = received.reduce((sum, item) => sum + item.quantity, 0);
+    const invoicedQuantity = invoiced.reduce((sum, item) => sum + item.quantity, 0);
+    const invoicedAmount = invoiced.reduce((sum, item) => sum + item.totalPrice, 0);
+    const invoicedUnitPrice = invoicedQuantity
+      ? roundAmount(invoicedAmount / invoicedQuantity)
+      : null;
+
+    let status = 'matched';
+    if (
+      invoicedUnitPrice !== null &&
+      Math.abs(invoicedUnitPrice - orderItem.unitCost) > PRICE_TOLERANCE
+    ) {
+      status = 'price_mismatch';
+    } else if (invoicedQuantity > receivedQuantity) {
+      status = 'over_invoiced';
+    } else if (receivedQuantity > orderItem.quantity) {
+      status = 'over_received';
+    } else if (receivedQuantity < orderItem.quantity && order.status !== 'closed') {
+      status = 'awaiting_receipt';
+    } else if (invoicedQuantity < receivedQuantity) {
+      status = 'awaiting_invoice';
+    }
+
+    return {
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      productName: orderItem.productName,
+      orderedQuantity: orderItem.quantity,
+      receivedQuantity,
+      invoicedQuantity,
+      orderUnitCost: orderItem.unitCost,
+      invoicedUnitPrice,
+      status,
+    };
+  });
+
+  return {
+    purchaseOrder: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    isMatched: lines.every((line) => line.status === 'matched'),
+    lines,
+    receipts: receipts.map(({ _id, receiptNumber, date, total }) => ({
+      _id,
+      receiptNumber,
+      date,
+      total,
+    })),
+    invoices: invoices.map(({ _id, invoiceNumber, date, total, match }) => ({
+      _id,
+      invoiceNumber,
+      date,
+      total,
+      matchStatus: match && match.status,
+    })),
+  };
+};
+
+module.exports = {
+  matchInvoiceToOrder,
+  recordInvoicedQuantities,
+  threeWayMatch,
+};
@@ -0,0 +1,295 @@
+const CashRegister = require('../models/CashRegister');
+const HttpError = require('../utils/httpError');
+const { parseDateInput, toJalali } = require('../utils/jalali');
+const { parseCsvRecords, parseAmount } = require('../utils/csv');
+const { roundAmount } = require('../utils/money');
+const { accountRowsFilter, rowChange } = require('./cashRegisterService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many days a statement line may be dated after or before the register
+// row it matches; card payments usually settle a day or two later
+const DATE_TOLERANCE_DAYS = 3;
+
+// Header names read from the CSV unless the import names other columns
+const DEFAULT_COLUMNS = {
+  date: 'date',
+  amount: 'amount',
+  credit: 'credit',
+  debit: 'debit',
+  reference: 'reference',
+  description: 'description',
+};
+
+// Document numbers the app writes into register descriptions, e.g. INV-1712
+const DOCUMENT_NUMBER = /\b[A-Z]{2,5}-\d+\b/g;
+
+const sameAmount = (a, b) => Math.abs(a - b) < 0.005;
+
+const daysApart = (a, b) => Math.abs(a.getTime() - b.getTime()) / DAY_MS;
+
+// Calendar day of a date in the cafe's time zone
+const dayKey = (date) => {
+  const { year, month, day } = toJalali(date);
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Read statement lines from CSV text. Each line has a date and either a signed
+ * `amount` column or separate `credit` and `debit` columns; `columns` maps
+ * these fields to the file's own header names. Rows with no amount, such as
+ * opening balances, are skipped.
+ */
+const readStatementLines = (csv, columns = {}) => {
+  const names = { ...DEFAULT_COLUMNS };
+  Object.keys(columns).forEach((field) => {
+    if (columns[field]) {
+      names[field] = columns[field].toLowerCase();
+    }
+  });
+
+  const records = parseCsvRecords(csv);
+  if (!records.length) {
+    throw new HttpError(400, 'The statement has no lines');
+  }
+
+  if (!(names.date in records[0])) {
+    throw new HttpError(400, `The statement has no ${names.date} column`);
+  }
+
+  const hasAmount = names.amount in records[0];
+  if (!hasAmount && !(names.credit in records[0]) && !(names.debit in records[0])) {
+    throw new HttpError(400, 'The statement needs an amount column or credit and debit columns');
+  }
+
+  const lines = records.reduce((lines, record, index) => {
+    // Header is row 1 of the file
+    const row = index + 2;
+    const date = parseDateInput(record[names.date]);
+    if (!date) {
+      throw new HttpError(400, `Row ${row}: invalid date "${record[names.date]}"`);
+    }
+
+    // A blank cell is 0, a cell that isn't a number is null; check each
+    // credit and debit before combining them, as Math.abs(null) is 0
+    const amounts = hasAmount
+      ? [parseAmount(record[names.amount])]
+      : [parseAmount(record[names.credit]), parseAmount(record[names.debit])];
+    if (amounts.some((value) => value === null || Number.isNaN(value))) {
+      throw new HttpError(400, `Row ${row}: invalid amount`);
+    }
+    const amount = hasAmount ? amounts[0] : Math.abs(amounts[0]) - Math.abs(amounts[1]);
+
+    if (amount !== 0) {
+      lines.push({
+        date,
+        amount: roundAmount(amount),
+        reference: record[names.reference] || undefined,
+        description: record[names.description] || undefined,
+      });
+    }
+    return lines;
+  }, []);
+
+  if (!lines.length) {
+    throw new HttpError(400, 'The statement has no lines with an amount');
+  }
+  return lines;
+};
+
+// Whether a statement line and a register row name the same document
+const sharesReference = (line, row) => {
+  const lineText = `${line.reference || ''} ${line.description || ''}`.toUpperCase();
+  const rowText = `${row.description || ''} ${row.notes || ''}`.toUpperCase();
+
+  if (
+    line.reference &&
+    line.reference.length >= 3 &&
+    rowText.includes(line.reference.toUpperCase())
+  ) {
+    return true;
+  }
+
+  return (rowText.match(DOCUMENT_NUMBER) || []).some((number) => lineText.includes(number));
+};
+
+// Register rows of the statement's money account around its period that no
+// statement has claimed yet
+const unreconciledRows = (statement, session = null) =>
+  CashRegister.find({
+    ...accountRowsFilter(statement.cafeOwner, statement.moneyAccount),
+    date: {
+      $gte: new Date(statement.periodStart.getTime() - DATE_TOLERANCE_DAYS * DAY_MS),
+      $lte: new Date(statement.periodEnd.getTime() + DATE_TOLERANCE_DAYS * DAY_MS),
+    },
+    statement: null,
+  })
+    .sort({ date: 1, sequence: 1 })
+    .session(session);
+
+// Best single register row for a line: the same amount within the date
+// tolerance, preferring a shared reference and then the closest date
+const singleMatch = (line, rows) =>
+  rows
+    .filter(
+      (row) =>
+        sameAmount(rowChange(row), line.amount) &&
+        daysApart(row.date, line.date) <= DATE_TOLERANCE_DAYS,
+    )
+    .sort(
+      (a, b) =>
+        Number(sharesReference(line, b)) - Number(sharesReference(line, a)) ||
+        daysApart(a.date, line.date) - daysApart(b.date, line.date),
+    )[0];
+
+// A terminal settlement pays out a day's card takings in one line: find the
+// day, on or before the line's date, whose unmatched rows add up to it
+const settlementMatch = (line, rows) => {
+  const days = new Map();
+
+  rows
+    .filter((row) => row.date <= line.date && daysApart(row.date, line.date) <= DATE_TOLERANCE_DAYS)
+    .forEach((row) => {
+      const key = dayKey(row.date);
+      days.set(key, [...(days.get(key) || []), row]);
+    });
+
+  return [...days.values()].reverse().find(
+    (dayRows) =>
+      dayRows.length > 1 &&
+      sameAmount(
+        dayRows.reduce((sum, row) => sum + rowChange(row), 0),
+        line.amount,
+      ),
+  );
+};
+
+// Point register rows at the statement line they were reconciled against
+const claimRows = (statement, line, rows, session) =>
+  CashRegister.updateMany(
+    { _id: { $in: rows.map((row) => row._id) } },
+    { $set: { statement: statement._id, statementLine: line._id } },
+    { session },
+  );
+
+const releaseRows = (line, session) =>
+  CashRegister.updateMany(
+    { _id: { $in: line.transactions } },
+    { $unset: { statement: '', statementLine: '' } },
+    { session },
+  );
+
+/**
+ * Match every unmatched line of a statement to register rows of its money
+ * account: one row of the same amount within a few days, preferring rows
+ * that mention the line's reference, or for card terminals a day of card
+ * payments the line settles. Returns how many lines were matched.
+ */
+const autoMatch = async (statement, session = null) => {
+  let rows = await unreconciledRows(statement, session);
+  let matched = 0;
+
+  const lines = statement.lines
+    .filter((line) => line.status === 'unmatched')
+    .sort((a, b) => a.date - b.date);
+
+  for (const line of lines) {
+    const single = singleMatch(line, rows);
+    const lineRows = single
+      ? [single]
+      : statement.moneyAccount === 'card_terminal'
+      ? settlementMatch(line, rows)
+      : null;
+
+    if (lineRows) {
+      line.status = 'matched';
+      line.transactions = lineRows.map((row) => row._id);
+      line.matchType = 'auto';
+      line.matchedAt = new Date();
+      await claimRows(statement, line, lineRows, session);
+
+      rows = rows.filter((row) => !lineRows.includes(row));
+      matched += 1;
+    }
+  }
+
+  return matched;
+};
+
+/**
+ * Match a statement line by hand to register rows of the statement's money
+ * account. The rows must not belong to another line and must add up to the
+ * line's amount.
+ */
+const matchLine = async (statement, line, transactionIds, user, session = null) => {
+  const rows = await CashRegister.find({
+    ...accountRowsFilter(statement.cafeOwner, statement.moneyAccount),
+    _id: { $in: transactionIds },
+  }).session(session);
+
+  if (rows.length !== new Set(transactionIds.map(String)).size) {
+    throw new HttpError(400, `Transactions must be ${statement.moneyAccount} register rows`);
+  }
+
+  const claimed = rows.find((row) => row.statementLine && !row.statementLine.equals(line._id));
+  if (claimed) {
+    throw new HttpError(400, `Transaction ${claimed._id} is already matched to a statement line`);
+  }
+
+  const total = rows.reduce((sum, row) => sum + rowChange(row), 0);
+  if (!sameAmount(total, line.amount)) {
+    throw new HttpError(
+      400,
+      `Transactions total ${roundAmount(total)} but the line is ${line.amount}`,
+    );
+  }
+
+  await releaseRows(line, session);
+  await claimRows(statement, line, rows, session);
+
+  line.status = 'matched';
+  line.transactions = rows.map((row) => row._id);
+  line.matchType = 'manual';
+  line.matchedBy = user;
+  line.matchedAt = new Date();
+  line.notes = undefined;
+};
+
+// Put a matched or ignored line back to unmatched, freeing its register rows
+const unmatchLine = async (line, session = null) => {
+  await releaseRows(line, session);
+
+  line.status = 'unmatched';
+  line.transactions = [];
+  line.matchType = undefined;
+  line.matchedBy = undefined;
+  line.matchedAt = undefined;
+  line.notes = undefined;
+};
+
+// Lines still waiting for a match, and register rows dated in the
+// statement's period that no statement line accounts for
+const unmatchedItems = async (statement, session = null) => {
+  const transactions = await CashRegister.find({
+    ...accountRowsFilter(statement.cafeOwner, statement.moneyAccount),
+    date: { $gte: statement.periodStart, $lte: statement.periodEnd },
+    statement: null,
+  })
+    .sort({ date: 1, sequence: 1 })
+    .select('date transactionType paymentMethod amount description category reference notes')
+    .session(session);
+
+  return {
+    lines: statement.lines.filter((line) => line.status === 'unmatched'),
+    transactions,
+  };
+};
+
+module.exports = {
+  DATE_TOLERANCE_DAYS,
+  readStatementLines,
+  autoMatch,
+  matchLine,
+  unmatchLine,
+  unmatchedItems,
+};
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const StockMovement = require('../models/StockMovement');
+const Supplier = require('../models/Supplier');
+const { productUnitFactor } = require('../utils/units');
+const { roundAmount } = require('../utils/money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Movements that use stock up, as opposed to buying, counting or correcting it
+const USAGE_TYPES = ['sale', 'sale_return', 'wastage'];
+
+// Orders whose outstanding quantities are already on the way
+const OPEN_ORDER_STATUSES = ['draft', ...PurchaseOrder.RECEIVABLE_STATUSES];
+
+const roundQuantity = (quantity) => Math.round(quantity * 1e6) / 1e6;
+
+// Mongo condition for products at or below their reorder point, falling back
+// to the minimum stock for products without one
+const lowStockCondition = () => ({
+  $expr: {
+    $lte: ['$stockQuantity', { $ifNull: ['$reorderPoint', '$minimumStock'] }],
+  },
+});
+
+// Stock used per product over `days` days up to `asOf`, in each product's own unit
+const sumUsage = async (cafeOwner, products, days, asOf) => {
+  const totals = await StockMovement.aggregate([
+    {
+      $match: {
+        cafeOwner: new mongoose.Types.ObjectId(cafeOwner),
+        product: { $in: products },
+        type: { $in: USAGE_TYPES },
+        date: { $gt: new Date(asOf.getTime() - days * DAY_MS), $lte: asOf },
+      },
+    },
+    { $group: { _id: '$product', quantity: { $sum: '$quantity' } } },
+  ]);
+
+  // Usage takes stock out, so it is the negated sum
+  return new Map(totals.map((total) => [String(total._id), Math.max(-total.quantity, 0)]));
+};
+
+// Quantities ordered but not yet received per product
+const sumOnOrder = async (cafeOwner, products) => {
+  const totals = await PurchaseOrder.aggregate([
+    {
+      $match: {
+        cafeOwner: new mongoose.Types.ObjectId(cafeOwner),
+        status: { $in: OPEN_ORDER_STATUSES },
+      },
+    },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $in: products } } },
+    {
+      $group: {
+        _id: '$items.product',
+        quantity: {
+          $sum: { $max: [{ $subtract: ['$items.quantity', '$items.receivedQuantity'] }, 0] },
+        },
+      },
+    },
+  ]);
+
+  return new Map(totals.map((total) => [String(total._id), total.quantity]));
+};
+
+/**
+ * Suggested purchase list. A stocked product needs ordering when what is on
+ * hand and on order has fallen to its reorder point. Without a set reorder
+ * point that is its minimum stock plus what it is expected to use while an
+ * order from its supplier arrives, judging by usage over the last
+ * `usageDays` days. The suggested quantity is the product's reorder quantity,
+ * or enough to cover `coverDays` of usage above the reorder point, rounded up
+ * to whole purchase units. Suggestions are grouped by supplier.
+ */
+const reorderSuggestions = async (
+  cafeOwner,
+  { usageDays = 28, coverDays = 14, asOf = new Date() } = {},
+) => {
+  const products = await Product.find({
+    cafeOwner,
+    isActive: true,
+    'recipe.0': { $exists: false },
+  });
+  const productIds = products.map((product) => product._id);
+
+  const [usage, onOrder, suppliers] = await Promise.all([
+    sumUsage(cafeOwner, productIds, usageDays, asOf),
+    sumOnOrder(cafeOwner, productIds),
+    Supplier.find({ cafeOwner }).select('name phone leadTimeDays'),
+  ]);
+  const suppliersById = new Map(suppliers.map((supplier) => [String(supplier._id), supplier]));
+
+  const groups = new Map();
+
+  products.forEach((product) => {
+    const key = String(product._id);
+    const supplier = product.supplier ? suppliersById.get(String(product.supplier)) : null;
+    const leadTimeDays = supplier ? supplier.leadTimeDays : 0;
+    const dailyUsage = (usage.get(key) || 0) / usageDays;
+    const reorderPoint = product.reorderPoint ?? product.minimumStock + dailyUsage * leadTimeDays;
+    const ordered = onOrder.get(key) || 0;
+    const position = product.stockQuantity + ordered;
+
+    if (position > reorderPoint) {
+      return;
+    }
+
+    // Never less than it takes to get back to the reorder point
+    const shortfall = reorderPoint - position;
+    const reorderQuantity = product.reorderQuantity ?? null;
+    const quantity =
+      reorderQuantity !== null
+        ? Math.max(reorderQuantity, shortfall)
+        : shortfall + dailyUsage * coverDays;
+
+    const purchaseUnit = product.purchaseUnit || product.unit;
+    const factor = productUnitFactor(product, purchaseUnit) || 1;
+    const purchaseQuantity = Math.ceil(roundQuantity(quantity / factor));
+
+    if (purchaseQuantity <= 0) {
+      return;
+    }
+
+    const groupKey = supplier ? String(supplier._id) : '';
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { supplier, items: [], estimatedTotal: 0 });
+    }
+
+    const item = {
+      product: product._id,
+      code: product.code,
+      name: product.name,
+      unit: product.unit,
+      stockQuantity: product.stockQuantity,
+      onOrder: ordered,
+      dailyUsage: roundQuantity(dailyUsage),
+      daysOfStock: dailyUsage > 0 ? roundAmount(product.stockQuantity / dailyUsage) : null,
+      reorderPoint: roundQuantity(reorderPoint),
+      quantity: roundQuantity(purchaseQuantity * factor),
+      purchaseUnit,
+      purchaseQuantity,
+      unitCost: product.cost,
+      estimatedCost: roundAmount(purchaseQuantity * factor * product.cost),
+    };
+
+    const group = groups.get(groupKey);
+    group.items.push(item);
+    group.estimatedTotal = roundAmount(group.estimatedTotal + item.estimatedCost);
+  });
+
+  // Suppliers with the most to order first, products without one last
+  const rows = [...groups.values()]
+    .map((group) => ({
+      ...group,
+      items: group.items.sort((a, b) => (a.daysOfStock ?? Infinity) - (b.daysOfStock ?? Infinity)),
+    }))
+    .sort((a, b) => {
+      if (Boolean(a.supplier) !== Boolean(b.supplier)) {
+        return a.supplier ? -1 : 1;
+      }
+      return b.estimatedTotal - a.estimatedTotal;
+    });
+
+  return {
+    asOf,
+    usageDays,
+    coverDays,
+    suppliers: rows,
+    estimatedTotal: roundAmount(rows.reduce((sum, group) => sum + group.estimatedTotal, 0)),
+  };
+};
+
+module.exports = {
+  lowStockCondition,
+  reorderSuggestions,
+};
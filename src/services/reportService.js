@@ -0,0 +1,446 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Ledger = require('../models/Ledger');
+const Branch = require('../models/Branch');
+const Sale = require('../models/Sale');
+const { ensureChartOfAccounts } = require('./ledgerService');
+const { roundAmount } = require('../utils/money');
+
+// Sum debits and credits per account for postings in the range; a null start
+// means from the first posting. With `branch` only that branch's entries
+// count; without, every branch's are added up.
+const sumPostings = async (cafeOwner, { start, end }, branch = null) => {
+  const match = {
+    cafeOwner: new mongoose.Types.ObjectId(cafeOwner),
+    date: { $lte: end },
+  };
+
+  if (start) {
+    match.date.$gte = start;
+  }
+
+  if (branch) {
+    match.branch = new mongoose.Types.ObjectId(branch);
+  }
+
+  const totals = await Ledger.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.account',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' },
+      },
+    },
+  ]);
+
+  return new Map(totals.map((total) => [String(total._id), total]));
+};
+
+// An account's movement expressed on its normal side, so growth is positive
+const normalAmount = (account, totals) => {
+  const { debit = 0, credit = 0 } = totals.get(String(account._id)) || {};
+  return Account.DEBIT_NORMAL_TYPES.includes(account.type) ? debit - credit : credit - debit;
+};
+
+// Current and comparison figures plus the change between them
+const compareAmounts = (current, comparison) => {
+  const result = { current: roundAmount(current) };
+
+  if (comparison !== null) {
+    result.comparison = roundAmount(comparison);
+    result.change = roundAmount(current - comparison);
+    result.changePercent = comparison
+      ? roundAmount(((current - comparison) / Math.abs(comparison)) * 100)
+      : null;
+  }
+
+  return result;
+};
+
+/**
+ * Build statement rows for `accounts`, rolling each account's amount up into
+ * its ancestors so parent rows show subtotals. Rows with no activity in
+ * either period are left out.
+ */
+const buildRows = (accounts, current, comparison) => {
+  const byId = new Map(accounts.map((account) => [String(account._id), account]));
+  const totals = new Map(
+    accounts.map((account) => [String(account._id), { current: 0, comparison: 0 }]),
+  );
+
+  accounts.forEach((account) => {
+    const own = {
+      current: normalAmount(account, current),
+      comparison: comparison ? normalAmount(account, comparison) : 0,
+    };
+
+    for (let node = account; node; node = node.parent ? byId.get(String(node.parent)) : null) {
+      const total = totals.get(String(node._id));
+      total.current += own.current;
+      total.comparison += own.comparison;
+    }
+  });
+
+  const depth = (account) => {
+    let level = 0;
+    for (
+      let node = account;
+      node.parent && byId.has(String(node.parent));
+      node = byId.get(String(node.parent))
+    ) {
+      level += 1;
+    }
+    return level;
+  };
+
+  return accounts
+    .filter((account) => {
+      const total = totals.get(String(account._id));
+      return roundAmount(total.current) !== 0 || roundAmount(total.comparison) !== 0;
+    })
+    .map((account) => {
+      const total = totals.get(String(account._id));
+      return {
+        account: account._id,
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        parent: account.parent,
+        level: depth(account),
+        ...compareAmounts(total.current, comparison ? total.comparison : null),
+      };
+    });
+};
+
+// Pair each current total with its comparison total
+const compareTotals = (currentTotals, comparisonTotals) =>
+  Object.keys(currentTotals).reduce(
+    (result, key) => ({
+      ...result,
+      [key]: compareAmounts(currentTotals[key], comparisonTotals ? comparisonTotals[key] : null),
+    }),
+    {},
+  );
+
+// Sum the top-level rows of a section, which already include their children
+const sectionTotal = (rows, key) =>
+  rows.filter((row) => row.level === 0).reduce((sum, row) => sum + (row[key] || 0), 0);
+
+const loadAccounts = async (cafeOwner, types) => {
+  await ensureChartOfAccounts(cafeOwner);
+  return Account.find({ cafeOwner, type: { $in: types } }).sort({ code: 1 });
+};
+
+const describeRange = (range) => (range ? { startDate: range.start, endDate: range.end } : null);
+
+/**
+ * Trial balance for a range: each account's opening balance, the debits and
+ * credits posted in the range and the closing balance split into debit and
+ * credit columns. Comparison columns hold the closing balance at the end of
+ * the comparison range.
+ */
+const trialBalance = async (cafeOwner, range, comparison) => {
+  const accounts = await loadAccounts(cafeOwner, [
+    'asset',
+    'liability',
+    'equity',
+    'revenue',
+    'expense',
+  ]);
+
+  const opening = await sumPostings(cafeOwner, {
+    start: null,
+    end: new Date(range.start.getTime() - 1),
+  });
+  const movement = await sumPostings(cafeOwner, range);
+  const comparisonClosing = comparison
+    ? await sumPostings(cafeOwner, { start: null, end: comparison.end })
+    : null;
+
+  const netDebit = (totals, account) => {
+    const { debit = 0, credit = 0 } = totals.get(String(account._id)) || {};
+    return debit - credit;
+  };
+
+  const totals = { debit: 0, credit: 0, debitBalance: 0, creditBalance: 0 };
+  if (comparisonClosing) {
+    totals.comparisonDebitBalance = 0;
+    totals.comparisonCreditBalance = 0;
+  }
+
+  const rows = accounts
+    .map((account) => {
+      const { debit = 0, credit = 0 } = movement.get(String(account._id)) || {};
+      const openingBalance = netDebit(opening, account);
+      const closingBalance = openingBalance + debit - credit;
+
+      const row = {
+        account: account._id,
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        openingBalance: roundAmount(openingBalance),
+        debit: roundAmount(debit),
+        credit: roundAmount(credit),
+        debitBalance: roundAmount(Math.max(closingBalance, 0)),
+        creditBalance: roundAmount(Math.max(-closingBalance, 0)),
+      };
+
+      if (comparisonClosing) {
+        const comparisonBalance = netDebit(comparisonClosing, account);
+        row.comparisonDebitBalance = roundAmount(Math.max(comparisonBalance, 0));
+        row.comparisonCreditBalance = roundAmount(Math.max(-comparisonBalance, 0));
+      }
+
+      return row;
+    })
+    .filter((row) =>
+      [
+        'openingBalance',
+        'debit',
+        'credit',
+        'comparisonDebitBalance',
+        'comparisonCreditBalance',
+      ].some((key) => row[key]),
+    );
+
+  rows.forEach((row) => {
+    Object.keys(totals).forEach((key) => {
+      totals[key] = roundAmount(totals[key] + row[key]);
+    });
+  });
+
+  return {
+    period: describeRange(range),
+    comparisonPeriod: describeRange(comparison),
+    accounts: rows,
+    totals,
+    isBalanced: totals.debitBalance === totals.creditBalance,
+  };
+};
+
+// Profit and loss for a range, with revenue, cost of sales and expenses, for
+// one branch or all of them together
+const profitAndLoss = async (cafeOwner, range, comparison, { branch } = {}) => {
+  const accounts = await loadAccounts(cafeOwner, ['revenue', 'expense']);
+
+  const current = await sumPostings(cafeOwner, range, branch);
+  const previous = comparison ? await sumPostings(cafeOwner, comparison, branch) : null;
+
+  const revenue = buildRows(
+    accounts.filter((account) => account.type === 'revenue'),
+    current,
+    previous,
+  );
+  const expenses = buildRows(
+    accounts.filter((account) => account.type === 'expense'),
+    current,
+    previous,
+  );
+
+  const cogsRow = expenses.find((row) =>
+    accounts.some((account) => account.systemKey === 'cogs' && account._id.equals(row.account)),
+  );
+
+  const totalFor = (key) => {
+    const totalRevenue = sectionTotal(revenue, key);
+    const totalExpenses = sectionTotal(expenses, key);
+    const costOfSales = cogsRow ? cogsRow[key] || 0 : 0;
+    return {
+      revenue: totalRevenue,
+      costOfSales,
+      grossProfit: totalRevenue - costOfSales,
+      operatingExpenses: totalExpenses - costOfSales,
+      expenses: totalExpenses,
+      netIncome: totalRevenue - totalExpenses,
+    };
+  };
+
+  const totals = compareTotals(totalFor('current'), comparison ? totalFor('comparison') : null);
+
+  return {
+    period: describeRange(range),
+    comparisonPeriod: describeRange(comparison),
+    branch: branch || null,
+    revenue,
+    expenses,
+    totals,
+  };
+};
+
+/**
+ * Side-by-side results of each branch for a range: sales, revenue, cost of
+ * sales, expenses and net income from the ledger, with the consolidated
+ * totals of the whole cafe. Entries from before the cafe had branches are
+ * shown as a row without a branch.
+ */
+const branchComparison = async (cafeOwner, range) => {
+  const owner = new mongoose.Types.ObjectId(cafeOwner);
+  const [accounts, branches, postings, sales] = await Promise.all([
+    loadAccounts(cafeOwner, ['revenue', 'expense']),
+    Branch.find({ cafeOwner }).select('name code isActive').sort({ name: 1 }),
+    Ledger.aggregate([
+      { $match: { cafeOwner: owner, date: { $gte: range.start, $lte: range.end } } },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { branch: '$branch', account: '$lines.account' },
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' },
+        },
+      },
+    ]),
+    Sale.aggregate([
+      {
+        $match: {
+          cafeOwner: owner,
+          status: { $in: Sale.SETTLED_STATUSES },
+          date: { $gte: range.start, $lte: range.end },
+        },
+      },
+      { $group: { _id: '$branch', count: { $sum: 1 }, total: { $sum: '$total' } } },
+    ]),
+  ]);
+
+  const accountsById = new Map(accounts.map((account) => [String(account._id), account]));
+  const emptyRow = () => ({
+    salesCount: 0,
+    salesTotal: 0,
+    revenue: 0,
+    costOfSales: 0,
+    grossProfit: 0,
+    expenses: 0,
+    netIncome: 0,
+  });
+  const rows = new Map();
+  const rowFor = (branchId) => {
+    const key = branchId ? String(branchId) : '';
+    if (!rows.has(key)) {
+      rows.set(key, emptyRow());
+    }
+    return rows.get(key);
+  };
+
+  branches.forEach((branch) => rowFor(branch._id));
+
+  postings.forEach((posting) => {
+    const account = accountsById.get(String(posting._id.account));
+    if (!account) {
+      return;
+    }
+
+    const row = rowFor(posting._id.branch);
+    const amount = Account.DEBIT_NORMAL_TYPES.includes(account.type)
+      ? posting.debit - posting.credit
+      : posting.credit - posting.debit;
+    if (account.type === 'revenue') {
+      row.revenue += amount;
+    } else {
+      row.expenses += amount;
+      if (account.systemKey === 'cogs') {
+        row.costOfSales += amount;
+      }
+    }
+  });
+
+  sales.forEach((sale) => {
+    const row = rowFor(sale._id);
+    row.salesCount = sale.count;
+    row.salesTotal = sale.total;
+  });
+
+  const finish = (row) => ({
+    ...row,
+    salesTotal: roundAmount(row.salesTotal),
+    revenue: roundAmount(row.revenue),
+    costOfSales: roundAmount(row.costOfSales),
+    grossProfit: roundAmount(row.revenue - row.costOfSales),
+    expenses: roundAmount(row.expenses),
+    netIncome: roundAmount(row.revenue - row.expenses),
+  });
+
+  const consolidated = [...rows.values()].reduce((total, row) => {
+    Object.keys(total).forEach((key) => {
+      total[key] += row[key];
+    });
+    return total;
+  }, emptyRow());
+
+  const unassigned = rows.get('');
+
+  return {
+    period: describeRange(range),
+    branches: [
+      ...branches.map((branch) => ({ branch, ...finish(rows.get(String(branch._id))) })),
+      ...(unassigned ? [{ branch: null, ...finish(unassigned) }] : []),
+    ],
+    consolidated: finish(consolidated),
+  };
+};
+
+/**
+ * Balance sheet as of the end of the range. Revenue and expenses are not
+ * closed into equity by entries, so their cumulative net is shown as
+ * current earnings to keep the statement balanced.
+ */
+const balanceSheet = async (cafeOwner, range, comparison) => {
+  const accounts = await loadAccounts(cafeOwner, [
+    'asset',
+    'liability',
+    'equity',
+    'revenue',
+    'expense',
+  ]);
+
+  const current = await sumPostings(cafeOwner, { start: null, end: range.end });
+  const previous = comparison
+    ? await sumPostings(cafeOwner, { start: null, end: comparison.end })
+    : null;
+
+  const section = (type) =>
+    buildRows(
+      accounts.filter((account) => account.type === type),
+      current,
+      previous,
+    );
+
+  const assets = section('asset');
+  const liabilities = section('liability');
+  const equity = section('equity');
+  const revenue = section('revenue');
+  const expenses = section('expense');
+
+  const totalFor = (key) => {
+    const earnings = sectionTotal(revenue, key) - sectionTotal(expenses, key);
+    const totalLiabilities = sectionTotal(liabilities, key);
+    const totalEquity = sectionTotal(equity, key) + earnings;
+    return {
+      assets: sectionTotal(assets, key),
+      liabilities: totalLiabilities,
+      currentEarnings: earnings,
+      equity: totalEquity,
+      liabilitiesAndEquity: totalLiabilities + totalEquity,
+    };
+  };
+
+  const totals = compareTotals(totalFor('current'), comparison ? totalFor('comparison') : null);
+
+  return {
+    asOf: range.end,
+    comparisonAsOf: comparison ? comparison.end : null,
+    assets,
+    liabilities,
+    equity,
+    totals,
+    isBalanced: totals.assets.current === totals.liabilitiesAndEquity.current,
+  };
+};
+
+module.exports = {
+  trialBalance,
+  profitAndLoss,
+  branchComparison,
+  balanceSheet,
+};
@@ -0,0 +1,47 @@
+const Role = require('../models/Role');
+const HttpError = require('../utils/httpError');
+const { isCafePermission, listPermissions } = require('../config/permissions');
+
+/**
+ * What a user may do. Cafe owners hold every cafe permission; staff hold what
+ * their roles grant plus their own grants, limited to cafe permissions; other
+ * users hold what they were granted. Revoked permissions are taken away last,
+ * so they win over any role.
+ */
+const effectivePermissions = async (user) => {
+  const granted = new Set(user.permissions);
+
+  if (user.role === 'cafe_owner') {
+    listPermissions('cafe').forEach(({ key }) => granted.add(key));
+  }
+
+  if (user.role === 'staff' && user.roles.length > 0) {
+    const roles = await Role.find({
+      _id: { $in: user.roles },
+      cafeOwner: user.tenantId(),
+    }).select('permissions');
+
+    roles.forEach((role) => role.permissions.forEach((key) => granted.add(key)));
+  }
+
+  (user.revokedPermissions || []).forEach((key) => granted.delete(key));
+
+  return [...granted].filter((key) => user.role !== 'staff' || isCafePermission(key)).sort();
+};
+
+// Load the owner's roles by ID, failing if any of them isn't theirs
+const resolveRoles = async (cafeOwner, roleIds) => {
+  const ids = [...new Set(roleIds.map(String))];
+  const roles = await Role.find({ _id: { $in: ids }, cafeOwner });
+
+  if (roles.length !== ids.length) {
+    throw new HttpError(400, 'Role not found');
+  }
+
+  return roles;
+};
+
+module.exports = {
+  effectivePermissions,
+  resolveRoles,
+};
@@ -0,0 +1,61 @@
+const Counter = require('../models/Counter');
+const Sale = require('../models/Sale');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const Shift = require('../models/Shift');
+
+const NUMBER_DIGITS = 6;
+
+// Number fields that used to be unique across every cafe, by model
+const GLOBALLY_NUMBERED = [
+  [Sale, 'saleNumber'],
+  [PurchaseOrder, 'orderNumber'],
+  [GoodsReceipt, 'receiptNumber'],
+  [Shift, 'shiftNumber'],
+];
+
+/**
+ * Next number in one of a cafe's document series, e.g. "PO-000042" for the
+ * series "PO". The counter is incremented atomically, so documents created at
+ * the same time never share a number; inside a transaction the increment
+ * rolls back with it, so a failed document doesn't use a number up.
+ */
+const nextNumber = async (cafeOwner, series, session = null) => {
+  const counter = await Counter.findOneAndUpdate(
+    { cafeOwner, series },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true, session },
+  );
+
+  return `${series}-${String(counter.value).padStart(NUMBER_DIGITS, '0')}`;
+};
+
+/**
+ * Drop the indexes that kept document numbers unique across every cafe, left
+ * behind by databases created before each cafe numbered its own documents;
+ * they would reject a second cafe's first number. Safe to run again.
+ */
+const dropGlobalNumberIndexes = async () => {
+  for (const [Model, field] of GLOBALLY_NUMBERED) {
+    let indexes;
+    try {
+      indexes = await Model.collection.indexes();
+    } catch (error) {
+      // A collection that doesn't exist yet has no indexes
+      if (error.codeName === 'NamespaceNotFound') {
+        continue;
+      }
+      throw error;
+    }
+
+    const global = indexes.find((index) => index.unique && Object.keys(index.key).join() === field);
+    if (global) {
+      await Model.collection.dropIndex(global.name);
+    }
+  }
+};
+
+module.exports = {
+  nextNumber,
+  dropGlobalNumberIndexes,
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const HttpError = require('../utils/httpError');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../config/jwt');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Revoke every token of a family, used ones included, so the session's access
+// tokens stop working too
+const revokeFamily = (family, reason) =>
+  RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+
+// Issue the next refresh token of a family and an access token to go with it
+const issueTokens = async (user, { family, sessionStartedAt, userAgent, ip }) => {
+  const refreshToken = generateRefreshToken(user, family);
+
+  await RefreshToken.create({
+    user: user._id,
+    family,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+    sessionStartedAt,
+    userAgent,
+    ip,
+  });
+
+  return { token: generateToken(user, family), refreshToken };
+};
+
+// Sign a user in on a device, starting a new token family
+const startSession = (user, req) =>
+  issueTokens(user, {
+    family: crypto.randomUUID(),
+    sessionStartedAt: new Date(),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+  });
+
+/**
+ * Exchange a refresh token for a new pair. The token is marked used in the
+ * same update that checks it is unused, so of two requests racing with one
+ * token only one wins; the other, like any later use of a used token, is
+ * treated as theft and ends the session.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const decoded = verifyRefreshToken(refreshToken);
+  if (!decoded || !decoded.family) {
+    throw new HttpError(401, 'Invalid or expired refresh token');
+  }
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(refreshToken), usedAt: null, revokedAt: null },
+    { $set: { usedAt: new Date() } },
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (known && !known.revokedAt) {
+      await revokeFamily(known.family, 'reuse');
+      throw new HttpError(401, 'Refresh token was already used; the session has been ended');
+    }
+    throw new HttpError(401, 'Invalid or expired refresh token');
+  }
+
+  const user = await User.findById(current.user);
+  if (!user || !user.isActive) {
+    await revokeFamily(current.family, 'revoked');
+    throw new HttpError(401, 'User not found or inactive');
+  }
+
+  return issueTokens(user, {
+    family: current.family,
+    sessionStartedAt: current.sessionStartedAt,
+    userAgent: req.get('User-Agent') || current.userAgent,
+    ip: req.ip || current.ip,
+  });
+};
+
+// End the session a refresh token belongs to
+const endSession = async (refreshToken) => {
+  const decoded = verifyRefreshToken(refreshToken);
+  const token = decoded && (await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }));
+
+  if (!token) {
+    throw new HttpError(401, 'Invalid or expired refresh token');
+  }
+
+  await revokeFamily(token.family, 'logout');
+};
+
+// Revoke all of a user's sessions, optionally keeping the one they are using
+const revokeUserSessions = (userId, reason, exceptFamily) =>
+  RefreshToken.updateMany(
+    { user: userId, revokedAt: null, ...(exceptFamily && { family: { $ne: exceptFamily } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+
+// A user's signed-in devices: the live token of each unrevoked family
+const listSessions = (userId) =>
+  RefreshToken.find({
+    user: userId,
+    usedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select('family sessionStartedAt createdAt expiresAt userAgent ip')
+    .sort({ createdAt: -1 });
+
+// Whether the session an access token was issued under has been revoked
+const isSessionRevoked = (family) =>
+  RefreshToken.exists({ family, revokedAt: { $ne: null } }).then(Boolean);
+
+module.exports = {
+  revokeFamily,
+  revokeUserSessions,
+  startSession,
+  rotateSession,
+  endSession,
+  listSessions,
+  isSessionRevoked,
+};
@@ -0,0 +1,88 @@
+const CashRegister = require('../models/CashRegister');
+const Sale = require('../models/Sale');
+const Shift = require('../models/Shift');
+const { roundAmount } = require('../utils/money');
+
+// The open shift of a branch's drawer, or of the cafe's drawer without branches
+const findOpenShift = async (cafeOwner, branch = null, session = null) =>
+  Shift.findOne({ cafeOwner, branch: branch || null, status: 'open' }).session(session);
+
+/**
+ * X/Z report of a shift. For each payment method the drawer should hold the
+ * opening float (cash only), plus what sales settled during the shift took in
+ * and register deposits, less register withdrawals. Once counted amounts are
+ * known, each method shows how far over or short the count came out.
+ */
+const shiftReport = async (shift, session = null) => {
+  const [sales, transactions] = await Promise.all([
+    Sale.aggregate([
+      { $match: { shift: shift._id, status: { $in: Sale.SETTLED_STATUSES } } },
+      {
+        $group: {
+          _id: '$paymentMethod',
+          count: { $sum: 1 },
+          total: { $sum: '$total' },
+          // Overpayment is handed back as change, so only the total is kept
+          collected: { $sum: { $min: ['$paidAmount', '$total'] } },
+        },
+      },
+    ]).session(session),
+    CashRegister.aggregate([
+      { $match: { shift: shift._id } },
+      {
+        $group: {
+          _id: { paymentMethod: '$paymentMethod', transactionType: '$transactionType' },
+          amount: { $sum: '$amount' },
+        },
+      },
+    ]).session(session),
+  ]);
+
+  const salesBy = new Map(sales.map((row) => [row._id, row]));
+  const register = (paymentMethod, transactionType) => {
+    const row = transactions.find(
+      (transaction) =>
+        transaction._id.paymentMethod === paymentMethod &&
+        transaction._id.transactionType === transactionType,
+    );
+    return row ? row.amount : 0;
+  };
+
+  const closingCount = shift.closingCount || {};
+  const methods = Shift.SHIFT_PAYMENT_METHODS.map((paymentMethod) => {
+    const openingFloat = paymentMethod === 'cash' ? shift.openingFloat.total : 0;
+    const salesTaken = salesBy.has(paymentMethod) ? salesBy.get(paymentMethod).collected : 0;
+    const deposits = register(paymentMethod, 'deposit');
+    const withdrawals = register(paymentMethod, 'withdrawal');
+    const expected = roundAmount(openingFloat + salesTaken + deposits - withdrawals);
+    const counted = closingCount[paymentMethod];
+
+    return {
+      paymentMethod,
+      openingFloat,
+      sales: roundAmount(salesTaken),
+      deposits: roundAmount(deposits),
+      withdrawals: roundAmount(withdrawals),
+      expected,
+      counted,
+      overShort: counted !== undefined && counted !== null ? roundAmount(counted - expected) : null,
+    };
+  });
+
+  const salesTotal = sales.reduce((sum, row) => sum + row.total, 0);
+  const collected = sales.reduce((sum, row) => sum + row.collected, 0);
+
+  return {
+    salesCount: sales.reduce((sum, row) => sum + row.count, 0),
+    salesTotal: roundAmount(salesTotal),
+    // Left on account, whether sold on credit or only partly paid
+    creditSales: roundAmount(salesTotal - collected),
+    methods,
+    overShort: roundAmount(methods.reduce((sum, method) => sum + (method.overShort || 0), 0)),
+  };
+};
+
+module.exports = {
+  findOpenShift,
+  shiftReport,
+};
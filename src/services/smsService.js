@@ -0,0 +1,70 @@
+// How many of the latest messages the stub provider keeps
+const STUB_MESSAGE_LIMIT = 50;
+
+// Whether the stub provider may be used: only in development and tests
+const allowsStub = () => ['development', 'test'].includes(process.env.NODE_ENV);
+
+// Stand-in provider for development and tests: nothing leaves the machine.
+// The latest messages are kept in memory, newest last. Each is noted on
+// stdout unless SMS_STUB_SILENT is set, without its text, which holds a
+// sign-in code.
+const stubProvider = {
+  messages: [],
+  send: async (message) => {
+    stubProvider.messages.push({ ...message, sentAt: new Date() });
+    if (stubProvider.messages.length > STUB_MESSAGE_LIMIT) {
+      stubProvider.messages.shift();
+    }
+    if (!process.env.SMS_STUB_SILENT) {
+      process.stdout.write(`--- SMS to ${message.to} ---\n`);
+    }
+  },
+};
+
+const providers = {
+  stub: stubProvider,
+};
+
+let activeProvider = null;
+
+/**
+ * Register a provider under a name SMS_PROVIDER can select, e.g. one calling
+ * Kavenegar's or another SMS gateway's API. A provider is an object with an
+ * async `send({ to, text })` that rejects when the message isn't accepted.
+ */
+const registerSmsProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+// Use a provider directly, whatever SMS_PROVIDER says; e.g. in tests
+const setSmsProvider = (provider) => {
+  activeProvider = provider;
+};
+
+const getSmsProvider = () => {
+  if (activeProvider) {
+    return activeProvider;
+  }
+
+  // Without a configured provider, messages only go to the stub where that's allowed
+  const name = process.env.SMS_PROVIDER || (allowsStub() ? 'stub' : null);
+  if (!name) {
+    throw new Error('No SMS provider configured; set SMS_PROVIDER');
+  }
+  if (!providers[name]) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  if (name === 'stub' && !allowsStub()) {
+    throw new Error('The stub SMS provider is only for development and tests');
+  }
+  return providers[name];
+};
+
+const sendSms = async ({ to, text }) => getSmsProvider().send({ to, text });
+
+module.exports = {
+  stubProvider,
+  registerSmsProvider,
+  setSmsProvider,
+  sendSms,
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const HttpError = require('../utils/httpError');
+
+// The cafe's team: the owner and the staff working for them
+const teamFilter = (cafeOwner) => ({
+  $or: [{ _id: cafeOwner }, { cafeOwner, role: 'staff' }],
+});
+
+// Whether a user is the cafe owner or one of their staff
+const isTeamMember = async (cafeOwner, userId) =>
+  Boolean(await User.exists({ _id: userId, ...teamFilter(cafeOwner) }));
+
+// Load one of the owner's staff members, including suspended ones
+const findStaffMember = async (cafeOwner, staffId) => {
+  const staff = await User.findOne({
+    _id: staffId,
+    cafeOwner,
+    role: 'staff',
+    removedAt: null,
+  }).select('-password');
+
+  if (!staff) {
+    throw new HttpError(404, 'Staff member not found');
+  }
+
+  return staff;
+};
+
+// Password for an invited staff member to sign in with and then change
+const temporaryPassword = () => crypto.randomBytes(9).toString('base64url');
+
+module.exports = {
+  teamFilter,
+  isTeamMember,
+  findStaffMember,
+  temporaryPassword,
+};
@@ -0,0 +1,467 @@
+const BranchStock = require('../models/BranchStock');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const StockLot = require('../models/StockLot');
+const User = require('../models/User');
+const HttpError = require('../utils/httpError');
+const { convertProductQuantity } = require('../utils/units');
+
+// Recipes may use other recipe products (e.g. a house syrup) up to this depth
+const MAX_RECIPE_DEPTH = 5;
+
+// Keep converted quantities free of floating point noise
+const roundQuantity = (quantity) => Math.round(quantity * 1e6) / 1e6;
+
+// Journal a stock change; `movement` carries the type, source document, user,
+// the branch whose stock changed and, where known, the cost per unit moved
+const recordMovement = async (product, quantity, movement, session) => {
+  const { type, source, unitCost, branch, createdBy, notes, date } = movement;
+
+  await StockMovement.create(
+    [
+      {
+        product: product._id,
+        type,
+        quantity,
+        unitCost,
+        balance: product.stockQuantity,
+        source,
+        branch,
+        notes,
+        date: date || new Date(),
+        cafeOwner: product.cafeOwner,
+        createdBy,
+      },
+    ],
+    { session },
+  );
+};
+
+// Costs are kept to four decimals so cheap ingredients used by the gram stay exact
+const roundCost = (cost) => Math.round(cost * 1e4) / 1e4;
+
+// The cafe's costing method, from its owner's settings
+const getCostingMethod = async (cafeOwner, session = null) => {
+  const owner = await User.findById(cafeOwner).select('settings').session(session);
+  return (owner && owner.settings && owner.settings.costingMethod) || 'weighted_average';
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Open a lot for stock coming in at `unitCost`. Lots received without an
+// expiry date expire after the product's shelf life, when it has one.
+const openLot = async (
+  product,
+  quantity,
+  unitCost,
+  { lotNumber, expiryDate } = {},
+  movement,
+  session,
+) => {
+  const receivedAt = movement.date || new Date();
+
+  await StockLot.create(
+    [
+      {
+        product: product._id,
+        quantity,
+        remainingQuantity: quantity,
+        unitCost,
+        lotNumber,
+        receivedAt,
+        expiryDate:
+          expiryDate ||
+          (product.shelfLifeDays
+            ? new Date(new Date(receivedAt).getTime() + product.shelfLifeDays * DAY_MS)
+            : undefined),
+        source: movement.source,
+        branch: movement.branch,
+        cafeOwner: product.cafeOwner,
+      },
+    ],
+    { session },
+  );
+};
+
+// Stock of a product held at branches; the rest of its stock on hand is from
+// before the cafe had branches
+const branchStockTotal = async (product, session = null) => {
+  const [held] = await BranchStock.aggregate([
+    { $match: { product: product._id } },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } },
+  ]).session(session);
+  return held ? held.quantity : 0;
+};
+
+// Stock of a product on hand at a branch, or outside any branch without one
+const stockOnHand = async (product, branch = null, session = null) => {
+  if (branch) {
+    const held = await BranchStock.findOne({ product: product._id, branch }).session(session);
+    return held ? held.quantity : 0;
+  }
+  return roundQuantity(product.stockQuantity - (await branchStockTotal(product, session)));
+};
+
+// Picking order for lots: earliest expiry first, then lots that don't
+// expire, oldest first. Expired lots are left for write-off and only drawn
+// once nothing else is left, so stock on hand and the lots stay in step.
+const pickingRank = (lot, now) => {
+  if (lot.isExpired(now)) {
+    return 2;
+  }
+  return lot.expiryDate ? 0 : 1;
+};
+
+const byPickingOrder = (now) => (a, b) =>
+  pickingRank(a, now) - pickingRank(b, now) ||
+  (a.expiryDate && b.expiryDate ? a.expiryDate - b.expiryDate : 0) ||
+  a.receivedAt - b.receivedAt ||
+  String(a._id).localeCompare(String(b._id));
+
+/**
+ * Draw `quantity` out of a product's lots at `branch` and return what it
+ * cost. Lots matching `preferLot` go first, e.g. a purchase being returned or
+ * a lot being written off. Stock on hand from before lots were kept comes
+ * next at the product's cost, then the open lots earliest-expiring first.
+ */
+const drawLots = async (
+  product,
+  onHand,
+  quantity,
+  { preferLot, branch = null } = {},
+  session = null,
+) => {
+  const lots = await StockLot.find({
+    product: product._id,
+    branch,
+    remainingQuantity: { $gt: 0 },
+  }).session(session);
+  lots.sort(byPickingOrder(new Date()));
+
+  const lotQuantity = lots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
+  const isPreferred = (lot) => Boolean(preferLot && preferLot(lot));
+
+  let remaining = quantity;
+  let cost = 0;
+
+  const drawFrom = async (lot) => {
+    const drawn = Math.min(lot.remainingQuantity, remaining);
+    if (drawn <= 0) {
+      return;
+    }
+    lot.remainingQuantity = roundQuantity(lot.remainingQuantity - drawn);
+    await lot.save({ session });
+    cost += drawn * lot.unitCost;
+    remaining = roundQuantity(remaining - drawn);
+  };
+
+  for (const lot of lots.filter(isPreferred)) {
+    await drawFrom(lot);
+  }
+
+  const untracked = Math.min(Math.max(roundQuantity(onHand - lotQuantity), 0), remaining);
+  cost += untracked * product.cost;
+  remaining = roundQuantity(remaining - untracked);
+
+  for (const lot of lots.filter((candidate) => !isPreferred(candidate))) {
+    await drawFrom(lot);
+  }
+
+  // Anything the lots can't account for is costed like untracked stock
+  cost += remaining * product.cost;
+
+  return cost;
+};
+
+// Under FIFO the product's cost shows the average cost of what is left on
+// hand, which changes whenever the oldest lots are used up
+const refreshAverageCost = async (product, session = null) => {
+  if (product.stockQuantity <= 0) {
+    return product;
+  }
+
+  const [open] = await StockLot.aggregate([
+    { $match: { product: product._id, remainingQuantity: { $gt: 0 } } },
+    {
+      $group: {
+        _id: null,
+        quantity: { $sum: '$remainingQuantity' },
+        value: { $sum: { $multiply: ['$remainingQuantity', '$unitCost'] } },
+      },
+    },
+  ]).session(session);
+
+  const lotQuantity = open ? open.quantity : 0;
+  const lotValue = open ? open.value : 0;
+  const untracked = Math.max(product.stockQuantity - lotQuantity, 0);
+  const cost = roundCost((lotValue + untracked * product.cost) / (lotQuantity + untracked));
+
+  return Product.findOneAndUpdate({ _id: product._id }, { $set: { cost } }, { new: true, session });
+};
+
+/**
+ * Atomically take `quantity` of a product out of the stock of
+ * `movement.branch`, guarded so concurrent sales can never drive stock below
+ * zero, and cost it with the cafe's costing method. Without a branch only
+ * stock held outside any branch can be taken. Returns the updated product
+ * with the cost per unit and in total.
+ */
+const takeStock = async ({ product, quantity, movement, preferLot, session = null }) => {
+  const branch = movement.branch || null;
+  let held = null;
+
+  if (branch) {
+    held = await BranchStock.findOneAndUpdate(
+      { product: product._id, branch, quantity: { $gte: quantity } },
+      { $inc: { quantity: -quantity } },
+      { new: true, session },
+    );
+
+    if (!held) {
+      throw new HttpError(400, `Insufficient stock at this branch for product: ${product.name}`);
+    }
+  }
+
+  const atBranches = branch ? 0 : await branchStockTotal(product, session);
+  const updated = await Product.findOneAndUpdate(
+    { _id: product._id, stockQuantity: { $gte: quantity + atBranches } },
+    { $inc: { stockQuantity: -quantity } },
+    { new: true, session },
+  );
+
+  if (!updated) {
+    throw new HttpError(400, `Insufficient stock for product: ${product.name}`);
+  }
+
+  // Returned purchases go back out of the lots they came in with
+  const fromSource = (lot) =>
+    lot.source.type === movement.source.type && lot.source.id.equals(movement.source.id);
+  const lotCost = await drawLots(
+    updated,
+    held ? held.quantity + quantity : updated.stockQuantity + quantity - atBranches,
+    quantity,
+    {
+      preferLot: preferLot || (movement.type === 'purchase_return' ? fromSource : null),
+      branch,
+    },
+    session,
+  );
+
+  const method = await getCostingMethod(updated.cafeOwner, session);
+  const cost = roundCost(method === 'fifo' ? lotCost : quantity * updated.cost);
+  const unitCost = quantity ? roundCost(cost / quantity) : updated.cost;
+
+  await recordMovement(updated, -quantity, { ...movement, unitCost }, session);
+
+  return {
+    product: method === 'fifo' ? await refreshAverageCost(updated, session) : updated,
+    unitCost,
+    cost,
+  };
+};
+
+/**
+ * Add stock at `unitCost` and fold it into the product's moving weighted
+ * average cost, in one atomic update. Without a unit cost the stock comes in
+ * at the current cost. The stock is held at `movement.branch`, if any. `lot`
+ * may carry the delivery's lot number and expiry date. Returns the updated
+ * product.
+ */
+const receiveStock = async ({ product, quantity, unitCost, lot, movement, session = null }) => {
+  // Stock below zero carries no cost, so it doesn't dilute the average
+  const onHand = { $max: ['$stockQuantity', 0] };
+  const newQuantity = { $add: [onHand, quantity] };
+  const incomingCost = unitCost ?? '$cost';
+
+  const updated = await Product.findOneAndUpdate(
+    { _id: product._id },
+    [
+      {
+        $set: {
+          cost: {
+            $cond: [
+              { $gt: [newQuantity, 0] },
+              {
+                $round: [
+                  {
+                    $divide: [
+                      {
+                        $add: [
+                          { $multiply: [onHand, '$cost'] },
+                          { $multiply: [quantity, incomingCost] },
+                        ],
+                      },
+                      newQuantity,
+                    ],
+                  },
+                  4,
+                ],
+              },
+              incomingCost,
+            ],
+          },
+          stockQuantity: { $add: ['$stockQuantity', quantity] },
+        },
+      },
+    ],
+    { new: true, session },
+  );
+
+  if (!updated) {
+    throw new HttpError(404, `Product not found: ${product.name}`);
+  }
+
+  if (movement.branch) {
+    await BranchStock.findOneAndUpdate(
+      { product: product._id, branch: movement.branch },
+      { $inc: { quantity }, $setOnInsert: { cafeOwner: updated.cafeOwner } },
+      { upsert: true, session },
+    );
+  }
+
+  const lotCost = unitCost ?? updated.cost;
+  if (quantity > 0) {
+    await openLot(updated, quantity, lotCost, lot, movement, session);
+  }
+  await recordMovement(updated, quantity, { ...movement, unitCost: lotCost }, session);
+
+  return updated;
+};
+
+/**
+ * Change a product's stock by `quantity` (negative to take stock) and journal
+ * it as a stock movement. Stock coming back in takes `movement.unitCost` when
+ * it is known, e.g. the cost a returned sale went out at. Returns the updated
+ * product.
+ */
+const adjustStock = async ({ product, quantity, movement, session = null }) => {
+  if (quantity < 0) {
+    const { product: updated } = await takeStock({
+      product,
+      quantity: -quantity,
+      movement,
+      session,
+    });
+    return updated;
+  }
+
+  return receiveStock({ product, quantity, unitCost: movement.unitCost, movement, session });
+};
+
+// Set a product's stock at `movement.branch` to an absolute quantity,
+// journaling the difference. Runs inside the caller's transaction, so a
+// concurrent change to the stock between the read and the adjustment aborts
+// it with a write conflict.
+const setStock = async ({ product, quantity, movement, session = null }) => {
+  const current = await Product.findById(product._id).session(session);
+
+  if (!current) {
+    throw new HttpError(404, `Product not found: ${product._id}`);
+  }
+
+  const onHand = await stockOnHand(current, movement.branch, session);
+  const difference = roundQuantity(quantity - onHand);
+  if (difference !== 0) {
+    await adjustStock({ product: current, quantity: difference, movement, session });
+  }
+
+  return difference;
+};
+
+const collectUsage = async (product, quantity, session, depth, usage) => {
+  if (!product.hasRecipe()) {
+    const key = String(product._id);
+    const entry = usage.get(key) || { product, quantity: 0 };
+    entry.quantity = roundQuantity(entry.quantity + quantity);
+    usage.set(key, entry);
+    return;
+  }
+
+  if (depth >= MAX_RECIPE_DEPTH) {
+    throw new HttpError(400, `Recipe for ${product.name} is nested too deeply`);
+  }
+
+  for (const item of product.recipe) {
+    const ingredient = await Product.findOne({
+      _id: item.ingredient,
+      cafeOwner: product.cafeOwner,
+    }).session(session);
+
+    if (!ingredient) {
+      throw new HttpError(400, `Ingredient not found in recipe for ${product.name}`);
+    }
+
+    const perUnit = convertProductQuantity(ingredient, item.quantity, item.unit);
+    if (perUnit === null) {
+      throw new HttpError(400, `${item.unit} is not a unit of ${ingredient.name}`);
+    }
+
+    await collectUsage(ingredient, perUnit * quantity, session, depth + 1, usage);
+  }
+};
+
+/**
+ * Work out the stocked products that `quantity` of `product` uses up,
+ * following recipes down to products without one. Returns
+ * `[{ product, quantity }]` with quantities in each product's own unit.
+ */
+const expandRecipe = async ({ product, quantity, session = null }) => {
+  const usage = new Map();
+  await collectUsage(product, quantity, session, 0, usage);
+  return [...usage.values()];
+};
+
+/**
+ * Take stock for selling `quantity` of `product`: its ingredients when it has
+ * a recipe, otherwise the product itself. Returns what was consumed as
+ * `[{ product: id, quantity, unitCost }]`, for storing on the sale line.
+ */
+const consumeStock = async ({ product, quantity, movement, session = null }) => {
+  const usage = await expandRecipe({ product, quantity, session });
+  const consumption = [];
+
+  for (const entry of usage) {
+    const { unitCost } = await takeStock({
+      product: entry.product,
+      quantity: entry.quantity,
+      movement,
+      session,
+    });
+    consumption.push({ product: entry.product._id, quantity: entry.quantity, unitCost });
+  }
+
+  return consumption;
+};
+
+// Cost of goods sold for what consumeStock took
+const consumptionCost = (consumption) =>
+  roundCost(consumption.reduce((sum, entry) => sum + entry.quantity * (entry.unitCost || 0), 0));
+
+// Put back stock recorded by consumeStock at the cost it went out at;
+// products deleted since are skipped
+const restoreStock = async ({ consumption, movement, session = null }) => {
+  for (const entry of consumption) {
+    const product = await Product.findById(entry.product).session(session);
+    if (product) {
+      await adjustStock({
+        product,
+        quantity: entry.quantity,
+        movement: { ...movement, unitCost: entry.unitCost },
+        session,
+      });
+    }
+  }
+};
+
+module.exports = {
+  getCostingMethod,
+  stockOnHand,
+  adjustStock,
+  takeStock,
+  receiveStock,
+  setStock,
+  expandRecipe,
+  consumeStock,
+  consumptionCost,
+  restoreStock,
+};
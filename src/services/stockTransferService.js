@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const StockTransfer = require('../models/StockTransfer');
+const HttpError = require('../utils/httpError');
+const { toStockUnits } = require('../utils/units');
+const { takeStock, receiveStock } = require('./stockService');
+const { nextNumber } = require('./sequenceService');
+
+// Move `quantity` of a product between branches at what it cost the sender
+const moveStock = async ({ product, quantity, unitCost, from, to, movement, session }) => {
+  const { unitCost: outCost } = await takeStock({
+    product,
+    quantity,
+    movement: { ...movement, type: 'transfer_out', branch: from },
+    session,
+  });
+
+  await receiveStock({
+    product,
+    quantity,
+    unitCost: unitCost ?? outCost,
+    movement: { ...movement, type: 'transfer_in', branch: to },
+    session,
+  });
+
+  return outCost;
+};
+
+/**
+ * Move stock from one branch to another. Each line's `quantity` is in its
+ * `unit`, any unit of the product, defaulting to its own. Stock leaves the
+ * sending branch at what it cost there and arrives at that cost; without a
+ * sending branch it comes from stock held before the cafe had branches.
+ */
+const transferStock = async (
+  { fromBranch, toBranch, items, date, notes, cafeOwner, createdBy },
+  session = null,
+) => {
+  const transferId = new mongoose.Types.ObjectId();
+  const movement = {
+    source: { type: 'stock_transfer', id: transferId },
+    date,
+    notes,
+    createdBy,
+  };
+  const lines = [];
+
+  for (const { product, quantity, unit } of items) {
+    if (!product.isAvailableAt(toBranch._id)) {
+      throw new HttpError(400, `${product.name} is not available at ${toBranch.name}`);
+    }
+
+    if (product.hasRecipe()) {
+      throw new HttpError(400, `${product.name} is made to order and has no stock to transfer`);
+    }
+
+    const line = toStockUnits(product, { quantity, unit });
+    const unitCost = await moveStock({
+      product,
+      quantity: line.quantity,
+      from: fromBranch ? fromBranch._id : null,
+      to: toBranch._id,
+      movement,
+      session,
+    });
+
+    lines.push({
+      product: product._id,
+      quantity: line.quantity,
+      unit: line.unit,
+      unitQuantity: line.unitQuantity,
+      unitCost,
+    });
+  }
+
+  const transferNumber = await nextNumber(cafeOwner, 'TRF', session);
+
+  const [transfer] = await StockTransfer.create(
+    [
+      {
+        _id: transferId,
+        transferNumber,
+        date: date || new Date(),
+        fromBranch: fromBranch ? fromBranch._id : undefined,
+        toBranch: toBranch._id,
+        items: lines,
+        notes,
+        cafeOwner,
+        createdBy,
+      },
+    ],
+    { session },
+  );
+
+  return transfer;
+};
+
+// Send a transfer's stock back to the branch it came from, at the cost it left at
+const cancelTransfer = async (transfer, { products, cancelledBy }, session = null) => {
+  const movement = {
+    source: { type: 'stock_transfer', id: transfer._id },
+    notes: `Cancelled transfer ${transfer.transferNumber}`,
+    createdBy: cancelledBy,
+  };
+
+  for (const item of transfer.items) {
+    const product = products.find((candidate) => candidate._id.equals(item.product));
+    if (product) {
+      await moveStock({
+        product,
+        quantity: item.quantity,
+        unitCost: item.unitCost,
+        from: transfer.toBranch,
+        to: transfer.fromBranch || null,
+        movement,
+        session,
+      });
+    }
+  }
+
+  transfer.status = 'cancelled';
+  transfer.cancelledBy = cancelledBy;
+  transfer.cancelledAt = new Date();
+  await transfer.save({ session });
+
+  return transfer;
+};
+
+module.exports = {
+  transferStock,
+  cancelTransfer,
+};
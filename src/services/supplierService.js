@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+const Invoice = require('../models/Invoice');
+const Product = require('../models/Product');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const HttpError = require('../utils/httpError');
+const { roundAmount } = require('../utils/money');
+
+// Load one of the cafe's suppliers, refusing unknown or deactivated ones
+const findActiveSupplier = async (supplierId, cafeOwner, session = null) => {
+  const supplier = await Supplier.findOne({ _id: supplierId, cafeOwner }).session(session);
+
+  if (!supplier) {
+    throw new HttpError(404, `Supplier not found: ${supplierId}`);
+  }
+
+  if (!supplier.isActive) {
+    throw new HttpError(400, `Supplier ${supplier.name} is inactive`);
+  }
+
+  return supplier;
+};
+
+/**
+ * Unpaid balance of confirmed purchase invoices per supplier, and how much of
+ * it is past due. Invoices without a due date fall due on their invoice date.
+ */
+const outstandingPayables = async (cafeOwner, supplierIds = null, asOf = new Date()) => {
+  const match = {
+    cafeOwner: new mongoose.Types.ObjectId(cafeOwner),
+    type: 'purchase',
+    status: 'confirmed',
+    remainingAmount: { $gt: 0 },
+    supplier: supplierIds
+      ? { $in: supplierIds.map((id) => new mongoose.Types.ObjectId(id)) }
+      : { $ne: null },
+  };
+
+  const balances = await Invoice.aggregate([
+    { $match: match },
+    { $addFields: { dueOn: { $ifNull: ['$dueDate', '$date'] } } },
+    {
+      $group: {
+        _id: '$supplier',
+        outstanding: { $sum: '$remainingAmount' },
+        overdue: {
+          $sum: { $cond: [{ $lt: ['$dueOn', asOf] }, '$remainingAmount', 0] },
+        },
+        invoiceCount: { $sum: 1 },
+        oldestDueDate: { $min: '$dueOn' },
+      },
+    },
+  ]);
+
+  return new Map(
+    balances.map((balance) => [
+      String(balance._id),
+      {
+        outstanding: roundAmount(balance.outstanding),
+        overdue: roundAmount(balance.overdue),
+        invoiceCount: balance.invoiceCount,
+        oldestDueDate: balance.oldestDueDate,
+      },
+    ]),
+  );
+};
+
+const emptyBalance = () => ({
+  outstanding: 0,
+  overdue: 0,
+  invoiceCount: 0,
+  oldestDueDate: null,
+});
+
+/**
+ * Prices paid to a supplier per product over time, taken from its confirmed
+ * purchase invoices net of line discounts, oldest first.
+ */
+const priceHistory = async (cafeOwner, supplierId, { productId, range } = {}) => {
+  const match = {
+    cafeOwner: new mongoose.Types.ObjectId(cafeOwner),
+    supplier: new mongoose.Types.ObjectId(supplierId),
+    type: 'purchase',
+    status: 'confirmed',
+  };
+
+  if (range) {
+    match.date = range;
+  }
+
+  const pipeline = [{ $match: match }, { $unwind: '$items' }];
+
+  if (productId) {
+    pipeline.push({ $match: { 'items.product': new mongoose.Types.ObjectId(productId) } });
+  }
+
+  pipeline.push(
+    { $sort: { date: 1 } },
+    {
+      $group: {
+        _id: '$items.product',
+        productName: { $last: '$items.productName' },
+        prices: {
+          $push: {
+            date: '$date',
+            invoice: '$_id',
+            invoiceNumber: '$invoiceNumber',
+            quantity: '$items.quantity',
+            unitPrice: { $divide: ['$items.totalPrice', '$items.quantity'] },
+          },
+        },
+        totalQuantity: { $sum: '$items.quantity' },
+        totalAmount: { $sum: '$items.totalPrice' },
+      },
+    },
+    { $sort: { productName: 1 } },
+  );
+
+  const products = await Invoice.aggregate(pipeline);
+
+  return products.map((product) => {
+    const prices = product.prices.map((price) => ({
+      ...price,
+      unitPrice: roundAmount(price.unitPrice),
+    }));
+    const unitPrices = prices.map((price) => price.unitPrice);
+    const firstPrice = unitPrices[0];
+    const lastPrice = unitPrices[unitPrices.length - 1];
+
+    return {
+      product: product._id,
+      productName: product.productName,
+      lastPrice,
+      lastPurchaseDate: prices[prices.length - 1].date,
+      minPrice: Math.min(...unitPrices),
+      maxPrice: Math.max(...unitPrices),
+      averagePrice: roundAmount(product.totalAmount / product.totalQuantity),
+      changePercent: firstPrice ? roundAmount(((lastPrice - firstPrice) / firstPrice) * 100) : null,
+      totalQuantity: product.totalQuantity,
+      prices,
+    };
+  });
+};
+
+// The cafe's supplier named `name`, created from embedded details if it has none
+const supplierFromDetails = async (cafeOwner, name, details, createdBy) => {
+  const existing = await Supplier.findOne({ cafeOwner, name });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await Supplier.create({
+      name,
+      phone: details.phone,
+      email: details.email,
+      address: details.address,
+      contacts: details.contact ? [{ name: details.contact }] : [],
+      cafeOwner,
+      createdBy,
+    });
+  } catch (error) {
+    // Another instance migrating at the same time created it first
+    if (error.code === 11000) {
+      return Supplier.findOne({ cafeOwner, name });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Products and purchase orders used to embed their supplier's details rather
+ * than reference a Supplier. Point each such document at the cafe's supplier
+ * of that name, creating it from the details when there is none; products
+ * whose details have no name lose them. Documents are read from the raw
+ * collections, as the models would cast the embedded details away. Safe to
+ * run again; returns how many documents were rewritten.
+ */
+const migrateLegacySuppliers = async () => {
+  let migrated = 0;
+
+  for (const Model of [Product, PurchaseOrder]) {
+    const cursor = Model.collection.find({ supplier: { $type: 'object' } });
+
+    for await (const doc of cursor) {
+      const name = typeof doc.supplier.name === 'string' ? doc.supplier.name.trim() : '';
+      const supplier = name
+        ? await supplierFromDetails(
+            doc.cafeOwner,
+            name,
+            doc.supplier,
+            doc.createdBy || doc.cafeOwner,
+          )
+        : null;
+
+      // Matching on the embedded details leaves a document changed meanwhile alone
+      await Model.collection.updateOne(
+        { _id: doc._id, supplier: doc.supplier },
+        supplier ? { $set: { supplier: supplier._id } } : { $unset: { supplier: '' } },
+      );
+      migrated += 1;
+    }
+  }
+
+  return migrated;
+};
+
+module.exports = {
+  findActiveSupplier,
+  outstandingPayables,
+  emptyBalance,
+  priceHistory,
+  migrateLegacySuppliers,
+};
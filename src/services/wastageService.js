@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Wastage = require('../models/Wastage');
+const HttpError = require('../utils/httpError');
+const { convertProductQuantity } = require('../utils/units');
+const { takeStock, consumeStock, consumptionCost } = require('./stockService');
+const { postWastage } = require('./ledgerService');
+
+/**
+ * Record stock thrown away: take it out of stock through the movement
+ * journal and move its cost from inventory to the wastage expense. `quantity`
+ * is in `unit`, any unit defined for the product, defaulting to its own, and
+ * is taken from the stock of `branch`. A `lot` is written off from that lot
+ * rather than the usual picking order.
+ */
+const recordWastage = async (
+  { product, quantity, unit, reason, staff, lot, branch, notes, date, createdBy },
+  session = null,
+) => {
+  const wastageId = new mongoose.Types.ObjectId();
+  const wastageUnit = unit || product.unit;
+  const wastedQuantity = convertProductQuantity(product, quantity, wastageUnit);
+
+  if (wastedQuantity === null) {
+    throw new HttpError(400, `${wastageUnit} is not a unit of ${product.name}`);
+  }
+
+  const movement = {
+    type: 'wastage',
+    source: { type: 'wastage', id: wastageId },
+    branch,
+    notes,
+    date,
+    createdBy,
+  };
+
+  let consumption;
+  if (lot) {
+    const { unitCost } = await takeStock({
+      product,
+      quantity: wastedQuantity,
+      movement,
+      preferLot: (candidate) => candidate._id.equals(lot._id),
+      session,
+    });
+    consumption = [{ product: product._id, quantity: wastedQuantity, unitCost }];
+  } else {
+    consumption = await consumeStock({ product, quantity: wastedQuantity, movement, session });
+  }
+
+  const [wastage] = await Wastage.create(
+    [
+      {
+        _id: wastageId,
+        product: product._id,
+        productName: product.name,
+        quantity,
+        unit: wastageUnit,
+        reason,
+        consumption,
+        cost: consumptionCost(consumption),
+        staff: staff || createdBy,
+        lot: lot ? lot._id : undefined,
+        branch,
+        notes,
+        date: date || new Date(),
+        cafeOwner: product.cafeOwner,
+        createdBy,
+      },
+    ],
+    { session },
+  );
+
+  await postWastage(
+    {
+      cafeOwner: wastage.cafeOwner,
+      branch: wastage.branch,
+      date: wastage.date,
+      description: `Wastage (${reason}): ${quantity} ${wastageUnit} ${product.name}`,
+      reference: lot && lot.lotNumber ? `Lot ${lot.lotNumber}` : undefined,
+      source: { type: 'wastage', id: wastage._id },
+      cost: wastage.cost,
+      createdBy,
+    },
+    session,
+  );
+
+  return wastage;
+};
+
+module.exports = {
+  recordWastage,
+};
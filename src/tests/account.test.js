@@ -0,0 +1,256 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const AccountToken = require('../models/AccountToken');
+const RefreshToken = require('../models/RefreshToken');
+const { setMailTransport } = require('../services/mailService');
+
+let mongoServer;
+let mails;
+
+const capturingTransport = {
+  send: async (message) => {
+    mails.push(message);
+  },
+};
+
+// Reset mails go out in the background, so wait for one to arrive
+const nextMail = async () => {
+  for (let tries = 0; mails.length === 0 && tries < 50; tries += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return mails.shift();
+};
+
+const tokenFrom = (mail) => mail.text.match(/token=([a-f0-9]+)/)[1];
+
+const createUser = (username) =>
+  User.create({
+    username,
+    name: `Test ${username}`,
+    email: `${username}@test.com`,
+    password: 'password123',
+    role: 'customer',
+  });
+
+const login = (username, password = 'password123') =>
+  request(app).post('/api/auth/login').send({ username, password });
+
+const forgotPassword = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  setMailTransport(null);
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  jest.restoreAllMocks();
+  mails = [];
+  setMailTransport(capturingTransport);
+  await Promise.all([
+    User.deleteMany({}),
+    AccountToken.deleteMany({}),
+    RefreshToken.deleteMany({}),
+  ]);
+});
+
+// forgot-password allows 10 requests per client every 15 minutes and 3 per
+// address an hour; the tests below stay within both unless testing them
+describe('Password reset', () => {
+  it('should mail a single-use link and store only its hash', async () => {
+    await createUser('reader');
+
+    const res = await forgotPassword('reader@test.com');
+    expect(res.status).toBe(200);
+
+    const mail = await nextMail();
+    expect(mail.to).toBe('reader@test.com');
+    const token = tokenFrom(mail);
+
+    const stored = await AccountToken.findOne({ purpose: 'password_reset' });
+    expect(stored.tokenHash).not.toBe(token);
+    expect(await AccountToken.countDocuments({ tokenHash: token })).toBe(0);
+
+    const resetRes = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'newpassword' });
+
+    expect(resetRes.status).toBe(200);
+    expect((await login('reader')).status).toBe(401);
+    expect((await login('reader', 'newpassword')).status).toBe(200);
+
+    const reuseRes = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'otherpassword' });
+
+    expect(reuseRes.status).toBe(400);
+    expect((await login('reader', 'newpassword')).status).toBe(200);
+  });
+
+  it('should sign the user out everywhere', async () => {
+    await createUser('reader');
+    const phone = await login('reader');
+    const laptop = await login('reader');
+
+    await forgotPassword('reader@test.com');
+    const token = tokenFrom(await nextMail());
+
+    await request(app).post('/api/auth/reset-password').send({ token, password: 'newpassword' });
+
+    expect(await RefreshToken.countDocuments({ revokedAt: null })).toBe(0);
+    expect(await RefreshToken.countDocuments({ revokedReason: 'password_reset' })).toBe(2);
+
+    for (const session of [phone, laptop]) {
+      const meRes = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${session.body.token}`);
+      expect(meRes.status).toBe(401);
+
+      const refreshRes = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.body.refreshToken });
+      expect(refreshRes.status).toBe(401);
+    }
+  });
+
+  it('should reject an expired link', async () => {
+    await createUser('reader');
+
+    await forgotPassword('reader@test.com');
+    const token = tokenFrom(await nextMail());
+    await AccountToken.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'newpassword' });
+
+    expect(res.status).toBe(400);
+    expect((await login('reader')).status).toBe(200);
+  });
+
+  it('should answer the same for an address without an account', async () => {
+    const res = await forgotPassword('nobody@test.com');
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe(
+      'If the address belongs to an account, a reset link has been sent',
+    );
+    expect(await nextMail()).toBeUndefined();
+    expect(await AccountToken.countDocuments()).toBe(0);
+  });
+
+  it('should answer the same when the mail cannot be sent', async () => {
+    await createUser('writer');
+    const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    setMailTransport({
+      send: async () => {
+        throw new Error('Mail server unavailable');
+      },
+    });
+
+    const res = await forgotPassword('writer@test.com');
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe(
+      'If the address belongs to an account, a reset link has been sent',
+    );
+
+    for (let tries = 0; stderr.mock.calls.length === 0 && tries < 50; tries += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    expect(stderr.mock.calls[0][0]).toContain('Mail server unavailable');
+  });
+
+  it('should limit how often a reset can be requested for an address', async () => {
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      expect((await forgotPassword('flood@test.com')).status).toBe(200);
+    }
+
+    const res = await forgotPassword('flood@test.com');
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  it('should reject a token that is not a string', async () => {
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: { $ne: null }, password: 'newpassword' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toBeDefined();
+  });
+});
+
+describe('Email verification', () => {
+  const register = () =>
+    request(app).post('/api/auth/register').send({
+      username: 'newcomer',
+      name: 'New Comer',
+      email: 'newcomer@test.com',
+      password: 'password123',
+    });
+
+  it('should verify the address with the mailed link once', async () => {
+    const registerRes = await register();
+    expect(registerRes.status).toBe(201);
+    expect(registerRes.body.user.emailVerified).toBe(false);
+
+    const token = tokenFrom(await nextMail());
+    const stored = await AccountToken.findOne({ purpose: 'email_verification' });
+    expect(stored.tokenHash).not.toBe(token);
+
+    const res = await request(app).post('/api/auth/verify-email').send({ token });
+
+    expect(res.status).toBe(200);
+    expect((await User.findOne({ username: 'newcomer' })).emailVerifiedAt).toBeDefined();
+
+    const reuseRes = await request(app).post('/api/auth/verify-email').send({ token });
+    expect(reuseRes.status).toBe(400);
+  });
+
+  it('should reject an expired link', async () => {
+    await register();
+    const token = tokenFrom(await nextMail());
+    await AccountToken.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const res = await request(app).post('/api/auth/verify-email').send({ token });
+
+    expect(res.status).toBe(400);
+    expect((await User.findOne({ username: 'newcomer' })).emailVerifiedAt).toBeUndefined();
+  });
+
+  it('should replace the earlier link when a new one is sent', async () => {
+    const registerRes = await register();
+    const firstToken = tokenFrom(await nextMail());
+
+    const resendRes = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${registerRes.body.token}`);
+    expect(resendRes.status).toBe(200);
+    const secondToken = tokenFrom(await nextMail());
+
+    const firstRes = await request(app).post('/api/auth/verify-email').send({ token: firstToken });
+    expect(firstRes.status).toBe(400);
+
+    const secondRes = await request(app)
+      .post('/api/auth/verify-email')
+      .send({ token: secondToken });
+    expect(secondRes.status).toBe(200);
+  });
+
+  it('should reject a token that is not a string', async () => {
+    const res = await request(app).post('/api/auth/verify-email').send({ token: 12345 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toBeDefined();
+  });
+});
@@ -9,6 +9,7 @@ const { generateToken } = require('../config/jwt');
 let mongoServer;
 let adminToken;
 let editorToken;
+let authorToken;
 let testUser;
 let testBlog;
 
@@ -19,22 +20,33 @@ beforeAll(async () => {
 
   // Create test users
   testUser = await User.create({
+    username: 'admin',
     name: 'Test Admin',
     email: 'admin@test.com',
     password: 'password123',
-    role: 'admin',
+    role: 'content_admin',
   });
 
   const editorUser = await User.create({
+    username: 'editor',
     name: 'Test Editor',
     email: 'editor@test.com',
     password: 'password123',
     role: 'editor',
   });
 
+  const authorUser = await User.create({
+    username: 'author',
+    name: 'Test Author',
+    email: 'author@test.com',
+    password: 'password123',
+    role: 'author',
+  });
+
   // Generate tokens
   adminToken = generateToken(testUser);
   editorToken = generateToken(editorUser);
+  authorToken = generateToken(authorUser);
 });
 
 afterAll(async () => {
@@ -44,7 +56,7 @@ afterAll(async () => {
 
 beforeEach(async () => {
   await Blog.deleteMany({});
-  
+
   // Create a test blog post
   testBlog = await Blog.create({
     title: 'Test Blog Post',
@@ -60,9 +72,7 @@ beforeEach(async () => {
 describe('Blog API Tests', () => {
   describe('GET /api/blog', () => {
     it('should get all blog posts for admin', async () => {
-      const res = await request(app)
-        .get('/api/blog')
-        .set('Authorization', `Bearer ${adminToken}`);
+      const res = await request(app).get('/api/blog').set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(200);
       expect(Array.isArray(res.body)).toBeTruthy();
@@ -78,7 +88,7 @@ describe('Blog API Tests', () => {
   describe('GET /api/blog/public', () => {
     it('should get published blog posts', async () => {
       const res = await request(app).get('/api/blog/public');
-      
+
       expect(res.status).toBe(200);
       expect(Array.isArray(res.body)).toBeTruthy();
       expect(res.body.length).toBe(1);
@@ -166,6 +176,21 @@ describe('Blog API Tests', () => {
 
       expect(res.status).toBe(404);
     });
+
+    it("should not allow an author to update someone else's post", async () => {
+      const res = await request(app)
+        .put(`/api/blog/${testBlog.slug}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({
+          title: 'Updated Title',
+          content: testBlog.content,
+          excerpt: testBlog.excerpt,
+          categories: testBlog.categories,
+          readTime: testBlog.readTime,
+        });
+
+      expect(res.status).toBe(403);
+    });
   });
 
   describe('DELETE /api/blog/:slug', () => {
@@ -175,7 +200,7 @@ describe('Blog API Tests', () => {
         .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.status).toBe(200);
-      
+
       const deletedPost = await Blog.findById(testBlog._id);
       expect(deletedPost).toBeNull();
     });
@@ -191,8 +216,7 @@ describe('Blog API Tests', () => {
 
   describe('POST /api/blog/:slug/view', () => {
     it('should increment view count', async () => {
-      const res = await request(app)
-        .post(`/api/blog/${testBlog.slug}/view`);
+      const res = await request(app).post(`/api/blog/${testBlog.slug}/view`);
 
       expect(res.status).toBe(200);
       expect(res.body.viewCount).toBe(1);
@@ -201,4 +225,4 @@ describe('Blog API Tests', () => {
       expect(updatedPost.viewCount).toBe(1);
     });
   });
-}); 
\ No newline at end of file
+});
@@ -15,10 +15,12 @@ beforeAll(async () => {
   await mongoose.connect(mongoServer.getUri());
 
   testUser = await User.create({
+    username: 'admin',
     name: 'Test Admin',
     email: 'admin@test.com',
     password: 'password123',
-    role: 'admin',
+    role: 'content_admin',
+    permissions: ['manage_users'],
   });
 
   adminToken = generateToken(testUser);
@@ -34,6 +36,7 @@ describe('API Integration Tests', () => {
     it('should create a user and allow them to create and manage blog posts', async () => {
       // Create a new editor user
       const editorData = {
+        username: 'editor',
         name: 'Test Editor',
         email: 'editor@test.com',
         password: 'password123',
@@ -46,15 +49,13 @@ describe('API Integration Tests', () => {
         .send(editorData);
 
       expect(createUserRes.status).toBe(201);
-      const editorId = createUserRes.body.user._id;
+      expect(createUserRes.body.user._id).toBeDefined();
 
       // Login as editor
-      const loginRes = await request(app)
-        .post('/api/auth/login')
-        .send({
-          email: editorData.email,
-          password: editorData.password,
-        });
+      const loginRes = await request(app).post('/api/auth/login').send({
+        username: editorData.username,
+        password: editorData.password,
+      });
 
       expect(loginRes.status).toBe(200);
       const editorToken = loginRes.body.token;
@@ -92,11 +93,10 @@ describe('API Integration Tests', () => {
       expect(updateRes.body.post.status).toBe('published');
 
       // Verify the post appears in public posts
-      const publicPostsRes = await request(app)
-        .get('/api/blog/public');
+      const publicPostsRes = await request(app).get('/api/blog/public');
 
       expect(publicPostsRes.status).toBe(200);
-      expect(publicPostsRes.body.some(post => post.slug === blogSlug)).toBeTruthy();
+      expect(publicPostsRes.body.some((post) => post.slug === blogSlug)).toBeTruthy();
 
       // Try to delete as editor (should fail)
       const deleteAsEditorRes = await request(app)
@@ -117,37 +117,35 @@ describe('API Integration Tests', () => {
   describe('Authentication and Authorization', () => {
     it('should handle invalid tokens and permissions correctly', async () => {
       // Try accessing protected route without token
-      const noTokenRes = await request(app)
-        .get('/api/blog');
-      
+      const noTokenRes = await request(app).get('/api/blog');
+
       expect(noTokenRes.status).toBe(401);
 
       // Try accessing protected route with invalid token
       const invalidTokenRes = await request(app)
         .get('/api/blog')
         .set('Authorization', 'Bearer invalid.token.here');
-      
+
       expect(invalidTokenRes.status).toBe(401);
 
       // Create regular user
       const userData = {
+        username: 'customer',
         name: 'Regular User',
         email: 'user@test.com',
         password: 'password123',
-        role: 'user',
+        role: 'customer',
       };
 
-      const createUserRes = await request(app)
+      await request(app)
         .post('/api/users')
         .set('Authorization', `Bearer ${adminToken}`)
         .send(userData);
 
-      const loginRes = await request(app)
-        .post('/api/auth/login')
-        .send({
-          email: userData.email,
-          password: userData.password,
-        });
+      const loginRes = await request(app).post('/api/auth/login').send({
+        username: userData.username,
+        password: userData.password,
+      });
 
       const userToken = loginRes.body.token;
 
@@ -155,7 +153,7 @@ describe('API Integration Tests', () => {
       const userAccessRes = await request(app)
         .get('/api/users')
         .set('Authorization', `Bearer ${userToken}`);
-      
+
       expect(userAccessRes.status).toBe(403);
     });
   });
@@ -179,10 +177,11 @@ describe('API Integration Tests', () => {
         .post('/api/users')
         .set('Authorization', `Bearer ${adminToken}`)
         .send({
+          username: 'invalid',
           name: 'Invalid User',
           email: 'not-an-email',
           password: 'password123',
-          role: 'user',
+          role: 'customer',
         });
 
       expect(invalidUserRes.status).toBe(400);
@@ -191,10 +190,11 @@ describe('API Integration Tests', () => {
 
     it('should handle duplicate key errors', async () => {
       const userData = {
+        username: 'duplicate',
         name: 'Duplicate User',
         email: 'duplicate@test.com',
         password: 'password123',
-        role: 'user',
+        role: 'customer',
       };
 
       // Create user first time
@@ -213,4 +213,4 @@ describe('API Integration Tests', () => {
       expect(duplicateRes.body.message).toContain('duplicate');
     });
   });
-}); 
\ No newline at end of file
+});
@@ -0,0 +1,190 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const PhoneOtp = require('../models/PhoneOtp');
+const RefreshToken = require('../models/RefreshToken');
+const { setSmsProvider } = require('../services/smsService');
+
+let mongoServer;
+let messages;
+let staff;
+
+const PHONE = '09121234567';
+
+const requestCode = (phone = PHONE) => request(app).post('/api/auth/otp/request').send({ phone });
+
+const verifyCode = (code, phone = PHONE) =>
+  request(app).post('/api/auth/otp/verify').send({ phone, code });
+
+const codeFrom = (message) => message.text.match(/\d{6}/)[0];
+
+// A six-digit code other than the one that was sent
+const wrongCode = (code) => (code === '000000' ? '111111' : '000000');
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  setSmsProvider({
+    send: async (message) => {
+      messages.push(message);
+    },
+  });
+
+  const owner = await User.create({
+    username: 'owner',
+    name: 'Test Owner',
+    email: 'owner@test.com',
+    password: 'password123',
+    role: 'cafe_owner',
+  });
+
+  staff = await User.create({
+    username: 'barista',
+    name: 'Test Barista',
+    email: 'barista@test.com',
+    password: 'password123',
+    phone: PHONE,
+    role: 'staff',
+    cafeOwner: owner._id,
+  });
+});
+
+afterAll(async () => {
+  setSmsProvider(null);
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  messages = [];
+  await Promise.all([PhoneOtp.deleteMany({}), RefreshToken.deleteMany({})]);
+});
+
+describe('SMS sign-in codes', () => {
+  describe('POST /api/auth/otp/request', () => {
+    it('should text a code to a staff member and store only its hash', async () => {
+      const res = await requestCode('+98 912 123 4567');
+
+      expect(res.status).toBe(200);
+      expect(messages).toHaveLength(1);
+      expect(messages[0].to).toBe(PHONE);
+
+      const code = codeFrom(messages[0]);
+      const otp = await PhoneOtp.findOne({ phone: PHONE });
+      expect(otp.codeHash).toBeDefined();
+      expect(otp.codeHash).not.toBe(code);
+      expect(String(otp.user)).toBe(String(staff._id));
+    });
+
+    it('should answer the same for a number without a staff account', async () => {
+      const res = await requestCode('09350000000');
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe(
+        'If the number belongs to a staff account, a code has been sent',
+      );
+      expect(messages).toHaveLength(0);
+    });
+
+    it('should allow one request a minute per number', async () => {
+      expect((await requestCode()).status).toBe(200);
+
+      const res = await requestCode();
+
+      expect(res.status).toBe(429);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+      expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(60);
+      expect(messages).toHaveLength(1);
+
+      // Other numbers aren't held up
+      expect((await requestCode('09350000000')).status).toBe(200);
+    });
+
+    it('should allow five requests an hour per number', async () => {
+      const now = Date.now();
+      await PhoneOtp.collection.insertMany(
+        [50, 40, 30, 20, 10].map((minutesAgo) => ({
+          phone: PHONE,
+          ip: '203.0.113.1',
+          attempts: 0,
+          expiresAt: new Date(now - (minutesAgo - 2) * 60 * 1000),
+          createdAt: new Date(now - minutesAgo * 60 * 1000),
+        })),
+      );
+
+      const res = await requestCode();
+
+      expect(res.status).toBe(429);
+      // The oldest request leaves the hour in ten minutes
+      expect(res.body.retryAfter).toBeGreaterThan(9 * 60);
+      expect(res.body.retryAfter).toBeLessThanOrEqual(10 * 60);
+      expect(messages).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/auth/otp/verify', () => {
+    it('should sign the staff member in once with the code', async () => {
+      await requestCode();
+      const code = codeFrom(messages[0]);
+
+      const res = await verifyCode(code);
+
+      expect(res.status).toBe(200);
+      expect(res.body.token).toBeDefined();
+      expect(res.body.refreshToken).toBeDefined();
+      expect(res.body.user.id).toBe(String(staff._id));
+
+      const reuseRes = await verifyCode(code);
+      expect(reuseRes.status).toBe(400);
+    });
+
+    it('should lock the code after five wrong tries', async () => {
+      await requestCode();
+      const code = codeFrom(messages[0]);
+
+      for (let attempt = 1; attempt < 5; attempt += 1) {
+        const res = await verifyCode(wrongCode(code));
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe(`Invalid code; ${5 - attempt} attempts left`);
+      }
+
+      const lastRes = await verifyCode(wrongCode(code));
+      expect(lastRes.status).toBe(400);
+      expect(lastRes.body.message).toBe('Too many wrong codes; request a new one');
+      expect((await PhoneOtp.findOne({ phone: PHONE })).attempts).toBe(5);
+
+      // Even the right code no longer works
+      const res = await verifyCode(code);
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Too many wrong codes; request a new one');
+      expect(await RefreshToken.countDocuments()).toBe(0);
+    });
+
+    it('should reject an expired code', async () => {
+      await requestCode();
+      const code = codeFrom(messages[0]);
+      await PhoneOtp.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+      const res = await verifyCode(code);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid or expired code');
+    });
+
+    it('should reject a code for a number nothing was sent to', async () => {
+      const res = await verifyCode('123456', '09350000000');
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject a malformed code', async () => {
+      const res = await verifyCode('12ab');
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { generateToken } = require('../config/jwt');
+const { listPermissions } = require('../config/permissions');
+const { effectivePermissions } = require('../services/roleService');
+
+let mongoServer;
+let owner;
+let ownerToken;
+let otherOwner;
+let otherOwnerToken;
+
+const createStaff = (fields) =>
+  User.create({
+    username: 'barista',
+    name: 'Test Barista',
+    email: 'barista@test.com',
+    password: 'password123',
+    role: 'staff',
+    cafeOwner: owner._id,
+    ...fields,
+  });
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  owner = await User.create({
+    username: 'owner',
+    name: 'Test Owner',
+    email: 'owner@test.com',
+    password: 'password123',
+    role: 'cafe_owner',
+  });
+  otherOwner = await User.create({
+    username: 'other-owner',
+    name: 'Other Owner',
+    email: 'other-owner@test.com',
+    password: 'password123',
+    role: 'cafe_owner',
+  });
+
+  ownerToken = generateToken(owner);
+  otherOwnerToken = generateToken(otherOwner);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([Role.deleteMany({}), User.deleteMany({ role: 'staff' })]);
+});
+
+describe('Effective permissions', () => {
+  it("should combine a custom role with the staff member's own grants", async () => {
+    const cashier = await Role.create({
+      name: 'Cashier',
+      permissions: ['manage_sales'],
+      cafeOwner: owner._id,
+      createdBy: owner._id,
+    });
+    const staff = await createStaff({ roles: [cashier._id], permissions: ['manage_products'] });
+
+    expect(await effectivePermissions(staff)).toEqual(['manage_products', 'manage_sales']);
+  });
+
+  it('should let a revocation win over a role', async () => {
+    const manager = await Role.create({
+      name: 'Manager',
+      permissions: ['manage_sales', 'manage_expenses'],
+      cafeOwner: owner._id,
+      createdBy: owner._id,
+    });
+    const staff = await createStaff({
+      roles: [manager._id],
+      revokedPermissions: ['manage_expenses'],
+    });
+
+    expect(await effectivePermissions(staff)).toEqual(['manage_sales']);
+  });
+
+  it('should keep platform permissions from staff', async () => {
+    const staff = await createStaff({ permissions: ['manage_sales', 'manage_users'] });
+
+    expect(await effectivePermissions(staff)).toEqual(['manage_sales']);
+  });
+
+  it('should give cafe owners every cafe permission and no platform one', async () => {
+    const permissions = await effectivePermissions(owner);
+
+    expect(permissions).toEqual(listPermissions('cafe').map(({ key }) => key));
+    expect(permissions).not.toContain('manage_users');
+  });
+
+  it('should ignore a role that belongs to another cafe', async () => {
+    const foreignRole = await Role.create({
+      name: 'Cashier',
+      permissions: ['manage_sales'],
+      cafeOwner: otherOwner._id,
+      createdBy: otherOwner._id,
+    });
+    const staff = await createStaff({ roles: [foreignRole._id] });
+
+    expect(await effectivePermissions(staff)).toEqual([]);
+
+    const res = await request(app)
+      .get('/api/sales')
+      .set('Authorization', `Bearer ${generateToken(staff)}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('should let staff use the routes their role grants', async () => {
+    const cashier = await Role.create({
+      name: 'Cashier',
+      permissions: ['manage_sales'],
+      cafeOwner: owner._id,
+      createdBy: owner._id,
+    });
+    const staff = await createStaff({ roles: [cashier._id] });
+    const staffToken = generateToken(staff);
+
+    const salesRes = await request(app)
+      .get('/api/sales')
+      .set('Authorization', `Bearer ${staffToken}`);
+    expect(salesRes.status).toBe(200);
+
+    const expensesRes = await request(app)
+      .get('/api/expenses')
+      .set('Authorization', `Bearer ${staffToken}`);
+    expect(expensesRes.status).toBe(403);
+  });
+});
+
+describe('Custom roles', () => {
+  it('should reject a role with an unknown permission', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Cashier', permissions: ['manage_sales', 'launch_rockets'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toBeDefined();
+    expect(await Role.countDocuments()).toBe(0);
+  });
+
+  it('should reject a role with a platform permission', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Admin', permissions: ['manage_users'] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("should keep one cafe's roles from another", async () => {
+    const createRes = await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Cashier', permissions: ['manage_sales'] });
+    expect(createRes.status).toBe(201);
+    const roleId = createRes.body.role._id;
+
+    const getRes = await request(app)
+      .get(`/api/roles/${roleId}`)
+      .set('Authorization', `Bearer ${otherOwnerToken}`);
+    expect(getRes.status).toBe(404);
+
+    const listRes = await request(app)
+      .get('/api/roles')
+      .set('Authorization', `Bearer ${otherOwnerToken}`);
+    expect(listRes.body).toHaveLength(0);
+
+    // Nor can the other owner hand it to their own staff
+    const inviteRes = await request(app)
+      .post('/api/staff')
+      .set('Authorization', `Bearer ${otherOwnerToken}`)
+      .send({
+        username: 'intruder',
+        name: 'Intruder',
+        email: 'intruder@test.com',
+        roles: [roleId],
+      });
+    expect(inviteRes.status).toBe(400);
+    expect(inviteRes.body.message).toBe('Role not found');
+  });
+});
+
+describe('Permission registry', () => {
+  it('should refuse to start when a route checks an unregistered permission', () => {
+    jest.isolateModules(() => {
+      const permissions = require('../config/permissions');
+
+      permissions.registerPermissions({ manage_menu: 'Manage the menu' });
+      permissions.requirePermissions(['manage_menu', 'manage_rockets']);
+
+      expect(() => permissions.assertPermissionsRegistered()).toThrow(
+        'Routes check unregistered permissions: manage_rockets',
+      );
+    });
+  });
+
+  it('should accept routes that only check registered permissions', () => {
+    jest.isolateModules(() => {
+      const permissions = require('../config/permissions');
+
+      permissions.registerPermissions({ manage_menu: 'Manage the menu' });
+      permissions.requirePermissions(['manage_menu']);
+
+      expect(() => permissions.assertPermissionsRegistered()).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+let mongoServer;
+
+const credentials = { username: 'customer', password: 'password123' };
+
+const login = (userAgent = 'Test Browser') =>
+  request(app).post('/api/auth/login').set('User-Agent', userAgent).send(credentials);
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  await User.create({
+    ...credentials,
+    name: 'Test Customer',
+    email: 'customer@test.com',
+    role: 'customer',
+  });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await RefreshToken.deleteMany({});
+});
+
+describe('Sessions', () => {
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token and keep the session', async () => {
+      const loginRes = await login();
+      expect(loginRes.status).toBe(200);
+
+      const res = await refresh(loginRes.body.refreshToken);
+
+      expect(res.status).toBe(200);
+      expect(res.body.refreshToken).toBeDefined();
+      expect(res.body.refreshToken).not.toBe(loginRes.body.refreshToken);
+      expect((await me(res.body.token)).status).toBe(200);
+
+      const tokens = await RefreshToken.find().sort({ createdAt: 1 });
+      expect(tokens).toHaveLength(2);
+      expect(tokens[0].family).toBe(tokens[1].family);
+      expect(tokens[0].usedAt).toBeDefined();
+      expect(tokens[1].usedAt).toBeUndefined();
+    });
+
+    it('should not store refresh tokens in the clear', async () => {
+      const loginRes = await login();
+
+      const token = await RefreshToken.findOne();
+      expect(token.tokenHash).not.toBe(loginRes.body.refreshToken);
+      expect(await RefreshToken.countDocuments({ tokenHash: loginRes.body.refreshToken })).toBe(0);
+    });
+
+    it('should revoke the whole family when an old token is replayed', async () => {
+      const loginRes = await login();
+      const rotated = await refresh(loginRes.body.refreshToken);
+      expect(rotated.status).toBe(200);
+
+      const replay = await refresh(loginRes.body.refreshToken);
+
+      expect(replay.status).toBe(401);
+      expect(await RefreshToken.countDocuments({ revokedAt: null })).toBe(0);
+      expect(await RefreshToken.countDocuments({ revokedReason: 'reuse' })).toBe(2);
+
+      // The thief's token and the session's access tokens stop working too
+      expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+      expect((await me(rotated.body.token)).status).toBe(401);
+      expect((await me(loginRes.body.token)).status).toBe(401);
+    });
+
+    it('should leave other sessions alone when one is revoked for reuse', async () => {
+      const first = await login('Phone');
+      const second = await login('Laptop');
+
+      await refresh(first.body.refreshToken);
+      await refresh(first.body.refreshToken);
+
+      expect((await me(second.body.token)).status).toBe(200);
+      expect((await refresh(second.body.refreshToken)).status).toBe(200);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should end the session of the refresh token', async () => {
+      const loginRes = await login();
+
+      const res = await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: loginRes.body.refreshToken });
+
+      expect(res.status).toBe(200);
+      expect((await RefreshToken.findOne()).revokedReason).toBe('logout');
+      expect((await refresh(loginRes.body.refreshToken)).status).toBe(401);
+      expect((await me(loginRes.body.token)).status).toBe(401);
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      const res = await request(app).post('/api/auth/logout').send({ refreshToken: 'not.a.token' });
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('/api/auth/sessions', () => {
+    it('should list the signed-in devices and mark the current one', async () => {
+      const phone = await login('Phone');
+      await login('Laptop');
+
+      const res = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.body.token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(2);
+      const current = res.body.filter((session) => session.current);
+      expect(current).toHaveLength(1);
+      expect(current[0].userAgent).toBe('Phone');
+    });
+
+    it('should sign another device out when its session is revoked', async () => {
+      const phone = await login('Phone');
+      const laptop = await login('Laptop');
+      const laptopSession = (await RefreshToken.findOne({ userAgent: 'Laptop' })).family;
+
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${laptopSession}`)
+        .set('Authorization', `Bearer ${phone.body.token}`);
+
+      expect(res.status).toBe(200);
+      expect((await me(laptop.body.token)).status).toBe(401);
+      expect((await refresh(laptop.body.refreshToken)).status).toBe(401);
+      expect((await me(phone.body.token)).status).toBe(200);
+    });
+
+    it("should not revoke a session that isn't the user's", async () => {
+      const phone = await login('Phone');
+
+      const res = await request(app)
+        .delete('/api/auth/sessions/unknown-session')
+        .set('Authorization', `Bearer ${phone.body.token}`);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should sign out every other device', async () => {
+      const phone = await login('Phone');
+      const laptop = await login('Laptop');
+      const tablet = await login('Tablet');
+
+      const res = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.body.token}`);
+
+      expect(res.status).toBe(200);
+      expect((await me(phone.body.token)).status).toBe(200);
+      expect((await me(laptop.body.token)).status).toBe(401);
+      expect((await me(tablet.body.token)).status).toBe(401);
+    });
+  });
+});
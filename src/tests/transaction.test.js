@@ -0,0 +1,197 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const Invoice = require('../models/Invoice');
+const Expense = require('../models/Expense');
+const CashRegister = require('../models/CashRegister');
+const StockMovement = require('../models/StockMovement');
+const { generateToken } = require('../config/jwt');
+const { retryOnTransientError } = require('../utils/transaction');
+
+let replSet;
+let ownerToken;
+let owner;
+let milk;
+let beans;
+
+// Transactions need a replica set, a standalone in-memory server won't do
+beforeAll(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  await mongoose.connect(replSet.getUri());
+
+  owner = await User.create({
+    username: 'owner',
+    name: 'Test Owner',
+    email: 'owner@test.com',
+    password: 'password123',
+    role: 'cafe_owner',
+    permissions: ['manage_products', 'manage_sales', 'manage_expenses'],
+  });
+
+  ownerToken = generateToken(owner);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await replSet.stop();
+});
+
+beforeEach(async () => {
+  jest.restoreAllMocks();
+  await Promise.all([
+    Product.deleteMany({}),
+    Sale.deleteMany({}),
+    Invoice.deleteMany({}),
+    Expense.deleteMany({}),
+    CashRegister.deleteMany({}),
+    StockMovement.deleteMany({}),
+  ]);
+
+  milk = await Product.create({
+    code: 'MILK',
+    name: 'Milk',
+    price: 10,
+    cost: 5,
+    category: 'dairy',
+    unit: 'l',
+    stockQuantity: 10,
+    cafeOwner: owner._id,
+  });
+
+  beans = await Product.create({
+    code: 'BEANS',
+    name: 'Beans',
+    price: 20,
+    cost: 12,
+    category: 'coffee',
+    unit: 'kg',
+    stockQuantity: 1,
+    cafeOwner: owner._id,
+  });
+});
+
+describe('Transactional writes', () => {
+  describe('POST /api/sales', () => {
+    it('should roll back earlier stock changes when a later item fails', async () => {
+      const res = await request(app)
+        .post('/api/sales')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({
+          items: [
+            { product: milk._id, quantity: 2 },
+            { product: beans._id, quantity: 5 },
+          ],
+          paymentMethod: 'cash',
+        });
+
+      expect(res.status).toBe(400);
+
+      const reloadedMilk = await Product.findById(milk._id);
+      expect(reloadedMilk.stockQuantity).toBe(10);
+      expect(await Sale.countDocuments()).toBe(0);
+    });
+
+    it('should take stock for every item when the sale succeeds', async () => {
+      const res = await request(app)
+        .post('/api/sales')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({
+          items: [
+            { product: milk._id, quantity: 2 },
+            { product: beans._id, quantity: 1 },
+          ],
+          paymentMethod: 'cash',
+          paidAmount: 40,
+        });
+
+      expect(res.status).toBe(201);
+      expect((await Product.findById(milk._id)).stockQuantity).toBe(8);
+      expect((await Product.findById(beans._id)).stockQuantity).toBe(0);
+
+      const movement = await StockMovement.findOne({ product: milk._id });
+      expect(movement.type).toBe('sale');
+      expect(movement.quantity).toBe(-2);
+      expect(movement.balance).toBe(8);
+      expect(String(movement.source.id)).toBe(String(res.body.sale._id));
+    });
+  });
+
+  describe('POST /api/invoices', () => {
+    it('should restore stock when saving the cash register entry fails', async () => {
+      jest.spyOn(CashRegister, 'create').mockRejectedValueOnce(new Error('Simulated failure'));
+
+      const res = await request(app)
+        .post('/api/invoices')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({
+          type: 'sale',
+          party: { type: 'customer', name: 'Walk-in' },
+          items: [{ product: milk._id, quantity: 3 }],
+          paymentMethod: 'cash',
+          paidAmount: 30,
+        });
+
+      expect(res.status).toBe(500);
+      expect((await Product.findById(milk._id)).stockQuantity).toBe(10);
+      expect(await Invoice.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('POST /api/expenses', () => {
+    it('should not keep the expense when the cash register entry fails', async () => {
+      jest.spyOn(CashRegister, 'create').mockRejectedValueOnce(new Error('Simulated failure'));
+
+      const res = await request(app)
+        .post('/api/expenses')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({
+          date: new Date().toISOString(),
+          description: 'Electricity',
+          amount: 100,
+          category: 'utilities',
+          paymentMethod: 'cash',
+        });
+
+      expect(res.status).toBe(500);
+      expect(await Expense.countDocuments()).toBe(0);
+    });
+  });
+});
+
+describe('retryOnTransientError', () => {
+  const transientError = () => {
+    const error = new Error('Write conflict');
+    error.errorLabels = ['TransientTransactionError'];
+    return error;
+  };
+
+  it('should retry transient failures until the operation succeeds', async () => {
+    const operation = jest
+      .fn()
+      .mockRejectedValueOnce(transientError())
+      .mockResolvedValueOnce('done');
+
+    await expect(retryOnTransientError(operation)).resolves.toBe('done');
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  it('should give up after the maximum number of attempts', async () => {
+    const operation = jest.fn().mockRejectedValue(transientError());
+
+    await expect(retryOnTransientError(operation, { maxRetries: 3 })).rejects.toThrow(
+      'Write conflict',
+    );
+    expect(operation).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not retry other errors', async () => {
+    const operation = jest.fn().mockRejectedValue(new Error('Validation failed'));
+
+    await expect(retryOnTransientError(operation)).rejects.toThrow('Validation failed');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
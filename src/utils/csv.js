@@ -0,0 +1,102 @@
+const { normalizeDigits } = require('./jalali');
+
+/**
+ * Split CSV text into rows of fields. Handles quoted fields with embedded
+ * commas, newlines and doubled quotes, CRLF line endings and a leading byte
+ * order mark. Blank lines are dropped.
+ */
+const parseCsv = (text, { delimiter = ',' } = {}) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    row.push(field.trim());
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    if (row.some((value) => value !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// CSV rows as objects keyed by the header row, with header names lowercased
+const parseCsvRecords = (text, options) => {
+  const [header = [], ...rows] = parseCsv(text, options);
+  const keys = header.map((name) => name.toLowerCase());
+
+  return rows.map((row) =>
+    keys.reduce((record, key, index) => {
+      record[key] = row[index] === undefined ? '' : row[index];
+      return record;
+    }, {}),
+  );
+};
+
+/**
+ * Read an amount as banks print it: Persian or Arabic digits, thousands
+ * separators, a trailing or leading minus, or parentheses for negatives.
+ * Returns null for anything that isn't a number; blank cells are 0.
+ */
+const parseAmount = (value) => {
+  const text = normalizeDigits(value === undefined || value === null ? '' : value)
+    .replace(/[٬,\s]/g, '')
+    .replace('٫', '.');
+
+  if (text === '') {
+    return 0;
+  }
+
+  const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text);
+  const amount = Number(text.replace(/[()-]/g, ''));
+
+  if (Number.isNaN(amount)) {
+    return null;
+  }
+
+  return negative ? -amount : amount;
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  parseAmount,
+};
@@ -0,0 +1,109 @@
+const { parseDateInput, toJalali, jalaliMonthRange, addJalaliMonths } = require('./jalali');
+const HttpError = require('./httpError');
+
+// Mongo filter for a startDate/endDate pair; either may be Jalali or Gregorian,
+// and a bare end date includes the whole of that day. Rejects a value that
+// isn't a date rather than filtering on null.
+const dateRangeFilter = (startDate, endDate) => {
+  const start = parseDateInput(startDate);
+  const end = parseDateInput(endDate, { endOfDay: true });
+
+  if (!start || !end) {
+    throw new HttpError(400, 'Invalid date range');
+  }
+
+  return { $gte: start, $lte: end };
+};
+
+/**
+ * Resolve `startDate`/`endDate` query values into Dates. Missing values
+ * default to the start of the current Jalali month and now respectively.
+ */
+const parseDateRange = ({ startDate, endDate } = {}) => {
+  const now = new Date();
+  const { year, month } = toJalali(now);
+  const start = startDate ? parseDateInput(startDate) : jalaliMonthRange(year, month).start;
+  const end = endDate ? parseDateInput(endDate, { endOfDay: true }) : now;
+
+  return { start, end };
+};
+
+// Number of whole Jalali months a range covers, or 0 if it doesn't start and
+// end on month boundaries
+const wholeJalaliMonths = ({ start, end }) => {
+  const first = toJalali(start);
+  const last = toJalali(end);
+
+  if (jalaliMonthRange(first.year, first.month).start.getTime() !== start.getTime()) {
+    return 0;
+  }
+
+  if (jalaliMonthRange(last.year, last.month).end.getTime() !== end.getTime()) {
+    return 0;
+  }
+
+  return (last.year - first.year) * 12 + (last.month - first.month) + 1;
+};
+
+// The range that ends right before `range` starts: the same number of Jalali
+// months for month-aligned ranges, otherwise the same length of time
+const previousPeriod = (range) => {
+  const months = wholeJalaliMonths(range);
+
+  if (months > 0) {
+    const first = toJalali(range.start);
+    const previousStart = addJalaliMonths(first.year, first.month, -months);
+    const previousEnd = addJalaliMonths(first.year, first.month, -1);
+    return {
+      start: jalaliMonthRange(previousStart.year, previousStart.month).start,
+      end: jalaliMonthRange(previousEnd.year, previousEnd.month).end,
+    };
+  }
+
+  const length = range.end.getTime() - range.start.getTime();
+  const previousEnd = new Date(range.start.getTime() - 1);
+  return { start: new Date(previousEnd.getTime() - length), end: previousEnd };
+};
+
+// The same range one year earlier: the same Jalali months for month-aligned
+// ranges, otherwise 365 days before
+const previousYear = (range) => {
+  const months = wholeJalaliMonths(range);
+
+  if (months > 0) {
+    const first = toJalali(range.start);
+    const last = toJalali(range.end);
+    return {
+      start: jalaliMonthRange(first.year - 1, first.month).start,
+      end: jalaliMonthRange(last.year - 1, last.month).end,
+    };
+  }
+
+  const shift = (date) => new Date(date.getTime() - 365 * 24 * 60 * 60 * 1000);
+  return { start: shift(range.start), end: shift(range.end) };
+};
+
+/**
+ * Resolve the range a report is compared against: explicit
+ * `compareStartDate`/`compareEndDate`, or `compareWith` set to
+ * `previous_period` (default), `previous_year` or `none`.
+ */
+const comparisonRange = (range, { compareWith, compareStartDate, compareEndDate } = {}) => {
+  if (compareStartDate && compareEndDate) {
+    return parseDateRange({ startDate: compareStartDate, endDate: compareEndDate });
+  }
+
+  if (compareWith === 'none') {
+    return null;
+  }
+
+  return compareWith === 'previous_year' ? previousYear(range) : previousPeriod(range);
+};
+
+module.exports = {
+  dateRangeFilter,
+  parseDateRange,
+  previousPeriod,
+  previousYear,
+  comparisonRange,
+};
@@ -0,0 +1,11 @@
+// Error carrying the HTTP status a controller should answer with. Thrown from
+// inside transactional work so the transaction is rolled back before replying.
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,222 @@
+const jalaali = require('jalaali-js');
+
+// Calendar days and months are counted in the cafe's local time
+const TIME_ZONE = process.env.TIME_ZONE || 'Asia/Tehran';
+
+// Years below this are read as Jalali (1403 is 2024 in the Gregorian calendar)
+const JALALI_YEAR_LIMIT = 1700;
+
+const DATE_INPUT = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const PERSIAN_DIGITS = '۰۱۲۳۴۵۶۷۸۹';
+const ARABIC_DIGITS = '٠١٢٣٤٥٦٧٨٩';
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+});
+
+// Replace Persian and Arabic-Indic digits with ASCII ones
+const normalizeDigits = (value) =>
+  String(value).replace(/[۰-۹٠-٩]/g, (digit) => {
+    const persian = PERSIAN_DIGITS.indexOf(digit);
+    return String(persian >= 0 ? persian : ARABIC_DIGITS.indexOf(digit));
+  });
+
+// Wall-clock date and time of an instant in the cafe's time zone
+const zonedParts = (date) =>
+  partsFormatter.formatToParts(date).reduce((parts, { type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+    return parts;
+  }, {});
+
+// Offset of the cafe's time zone from UTC at an instant, in milliseconds
+const zoneOffset = (date) => {
+  const parts = zonedParts(date);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant at which the cafe's clocks show the given Gregorian wall-clock time
+const fromZonedTime = (year, month, day, hour = 0, minute = 0, second = 0) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = new Date(wallClock - zoneOffset(new Date(wallClock)));
+  // A second pass settles times near an offset change
+  return new Date(wallClock - zoneOffset(guess));
+};
+
+// The instant at which a Jalali day starts in the cafe's time zone
+const fromJalali = (jy, jm, jd, hour = 0, minute = 0, second = 0) => {
+  const { gy, gm, gd } = jalaali.toGregorian(jy, jm, jd);
+  return fromZonedTime(gy, gm, gd, hour, minute, second);
+};
+
+// Jalali calendar date of an instant in the cafe's time zone
+const toJalali = (date) => {
+  const parts = zonedParts(date);
+  const { jy, jm, jd } = jalaali.toJalaali(parts.year, parts.month, parts.day);
+  return { year: jy, month: jm, day: jd, hour: parts.hour, minute: parts.minute };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Render an instant as a Jalali date, e.g. 1403/01/15 or 1403/01/15 14:30
+const formatJalali = (date, { withTime = false } = {}) => {
+  const { year, month, day, hour, minute } = toJalali(new Date(date));
+  const formatted = `${year}/${pad(month)}/${pad(day)}`;
+  return withTime ? `${formatted} ${pad(hour)}:${pad(minute)}` : formatted;
+};
+
+// Start of the day after a Jalali date
+const nextJalaliDay = (year, month, day) => {
+  const { jy, jm, jd } = jalaali.d2j(jalaali.j2d(year, month, day) + 1);
+  return fromJalali(jy, jm, jd);
+};
+
+const matchDateInput = (value) =>
+  typeof value === 'string' ? normalizeDigits(value.trim()).match(DATE_INPUT) : null;
+
+// Whether a value is a Jalali date string such as 1403/01/15
+const isJalaliInput = (value) => {
+  const match = matchDateInput(value);
+  return Boolean(match && Number(match[1]) < JALALI_YEAR_LIMIT);
+};
+
+/**
+ * Parse a date from a request. Accepts Jalali dates (1403/01/15, ۱۴۰۳-۰۱-۱۵,
+ * optionally with HH:mm), bare Gregorian dates and full ISO 8601 timestamps.
+ * Bare dates are read as calendar days in the cafe's time zone; with
+ * `endOfDay` they resolve to the last millisecond of that day. Returns null
+ * for anything unparseable.
+ */
+const parseDateInput = (value, { endOfDay = false } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+
+  const match = matchDateInput(value);
+
+  if (match) {
+    const [year, month, day] = match.slice(1, 4).map(Number);
+    const hasTime = match[4] !== undefined;
+    const time = hasTime ? match.slice(4, 7).map((part) => Number(part || 0)) : [0, 0, 0];
+    const isJalali = year < JALALI_YEAR_LIMIT;
+
+    if (isJalali ? !jalaali.isValidJalaaliDate(year, month, day) : month < 1 || month > 12) {
+      return null;
+    }
+
+    if (endOfDay && !hasTime) {
+      const nextDay = isJalali
+        ? nextJalaliDay(year, month, day)
+        : fromZonedTime(year, month, day + 1);
+      return new Date(nextDay.getTime() - 1);
+    }
+
+    return isJalali
+      ? fromJalali(year, month, day, ...time)
+      : fromZonedTime(year, month, day, ...time);
+  }
+
+  const date = new Date(normalizeDigits(value));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Whether a request value can be parsed as a date; for express-validator's custom()
+const isDateInput = (value) => parseDateInput(value) !== null;
+
+// Jalali month shifted by a number of months
+const addJalaliMonths = (year, month, months) => {
+  const index = year * 12 + (month - 1) + months;
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+};
+
+// Start and end instants of a Jalali month in the cafe's time zone
+const jalaliMonthRange = (year, month) => {
+  const next = addJalaliMonths(year, month, 1);
+  const start = fromJalali(year, month, 1);
+  const end = new Date(fromJalali(next.year, next.month, 1).getTime() - 1);
+  return { year, month, start, end };
+};
+
+// The last `count` Jalali months up to and including the one containing `date`, oldest first
+const recentJalaliMonths = (count, date = new Date()) => {
+  const { year, month } = toJalali(date);
+  return Array.from({ length: count }, (_, index) => {
+    const target = addJalaliMonths(year, month, index - count + 1);
+    return jalaliMonthRange(target.year, target.month);
+  });
+};
+
+// Range covered by a list of consecutive Jalali months, for a $match before jalaliMonthBuckets
+const monthsRange = (months) => ({
+  $gte: months[0].start,
+  $lte: months[months.length - 1].end,
+});
+
+/**
+ * A $bucket stage grouping documents into the given Jalali months by a date
+ * field. Documents outside the months must be filtered out beforehand (see
+ * monthsRange), as $bucket rejects values outside its boundaries.
+ */
+const jalaliMonthBuckets = (field, months, output) => ({
+  $bucket: {
+    groupBy: `$${field}`,
+    boundaries: [
+      ...months.map((month) => month.start),
+      new Date(months[months.length - 1].end.getTime() + 1),
+    ],
+    output,
+  },
+});
+
+// Replace bucket boundaries with Jalali year/month ids, newest month first
+const labelJalaliMonths = (buckets, months) =>
+  buckets
+    .map(({ _id, ...totals }) => {
+      const month = months.find((candidate) => candidate.start.getTime() === _id.getTime());
+      return {
+        _id: { year: month.year, month: month.month },
+        startDate: month.start,
+        endDate: month.end,
+        ...totals,
+      };
+    })
+    .reverse();
+
+module.exports = {
+  TIME_ZONE,
+  normalizeDigits,
+  fromZonedTime,
+  fromJalali,
+  toJalali,
+  formatJalali,
+  isJalaliInput,
+  parseDateInput,
+  isDateInput,
+  addJalaliMonths,
+  jalaliMonthRange,
+  recentJalaliMonths,
+  monthsRange,
+  jalaliMonthBuckets,
+  labelJalaliMonths,
+};
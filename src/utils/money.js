@@ -0,0 +1,6 @@
+// Round an amount of money to whole cents, the precision the books are kept in
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  roundAmount,
+};
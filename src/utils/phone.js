@@ -0,0 +1,27 @@
+const { normalizeDigits } = require('./jalali');
+
+/**
+ * Write an Iranian mobile number the way it is dialled at home, e.g.
+ * "09121234567", whether it was typed with Persian digits, spaces or dashes,
+ * or as "+98 912 123 4567", "0098912..." or "912...". Anything that isn't an
+ * Iranian mobile number gives null.
+ */
+const normalizePhone = (value) => {
+  const digits = normalizeDigits(value === undefined || value === null ? '' : value).replace(
+    /[\s\-()]/g,
+    '',
+  );
+  const match = digits.match(/^(?:\+98|0098|98|0)?(9\d{9})$/);
+  return match ? `0${match[1]}` : null;
+};
+
+// Ways a normalized number may have been stored before numbers were normalized
+const phoneVariants = (phone) => {
+  const national = phone.slice(1);
+  return [phone, national, `98${national}`, `+98${national}`, `0098${national}`];
+};
+
+module.exports = {
+  normalizePhone,
+  phoneVariants,
+};
@@ -0,0 +1,11 @@
+/**
+ * Record an error nobody is waiting on, e.g. one the error middleware caught
+ * after a request failed or one from work left running in the background.
+ * Written to stderr, where the process's log collector picks it up.
+ */
+const reportError = (error, context) => {
+  const detail = error && error.stack ? error.stack : String(error);
+  process.stderr.write(`${context ? `${context}: ` : ''}${detail}\n`);
+};
+
+module.exports = reportError;
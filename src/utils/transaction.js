@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_MAX_RETRIES = 3;
+
+// Error codes MongoDB uses for write conflicts between concurrent transactions
+const WRITE_CONFLICT_CODE = 112;
+
+const hasLabel = (error, label) =>
+  Boolean(
+    error &&
+      ((typeof error.hasErrorLabel === 'function' && error.hasErrorLabel(label)) ||
+        (Array.isArray(error.errorLabels) && error.errorLabels.includes(label))),
+  );
+
+// Whether a failed transaction can safely be run again from the start
+const isTransientError = (error) =>
+  hasLabel(error, 'TransientTransactionError') || (error && error.code === WRITE_CONFLICT_CODE);
+
+// Whether a failed commit can be retried without re-running the work
+const isUnknownCommitResult = (error) => hasLabel(error, 'UnknownTransactionCommitResult');
+
+// Retry an async operation while it fails with a transient error
+const retryOnTransientError = async (operation, { maxRetries = DEFAULT_MAX_RETRIES } = {}) => {
+  let attempt = 0;
+
+  for (;;) {
+    attempt += 1;
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || !isTransientError(error)) {
+        throw error;
+      }
+    }
+  }
+};
+
+const commitWithRetry = async (session, maxRetries) => {
+  let attempt = 0;
+
+  for (;;) {
+    attempt += 1;
+    try {
+      await session.commitTransaction();
+      return;
+    } catch (error) {
+      if (attempt >= maxRetries || !isUnknownCommitResult(error)) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Run `work(session)` inside a MongoDB transaction. Every read and write that
+ * should be rolled back together must be passed the session. The whole unit
+ * of work is retried on transient errors such as write conflicts, so `work`
+ * must not have side effects outside the database.
+ */
+const runInTransaction = async (work, { maxRetries = DEFAULT_MAX_RETRIES } = {}) => {
+  const session = await mongoose.startSession();
+
+  try {
+    return await retryOnTransientError(
+      async () => {
+        session.startTransaction();
+        try {
+          const result = await work(session);
+          await commitWithRetry(session, maxRetries);
+          return result;
+        } catch (error) {
+          if (session.inTransaction()) {
+            await session.abortTransaction();
+          }
+          throw error;
+        }
+      },
+      { maxRetries },
+    );
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction,
+  retryOnTransientError,
+  isTransientError,
+};
@@ -0,0 +1,106 @@
+const HttpError = require('./httpError');
+
+// Units that convert into each other, keyed by name with their size in the
+// dimension's base unit (grams, millilitres or pieces)
+const UNITS = {
+  mg: { dimension: 'mass', factor: 0.001 },
+  g: { dimension: 'mass', factor: 1 },
+  kg: { dimension: 'mass', factor: 1000 },
+  گرم: { dimension: 'mass', factor: 1 },
+  کیلوگرم: { dimension: 'mass', factor: 1000 },
+  ml: { dimension: 'volume', factor: 1 },
+  cl: { dimension: 'volume', factor: 10 },
+  l: { dimension: 'volume', factor: 1000 },
+  میلی‌لیتر: { dimension: 'volume', factor: 1 },
+  لیتر: { dimension: 'volume', factor: 1000 },
+  pcs: { dimension: 'count', factor: 1 },
+  piece: { dimension: 'count', factor: 1 },
+  عدد: { dimension: 'count', factor: 1 },
+};
+
+const normalizeUnit = (unit) =>
+  String(unit || '')
+    .trim()
+    .toLowerCase();
+
+/**
+ * Convert a quantity between units, e.g. 250 g to 0.25 kg. Units that are
+ * spelled the same always convert 1:1; otherwise both must be known units of
+ * the same dimension. Returns null when the units can't be converted.
+ */
+const convertQuantity = (quantity, fromUnit, toUnit) => {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+
+  if (from === to) {
+    return quantity;
+  }
+
+  if (!UNITS[from] || !UNITS[to] || UNITS[from].dimension !== UNITS[to].dimension) {
+    return null;
+  }
+
+  return (quantity * UNITS[from].factor) / UNITS[to].factor;
+};
+
+/**
+ * How many of the product's own unit one `unit` holds. The product's own
+ * units, such as a 12-litre crate, come first and then the standard ones.
+ * Returns null when the unit isn't defined for the product.
+ */
+const productUnitFactor = (product, unit) => {
+  const name = normalizeUnit(unit);
+  const own = (product.units || []).find((defined) => normalizeUnit(defined.name) === name);
+
+  if (own) {
+    return own.factor;
+  }
+
+  return convertQuantity(1, unit, product.unit);
+};
+
+/**
+ * Convert a quantity of a product between any two of its units, which default
+ * to the product's own unit. Returns null when either isn't defined for it.
+ */
+const convertProductQuantity = (product, quantity, fromUnit, toUnit = product.unit) => {
+  const from = productUnitFactor(product, fromUnit || product.unit);
+  const to = productUnitFactor(product, toUnit);
+
+  if (from === null || to === null) {
+    return null;
+  }
+
+  return (quantity * from) / to;
+};
+
+/**
+ * Read a document line entered in any unit of its product into the product's
+ * own unit, which is what stock, costs and matching work in. `unit` defaults
+ * to `defaultUnit` and then the product's own unit; a given price is per
+ * entered unit. Returns the converted `quantity` and `price` with the line
+ * as entered in `unit` and `unitQuantity`.
+ */
+const toStockUnits = (product, { quantity, price, unit }, defaultUnit) => {
+  const lineUnit = unit || defaultUnit || product.unit;
+  const factor = productUnitFactor(product, lineUnit);
+
+  if (factor === null) {
+    throw new HttpError(400, `${lineUnit} is not a unit of ${product.name}`);
+  }
+
+  return {
+    // Rounded so that, say, two 12-litre crates match 24 l exactly
+    quantity: Math.round(quantity * factor * 1e6) / 1e6,
+    price: price === undefined ? undefined : price / factor,
+    unit: lineUnit,
+    unitQuantity: quantity,
+  };
+};
+
+module.exports = {
+  convertQuantity,
+  productUnitFactor,
+  convertProductQuantity,
+  toStockUnits,
+};